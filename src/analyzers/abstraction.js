@@ -1,47 +1,54 @@
-import fs from 'fs';
-import path from 'path';
-import { hasFileChanged } from '../utils/file-cache.js';
-import { cleanCode } from '../utils/code-cleaner.js';
+import { createProjectSnapshot } from '../utils/project-snapshot.js';
+import { getLayerRole } from '../config/project-config.js';
+import { getImportTarget } from '../utils/effective-imports.js';
+import { computeLineStarts, positionAt } from '../parsers/csharp-lexer.js';
+import { extractSnippet } from '../utils/source-snippet.js';
+import { partitionFindings } from '../utils/suppressions.js';
+import { compareWithBaseline } from '../utils/baseline.js';
+
+// Technical patterns (first match gives the finding's location)
+const SQL_PATTERN = /\b(SqlConnection|SqlCommand|SqlDataReader|ExecuteReader|ExecuteNonQuery|ExecuteScalar)\b/;
+const EF_PATTERN = /\b(DbContext|DbSet|Include|ThenInclude|AsNoTracking)\b/;
+const HTTP_PATTERN = /\b(HttpClient|HttpRequest|HttpResponse|RestClient|WebClient)\b/;
+const FILE_IO_PATTERN = /\b(File\.Read|File\.Write|StreamReader|StreamWriter|FileStream)\b/;
+const SERIALIZATION_PATTERN = /\b(JsonSerializer|XmlSerializer|JsonConvert)\b/;
+const LOGGING_PATTERN = /\b(ILogger|_logger\.Log|Console\.WriteLine)\b/;
 
 /**
  * Analyzes separation of abstraction levels
  * @param {string} projectPath - Path to the C# project
  * @param {boolean} useCache - Use file cache (default: true)
+ * @param {Object} [snapshot] - Shared project snapshot (built if omitted)
  */
-export function analyzeAbstraction(projectPath, useCache = false) {
-  const files = findCSharpFiles(projectPath);
-  const mixedAbstractions = [];
-  const codeExamples = [];
+export function analyzeAbstraction(projectPath, useCache = false, snapshot = null) {
+  const project = snapshot || createProjectSnapshot(projectPath, { useCache });
+  const files = project.files;
+  const detectedIssues = [];
+  const suppressed = [];
   
   console.error(`[MMI] Analyzing abstraction levels for ${files.length} files`);
   
   for (const file of files) {
     // Skip unchanged
-    if (useCache && !hasFileChanged(file)) {
+    if (useCache && !file.changed) {
       continue;
     }
     
-    const relativePath = file.replace(projectPath, '');
-    const rawContent = fs.readFileSync(file, 'utf8');
-    const content = cleanCode(rawContent);
-    const fileName = path.basename(file);
-    
-    const issues = detectMixedAbstractions(content, fileName, relativePath);
-    
-    if (issues.length > 0) {
-      mixedAbstractions.push(...issues);
-      
-      if (codeExamples.length < 5) {
-        codeExamples.push({
-          file: fileName,
-          path: relativePath,
-          issues: issues,
-          snippet: extractRelevantSnippet(content, issues)
-        });
-      }
-    }
+    // Nur echter Code - Kommentare und String-Inhalte sind ausgeblendet
+    const layer = file.layer || 'Unknown';
+    const role = getLayerRole(project.config, file.layer);
+    const source = withImportedNames(file.model.code, file.imports);
+    const detected = detectMixedAbstractions(source.code, file.relativePath, layer, role, createLocator(source))
+      .map(issue => ({ ...issue, snippet: extractSnippet(file.content, issue.line, issue.endLine) }));
+    const { active, suppressed: ignored } = partitionFindings(detected, project, 'abstraction');
+    detectedIssues.push(...active);
+    suppressed.push(...ignored);
   }
   
+  // Mit Baseline zählen nur neue Issues
+  const { findings: mixedAbstractions, summary: baseline } = compareWithBaseline(project, 'abstraction', detectedIssues);
+  const codeExamples = collectCodeExamples(mixedAbstractions, files);
+  
   const score = calculateScore(mixedAbstractions.length, files.length);
   
   return {
@@ -50,51 +57,24 @@ export function analyzeAbstraction(projectPath, useCache = false) {
     filesWithIssues: new Set(mixedAbstractions.map(m => m.file)).size,
     mixedAbstractions,
     issueCount: mixedAbstractions.length,
+    suppressed,
+    suppressedCount: suppressed.length,
+    baseline,
     codeExamples,
     score,
     level: getLevel(score)
   };
 }
 
-/**
- * Find all C# files recursively
- */
-function findCSharpFiles(dir) {
-  let results = [];
-  
-  try {
-    const items = fs.readdirSync(dir);
-    
-    for (const item of items) {
-      const fullPath = path.join(dir, item);
-      const stat = fs.statSync(fullPath);
-      
-      if (item === 'bin' || item === 'obj' || item === 'node_modules') {
-        continue;
-      }
-      
-      if (stat.isDirectory()) {
-        results = results.concat(findCSharpFiles(fullPath));
-      } else if (item.endsWith('.cs')) {
-        results.push(fullPath);
-      }
-    }
-  } catch (err) {
-    console.error(`[MMI] Error reading directory ${dir}:`, err.message);
-  }
-  
-  return results;
-}
-
 /**
  * Detect mixed abstraction levels in code
+ * @param {string} layer - Configured layer name of the file
+ * @param {string|null} role - Layer role (domain/application/infrastructure/presentation)
+ * @param {Function} locate - pattern → { line, column, endLine } of its first match
  */
-function detectMixedAbstractions(content, fileName, filePath) {
+function detectMixedAbstractions(content, filePath, layer, role, locate) {
   const issues = [];
   
-  // Detect layer
-  const layer = detectLayer(filePath);
-  
   // Check for business logic indicators
   const hasBusinessLogic = 
     /\b(Order|Product|Customer|Invoice|Payment|Account|User)\b/i.test(content) ||
@@ -107,21 +87,23 @@ function detectMixedAbstractions(content, fileName, filePath) {
   // Check for low-level technical details
   
   // SQL Details in business code
-  if (/\b(SqlConnection|SqlCommand|SqlDataReader|ExecuteReader|ExecuteNonQuery|ExecuteScalar)\b/.test(content)) {
+  if (SQL_PATTERN.test(content)) {
     issues.push({
-      file: fileName,
+      file: filePath,
+      ...locate(SQL_PATTERN),
       layer: layer,
       issue: 'SQL_MIXING',
-      severity: layer === 'Domain' || layer === 'Application' ? 'CRITICAL' : 'MEDIUM',
+      severity: role === 'domain' || role === 'application' ? 'CRITICAL' : 'MEDIUM',
       description: 'Business logic mixed with SQL implementation details',
       pattern: 'SqlConnection, SqlCommand, etc.'
     });
   }
   
   // Entity Framework details in Domain
-  if (layer === 'Domain' && /\b(DbContext|DbSet|Include|ThenInclude|AsNoTracking)\b/.test(content)) {
+  if (role === 'domain' && EF_PATTERN.test(content)) {
     issues.push({
-      file: fileName,
+      file: filePath,
+      ...locate(EF_PATTERN),
       layer: layer,
       issue: 'EF_IN_DOMAIN',
       severity: 'CRITICAL',
@@ -131,33 +113,36 @@ function detectMixedAbstractions(content, fileName, filePath) {
   }
   
   // HTTP/REST details in business code
-  if (/\b(HttpClient|HttpRequest|HttpResponse|RestClient|WebClient)\b/.test(content)) {
+  if (HTTP_PATTERN.test(content)) {
     issues.push({
-      file: fileName,
+      file: filePath,
+      ...locate(HTTP_PATTERN),
       layer: layer,
       issue: 'HTTP_MIXING',
-      severity: layer === 'Domain' || layer === 'Application' ? 'CRITICAL' : 'LOW',
+      severity: role === 'domain' || role === 'application' ? 'CRITICAL' : 'LOW',
       description: 'Business logic mixed with HTTP communication details',
       pattern: 'HttpClient, HttpRequest, etc.'
     });
   }
   
   // File I/O in business code
-  if (/\b(File\.Read|File\.Write|StreamReader|StreamWriter|FileStream)\b/.test(content)) {
+  if (FILE_IO_PATTERN.test(content)) {
     issues.push({
-      file: fileName,
+      file: filePath,
+      ...locate(FILE_IO_PATTERN),
       layer: layer,
       issue: 'FILE_IO_MIXING',
-      severity: layer === 'Domain' ? 'HIGH' : 'MEDIUM',
+      severity: role === 'domain' ? 'HIGH' : 'MEDIUM',
       description: 'Business logic mixed with file I/O operations',
       pattern: 'File.Read, StreamReader, etc.'
     });
   }
   
   // Serialization in Domain
-  if (layer === 'Domain' && /\b(JsonSerializer|XmlSerializer|JsonConvert)\b/.test(content)) {
+  if (role === 'domain' && SERIALIZATION_PATTERN.test(content)) {
     issues.push({
-      file: fileName,
+      file: filePath,
+      ...locate(SERIALIZATION_PATTERN),
       layer: layer,
       issue: 'SERIALIZATION_IN_DOMAIN',
       severity: 'HIGH',
@@ -167,10 +152,11 @@ function detectMixedAbstractions(content, fileName, filePath) {
   }
   
   // Logging mixed with business logic (acceptable in some cases, but flag it)
-  const logMatches = content.match(/\b(ILogger|_logger\.Log|Console\.WriteLine)\b/g);
-  if (logMatches && logMatches.length > 5 && layer === 'Domain') {
+  const logMatches = content.match(new RegExp(LOGGING_PATTERN.source, 'g'));
+  if (logMatches && logMatches.length > 5 && role === 'domain') {
     issues.push({
-      file: fileName,
+      file: filePath,
+      ...locate(LOGGING_PATTERN),
       layer: layer,
       issue: 'EXCESSIVE_LOGGING',
       severity: 'LOW',
@@ -183,31 +169,112 @@ function detectMixedAbstractions(content, fileName, filePath) {
 }
 
 /**
- * Detect which layer a file belongs to
+ * Make types hidden behind imports visible to the pattern checks:
+ * global aliases (`global using Db = ...DbContext;` → `DbContext`) and
+ * `using static System.IO.File;` (`ReadAllText(...)` → `File.ReadAllText`)
+ * @returns {Object} { code, sourceLength, origins } - appended names are
+ *   mapped back to the offset of the alias/call in the real code
+ */
+function withImportedNames(code, imports) {
+  const extra = [];
+  let bareCalls = null;
+  
+  for (const imp of imports) {
+    const target = getImportTarget(imp);
+    const typeName = target.split('.').pop();
+    
+    // Eigene Alias-Direktiven stehen samt Ziel schon im Code
+    const aliasMatch = imp.alias && imp.scope !== 'file' ? new RegExp(`\\b${imp.alias}\\b`).exec(code) : null;
+    if (aliasMatch) {
+      extra.push({ text: typeName, sourceOffset: aliasMatch.index });
+    }
+    
+    if (imp.isStatic) {
+      bareCalls = bareCalls || findBareCalls(code);
+      for (const [call, offset] of bareCalls) {
+        extra.push({ text: `${typeName}.${call}`, sourceOffset: offset });
+      }
+    }
+  }
+  
+  let expanded = code;
+  const origins = [];
+  for (const { text, sourceOffset } of extra) {
+    expanded += '\n';
+    origins.push({ offset: expanded.length, length: text.length, sourceOffset });
+    expanded += text;
+  }
+  
+  return { code: expanded, sourceLength: code.length, origins };
+}
+
+/**
+ * Bare method calls (`ReadAllText(`) → offset of their first occurrence
+ */
+function findBareCalls(code) {
+  const calls = new Map();
+  for (const match of code.matchAll(/(?<![.\w])([A-Z]\w*)\s*\(/g)) {
+    if (!calls.has(match[1])) calls.set(match[1], match.index);
+  }
+  return calls;
+}
+
+/**
+ * Locate the first match of a pattern in the real code (matches in
+ * appended import names point to the alias/call that caused them)
  */
-function detectLayer(filePath) {
-  const normalized = filePath.replace(/\\/g, '/');
+function createLocator(source) {
+  const lineStarts = computeLineStarts(source.code.slice(0, source.sourceLength));
   
-  if (normalized.includes('/Domain/')) return 'Domain';
-  if (normalized.includes('/Application/')) return 'Application';
-  if (normalized.includes('/Infrastructure/')) return 'Infrastructure';
-  if (normalized.includes('/Presentation/')) return 'Presentation';
-  if (normalized.includes('/API/')) return 'API';
-  if (normalized.includes('/Web/')) return 'Web';
+  return pattern => {
+    const match = pattern.exec(source.code);
+    if (!match) return { line: null, column: null, endLine: null };
+    
+    let start = match.index;
+    let end = match.index + match[0].length;
+    if (start >= source.sourceLength) {
+      const origin = source.origins.find(o => start >= o.offset && start < o.offset + o.length);
+      start = origin ? origin.sourceOffset : 0;
+      end = start + 1;
+    }
+    
+    const from = positionAt(lineStarts, start);
+    const to = positionAt(lineStarts, end - 1);
+    return { line: from.line, column: from.column, endLine: to.line };
+  };
+}
+
+/**
+ * Code examples for the first files with issues (one snippet per file)
+ */
+function collectCodeExamples(issues, files) {
+  const byFile = new Map();
+  for (const issue of issues) {
+    if (!byFile.has(issue.file)) {
+      if (byFile.size >= 5) continue;
+      byFile.set(issue.file, []);
+    }
+    byFile.get(issue.file).push(issue);
+  }
   
-  return 'Unknown';
+  const contents = new Map(files.map(f => [f.relativePath, f.content]));
+  return [...byFile].map(([file, fileIssues]) => ({
+    file,
+    path: file,
+    issues: fileIssues,
+    snippet: extractRelevantSnippet(contents.get(file), fileIssues),
+    line: fileIssues[0].line
+  }));
 }
 
 /**
- * Extract relevant code snippet showing the issue
+ * Extract a code snippet centered on the offending lines of a file
  */
 function extractRelevantSnippet(content, issues) {
-  if (issues.length === 0) return '';
-  
-  const lines = content.split('\n');
-  const snippetLines = Math.min(30, lines.length);
+  const first = issues.find(issue => issue.line);
+  if (!first) return '';
   
-  return lines.slice(0, snippetLines).join('\n');
+  return extractSnippet(content, first.line, first.endLine, 5);
 }
 
 /**
@@ -0,0 +1,276 @@
+import { createProjectSnapshot } from '../utils/project-snapshot.js';
+import { extractSnippet } from '../utils/source-snippet.js';
+import { partitionFindings } from '../utils/suppressions.js';
+import { compareWithBaseline } from '../utils/baseline.js';
+
+const CLASS_KINDS = ['class', 'struct', 'record'];
+
+// Erst ab zwei zustandsbehafteten Methoden ist Kohäsion messbar
+const MIN_METHODS = 2;
+
+// Vorgänger, nach denen ein Bezeichner Member eines anderen Objekts ist
+const MEMBER_ACCESS = ['.', '?.', '->', '::'];
+
+/**
+ * Analyzes class cohesion: LCOM4 (connected components of methods linked by
+ * shared fields or calls) and LCOM-HS (Henderson-Sellers) per class.
+ * Classes with LCOM4 > 1 fall apart into independent responsibilities; the
+ * components are reported as split suggestions.
+ * Fields are instance fields, auto-properties and primary constructor
+ * parameters; methods are instance methods and computed properties.
+ * Constructors and methods that touch no member of the class are not counted.
+ * @param {string} projectPath - Path to the C# project
+ * @param {boolean} useCache - Use file cache (default: false)
+ * @param {Object} [snapshot] - Shared project snapshot (built if omitted)
+ */
+export function analyzeCohesion(projectPath, useCache = false, snapshot = null) {
+  console.error(`[MMI] Analyzing class cohesion in ${projectPath}`);
+
+  const project = snapshot || createProjectSnapshot(projectPath, { useCache });
+  const classes = collectClasses(project.files).map(measureClass);
+  const measured = classes.filter(c => c.lcom4 !== null)
+    .sort((a, b) => b.lcom4 - a.lcom4 || (b.lcomHs ?? 0) - (a.lcomHs ?? 0) || a.name.localeCompare(b.name));
+
+  const detected = measured.filter(c => c.lcom4 > 1).map(toFinding);
+
+  // `// mmi-ignore: cohesion` über der Klasse bzw. `mmi-ignore-file: cohesion`
+  const { active, suppressed } = partitionFindings(detected, project, 'cohesion');
+  const { findings, summary: baseline } = compareWithBaseline(project, 'cohesion', active);
+
+  const withHs = measured.filter(c => c.lcomHs !== null);
+  const averageLcomHs = withHs.length > 0
+    ? Number((withHs.reduce((sum, c) => sum + c.lcomHs, 0) / withHs.length).toFixed(2))
+    : 0;
+  const incohesiveShare = measured.length > 0 ? Number((findings.length / measured.length * 100).toFixed(1)) : 0;
+  const score = calculateScore(incohesiveShare);
+
+  console.error(`[MMI] Cohesion: ${measured.length} of ${classes.length} classes measured, ${findings.length} with LCOM4 > 1`);
+
+  return {
+    projectPath,
+    totalFiles: project.files.length,
+    totalClasses: classes.length,
+    measuredClasses: measured.length,
+    classes: measured.map(({ name, file, lcom4, lcomHs, methods, fields }) => ({ name, file, lcom4, lcomHs, methods, fields })),
+    averageLcomHs,
+    findings,
+    findingCount: findings.length,
+    incohesiveShare,
+    suppressed,
+    suppressedCount: suppressed.length,
+    baseline,
+    score,
+    level: getLevel(score)
+  };
+}
+
+/**
+ * Classes, structs and records with their declarations (partial classes merged)
+ */
+function collectClasses(files) {
+  const byName = new Map();
+
+  for (const file of files) {
+    for (const type of file.model.types.filter(t => CLASS_KINDS.includes(t.kind))) {
+      if (!byName.has(type.fullName)) {
+        byName.set(type.fullName, {
+          name: type.fullName,
+          kind: type.kind,
+          file: file.relativePath,
+          line: type.line,
+          column: type.column,
+          content: file.content,
+          files: [],
+          parts: []
+        });
+      }
+
+      const entry = byName.get(type.fullName);
+      if (!entry.files.includes(file.relativePath)) entry.files.push(file.relativePath);
+      entry.parts.push({ type, tokens: file.model.tokens });
+    }
+  }
+
+  return [...byName.values()];
+}
+
+/**
+ * LCOM4, LCOM-HS and the method clusters of one class
+ */
+function measureClass(entry) {
+  const fields = new Set();
+  const methods = new Map();   // Name → { bodies: [{ tokens, start, end }], parameters }; Überladungen zusammengefasst
+
+  for (const { type, tokens } of entry.parts) {
+    type.parameters.forEach(p => fields.add(p.name));
+
+    for (const member of type.members.filter(m => !m.isStatic)) {
+      if (member.kind === 'field') {
+        fields.add(member.name);
+      } else if (member.kind === 'property' && isAutoProperty(member)) {
+        fields.add(member.name);
+      } else if (member.kind === 'method' || member.kind === 'property') {
+        const bodies = getBodies(member).map(body => ({ tokens, ...body }));
+        if (bodies.length === 0) continue;
+        if (!methods.has(member.name)) methods.set(member.name, { bodies: [], parameters: new Set() });
+        const method = methods.get(member.name);
+        method.bodies.push(...bodies);
+        (member.parameters || []).forEach(p => method.parameters.add(p.name));
+      }
+    }
+  }
+
+  const uses = new Map();
+  for (const [name, method] of methods) {
+    uses.set(name, findMemberReferences(method, fields, methods, name));
+  }
+
+  // Methoden ohne Bezug zu Feldern oder anderen Methoden zählen nicht (Kandidaten für static)
+  const calledBy = new Set([...uses.values()].flatMap(u => [...u.methods]));
+  const counted = [...methods.keys()].filter(name => uses.get(name).fields.size + uses.get(name).methods.size > 0 || calledBy.has(name));
+
+  const base = { ...entry, methods: counted.length, fields: fields.size };
+  if (counted.length < MIN_METHODS) return { ...base, lcom4: null, lcomHs: null, clusters: [] };
+
+  const clusters = findClusters(counted, uses);
+
+  return {
+    ...base,
+    lcom4: clusters.length,
+    lcomHs: getLcomHs(counted, fields, uses),
+    clusters
+  };
+}
+
+function isAutoProperty(member) {
+  return !member.expressionBodied && member.accessors.length > 0 && member.accessors.every(a => !a.hasBody);
+}
+
+function getBodies(member) {
+  if (member.kind === 'method') return member.body ? [member.body] : [];
+  if (member.expressionBodied) return [member.body];
+  return member.accessors.filter(a => a.hasBody).map(a => a.body);
+}
+
+/**
+ * Fields and methods of the own class a method refers to (`x`, `this.x`);
+ * member access on other objects and shadowing parameters are skipped
+ */
+function findMemberReferences(method, fields, methods, ownName) {
+  const used = { fields: new Set(), methods: new Set() };
+
+  for (const { tokens, start, end } of method.bodies) {
+    for (let i = start; i <= end; i++) {
+      const token = tokens[i];
+      if (token.type !== 'identifier') continue;
+
+      const isField = fields.has(token.value);
+      const isMethod = methods.has(token.value) && token.value !== ownName;
+      if (!isField && !isMethod) continue;
+
+      const previous = tokens[i - 1];
+      const viaThis = previous?.value === '.' && tokens[i - 2]?.value === 'this';
+      if (MEMBER_ACCESS.includes(previous?.value) && !viaThis) continue;
+      if (method.parameters.has(token.value) && !viaThis) continue;
+
+      (isField ? used.fields : used.methods).add(token.value);
+    }
+  }
+
+  return used;
+}
+
+/**
+ * Connected components of the methods (shared field or call = edge)
+ * @returns {Object[]} [{ methods, fields }], largest first
+ */
+function findClusters(counted, uses) {
+  const parent = new Map(counted.map(name => [name, name]));
+  const find = name => {
+    while (parent.get(name) !== name) name = parent.get(name);
+    return name;
+  };
+  const union = (a, b) => parent.set(find(a), find(b));
+
+  const fieldOwner = new Map();
+  for (const name of counted) {
+    const { fields, methods } = uses.get(name);
+    methods.forEach(callee => { if (parent.has(callee)) union(name, callee); });
+    fields.forEach(field => {
+      if (fieldOwner.has(field)) union(name, fieldOwner.get(field));
+      else fieldOwner.set(field, name);
+    });
+  }
+
+  const components = new Map();
+  for (const name of counted) {
+    const root = find(name);
+    if (!components.has(root)) components.set(root, { methods: [], fields: new Set() });
+    const component = components.get(root);
+    component.methods.push(name);
+    uses.get(name).fields.forEach(field => component.fields.add(field));
+  }
+
+  return [...components.values()]
+    .map(c => ({ methods: c.methods.sort(), fields: [...c.fields].sort() }))
+    .sort((a, b) => b.methods.length - a.methods.length || a.methods[0].localeCompare(b.methods[0]));
+}
+
+/**
+ * LCOM-HS = (M - mean methods per field) / (M - 1); 0 = every method uses
+ * every field, 1 = every field is used by a single method, > 1 = unused fields
+ */
+function getLcomHs(counted, fields, uses) {
+  if (fields.size === 0) return null;
+
+  const accesses = counted.reduce((sum, name) => sum + uses.get(name).fields.size, 0);
+  const value = (counted.length - accesses / fields.size) / (counted.length - 1);
+  return Number(value.toFixed(2));
+}
+
+function toFinding(c) {
+  return {
+    rule: 'lcom4',
+    file: c.file,
+    line: c.line,
+    column: c.column,
+    endLine: c.line,
+    snippet: extractSnippet(c.content, c.line),
+    name: c.name,
+    kind: c.kind,
+    files: c.files,
+    lcom4: c.lcom4,
+    lcomHs: c.lcomHs,
+    methods: c.methods,
+    fields: c.fields,
+    clusters: c.clusters,
+    severity: c.lcom4 >= 3 ? 'HIGH' : 'MEDIUM'
+  };
+}
+
+/**
+ * Score from the share of measured classes that fall apart (LCOM4 > 1)
+ */
+function calculateScore(incohesiveShare) {
+  if (incohesiveShare === 0) return 5;   // Alle Klassen zusammenhängend
+  if (incohesiveShare < 5) return 4;
+  if (incohesiveShare < 10) return 3;
+  if (incohesiveShare < 20) return 2;
+  if (incohesiveShare < 30) return 1;
+  return 0;                              // Jede dritte Klasse zerfällt
+}
+
+/**
+ * Get MMI level description
+ */
+function getLevel(score) {
+  const levels = {
+    5: 'Exzellent',
+    4: 'Gut',
+    3: 'Akzeptabel',
+    2: 'Verbesserungswürdig',
+    1: 'Schlecht',
+    0: 'Kritisch'
+  };
+  return levels[score] || 'Unbekannt';
+}
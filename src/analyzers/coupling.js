@@ -0,0 +1,222 @@
+import { createProjectSnapshot } from '../utils/project-snapshot.js';
+import { buildDependencyGraph, getGroupKey } from './cycle-analyzer.js';
+import { findFileSuppression } from '../utils/suppressions.js';
+import { compareWithBaseline } from '../utils/baseline.js';
+
+// Module levels for coupling metrics (Robert C. Martin's package metrics)
+export const COUPLING_GRANULARITIES = ['namespace', 'project'];
+
+// Distanz zur Main Sequence, ab der ein Modul gemeldet wird
+const MAX_DISTANCE = 0.7;
+
+// Typen, die in die Abstraktheit eingehen (Enums/Delegates zählen nicht)
+const COUNTED_KINDS = ['class', 'interface', 'struct', 'record'];
+
+/**
+ * Analyzes coupling per namespace or project: afferent (Ca) and efferent (Ce)
+ * coupling, instability I = Ce / (Ca + Ce), abstractness A (share of
+ * interfaces and abstract classes) and distance from the main sequence
+ * D = |A + I - 1|. Uses the dependency graph of the cycle analysis.
+ * @param {string} projectPath - Path to the C# project
+ * @param {boolean} useCache - Use file cache (default: false)
+ * @param {Object} [snapshot] - Shared project snapshot (built if omitted)
+ * @param {Object} [options] - { granularity: 'namespace' (default) or 'project' }
+ */
+export function analyzeCoupling(projectPath, useCache = false, snapshot = null, options = {}) {
+  const { granularity = 'namespace' } = options;
+  if (!COUPLING_GRANULARITIES.includes(granularity)) {
+    throw new Error(`Unknown granularity "${granularity}" (expected ${COUPLING_GRANULARITIES.join(', ')})`);
+  }
+
+  console.error(`[MMI] Analyzing coupling in ${projectPath} (granularity: ${granularity})`);
+
+  const project = snapshot || createProjectSnapshot(projectPath, { useCache });
+  const { graph, nodeLayers } = buildDependencyGraph(project, granularity);
+  const modules = graph.nodes()
+    .map(node => measureModule(node, graph, nodeLayers, project.files, granularity))
+    .sort((a, b) => (b.distance ?? -1) - (a.distance ?? -1) || a.name.localeCompare(b.name));
+
+  // Nur gekoppelte Module haben eine Instabilität (isolierte: Ca = Ce = 0)
+  const coupled = modules.filter(m => m.distance !== null);
+  const detected = coupled.filter(m => m.distance > MAX_DISTANCE).map(m => toFinding(m, granularity));
+
+  // `// mmi-ignore-file: coupling` in einer Datei des Moduls nimmt es heraus
+  const { active, suppressed } = partitionModules(project, detected, granularity);
+  const { findings, summary: baseline } = compareWithBaseline(project, 'coupling', active, granularity);
+
+  // Unterdrückte Module zählen nicht in den Durchschnitt
+  const scored = coupled.filter(m => !suppressed.some(f => f.module === m.name));
+  const averageDistance = scored.length > 0
+    ? Number((scored.reduce((sum, m) => sum + m.distance, 0) / scored.length).toFixed(2))
+    : 0;
+
+  const score = calculateScore(averageDistance, scored.length);
+
+  console.error(`[MMI] Coupling: ${modules.length} modules, average distance ${averageDistance}, ${findings.length} far from the main sequence`);
+
+  return {
+    projectPath,
+    granularity,
+    totalFiles: project.files.length,
+    totalModules: modules.length,
+    modules,
+    averageDistance,
+    maxDistance: MAX_DISTANCE,
+    findings,
+    findingCount: findings.length,
+    zoneOfPainCount: findings.filter(f => f.zone === 'pain').length,
+    zoneOfUselessnessCount: findings.filter(f => f.zone === 'uselessness').length,
+    suppressed,
+    suppressedCount: suppressed.length,
+    baseline,
+    score,
+    level: getLevel(score)
+  };
+}
+
+/**
+ * Ca/Ce, I, A and D of one module (Ca/Ce count modules, not types)
+ */
+function measureModule(name, graph, nodeLayers, files, granularity) {
+  const dependents = (graph.predecessors(name) || []).sort();
+  const dependencies = (graph.successors(name) || []).sort();
+  const ca = dependents.length;
+  const ce = dependencies.length;
+
+  const moduleFiles = files.filter(f => getGroupKey(f, granularity) === name);
+  const types = new Map();
+  for (const file of moduleFiles) {
+    for (const type of file.model.types.filter(t => COUNTED_KINDS.includes(t.kind))) {
+      // Partielle Klassen einmal zählen; abstrakt, wenn ein Teil `abstract` ist
+      const isAbstract = type.kind === 'interface' || type.modifiers.includes('abstract');
+      types.set(type.fullName, types.get(type.fullName) || isAbstract);
+    }
+  }
+  const abstractTypes = [...types.values()].filter(Boolean).length;
+
+  const instability = ca + ce > 0 ? ce / (ca + ce) : null;
+  const abstractness = types.size > 0 ? abstractTypes / types.size : 0;
+  const distance = instability !== null ? Math.abs(abstractness + instability - 1) : null;
+
+  return {
+    name,
+    layers: nodeLayers.get(name) || [],
+    files: moduleFiles.map(f => f.relativePath),
+    types: types.size,
+    abstractTypes,
+    ca,
+    ce,
+    instability: round(instability),
+    abstractness: round(abstractness),
+    distance: round(distance),
+    zone: getZone(abstractness, instability, distance),
+    dependents,
+    dependencies,
+    hotspot: findHotspot(name, graph, moduleFiles)
+  };
+}
+
+/**
+ * Zone of pain: stable and concrete (hard to change, many dependents);
+ * zone of uselessness: unstable and abstract (abstractions nobody uses)
+ */
+function getZone(abstractness, instability, distance) {
+  if (distance === null || distance <= MAX_DISTANCE) return null;
+  return abstractness + instability < 1 ? 'pain' : 'uselessness';
+}
+
+/**
+ * File of the module with the most dependencies across the module boundary
+ */
+function findHotspot(name, graph, moduleFiles) {
+  const counts = new Map();
+  const edges = [...(graph.inEdges(name) || []), ...(graph.outEdges(name) || [])];
+  for (const edge of edges) {
+    for (const fileEdge of graph.edge(edge).fileEdges || []) {
+      const file = edge.v === name ? fileEdge.from : fileEdge.to;
+      counts.set(file, (counts.get(file) || 0) + 1);
+    }
+  }
+
+  const ranked = [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  if (ranked.length > 0) return ranked[0][0];
+  return moduleFiles.length > 0 ? moduleFiles[0].relativePath : null;
+}
+
+function toFinding(module, granularity) {
+  return {
+    rule: 'main-sequence-distance',
+    granularity,
+    module: module.name,
+    file: module.hotspot,
+    line: null,
+    column: null,
+    endLine: null,
+    zone: module.zone,
+    distance: module.distance,
+    instability: module.instability,
+    abstractness: module.abstractness,
+    ca: module.ca,
+    ce: module.ce,
+    layers: module.layers,
+    severity: module.distance > 0.85 ? 'HIGH' : 'MEDIUM'
+  };
+}
+
+/**
+ * Split module findings into active and suppressed ones (file-level
+ * `coupling` suppression in one of the module's files or its .csproj)
+ */
+function partitionModules(project, findings, granularity) {
+  const active = [];
+  const suppressed = [];
+
+  for (const finding of findings) {
+    const files = project.files
+      .filter(f => getGroupKey(f, granularity) === finding.module)
+      .map(f => f.relativePath);
+    if (granularity === 'project') files.push(finding.module);
+
+    const suppression = files.map(file => findFileSuppression(project, file, 'coupling')).find(Boolean);
+    if (suppression) {
+      suppressed.push({ ...finding, suppression });
+    } else {
+      active.push(finding);
+    }
+  }
+
+  return { active, suppressed };
+}
+
+function round(value) {
+  return value === null ? null : Number(value.toFixed(2));
+}
+
+/**
+ * Score from the average distance from the main sequence
+ */
+function calculateScore(averageDistance, scoredCount) {
+  if (scoredCount === 0) return 5;      // Keine Abhängigkeiten zwischen Modulen
+
+  if (averageDistance < 0.2) return 5;  // Nahe der Main Sequence
+  if (averageDistance < 0.3) return 4;
+  if (averageDistance < 0.4) return 3;
+  if (averageDistance < 0.5) return 2;
+  if (averageDistance < 0.6) return 1;
+  return 0;                             // Module überwiegend in den Zonen
+}
+
+/**
+ * Get MMI level description
+ */
+function getLevel(score) {
+  const levels = {
+    5: 'Exzellent',
+    4: 'Gut',
+    3: 'Akzeptabel',
+    2: 'Verbesserungswürdig',
+    1: 'Schlecht',
+    0: 'Kritisch'
+  };
+  return levels[score] || 'Unbekannt';
+}
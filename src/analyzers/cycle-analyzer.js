@@ -1,235 +1,315 @@
-import graphlib from 'graphlib';
-import fs from 'fs';
 import path from 'path';
-import { cleanCode } from '../utils/code-cleaner.js';
+import graphlib from 'graphlib';
+import { createProjectSnapshot } from '../utils/project-snapshot.js';
+import { getLayerRole } from '../config/project-config.js';
+import { buildTypeIndex, resolveReferencedTypes } from '../utils/type-index.js';
+import { findStronglyConnectedComponents, findElementaryCycles, findFeedbackArcSet } from '../utils/cycle-breaking.js';
+import { findFileSuppression } from '../utils/suppressions.js';
+import { compareWithBaseline } from '../utils/baseline.js';
+
+// Levels the dependency graph can be aggregated to
+export const CYCLE_GRANULARITIES = ['file', 'namespace', 'folder', 'project'];
+
+const GRANULARITY_UNITS = {
+  file: 'files',
+  namespace: 'namespaces',
+  folder: 'folders',
+  project: 'projects'
+};
+
+// Dateigraph je Snapshot - Zyklen und Kopplung nutzen denselben Graphen
+const fileGraphs = new WeakMap();
 
 /**
  * Analyzes circular dependencies (cycles) in the project
  * @param {string} projectPath - Path to the C# project
  * @param {boolean} useCache - Use file cache (default: false)
+ * @param {Object} [snapshot] - Shared project snapshot (built if omitted)
+ * @param {Object} [options] - { granularity: 'file' (default), 'namespace',
+ *   'folder' or 'project' - aggregates the file graph before cycle detection }
  */
-export function analyzeCycles(projectPath, useCache = false) {
-  console.error(`[MMI] Analyzing cycles in ${projectPath}`);
+export function analyzeCycles(projectPath, useCache = false, snapshot = null, options = {}) {
+  const { granularity = 'file' } = options;
+  if (!CYCLE_GRANULARITIES.includes(granularity)) {
+    throw new Error(`Unknown granularity "${granularity}" (expected ${CYCLE_GRANULARITIES.join(', ')})`);
+  }
+  
+  console.error(`[MMI] Analyzing cycles in ${projectPath} (granularity: ${granularity})`);
   
   // Build graph from ALL dependencies
-  const files = findCSharpFiles(projectPath);
-  const graph = buildCompleteGraph(files, projectPath);
+  const project = snapshot || createProjectSnapshot(projectPath);
+  const files = project.files.map(f => f.path);
+  const { graph, nodeLayers } = buildDependencyGraph(project, granularity);
   
-  // Find cycles using graphlib
-  const cycles = graphlib.alg.findCycles(graph);
+  // Find cycles (strongly connected components, not paths)
+  const cycles = findStronglyConnectedComponents(graph);
   
   console.error(`[MMI] Found ${cycles.length} cycles`);
   if (cycles.length > 0) {
     cycles.forEach((cycle, i) => {
-      console.error(`[MMI]   Cycle ${i + 1}: ${cycle.join(' → ')} → ${cycle[0]}`);
+      console.error(`[MMI]   Cycle ${i + 1}: {${cycle.join(', ')}}`);
     });
   }
   
   // Analyze cycles with layer info
-  const cycleDetails = analyzeCycleDetails(cycles, files, projectPath);
+  const allCycles = analyzeCycleDetails(cycles, graph, nodeLayers, project.config, granularity);
+  
+  // Project-level cycles from <ProjectReference>
+  const allProjectCycles = findProjectCycles(project.projectGraph, project.config);
+  
+  // `// mmi-ignore-file: cycles` in einer beteiligten Datei nimmt den ganzen Zyklus heraus
+  const fileCycles = partitionCycles(project, allCycles, cycle => getCycleFiles(cycle, granularity));
+  const projectCycleFindings = partitionCycles(project, allProjectCycles, cycle => cycle.projectPaths);
+  const suppressed = [...fileCycles.suppressed, ...projectCycleFindings.suppressed];
+  
+  // Mit Baseline zählen nur neue Zyklen (Identität: Menge der beteiligten Knoten)
+  const { findings, summary: baseline } = compareWithBaseline(
+    project, 'cycles', [...fileCycles.active, ...projectCycleFindings.active], granularity
+  );
+  const cycleDetails = findings.filter(c => !c.projectPaths);
+  const projectCycles = findings.filter(c => c.projectPaths);
   
-  // Calculate score
-  const score = calculateScore(cycles.length, files.length);
+  // Calculate score (relative to the number of units at the chosen level)
+  const units = granularity === 'file' ? files.length : graph.nodeCount();
+  const score = calculateScore(cycleDetails.length + projectCycles.length, units);
+  const filesInCycles = getUniqueFilesInCycles(cycleDetails, granularity);
   
   return {
     projectPath,
+    granularity,
     totalFiles: files.length,
+    totalNodes: graph.nodeCount(),
     cycles: cycleDetails,
-    cycleCount: cycles.length,
-    filesInCycles: getUniqueFilesInCycles(cycles),
-    filesInCyclesCount: getUniqueFilesInCycles(cycles).length,
+    cycleCount: cycleDetails.length,
+    totalProjects: project.projectGraph.projects.length,
+    projectCycles,
+    projectCycleCount: projectCycles.length,
+    filesInCycles,
+    filesInCyclesCount: filesInCycles.length,
+    suppressed,
+    suppressedCount: suppressed.length,
+    baseline,
     score,
     level: getLevel(score)
   };
 }
 
 /**
- * Build complete dependency graph from ALL using statements
+ * Dependency graph of a snapshot at the given granularity (the file graph is
+ * built once per snapshot)
+ * @param {Object} snapshot - Project snapshot
+ * @param {string} granularity - file, namespace, folder or project
+ * @returns {Object} { graph, nodeLayers: Map<node, layer[]> } - graphlib graph,
+ *   edge labels { types, namespaces, references, fileEdges (aggregated only) }
  */
-function buildCompleteGraph(files, projectPath) {
-  const graph = new graphlib.Graph({ directed: true });
+export function buildDependencyGraph(snapshot, granularity = 'file') {
+  if (!fileGraphs.has(snapshot)) fileGraphs.set(snapshot, buildCompleteGraph(snapshot.files));
+  const fileGraph = fileGraphs.get(snapshot);
   
-  // Map: namespace → Set<fileName>  
-  const namespaceMap = new Map();
+  return granularity === 'file'
+    ? { graph: fileGraph, nodeLayers: getFileLayers(snapshot.files) }
+    : aggregateGraph(fileGraph, snapshot.files, granularity);
+}
+
+/**
+ * Build the file dependency graph on type level: an edge A → B exists only
+ * when A references a type declared in B
+ * (edge label: { types, namespaces, references } - references counts occurrences)
+ */
+function buildCompleteGraph(files) {
+  const graph = new graphlib.Graph({ directed: true });
   
-  console.error(`[MMI] Building namespace map from ${files.length} files...`);
+  console.error(`[MMI] Building type index from ${files.length} files...`);
+  const typeIndex = buildTypeIndex(files);
+  console.error(`[MMI] Type index built: ${typeIndex.byFullName.size} types`);
   
-  // First pass: Build namespace map (1:many!)
+  // Files declaring types are nodes (even without dependencies), keyed by
+  // relative path - file names like Extensions.cs are not unique
   for (const file of files) {
-    const fileName = path.basename(file);
-    const content = fs.readFileSync(file, 'utf8');
-    const namespace = extractNamespace(content);
-    
-    if (namespace) {
-      // Add to set (support multiple files per namespace)
-      if (!namespaceMap.has(namespace)) {
-        namespaceMap.set(namespace, new Set());
-      }
-      namespaceMap.get(namespace).add(fileName);
-      
-      graph.setNode(fileName); // Add all files as nodes
-    }
+    if (file.model.types.length > 0) graph.setNode(file.relativePath);
   }
   
-  console.error(`[MMI] Namespace map built: ${namespaceMap.size} namespaces`);
-  for (const [ns, files] of namespaceMap.entries()) {
-    console.error(`[MMI]   ${ns} → [${Array.from(files).join(', ')}]`);
-  }
-  
-  // Second pass: Build edges from using statements
   for (const file of files) {
-    const fileName = path.basename(file);
-    const content = fs.readFileSync(file, 'utf8');
-    const cleanedContent = cleanCode(content);
-    
-    // Get own namespace (to avoid self-dependencies)
-    const ownNamespace = extractNamespace(content);
-    
-    // Extract ALL using statements
-    const usings = extractUsings(cleanedContent);
+    const source = file.relativePath;
     
-    for (const usingNamespace of usings) {
-      // Skip own namespace (files in same namespace don't create cycles via using)
-      if (usingNamespace === ownNamespace) {
-        continue;
-      }
+    for (const type of resolveReferencedTypes(file, typeIndex)) {
+      const target = type.file.relativePath;
+      if (source === target) continue;
       
-      // Check if this namespace belongs to files in our project
-      if (namespaceMap.has(usingNamespace)) {
-        const targetFileNames = namespaceMap.get(usingNamespace);
-        
-        // Add edges to ALL files in that namespace
-        for (const targetFileName of targetFileNames) {
-          // Avoid self-loops
-          if (fileName !== targetFileName) {
-            graph.setEdge(fileName, targetFileName);
-            console.error(`[MMI]   ${fileName} → ${targetFileName} (${usingNamespace})`);
-          }
-        }
-      }
+      const label = graph.edge(source, target) || { types: [], namespaces: [], references: 0 };
+      if (!label.types.includes(type.name)) label.types.push(type.name);
+      if (type.namespace && !label.namespaces.includes(type.namespace)) label.namespaces.push(type.namespace);
+      label.references += type.references;
+      graph.setEdge(source, target, label);
     }
   }
   
+  for (const edge of graph.edges()) {
+    console.error(`[MMI]   ${edge.v} → ${edge.w} (${graph.edge(edge).types.join(', ')})`);
+  }
+  
   console.error(`[MMI] Graph built: ${graph.nodeCount()} nodes, ${graph.edgeCount()} edges`);
   return graph;
 }
 
 /**
- * Extract using statements from code
+ * Aggregate the file graph to namespaces, folders or projects. Edges inside a
+ * group disappear; every aggregated edge keeps the file edges behind it.
+ * @returns {Object} { graph, nodeLayers: Map<node, layer[]> }
  */
-function extractUsings(content) {
-  const usings = [];
-  const regex = /using\s+([\w\.]+);/g;
-  let match;
-  
-  while ((match = regex.exec(content)) !== null) {
-    const namespace = match[1];
-    // Skip System/Microsoft namespaces
-    if (!namespace.startsWith('System') && 
-        !namespace.startsWith('Microsoft')) {
-      usings.push(namespace);
-    }
+function aggregateGraph(fileGraph, files, granularity) {
+  const graph = new graphlib.Graph({ directed: true });
+  const groupOf = new Map(files.map(f => [f.relativePath, getGroupKey(f, granularity)]));
+  const nodeLayers = new Map();
+  
+  for (const file of files) {
+    const group = groupOf.get(file.relativePath);
+    if (!nodeLayers.has(group)) nodeLayers.set(group, new Set());
+    if (file.layer) nodeLayers.get(group).add(file.layer);
   }
   
-  return usings;
+  fileGraph.nodes().forEach(node => graph.setNode(groupOf.get(node)));
+  
+  for (const edge of fileGraph.edges()) {
+    const from = groupOf.get(edge.v);
+    const to = groupOf.get(edge.w);
+    if (from === to) continue;
+    
+    const fileEdge = fileGraph.edge(edge);
+    const label = graph.edge(from, to) || { types: [], namespaces: [], references: 0, fileEdges: [] };
+    fileEdge.types.filter(t => !label.types.includes(t)).forEach(t => label.types.push(t));
+    fileEdge.namespaces.filter(ns => !label.namespaces.includes(ns)).forEach(ns => label.namespaces.push(ns));
+    label.references += fileEdge.references;
+    label.fileEdges.push({ from: edge.v, to: edge.w, types: fileEdge.types, references: fileEdge.references });
+    graph.setEdge(from, to, label);
+  }
+  
+  console.error(`[MMI] Aggregated to ${granularity}: ${graph.nodeCount()} nodes, ${graph.edgeCount()} edges`);
+  return { graph, nodeLayers: new Map([...nodeLayers].map(([node, layers]) => [node, [...layers]])) };
 }
 
 /**
- * Extract namespace from file
+ * Group of a file: its (first) namespace, folder or owning .csproj
  */
-function extractNamespace(content) {
-  const match = content.match(/namespace\s+([\w\.]+)/);
-  return match ? match[1] : null;
+export function getGroupKey(file, granularity) {
+  if (granularity === 'namespace') return file.model.namespace || '(global namespace)';
+  if (granularity === 'folder') return path.posix.dirname(file.relativePath);
+  return file.project || '(no project)';
+}
+
+function getFileLayers(files) {
+  return new Map(files.map(f => [f.relativePath, f.layer ? [f.layer] : []]));
 }
 
 /**
- * Find all C# files recursively
+ * Find cycles between projects (.csproj → .csproj via <ProjectReference>)
+ * MSBuild rejects them at build time, so every project cycle is CRITICAL.
  */
-function findCSharpFiles(dir) {
-  let results = [];
+function findProjectCycles(projectGraph, config) {
+  const graph = new graphlib.Graph({ directed: true });
+  const byId = new Map(projectGraph.projects.map(p => [p.id, p]));
   
-  try {
-    const items = fs.readdirSync(dir);
-    
-    for (const item of items) {
-      const fullPath = path.join(dir, item);
-      const stat = fs.statSync(fullPath);
-      
-      if (item === 'bin' || item === 'obj' || item === 'node_modules') {
-        continue;
-      }
-      
-      if (stat.isDirectory()) {
-        results = results.concat(findCSharpFiles(fullPath));
-      } else if (item.endsWith('.cs')) {
-        results.push(fullPath);
-      }
-    }
-  } catch (err) {
-    console.error(`[MMI] Error reading directory ${dir}:`, err.message);
-  }
+  projectGraph.projects.forEach(p => graph.setNode(p.id));
+  projectGraph.edges.forEach(e => graph.setEdge(e.from, e.to));
   
-  return results;
+  return findStronglyConnectedComponents(graph).map((cycle, index) => {
+    const projects = cycle.map(id => byId.get(id));
+    const members = new Set(cycle);
+    const layers = [...new Set(projects.map(p => p.layer).filter(Boolean))];
+    
+    console.error(`[MMI]   Project cycle ${index + 1}: ${projects.map(p => p.fileName).join(' → ')}`);
+    
+    return {
+      id: index + 1,
+      path: projects.map(p => p.fileName),
+      projectPaths: cycle,
+      length: cycle.length,
+      severity: 'CRITICAL',
+      layers,
+      // <ProjectReference>-Elemente innerhalb des Zyklus (mit Position im .csproj)
+      references: projectGraph.edges
+        .filter(e => members.has(e.from) && members.has(e.to))
+        .map(({ from, to, line, column }) => ({ from, to, line, column })),
+      description: layers.some(layer => getLayerRole(config, layer) === 'domain')
+        ? 'Domain project involved in circular project reference'
+        : `${cycle.length}-way circular project reference`
+    };
+  });
 }
 
 /**
- * Analyze cycle details
+ * Analyze cycle details: every cycle is a strongly connected component
+ * (size, internal edges, bounded list of elementary cycles and the edges
+ * that break it with the fewest references to remove)
  */
-function analyzeCycleDetails(cycles, files, projectPath) {
+function analyzeCycleDetails(cycles, graph, nodeLayers, config, granularity) {
+  const unit = GRANULARITY_UNITS[granularity];
+  
   return cycles.map((cycle, index) => {
-    const severity = getCycleSeverity(cycle, files, projectPath);
-    const layers = getLayersInCycle(cycle, files, projectPath);
+    const layers = getLayersInCycle(cycle, nodeLayers);
+    const severity = getCycleSeverity(layers, cycle.length, config);
+    const edges = getCycleEdges(cycle, graph);
+    const elementary = findElementaryCycles(graph, cycle);
+    const breakingEdges = findFeedbackArcSet(graph, cycle, edge => graph.edge(edge).references)
+      .map(edge => toCycleEdge(graph, edge));
     
     return {
       id: index + 1,
       path: cycle,
       length: cycle.length,
+      size: cycle.length,
+      edgeCount: edges.length,
       severity,
       layers,
-      description: describeCycle(cycle, layers, severity)
+      edges,
+      elementaryCycles: elementary.cycles,
+      elementaryCyclesTruncated: elementary.truncated,
+      breakingEdges,
+      description: describeCycle(cycle, layers, severity, unit)
     };
   });
 }
 
 /**
- * Get severity of a cycle
+ * Dependencies between the files of a cycle, with the referenced types
+ * (findCycles returns the strongly connected files, not an ordered path)
  */
-function getCycleSeverity(cycle, files, projectPath) {
-  // Check if Domain is involved
-  const hasDomain = cycle.some(fileName => {
-    const file = files.find(f => path.basename(f) === fileName);
-    if (!file) return false;
-    
-    const normalized = file.replace(/\\/g, '/');
-    return normalized.includes('/Domain/');
-  });
+function getCycleEdges(cycle, graph) {
+  const members = new Set(cycle);
   
-  if (hasDomain) return 'CRITICAL';
+  return [...cycle].sort()
+    .flatMap(node => graph.outEdges(node).filter(edge => members.has(edge.w)))
+    .map(edge => toCycleEdge(graph, edge));
+}
+
+function toCycleEdge(graph, edge) {
+  const { types, namespaces, references, fileEdges } = graph.edge(edge);
+  const cycleEdge = { from: edge.v, to: edge.w, types, namespaces, references };
+  if (fileEdges) cycleEdge.fileEdges = fileEdges;
+  return cycleEdge;
+}
+
+/**
+ * Get severity of a cycle
+ */
+function getCycleSeverity(layers, size, config) {
+  // Check if a domain layer is involved
+  if (layers.some(layer => getLayerRole(config, layer) === 'domain')) return 'CRITICAL';
   
   // Check cycle length
-  if (cycle.length <= 2) return 'HIGH';
-  if (cycle.length <= 4) return 'MEDIUM';
+  if (size <= 2) return 'HIGH';
+  if (size <= 4) return 'MEDIUM';
   return 'LOW';
 }
 
 /**
  * Get unique layers involved in a cycle
  */
-function getLayersInCycle(cycle, files, projectPath) {
+function getLayersInCycle(cycle, nodeLayers) {
   const layers = new Set();
   
-  cycle.forEach(fileName => {
-    const file = files.find(f => path.basename(f) === fileName);
-    if (!file) return;
-    
-    const normalized = file.replace(/\\/g, '/');
-    
-    if (normalized.includes('/Domain/')) layers.add('Domain');
-    else if (normalized.includes('/Application/')) layers.add('Application');
-    else if (normalized.includes('/Infrastructure/')) layers.add('Infrastructure');
-    else if (normalized.includes('/Presentation/')) layers.add('Presentation');
-    else if (normalized.includes('/API/')) layers.add('API');
-    else if (normalized.includes('/Web/')) layers.add('Web');
+  cycle.forEach(node => {
+    (nodeLayers.get(node) || []).forEach(layer => layers.add(layer));
   });
   
   return Array.from(layers);
@@ -238,29 +318,69 @@ function getLayersInCycle(cycle, files, projectPath) {
 /**
  * Describe a cycle in human-readable form
  */
-function describeCycle(cycle, layers, severity) {
-  if (layers.includes('Domain')) {
+function describeCycle(cycle, layers, severity, unit) {
+  // CRITICAL is only assigned when a domain layer is part of the cycle
+  if (severity === 'CRITICAL') {
     return `Domain layer involved in circular dependency`;
   }
   
   if (cycle.length === 2) {
-    return `Direct circular dependency between two files`;
+    return `Direct circular dependency between two ${unit}`;
   }
   
-  return `${cycle.length}-way circular dependency across ${layers.join(', ')}`;
+  const across = layers.length > 0 ? ` across ${layers.join(', ')}` : '';
+  return `Tangle of ${cycle.length} mutually dependent ${unit}${across}`;
 }
 
 /**
- * Get unique files that are part of any cycle
+ * Get unique files that are part of any cycle (for aggregated levels: the
+ * files whose dependencies form the aggregated cycle edges)
  */
-function getUniqueFilesInCycles(cycles) {
+function getUniqueFilesInCycles(cycles, granularity) {
   const files = new Set();
-  cycles.forEach(cycle => {
-    cycle.forEach(file => files.add(file));
-  });
+  cycles.forEach(cycle => getCycleFiles(cycle, granularity).forEach(file => files.add(file)));
   return Array.from(files);
 }
 
+/**
+ * Files behind a cycle (aggregated levels: the files of its file edges)
+ * @param {Object} cycle - Cycle of an analyzeCycles() result
+ * @param {string} granularity - Granularity the cycle was found at
+ * @returns {string[]} Relative file paths
+ */
+export function getCycleFiles(cycle, granularity) {
+  if (granularity === 'file') return cycle.path;
+  
+  const files = new Set();
+  cycle.edges.forEach(edge => edge.fileEdges.forEach(fileEdge => {
+    files.add(fileEdge.from);
+    files.add(fileEdge.to);
+  }));
+  return [...files];
+}
+
+/**
+ * Split cycles into active and suppressed ones (file-level `cycles` suppression
+ * in one of the involved files or .csproj)
+ */
+function partitionCycles(project, cycles, filesOf) {
+  const active = [];
+  const suppressed = [];
+  
+  for (const cycle of cycles) {
+    const suppression = filesOf(cycle)
+      .map(file => findFileSuppression(project, file, 'cycles'))
+      .find(Boolean);
+    if (suppression) {
+      suppressed.push({ ...cycle, suppression });
+    } else {
+      active.push(cycle);
+    }
+  }
+  
+  return { active, suppressed };
+}
+
 /**
  * Calculate MMI score for cycles
  */
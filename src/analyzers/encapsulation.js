@@ -1,15 +1,41 @@
-import fs from 'fs';
-import path from 'path';
-import { hasFileChanged } from '../utils/file-cache.js';
-import { cleanCode } from '../utils/code-cleaner.js';
+import { createProjectSnapshot } from '../utils/project-snapshot.js';
+import { getLayerRole } from '../config/project-config.js';
+import { extractSnippet } from '../utils/source-snippet.js';
+import { partitionFindings } from '../utils/suppressions.js';
+import { compareWithBaseline } from '../utils/baseline.js';
+
+// Veränderbare Collections: als öffentliches Member kann jeder Aufrufer den Inhalt ändern
+const MUTABLE_COLLECTIONS = [
+  'List', 'IList', 'ICollection', 'Collection', 'ObservableCollection',
+  'Dictionary', 'IDictionary', 'SortedDictionary', 'SortedList',
+  'HashSet', 'ISet', 'SortedSet'
+];
+
+// Typarten, deren Member bewertet werden (Interface-Member sind immer public)
+const MEMBER_OWNER_KINDS = ['class', 'record', 'struct'];
+
+// Member-Art → [Statistik public, Statistik nicht public]
+const MEMBER_STATS = new Map([
+  ['field', ['publicFields', 'nonPublicFields']],
+  ['property', ['publicProperties', 'nonPublicProperties']],
+  ['indexer', ['publicProperties', 'nonPublicProperties']],
+  ['method', ['publicMethods', 'nonPublicMethods']]
+]);
+
+// Modifier, bei denen ein Aufruf von außen nicht über den Namen sichtbar ist
+const DISPATCHED_MODIFIERS = ['override', 'virtual', 'abstract', 'new', 'partial', 'extern'];
 
 /**
  * Analyzes encapsulation quality
  * @param {string} projectPath - Path to the C# project
  * @param {boolean} useCache - Use file cache (default: true)
+ * @param {Object} [snapshot] - Shared project snapshot (built if omitted)
+ * @param {Object} [options] - { members: also analyze fields, properties and methods (sub-score, does not change the score) }
  */
-export function analyzeEncapsulation(projectPath, useCache = false) {
-  const files = findCSharpFiles(projectPath);
+export function analyzeEncapsulation(projectPath, useCache = false, snapshot = null, options = {}) {
+  const { members = false } = options;
+  const project = snapshot || createProjectSnapshot(projectPath, { useCache });
+  const files = project.files;
   
   const stats = {
     publicClasses: 0,
@@ -20,24 +46,20 @@ export function analyzeEncapsulation(projectPath, useCache = false) {
     internalRecords: 0,
   };
   
-  const overExposed = [];
+  const exposedTypes = [];
   
   console.error(`[MMI] Analyzing encapsulation for ${files.length} files`);
   
   for (const file of files) {
     // Skip unchanged
-    if (useCache && !hasFileChanged(file)) {
+    if (useCache && !file.changed) {
       continue;
     }
     
-    const relativePath = file.replace(projectPath, '');
-    const rawContent = fs.readFileSync(file, 'utf8');
-    const content = cleanCode(rawContent);
-    const fileName = path.basename(file);
-    
-    analyzeVisibility(content, stats);
-    const exposed = checkOverExposure(content, fileName, relativePath);
-    overExposed.push(...exposed);
+    analyzeVisibility(file.model, stats);
+    const role = getLayerRole(project.config, file.layer);
+    const exposed = checkOverExposure(file.model, file.relativePath, role, file.content);
+    exposedTypes.push(...exposed);
   }
   
   const totalTypes = stats.publicClasses + stats.internalClasses + 
@@ -49,6 +71,10 @@ export function analyzeEncapsulation(projectPath, useCache = false) {
   
   const score = calculateScore(parseFloat(publicPercentage));
   
+  // Bewusst öffentliche Typen (`// mmi-ignore: encapsulation`) gelten nicht als over-exposed
+  const { active, suppressed } = partitionFindings(exposedTypes, project, 'encapsulation');
+  const { findings: overExposed, summary: baseline } = compareWithBaseline(project, 'encapsulation', active);
+  
   return {
     projectPath,
     totalFiles: files.length,
@@ -58,107 +84,273 @@ export function analyzeEncapsulation(projectPath, useCache = false) {
     publicPercentage: parseFloat(publicPercentage),
     overExposed,
     overExposedCount: overExposed.length,
+    suppressed,
+    suppressedCount: suppressed.length,
+    baseline,
     score,
-    level: getLevel(score)
+    level: getLevel(score),
+    members: members ? analyzeMembers(project, useCache) : null
   };
 }
 
 /**
- * Find all C# files recursively
+ * Member-level encapsulation: public setters on domain entities, public
+ * mutable fields, public mutable collections and public methods that are
+ * never called outside their type
+ * @returns {Object} { totalMembers, publicMembers, publicPercentage, stats, findings, ..., score, level }
  */
-function findCSharpFiles(dir) {
-  let results = [];
-  
-  try {
-    const items = fs.readdirSync(dir);
-    
-    for (const item of items) {
-      const fullPath = path.join(dir, item);
-      const stat = fs.statSync(fullPath);
-      
-      if (item === 'bin' || item === 'obj' || item === 'node_modules') {
-        continue;
+function analyzeMembers(project, useCache) {
+  const stats = {
+    publicFields: 0,
+    nonPublicFields: 0,
+    publicProperties: 0,
+    nonPublicProperties: 0,
+    publicMethods: 0,
+    nonPublicMethods: 0
+  };
+  const context = createUsageContext(project.files);
+  const detected = [];
+
+  for (const file of project.files) {
+    // Skip unchanged (Verwendungen werden trotzdem in allen Dateien gesucht)
+    if (useCache && !file.changed) continue;
+
+    const role = getLayerRole(project.config, file.layer);
+
+    for (const type of file.model.types.filter(t => MEMBER_OWNER_KINDS.includes(t.kind))) {
+      for (const member of type.members) {
+        if (!MEMBER_STATS.has(member.kind)) continue;
+        const [publicKey, otherKey] = MEMBER_STATS.get(member.kind);
+        stats[member.accessibility === 'public' ? publicKey : otherKey]++;
       }
-      
-      if (stat.isDirectory()) {
-        results = results.concat(findCSharpFiles(fullPath));
-      } else if (item.endsWith('.cs')) {
-        results.push(fullPath);
+
+      if (isMeantToBePublic(type.name, file.relativePath, role)) continue;
+      detected.push(...checkMembers(type, file, role, context));
+    }
+  }
+
+  const publicMembers = stats.publicFields + stats.publicProperties + stats.publicMethods;
+  const totalMembers = publicMembers + stats.nonPublicFields + stats.nonPublicProperties + stats.nonPublicMethods;
+
+  // `// mmi-ignore: encapsulation` über dem Member
+  const { active, suppressed } = partitionFindings(detected, project, 'encapsulation');
+  const { findings, summary: baseline } = compareWithBaseline(project, 'encapsulation', active, 'members');
+  const score = calculateMemberScore(findings.length, publicMembers);
+
+  console.error(`[MMI] Member encapsulation: ${publicMembers}/${totalMembers} public members, ${findings.length} findings`);
+
+  return {
+    totalMembers,
+    publicMembers,
+    publicPercentage: totalMembers > 0 ? Number((publicMembers / totalMembers * 100).toFixed(1)) : 0,
+    stats,
+    findings,
+    findingCount: findings.length,
+    publicSetterCount: findings.filter(f => f.rule === 'public-setter').length,
+    publicFieldCount: findings.filter(f => f.rule === 'public-field').length,
+    exposedCollectionCount: findings.filter(f => f.rule === 'exposed-collection').length,
+    unusedPublicMethodCount: findings.filter(f => f.rule === 'unused-public-method').length,
+    suppressed,
+    suppressedCount: suppressed.length,
+    baseline,
+    score,
+    level: getLevel(score)
+  };
+}
+
+/**
+ * Findings of one type - every rule is checked on its own, so a member can
+ * have several (`public List<OrderLine> Lines { get; set; }` is a public
+ * setter and an exposed collection)
+ */
+function checkMembers(type, file, role, context) {
+  const findings = [];
+
+  for (const member of type.members) {
+    if (member.accessibility !== 'public') continue;
+
+    const detected = [
+      checkPublicSetter(member, role),
+      checkPublicField(member),
+      checkExposedCollection(member),
+      checkUnusedMethod(member, type, file, context)
+    ].filter(Boolean);
+
+    findings.push(...detected.map(finding => ({
+      ...finding,
+      file: file.relativePath,
+      line: member.line,
+      column: member.column,
+      endLine: member.line,
+      snippet: extractSnippet(file.content, member.line),
+      owner: type.name,
+      name: member.name,
+      memberKind: member.kind,
+      memberType: member.type
+    })));
+  }
+
+  return findings;
+}
+
+function checkPublicSetter(member, role) {
+  if (role !== 'domain' || member.kind !== 'property' || member.isStatic) return null;
+  if (!member.accessors.some(a => a.kind === 'set' && a.accessibility === 'public')) return null;
+
+  return {
+    rule: 'public-setter',
+    severity: 'MEDIUM',
+    suggestion: `Make the setter of '${member.name}' private and change the entity through methods that enforce its invariants`
+  };
+}
+
+function checkPublicField(member) {
+  if (member.kind !== 'field' || member.isReadonly) return null;
+
+  return {
+    rule: 'public-field',
+    severity: 'MEDIUM',
+    suggestion: `Make '${member.name}' private (or readonly) and expose it through a property`
+  };
+}
+
+function checkExposedCollection(member) {
+  if (member.kind !== 'field' && member.kind !== 'property') return null;
+  if (member.kind === 'property' && !member.accessors.some(a => a.kind === 'get' && a.accessibility === 'public')) return null;
+  if (!isMutableCollection(member.type)) return null;
+
+  return {
+    rule: 'exposed-collection',
+    severity: 'MEDIUM',
+    suggestion: `Expose '${member.name}' as IReadOnlyList/IReadOnlyCollection and change it through methods`
+  };
+}
+
+/**
+ * Public method whose name never appears outside its type. Methods that may
+ * be called through a base type or interface (override, implementations of
+ * project interfaces, types with external bases) and attributed methods
+ * (framework entry points) are skipped.
+ */
+function checkUnusedMethod(member, type, file, context) {
+  if (member.kind !== 'method' || member.name === 'Main') return null;
+  if (member.startLine < member.line || member.modifiers.some(m => DISPATCHED_MODIFIERS.includes(m))) return null;
+  if (context.interfaceMembers.has(member.name)) return null;
+  if (type.baseTypes.some(base => !context.typeNames.has(getSimpleName(base)))) return null;
+
+  const uses = context.uses.get(member.name) || [];
+  const inside = use => use.file === file.relativePath && use.line >= type.startLine && use.line <= type.endLine;
+  if (uses.some(use => !inside(use))) return null;
+
+  return {
+    rule: 'unused-public-method',
+    severity: 'LOW',
+    suggestion: `'${member.name}' is not used outside '${type.name}' - make it private (or remove it)`
+  };
+}
+
+/**
+ * Name-based usages of method names across all files (declarations excluded),
+ * plus the names of project types and interface members
+ */
+function createUsageContext(files) {
+  const declarations = new Set();
+  const methodNames = new Set();
+  const interfaceMembers = new Set();
+  const typeNames = new Set();
+
+  for (const file of files) {
+    for (const type of file.model.types) {
+      typeNames.add(type.name);
+      for (const member of type.members) {
+        if (type.kind === 'interface') interfaceMembers.add(member.name);
+        if (member.kind !== 'method') continue;
+        methodNames.add(member.name);
+        declarations.add(`${file.relativePath}:${member.nameLine}:${member.nameColumn}`);
       }
     }
-  } catch (err) {
-    console.error(`[MMI] Error reading directory ${dir}:`, err.message);
   }
-  
-  return results;
+
+  const uses = new Map();
+  for (const file of files) {
+    for (const token of file.model.tokens) {
+      if (token.type !== 'identifier' || !methodNames.has(token.value)) continue;
+      if (declarations.has(`${file.relativePath}:${token.line}:${token.column}`)) continue;
+
+      if (!uses.has(token.value)) uses.set(token.value, []);
+      uses.get(token.value).push({ file: file.relativePath, line: token.line });
+    }
+  }
+
+  return { uses, interfaceMembers, typeNames };
 }
 
 /**
- * Analyze visibility modifiers in code
+ * `List<Order>`, `System.Collections.Generic.Dictionary<K, V>?`, `Order[]`
  */
-function analyzeVisibility(content, stats) {
-  // Match public/internal classes/interfaces/records
-  const publicClassMatches = content.match(/public\s+(class|sealed\s+class)\s+\w+/g) || [];
-  const internalClassMatches = content.match(/internal\s+(class|sealed\s+class)\s+\w+/g) || [];
-  
-  const publicInterfaceMatches = content.match(/public\s+interface\s+\w+/g) || [];
-  const internalInterfaceMatches = content.match(/internal\s+interface\s+\w+/g) || [];
-  
-  const publicRecordMatches = content.match(/public\s+record\s+\w+/g) || [];
-  const internalRecordMatches = content.match(/internal\s+record\s+\w+/g) || [];
-  
-  // Also count classes without explicit modifier (default is internal in C#)
-  // But only if they're not nested
-  const implicitInternalMatches = content.match(/^\s*(class|interface|record)\s+\w+/gm) || [];
-  
-  stats.publicClasses += publicClassMatches.length;
-  stats.internalClasses += internalClassMatches.length + 
-                          implicitInternalMatches.filter(m => m.includes('class')).length;
-  
-  stats.publicInterfaces += publicInterfaceMatches.length;
-  stats.internalInterfaces += internalInterfaceMatches.length +
-                             implicitInternalMatches.filter(m => m.includes('interface')).length;
+function isMutableCollection(typeName) {
+  if (!typeName) return false;
+  const normalized = typeName.replace(/\s+/g, '').replace(/\?$/, '');
+  if (normalized.endsWith('[]')) return true;
+  return MUTABLE_COLLECTIONS.includes(getSimpleName(normalized));
+}
+
+/**
+ * `System.Collections.Generic.List<T>` → `List`
+ */
+function getSimpleName(typeName) {
+  const genericStart = typeName.indexOf('<');
+  const name = genericStart === -1 ? typeName : typeName.slice(0, genericStart);
+  return name.trim().split('.').pop();
+}
+
+/**
+ * Count declared classes/interfaces/records by visibility
+ * (types without modifier default to internal, nested ones to private)
+ */
+function analyzeVisibility(model, stats) {
+  const keys = {
+    class: ['publicClasses', 'internalClasses'],
+    interface: ['publicInterfaces', 'internalInterfaces'],
+    record: ['publicRecords', 'internalRecords']
+  };
   
-  stats.publicRecords += publicRecordMatches.length;
-  stats.internalRecords += internalRecordMatches.length +
-                          implicitInternalMatches.filter(m => m.includes('record')).length;
+  for (const type of model.types) {
+    const [publicKey, internalKey] = keys[type.kind] || [];
+    if (!publicKey) continue;
+    
+    if (type.accessibility === 'public') {
+      stats[publicKey]++;
+    } else {
+      stats[internalKey]++;
+    }
+  }
 }
 
 /**
  * Check for over-exposed types (types that should be internal)
  */
-function checkOverExposure(content, fileName, filePath) {
+function checkOverExposure(model, filePath, role, content) {
   const exposed = [];
   
-  // Extract public types
-  const publicTypeRegex = /public\s+(class|interface|record)\s+(\w+)/g;
-  let match;
+  const publicTypes = model.types.filter(t =>
+    t.accessibility === 'public' && ['class', 'interface', 'record'].includes(t.kind)
+  );
   
-  while ((match = publicTypeRegex.exec(content)) !== null) {
-    const typeKind = match[1];
-    const typeName = match[2];
+  for (const type of publicTypes) {
+    const typeKind = type.kind;
+    const typeName = type.name;
     
     // Skip if it's clearly meant to be public
-    const shouldBePublic = 
-      // API/Web/Presentation layer
-      filePath.includes('/API/') || 
-      filePath.includes('/Web/') || 
-      filePath.includes('/Presentation/') ||
-      // Controllers
-      typeName.endsWith('Controller') ||
-      // DTOs/Contracts
-      typeName.endsWith('Dto') ||
-      typeName.endsWith('Request') ||
-      typeName.endsWith('Response') ||
-      typeName.endsWith('Contract') ||
-      filePath.includes('/Contracts/') ||
-      filePath.includes('/DTOs/');
-    
-    if (!shouldBePublic) {
+    if (!isMeantToBePublic(typeName, filePath, role)) {
       // Likely over-exposed
       exposed.push({
-        file: fileName,
+        file: filePath,
         filePath: filePath,
+        line: type.line,
+        column: type.column,
+        endLine: type.line,
+        snippet: extractSnippet(content, type.line),
         type: typeKind,
         name: typeName,
         suggestion: `Consider making '${typeName}' internal - it appears to be an implementation detail`
@@ -169,6 +361,28 @@ function checkOverExposure(content, fileName, filePath) {
   return exposed;
 }
 
+/**
+ * Types that are public by design: presentation layer, controllers,
+ * DTOs and contracts
+ */
+function isMeantToBePublic(typeName, filePath, role) {
+  return role === 'presentation' ||
+    typeName.endsWith('Controller') ||
+    typeName.endsWith('Dto') ||
+    typeName.endsWith('Request') ||
+    typeName.endsWith('Response') ||
+    typeName.endsWith('Contract') ||
+    isInFolder(filePath, 'Contracts') ||
+    isInFolder(filePath, 'DTOs');
+}
+
+/**
+ * Check if a relative path lies inside a folder of the given name
+ */
+function isInFolder(filePath, folder) {
+  return filePath.split('/').slice(0, -1).includes(folder);
+}
+
 /**
  * Calculate MMI score based on public percentage
  */
@@ -181,6 +395,19 @@ function calculateScore(publicPercentage) {
   return 0; // Critical
 }
 
+/**
+ * Member sub-score from the share of public members with a finding
+ */
+function calculateMemberScore(findingCount, publicMembers) {
+  if (findingCount === 0) return 5;
+  const rate = findingCount / publicMembers;
+  if (rate < 0.05) return 4;
+  if (rate < 0.10) return 3;
+  if (rate < 0.20) return 2;
+  if (rate < 0.35) return 1;
+  return 0;
+}
+
 /**
  * Get MMI level description
  */
@@ -0,0 +1,513 @@
+import { createProjectSnapshot } from '../utils/project-snapshot.js';
+import { isDependencyAllowed, getDependencySeverity } from '../config/project-config.js';
+import { buildTypeIndex, resolveTypeName, resolveReferencedTypes, findLongestTypePrefix } from '../utils/type-index.js';
+import { extractSnippet } from '../utils/source-snippet.js';
+import { partitionFindings } from '../utils/suppressions.js';
+import { compareWithBaseline } from '../utils/baseline.js';
+
+// Typarten mit Basisliste (enum/delegate erben nicht)
+const HIERARCHY_KINDS = ['class', 'record', 'struct', 'interface'];
+
+// Nicht auflösbare Basis: `IFoo` gilt als Interface, alles andere als externe Basisklasse
+const INTERFACE_NAME = /^I[A-Z]/;
+
+/**
+ * Analyzes the inheritance and interface hierarchy built from the base lists
+ * (`class X : Y, IZ`) of all project types:
+ * - deep-hierarchy: more base classes above a type than `inheritance.maxDepth`
+ * - cross-layer: base class or interface in a layer the subtype may not depend on
+ * - inheritance-cycle: cyclic base classes, or a base type that references its own subtype
+ * - misplaced-interface: interface with a single implementation that a consumer's layer may not depend on
+ * @param {string} projectPath - Path to the C# project
+ * @param {boolean} useCache - Use file cache (default: false)
+ * @param {Object} [snapshot] - Shared project snapshot (built if omitted)
+ */
+export function analyzeInheritance(projectPath, useCache = false, snapshot = null) {
+  console.error(`[MMI] Analyzing inheritance hierarchy in ${projectPath}`);
+
+  const project = snapshot || createProjectSnapshot(projectPath, { useCache });
+  const { config } = project;
+  const { maxDepth } = config.inheritance;
+  const typeIndex = buildTypeIndex(project.files);
+
+  const nodes = buildHierarchy(project.files, typeIndex);
+  const { depths, cycles } = measureDepths(nodes);
+  const interfaces = collectInterfaces(nodes, project.files, typeIndex);
+
+  const detected = [
+    ...findDeepHierarchies(nodes, depths, maxDepth),
+    ...findCrossLayer(nodes, config),
+    ...cycles.map(cycle => createCyclicInheritance(cycle)),
+    ...findSubtypeReferences(nodes, typeIndex),
+    ...findMisplacedInterfaces(interfaces, config)
+  ];
+
+  // `// mmi-ignore: inheritance` über der Typdeklaration bzw. der Referenz
+  const { active, suppressed } = partitionFindings(detected, project, 'inheritance');
+  const { findings, summary: baseline } = compareWithBaseline(project, 'inheritance', active);
+
+  const classDepths = [...depths.values()];
+  const affected = new Set(findings.map(f => f.name));
+  const affectedShare = nodes.size > 0 ? affected.size / nodes.size : 0;
+  const score = calculateScore(affectedShare, findings.length);
+
+  console.error(`[MMI] Inheritance: ${nodes.size} types, max depth ${Math.max(0, ...classDepths.map(d => d.depth))}, ${findings.length} findings`);
+
+  return {
+    projectPath,
+    totalFiles: project.files.length,
+    totalTypes: nodes.size,
+    classes: [...nodes.values()].filter(n => n.kind !== 'interface').length,
+    interfaces: [...nodes.values()].filter(n => n.kind === 'interface').length,
+    inheritanceEdges: [...nodes.values()].filter(n => n.baseClass).length,
+    implementationEdges: [...nodes.values()].reduce((sum, n) => sum + n.interfaces.length, 0),
+    depthLimit: maxDepth,
+    maxDepth: Math.max(0, ...classDepths.map(d => d.depth)),
+    averageDepth: classDepths.length > 0
+      ? Number((classDepths.reduce((sum, d) => sum + d.depth, 0) / classDepths.length).toFixed(2))
+      : 0,
+    deepestTypes: classDepths
+      .filter(d => d.depth > 1)
+      .sort((a, b) => b.depth - a.depth || a.name.localeCompare(b.name)),
+    singleImplementationInterfaces: interfaces.map(({ consumers, node, ...entry }) => entry),
+    affectedShare: Number((affectedShare * 100).toFixed(1)),
+    findings,
+    findingCount: findings.length,
+    deepHierarchyCount: findings.filter(f => f.rule === 'deep-hierarchy').length,
+    crossLayerCount: findings.filter(f => f.rule === 'cross-layer').length,
+    cycleCount: findings.filter(f => f.rule === 'inheritance-cycle').length,
+    misplacedInterfaceCount: findings.filter(f => f.rule === 'misplaced-interface').length,
+    suppressed,
+    suppressedCount: suppressed.length,
+    baseline,
+    score,
+    level: getLevel(score)
+  };
+}
+
+/**
+ * One node per type (partial declarations merged) with its resolved bases
+ * @returns {Map} fullName → { name, fullName, kind, layer, file, line, column, declarations,
+ *   baseClass, externalBase, interfaces, subtypes }
+ */
+function buildHierarchy(files, typeIndex) {
+  const nodes = new Map();
+
+  for (const file of files) {
+    for (const type of file.model.types) {
+      if (!type.name || !HIERARCHY_KINDS.includes(type.kind)) continue;
+
+      if (!nodes.has(type.fullName)) {
+        nodes.set(type.fullName, {
+          name: type.name,
+          fullName: type.fullName,
+          kind: type.kind,
+          layer: file.layer,
+          file: file.relativePath,
+          line: type.line,
+          column: type.column,
+          declarations: [],
+          baseClass: null,
+          externalBase: null,
+          interfaces: [],
+          subtypes: []
+        });
+      }
+      nodes.get(type.fullName).declarations.push({ type, file });
+    }
+  }
+
+  for (const node of nodes.values()) {
+    for (const { type, file } of node.declarations) {
+      type.baseTypes.forEach((baseType, index) => {
+        const name = stripTypeArguments(baseType);
+        const base = resolveTypeName(file, name, typeIndex, type.parent)
+          .map(entry => nodes.get(entry.fullName))
+          .find(Boolean);
+
+        if (!base) {
+          // Nur die erste Basis einer Klasse kann eine Basisklasse sein
+          const canBeClass = index === 0 && (node.kind === 'class' || node.kind === 'record');
+          if (canBeClass && !INTERFACE_NAME.test(name.split('.').pop())) node.externalBase = name;
+          return;
+        }
+        if (base === node) return;
+
+        if (base.kind === 'interface') {
+          if (!node.interfaces.includes(base)) node.interfaces.push(base);
+        } else if (!node.baseClass && node.kind !== 'interface') {
+          node.baseClass = base;
+        }
+      });
+    }
+  }
+
+  for (const node of nodes.values()) {
+    if (node.baseClass) node.baseClass.subtypes.push(node);
+    node.interfaces.forEach(i => i.subtypes.push(node));
+  }
+
+  return nodes;
+}
+
+/**
+ * `Base<T>` → `Base`, `Outer<T>.Inner` → `Outer.Inner`
+ */
+function stripTypeArguments(name) {
+  let stripped = name.replace(/\s+/g, '');
+  while (stripped.includes('<')) {
+    const next = stripped.replace(/<[^<>]*>/g, '');
+    if (next === stripped) break;
+    stripped = next;
+  }
+  return stripped.replace(/\?$/, '');
+}
+
+/**
+ * Depth of inheritance of every class: base classes above it within the
+ * project, an external base (DbContext, Exception, ...) counts as one more
+ * @returns {Object} { depths: Map<fullName, { name, file, layer, depth, chain }>, cycles: node[][] }
+ */
+function measureDepths(nodes) {
+  const depths = new Map();
+  const cycles = new Map();
+
+  for (const node of nodes.values()) {
+    if (node.kind === 'interface') continue;
+
+    const chain = [node];
+    let current = node;
+    let cyclic = false;
+    while (current.baseClass) {
+      const index = chain.indexOf(current.baseClass);
+      if (index >= 0) {
+        const cycle = rotateToSmallest(chain.slice(index));
+        cycles.set(cycle.map(n => n.fullName).join('|'), cycle);
+        cyclic = true;
+        break;
+      }
+      chain.push(current.baseClass);
+      current = current.baseClass;
+    }
+
+    const external = current.externalBase && !cyclic ? [current.externalBase] : [];
+    depths.set(node.fullName, {
+      name: node.fullName,
+      file: node.file,
+      layer: node.layer,
+      depth: chain.length - 1 + external.length,
+      chain: [...chain.map(n => n.name), ...external]
+    });
+  }
+
+  return { depths, cycles: [...cycles.values()] };
+}
+
+function rotateToSmallest(cycle) {
+  const names = cycle.map(n => n.fullName);
+  const start = names.indexOf([...names].sort()[0]);
+  return [...cycle.slice(start), ...cycle.slice(0, start)];
+}
+
+/**
+ * Interfaces with exactly one implementing type (and no derived interface),
+ * together with the files that use them
+ */
+function collectInterfaces(nodes, files, typeIndex) {
+  const candidates = [...nodes.values()].filter(node =>
+    node.kind === 'interface' && node.subtypes.length === 1 && node.subtypes[0].kind !== 'interface'
+  );
+  if (candidates.length === 0) return [];
+
+  const consumers = new Map(candidates.map(node => [node.fullName, []]));
+  for (const file of files) {
+    for (const entry of resolveReferencedTypes(file, typeIndex)) {
+      if (consumers.has(entry.fullName)) consumers.get(entry.fullName).push(file);
+    }
+  }
+
+  return candidates.map(node => {
+    const implementation = node.subtypes[0];
+    const own = new Set([...node.declarations, ...implementation.declarations].map(d => d.file.relativePath));
+    const users = [...new Set(consumers.get(node.fullName))].filter(file => !own.has(file.relativePath));
+
+    return {
+      name: node.fullName,
+      file: node.file,
+      line: node.line,
+      column: node.column,
+      layer: node.layer,
+      implementation: implementation.fullName,
+      implementationLayer: implementation.layer,
+      consumerLayers: [...new Set(users.map(file => file.layer).filter(Boolean))].sort(),
+      consumers: users,
+      node
+    };
+  });
+}
+
+/**
+ * Classes deeper than the limit (each affected class is one finding)
+ */
+function findDeepHierarchies(nodes, depths, maxDepth) {
+  const findings = [];
+
+  for (const entry of depths.values()) {
+    if (entry.depth <= maxDepth) continue;
+
+    const node = nodes.get(entry.name);
+    findings.push({
+      rule: 'deep-hierarchy',
+      ...locate(node),
+      name: node.fullName,
+      kind: node.kind,
+      layer: node.layer,
+      depth: entry.depth,
+      chain: entry.chain,
+      severity: entry.depth > maxDepth + 2 ? 'HIGH' : 'MEDIUM'
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * Base classes and interfaces in a layer the subtype may not depend on
+ * (e.g. an Infrastructure base class extended in Domain)
+ */
+function findCrossLayer(nodes, config) {
+  const findings = [];
+
+  for (const node of nodes.values()) {
+    const bases = [
+      ...(node.baseClass ? [{ base: node.baseClass, relation: 'extends' }] : []),
+      ...node.interfaces.map(base => ({ base, relation: node.kind === 'interface' ? 'extends' : 'implements' }))
+    ];
+
+    for (const { base, relation } of bases) {
+      if (!node.layer || !base.layer || isDependencyAllowed(config, node.layer, base.layer)) continue;
+
+      findings.push({
+        rule: 'cross-layer',
+        ...locate(node),
+        name: node.fullName,
+        kind: node.kind,
+        layer: node.layer,
+        base: base.fullName,
+        baseKind: base.kind,
+        baseLayer: base.layer,
+        baseFile: base.file,
+        relation,
+        severity: getDependencySeverity(config, node.layer, base.layer)
+      });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * `class A : B` ... `class B : A` - reported once at the first type of the cycle
+ */
+function createCyclicInheritance(cycle) {
+  const node = cycle[0];
+  return {
+    rule: 'inheritance-cycle',
+    ...locate(node),
+    name: node.fullName,
+    kind: node.kind,
+    layer: node.layer,
+    cycle: [...cycle.map(n => n.fullName), node.fullName],
+    severity: 'HIGH'
+  };
+}
+
+/**
+ * Base types whose body names one of their (transitive) subtypes: the base
+ * depends on what depends on it. Subtypes nested in the base (closed
+ * hierarchies like `Shape.Circle`) are deliberate and not reported.
+ */
+function findSubtypeReferences(nodes, typeIndex) {
+  const findings = [];
+
+  for (const node of nodes.values()) {
+    const descendants = collectDescendants(node, `${node.fullName}.`);
+    if (descendants.size === 0) continue;
+
+    const reported = new Set();
+    for (const { type, file } of node.declarations) {
+      if (type.bodyStart === undefined) continue;
+
+      const tokens = file.model.tokens.slice(type.bodyStart, type.bodyEnd);
+      const references = [
+        // Einfache Namen; Member-Zugriffe und `Ns.Type` sind hier übersprungen
+        ...tokens
+          .filter((token, index) => token.type === 'identifier' && descendants.has(token.value) &&
+            !['.', '?.', '::'].includes(tokens[index - 1]?.value))
+          .map(token => ({ position: token, entries: resolveTypeName(file, token.value, typeIndex, type.fullName) })),
+        // Voll qualifiziert: `public Shop.Domain.Billing.Invoice Latest;`
+        ...file.qualifiedReferences
+          .filter(ref => isInside(ref, tokens))
+          .map(ref => ({ position: ref, entries: findLongestTypePrefix(ref.name, typeIndex) }))
+      ].sort((a, b) => comparePositions(a.position, b.position));
+
+      for (const { position, entries } of references) {
+        const subtype = entries
+          .map(entry => nodes.get(entry.fullName))
+          .find(candidate => candidate && (descendants.get(candidate.name) || []).includes(candidate));
+        if (!subtype || reported.has(subtype)) continue;
+        reported.add(subtype);
+
+        findings.push({
+          rule: 'inheritance-cycle',
+          file: file.relativePath,
+          line: position.line,
+          column: position.column,
+          endLine: position.line,
+          snippet: extractSnippet(file.content, position.line),
+          name: node.fullName,
+          kind: node.kind,
+          layer: node.layer,
+          subtype: subtype.fullName,
+          cycle: [node.fullName, ...findPath(subtype, node).map(n => n.fullName)],
+          severity: 'HIGH'
+        });
+      }
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Whether a source position lies between the first and last token
+ */
+function isInside(position, tokens) {
+  if (tokens.length === 0) return false;
+  return comparePositions(position, tokens[0]) >= 0 && comparePositions(position, tokens[tokens.length - 1]) <= 0;
+}
+
+function comparePositions(a, b) {
+  return a.line - b.line || a.column - b.column;
+}
+
+/**
+ * Transitive subtypes by simple name (name → nodes), without nested ones
+ */
+function collectDescendants(node, nestedPrefix) {
+  const descendants = new Map();
+  const seen = new Set([node]);
+  const queue = [...node.subtypes];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (seen.has(current)) continue;
+    seen.add(current);
+    queue.push(...current.subtypes);
+    if (current.fullName.startsWith(nestedPrefix)) continue;
+
+    if (!descendants.has(current.name)) descendants.set(current.name, []);
+    descendants.get(current.name).push(current);
+  }
+
+  return descendants;
+}
+
+/**
+ * Inheritance path from a subtype up to an ancestor (both included)
+ */
+function findPath(from, to, seen = new Set()) {
+  if (from === to) return [from];
+  if (seen.has(from)) return null;
+  seen.add(from);
+
+  for (const base of [from.baseClass, ...from.interfaces].filter(Boolean)) {
+    const path = findPath(base, to, seen);
+    if (path) return [from, ...path];
+  }
+  return null;
+}
+
+/**
+ * Single-implementation interfaces that a consumer's layer may not depend on -
+ * the port belongs to the innermost layer that uses it
+ */
+function findMisplacedInterfaces(interfaces, config) {
+  const findings = [];
+
+  for (const entry of interfaces) {
+    const { node, consumers } = entry;
+    if (!node.layer) continue;
+
+    const blocked = entry.consumerLayers.filter(layer => !isDependencyAllowed(config, layer, node.layer));
+    if (blocked.length === 0) continue;
+
+    const expected = [...entry.consumerLayers]
+      .sort((a, b) => getLayerOrder(config, a) - getLayerOrder(config, b))[0];
+
+    findings.push({
+      rule: 'misplaced-interface',
+      ...locate(node),
+      name: node.fullName,
+      kind: node.kind,
+      layer: node.layer,
+      implementation: entry.implementation,
+      implementationLayer: entry.implementationLayer,
+      consumerLayers: entry.consumerLayers,
+      blockedConsumers: consumers
+        .filter(file => blocked.includes(file.layer))
+        .map(file => file.relativePath)
+        .sort(),
+      expectedLayer: expected,
+      severity: 'MEDIUM'
+    });
+  }
+
+  return findings;
+}
+
+function getLayerOrder(config, layerName) {
+  const layer = config.layers.find(l => l.name === layerName);
+  return layer ? layer.order : Infinity;
+}
+
+/**
+ * Position of a type declaration (first declaration of a partial type)
+ */
+function locate(node) {
+  const { type, file } = node.declarations[0];
+  return {
+    file: file.relativePath,
+    line: type.line,
+    column: type.column,
+    endLine: type.line,
+    snippet: extractSnippet(file.content, type.line)
+  };
+}
+
+/**
+ * Score from the share of types involved in a finding
+ */
+function calculateScore(affectedShare, findingCount) {
+  if (findingCount === 0) return 5;
+  if (affectedShare < 0.02) return 4;
+  if (affectedShare < 0.05) return 3;
+  if (affectedShare < 0.10) return 2;
+  if (affectedShare < 0.20) return 1;
+  return 0;
+}
+
+/**
+ * Get MMI level description
+ */
+function getLevel(score) {
+  const levels = {
+    5: 'Exzellent',
+    4: 'Gut',
+    3: 'Akzeptabel',
+    2: 'Verbesserungswürdig',
+    1: 'Schlecht',
+    0: 'Kritisch'
+  };
+  return levels[score] || 'Unbekannt';
+}
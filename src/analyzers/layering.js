@@ -1,145 +1,194 @@
-import fs from 'fs';
-import path from 'path';
-import { hasFileChanged } from '../utils/file-cache.js';
-import { cleanCode } from '../utils/code-cleaner.js';
+import { createProjectSnapshot } from '../utils/project-snapshot.js';
+import { getImportTarget, getImportKind, isFrameworkNamespace } from '../utils/effective-imports.js';
+import { extractSnippet } from '../utils/source-snippet.js';
+import { partitionFindings } from '../utils/suppressions.js';
+import { compareWithBaseline } from '../utils/baseline.js';
+import {
+  resolveNamespaceLayer,
+  isDependencyAllowed,
+  isSiblingSliceDependency,
+  getDependencySeverity
+} from '../config/project-config.js';
 
 /**
  * Analyzes Clean Architecture layering violations
  * @param {string} projectPath - Path to the C# project
  * @param {boolean} useCache - Use file cache (default: true)
+ * @param {Object} [snapshot] - Shared project snapshot (built if omitted)
  */
-export function analyzeLayering(projectPath, useCache = false) {
+export function analyzeLayering(projectPath, useCache = false, snapshot = null) {
   const violations = [];
-  const files = findCSharpFiles(projectPath);
+  const project = snapshot || createProjectSnapshot(projectPath, { useCache });
+  const files = project.files;
   
   console.error(`[MMI] Analyzing ${files.length} files in ${projectPath}`);
   
   for (const file of files) {
     // Skip unchanged files
-    if (useCache && !hasFileChanged(file)) {
+    if (useCache && !file.changed) {
       continue;
     }
     
-    const relativePath = file.replace(projectPath, '');
-    const rawContent = fs.readFileSync(file, 'utf8');
-    const content = cleanCode(rawContent);
-    
-    const layer = detectLayer(relativePath);
+    const layer = file.layer;
     if (!layer) continue;
     
-    const usings = extractUsings(content);
-    const fileViolations = checkViolations(layer, usings, relativePath);
+    // Global usings are reported once, in the file that declares them
+    const imports = extractImports(file.imports.filter(i => i.scope === 'file'));
+    imports.push(...extractQualifiedReferences(file));
+    const fileViolations = checkViolations(project.config, file, imports);
     violations.push(...fileViolations);
   }
   
-  const score = calculateScore(violations.length, files.length);
+  // <Using Include> items of a .csproj apply to all its files - report once per project
+  for (const csproj of project.projectGraph.projects) {
+    if (!csproj.layer || csproj.usings.length === 0) continue;
+    
+    const owner = { fileName: csproj.fileName, relativePath: csproj.id, layer: csproj.layer, slice: null, content: csproj.content };
+    const imports = extractImports(csproj.usings.map(u => ({ ...u, scope: 'project' })));
+    violations.push(...checkViolations(project.config, owner, imports));
+  }
+  
+  // Projekt-Referenzen (.csproj) sind die maßgeblichen Abhängigkeiten
+  const projectReferenceViolations = checkProjectReferences(project.config, project.projectGraph);
+  
+  // `// mmi-ignore: layering` - bewusste Ausnahmen zählen nicht in den Score
+  const fileFindings = partitionFindings(violations, project, 'layering');
+  const projectFindings = partitionFindings(projectReferenceViolations, project, 'layering');
+  const suppressed = [...fileFindings.suppressed, ...projectFindings.suppressed];
+  
+  // Mit Baseline zählen nur neue Verletzungen
+  const { findings, summary: baseline } = compareWithBaseline(project, 'layering', [...fileFindings.active, ...projectFindings.active]);
+  const fileViolations = findings.filter(v => !v.projectPath);
+  const projectViolations = findings.filter(v => v.projectPath);
+  
+  const score = calculateScore(fileViolations.length + projectViolations.length, files.length);
   
   return {
     projectPath,
     totalFiles: files.length,
-    violations,
-    violationCount: violations.length,
+    violations: fileViolations,
+    violationCount: fileViolations.length,
+    totalProjects: project.projectGraph.projects.length,
+    projectViolations,
+    projectViolationCount: projectViolations.length,
+    suppressed,
+    suppressedCount: suppressed.length,
+    baseline,
+    architectureStyle: project.config.style,
+    architectureLabel: project.config.label,
     score,
     level: getLevel(score)
   };
 }
 
-function findCSharpFiles(dir) {
-  let results = [];
-  
-  try {
-    const items = fs.readdirSync(dir);
-    
-    for (const item of items) {
-      const fullPath = path.join(dir, item);
-      const stat = fs.statSync(fullPath);
-      
-      if (item === 'bin' || item === 'obj' || item === 'node_modules') {
-        continue;
-      }
-      
-      if (stat.isDirectory()) {
-        results = results.concat(findCSharpFiles(fullPath));
-      } else if (item.endsWith('.cs')) {
-        results.push(fullPath);
-      }
-    }
-  } catch (err) {
-    console.error(`[MMI] Error reading directory ${dir}:`, err.message);
-  }
-  
-  return results;
+/**
+ * Imports relevant for layering: plain, global, alias and static usings
+ * (alias/static targets are types, their namespace segments still name the layer)
+ */
+function extractImports(imports) {
+  return imports
+    .map(imp => ({ namespace: getImportTarget(imp), kind: getImportKind(imp), location: getLocation(imp) }))
+    .filter(imp => !isFrameworkNamespace(imp.namespace));
 }
 
-function detectLayer(filePath) {
-  const normalized = filePath.replace(/\\/g, '/');
-  
-  if (normalized.includes('/Domain/')) return 'Domain';
-  if (normalized.includes('/Application/')) return 'Application';
-  if (normalized.includes('/Infrastructure/')) return 'Infrastructure';
-  if (normalized.includes('/Presentation/')) return 'Presentation';
-  if (normalized.includes('/API/')) return 'API';
-  if (normalized.includes('/Web/')) return 'Web';
-  
-  return null;
+function getLocation(item) {
+  return { line: item.line || null, column: item.column || null, endLine: item.endLine || item.line || null };
 }
 
-function extractUsings(content) {
-  const usings = [];
-  const regex = /using\s+([\w\.]+);/g;
-  let match;
-  
-  while ((match = regex.exec(content)) !== null) {
-    const namespace = match[1];
-    if (!namespace.startsWith('System')) {
-      usings.push(namespace);
-    }
+/**
+ * Fully-qualified references (`new MyApp.Infrastructure.Db()`), one per
+ * referenced namespace and only if no using already imports that namespace
+ */
+function extractQualifiedReferences(file) {
+  const imported = new Set(file.imports.map(getImportTarget));
+  const seen = new Set();
+  const references = [];
+  
+  for (const ref of file.qualifiedReferences) {
+    if (imported.has(ref.namespace) || seen.has(ref.namespace)) continue;
+    seen.add(ref.namespace);
+    references.push({ namespace: ref.namespace, kind: 'qualified', reference: ref, location: getLocation(ref) });
   }
   
-  return usings;
+  return references;
 }
 
-function checkViolations(layer, usings, filePath) {
+/**
+ * Check usings against the allowed dependency matrix of the project config
+ * (plus slice isolation inside layers with `sliceRoots`)
+ */
+function checkViolations(config, file, imports) {
   const violations = [];
-  const fileName = path.basename(filePath);
-  
-  const rules = {
-    'Domain': ['Application', 'Infrastructure', 'Presentation', 'API', 'Web'],
-    'Application': ['Infrastructure', 'Presentation', 'API', 'Web'],
-    'Infrastructure': ['Presentation', 'API', 'Web']
-  };
+  const { layer, slice } = file;
   
-  const forbidden = rules[layer] || [];
-  
-  for (const using of usings) {
-    for (const forbiddenLayer of forbidden) {
-      if (using.includes(forbiddenLayer)) {
-        violations.push({
-          file: fileName,
-          filePath: filePath,
-          layer: layer,
-          dependsOn: forbiddenLayer,
-          using: using,
-          severity: getSeverity(layer, forbiddenLayer)
-        });
+  for (const { namespace: using, kind, reference, location } of imports) {
+    const target = resolveNamespaceLayer(config, using);
+    if (!target) continue;
+    
+    const forbidden = target.layer === layer
+      ? isSiblingSliceDependency(config, layer, slice, target.slice)
+      : !isDependencyAllowed(config, layer, target.layer);
+    
+    if (forbidden) {
+      const violation = {
+        file: file.relativePath,
+        filePath: file.relativePath,
+        ...location,
+        layer: layer,
+        dependsOn: target.layer,
+        using: using,
+        importKind: kind,
+        matchedSegment: target.match,
+        severity: getDependencySeverity(config, layer, target.layer)
+      };
+      if (reference) {
+        violation.reference = reference.name;
+        violation.referenceContext = reference.context;
       }
+      if (file.content && location.line) {
+        violation.snippet = extractSnippet(file.content, location.line, location.endLine);
+      }
+      if (slice) violation.slice = slice;
+      if (target.slice) violation.targetSlice = target.slice;
+      violations.push(violation);
     }
   }
   
   return violations;
 }
 
-function getSeverity(fromLayer, toLayer) {
-  if (fromLayer === 'Domain' && toLayer === 'Infrastructure') {
-    return 'CRITICAL';
-  }
-  if (fromLayer === 'Domain' && toLayer === 'Application') {
-    return 'HIGH';
-  }
-  if (fromLayer === 'Application' && toLayer === 'Infrastructure') {
-    return 'MEDIUM';
+/**
+ * Check <ProjectReference> edges against the allowed dependency matrix
+ * (e.g. Domain.csproj → Infrastructure.csproj)
+ */
+function checkProjectReferences(config, projectGraph) {
+  const violations = [];
+  const byId = new Map(projectGraph.projects.map(p => [p.id, p]));
+  
+  for (const edge of projectGraph.edges) {
+    const from = byId.get(edge.from);
+    const to = byId.get(edge.to);
+    if (!from.layer || !to.layer || from.layer === to.layer) continue;
+    
+    if (!isDependencyAllowed(config, from.layer, to.layer)) {
+      violations.push({
+        file: from.id,
+        line: edge.line || null,
+        column: edge.column || null,
+        endLine: edge.line || null,
+        project: from.fileName,
+        projectPath: from.id,
+        layer: from.layer,
+        references: to.fileName,
+        referencePath: to.id,
+        dependsOn: to.layer,
+        severity: getDependencySeverity(config, from.layer, to.layer),
+        snippet: extractSnippet(from.content, edge.line)
+      });
+    }
   }
-  return 'LOW';
+  
+  return violations;
 }
 
 function calculateScore(violationCount, totalFiles) {
@@ -0,0 +1,371 @@
+import { createProjectSnapshot } from '../utils/project-snapshot.js';
+import { getLayerRole, resolveNamespaceLayer } from '../config/project-config.js';
+import { findFileSuppression } from '../utils/suppressions.js';
+import { compareWithBaseline } from '../utils/baseline.js';
+
+// Namen, die eine Code-Art statt einer fachlichen Fähigkeit beschreiben
+const TECHNICAL_NAMES = new Set([
+  'services', 'service', 'helpers', 'helper', 'utils', 'util', 'utilities', 'utility',
+  'managers', 'manager', 'common', 'shared', 'misc', 'general', 'base', 'core',
+  'models', 'model', 'entities', 'entity', 'dtos', 'dto', 'viewmodels', 'valueobjects',
+  'interfaces', 'abstractions', 'contracts', 'extensions', 'repositories', 'repository',
+  'controllers', 'handlers', 'commands', 'queries', 'events', 'validators', 'validation',
+  'mappers', 'mapping', 'mappings', 'factories', 'providers', 'exceptions', 'enums',
+  'constants', 'configuration', 'config', 'settings', 'options', 'behaviors', 'behaviours',
+  'specifications', 'attributes', 'converters', 'filters', 'middleware', 'persistence', 'data',
+  // Layer als oberste Module = technischer Schnitt
+  'domain', 'application', 'infrastructure', 'presentation', 'api', 'web', 'ui'
+]);
+
+// Module liegen in fachlichen Layern; Infrastruktur/Präsentation sind per se technisch
+const EVALUATED_ROLES = ['domain', 'application', null];
+
+// Typen, die in Junk-Drawer-Namespaces gezählt werden
+const COUNTED_KINDS = ['class', 'interface', 'struct', 'record'];
+
+// Namespace mit so vielen Typen, von denen mindestens die Hälfte isoliert ist
+const JUNK_MIN_TYPES = 10;
+const JUNK_ISOLATED_SHARE = 0.5;
+
+/**
+ * Analyzes domain vs. technical modularization: are the top-level modules
+ * below the layers cut along business capabilities (`Billing`, `Shipping`)
+ * or along technical kinds of code (`Services`, `Helpers`, `Utils`)?
+ * The module of a namespace is the segment right after its layer segment
+ * (`Shop.Domain.Billing.Invoices` → Billing) or, when the capability comes
+ * first, the segment before it (`Shop.Billing.Domain` → Billing).
+ * Also reports junk drawer namespaces: many types that do not reference
+ * each other.
+ * @param {string} projectPath - Path to the C# project
+ * @param {boolean} useCache - Use file cache (default: false)
+ * @param {Object} [snapshot] - Shared project snapshot (built if omitted)
+ */
+export function analyzeModularization(projectPath, useCache = false, snapshot = null) {
+  console.error(`[MMI] Analyzing domain modularization in ${projectPath}`);
+
+  const project = snapshot || createProjectSnapshot(projectPath, { useCache });
+  const modules = collectModules(project);
+  const junkDrawers = findJunkDrawers(project.files);
+
+  const detected = [
+    ...modules.filter(m => m.kind === 'technical').map(toModuleFinding),
+    ...junkDrawers.map(toJunkDrawerFinding)
+  ];
+
+  // `// mmi-ignore-file: modularization` in einer Datei des Moduls bzw. Namespaces
+  const { active, suppressed } = partitionByFiles(project, detected);
+  const { findings, summary: baseline } = compareWithBaseline(project, 'modularization', active);
+
+  // Unterdrückte technische Module zählen nicht ins Verhältnis
+  const scored = modules.filter(m => !suppressed.some(f => f.rule === 'technical-module' && f.module === m.name));
+  const domainModules = scored.filter(m => m.kind === 'domain').length;
+  const domainShare = scored.length > 0 ? Number((domainModules / scored.length * 100).toFixed(1)) : 100;
+  const junkDrawerCount = findings.filter(f => f.rule === 'junk-drawer').length;
+  const score = calculateScore(domainShare, scored.length, junkDrawerCount);
+
+  console.error(`[MMI] Modularization: ${modules.length} modules, ${domainShare}% domain-named, ${junkDrawers.length} junk drawers`);
+
+  return {
+    projectPath,
+    totalFiles: project.files.length,
+    totalModules: modules.length,
+    domainModules,
+    technicalModules: scored.length - domainModules,
+    domainShare,
+    modules,
+    junkDrawers,
+    findings,
+    findingCount: findings.length,
+    technicalModuleCount: findings.filter(f => f.rule === 'technical-module').length,
+    junkDrawerCount,
+    suppressed,
+    suppressedCount: suppressed.length,
+    baseline,
+    score,
+    level: getLevel(score)
+  };
+}
+
+/**
+ * Top-level modules of the domain/application layers (and files without layer)
+ */
+function collectModules(project) {
+  const { config } = project;
+  const root = getRootSegments(project);
+  const byName = new Map();
+
+  for (const file of project.files) {
+    for (const type of file.model.types.filter(t => !t.isNested && t.namespace)) {
+      const target = resolveModule(config, type.namespace, root, file.layer);
+      if (!target || !EVALUATED_ROLES.includes(getLayerRole(config, target.layer))) continue;
+
+      // Gleicher Name in mehreren Layern = eine fachliche Fähigkeit
+      const key = target.module.toLowerCase();
+      if (!byName.has(key)) {
+        byName.set(key, { name: target.module, kind: classify(target.module), layers: [], files: [], types: 0 });
+      }
+      const module = byName.get(key);
+      if (target.layer && !module.layers.includes(target.layer)) module.layers.push(target.layer);
+      if (!module.files.includes(file.relativePath)) module.files.push(file.relativePath);
+      module.types++;
+    }
+  }
+
+  return [...byName.values()]
+    .map(m => ({ ...m, files: m.files.sort() }))
+    .sort((a, b) => a.kind.localeCompare(b.kind) || b.types - a.types || a.name.localeCompare(b.name));
+}
+
+/**
+ * Root namespace of the product (`Shop` in `Shop.Billing`, `Shop.Shipping`):
+ * every project contributes its RootNamespace (or the dominant prefix of its
+ * own namespaces, files without .csproj count as one project), weighted by
+ * its types; the product root is the dominant prefix of these. A single
+ * foreign namespace (`Microsoft.Extensions.DependencyInjection` for service
+ * registrations) therefore does not empty the root.
+ */
+function getRootSegments(project) {
+  const declared = new Map(project.projectGraph.projects.map(p => [p.id, p.rootNamespace.split('.')]));
+  const byProject = new Map();
+
+  for (const file of project.files) {
+    if (!byProject.has(file.project)) byProject.set(file.project, []);
+    const namespaces = byProject.get(file.project);
+    file.model.types.filter(t => !t.isNested && t.namespace).forEach(t => namespaces.push(t.namespace.split('.')));
+  }
+
+  const roots = [];
+  for (const [id, namespaces] of byProject) {
+    const rootNamespace = declared.get(id);
+    const root = rootNamespace && namespaces.some(segments => startsWith(segments, rootNamespace))
+      ? rootNamespace
+      : getDominantPrefix(namespaces);
+    namespaces.forEach(() => roots.push(root));
+  }
+
+  return getDominantPrefix(roots);
+}
+
+/**
+ * Common prefix of the namespaces that share the most frequent first segment
+ */
+function getDominantPrefix(namespaces) {
+  const counts = new Map();
+  namespaces.filter(segments => segments.length > 0)
+    .forEach(segments => counts.set(segments[0], (counts.get(segments[0]) || 0) + 1));
+  if (counts.size === 0) return [];
+
+  const [dominant] = [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0];
+  const own = namespaces.filter(segments => segments[0] === dominant);
+
+  let length = own.reduce((min, segments) => Math.min(min, segments.length), Infinity);
+  while (length > 0 && !own.every(segments => startsWith(segments, own[0].slice(0, length)))) {
+    length--;
+  }
+  return own[0].slice(0, length);
+}
+
+function startsWith(segments, prefix) {
+  return prefix.length <= segments.length && prefix.every((segment, i) => segments[i] === segment);
+}
+
+/**
+ * Module name and layer of a namespace, or null for a layer root
+ * (`Shop.Domain`) without module segment and for foreign namespaces
+ * outside the product root
+ */
+function resolveModule(config, namespace, root, fileLayer) {
+  const segments = namespace.split('.');
+  if (root.length > 0 && segments[0] !== root[0]) return null;
+
+  const target = resolveNamespaceLayer(config, namespace);
+
+  if (!target) {
+    // Ohne Layer-Segment: erstes Segment nach dem Wurzel-Namespace
+    const rest = stripRoot(segments, root, segments.length);
+    return rest.length > 0 ? { module: rest[0], layer: fileLayer } : null;
+  }
+
+  const matched = target.match.split('.');
+  const index = findSequence(segments, matched);
+  if (index === -1) return null;
+
+  const before = stripRoot(segments.slice(0, index), root, index);
+  if (before.length > 0) return { module: before[0], layer: target.layer };
+
+  const after = segments[index + matched.length];
+  return after ? { module: after, layer: target.layer } : null;
+}
+
+function stripRoot(segments, root, limit) {
+  let length = 0;
+  while (length < root.length && length < limit && segments[length] === root[length]) length++;
+  return segments.slice(length);
+}
+
+function findSequence(segments, needle) {
+  const lowered = segments.map(s => s.toLowerCase());
+  const target = needle.map(s => s.toLowerCase());
+  for (let i = 0; i + target.length <= lowered.length; i++) {
+    if (target.every((part, offset) => lowered[i + offset] === part)) return i;
+  }
+  return -1;
+}
+
+function classify(name) {
+  return TECHNICAL_NAMES.has(name.toLowerCase()) ? 'technical' : 'domain';
+}
+
+/**
+ * Namespaces with many types of which at least half reference no other type
+ * of the namespace and are referenced by none
+ */
+function findJunkDrawers(files) {
+  const byNamespace = new Map();
+
+  for (const file of files) {
+    for (const type of file.model.types.filter(t => !t.isNested && t.namespace && COUNTED_KINDS.includes(t.kind))) {
+      if (!byNamespace.has(type.namespace)) byNamespace.set(type.namespace, new Map());
+      const types = byNamespace.get(type.namespace);
+
+      // Partielle Klassen: Bezeichner aller Teile zusammen
+      if (!types.has(type.fullName)) types.set(type.fullName, { name: type.name, identifiers: new Set(), files: new Map() });
+      const entry = types.get(type.fullName);
+      collectIdentifiers(file.model.tokens, type).forEach(id => entry.identifiers.add(id));
+      entry.files.set(file.relativePath, (entry.files.get(file.relativePath) || 0) + 1);
+    }
+  }
+
+  const drawers = [];
+  for (const [namespace, types] of byNamespace) {
+    if (types.size < JUNK_MIN_TYPES) continue;
+
+    const entries = [...types.values()];
+    const related = new Set();
+    for (const a of entries) {
+      for (const b of entries) {
+        if (a !== b && a.identifiers.has(b.name)) {
+          related.add(a);
+          related.add(b);
+        }
+      }
+    }
+
+    const isolated = entries.filter(e => !related.has(e));
+    const isolatedShare = isolated.length / entries.length;
+    if (isolatedShare < JUNK_ISOLATED_SHARE) continue;
+
+    drawers.push({
+      namespace,
+      types: entries.length,
+      isolatedTypes: isolated.length,
+      isolatedShare: Number((isolatedShare * 100).toFixed(1)),
+      isolated: isolated.map(e => e.name).sort(),
+      files: [...new Set(entries.flatMap(e => [...e.files.keys()]))].sort(),
+      hotspot: findLargestFile(entries)
+    });
+  }
+
+  return drawers.sort((a, b) => b.types - a.types || a.namespace.localeCompare(b.namespace));
+}
+
+function collectIdentifiers(tokens, type) {
+  const ids = new Set();
+  for (const token of tokens) {
+    if (token.line < type.startLine || token.line > type.endLine) continue;
+    if (token.type === 'identifier' && token.value !== type.name) ids.add(token.value);
+  }
+  return ids;
+}
+
+/**
+ * File declaring the most types of the namespace
+ */
+function findLargestFile(entries) {
+  const counts = new Map();
+  entries.forEach(e => e.files.forEach((count, file) => counts.set(file, (counts.get(file) || 0) + count)));
+  return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0];
+}
+
+function toModuleFinding(module) {
+  return {
+    rule: 'technical-module',
+    module: module.name,
+    file: module.files[0],
+    line: null,
+    column: null,
+    endLine: null,
+    files: module.files,
+    layers: module.layers,
+    types: module.types,
+    severity: 'MEDIUM'
+  };
+}
+
+function toJunkDrawerFinding(drawer) {
+  return {
+    rule: 'junk-drawer',
+    namespace: drawer.namespace,
+    file: drawer.hotspot,
+    line: null,
+    column: null,
+    endLine: null,
+    files: drawer.files,
+    types: drawer.types,
+    isolatedTypes: drawer.isolatedTypes,
+    isolatedShare: drawer.isolatedShare,
+    isolated: drawer.isolated,
+    severity: drawer.types >= 2 * JUNK_MIN_TYPES ? 'HIGH' : 'MEDIUM'
+  };
+}
+
+/**
+ * Split findings into active and suppressed ones (file-level
+ * `modularization` suppression in one of the module's/namespace's files)
+ */
+function partitionByFiles(project, findings) {
+  const active = [];
+  const suppressed = [];
+
+  for (const finding of findings) {
+    const suppression = finding.files.map(file => findFileSuppression(project, file, 'modularization')).find(Boolean);
+    if (suppression) {
+      suppressed.push({ ...finding, suppression });
+    } else {
+      active.push(finding);
+    }
+  }
+
+  return { active, suppressed };
+}
+
+/**
+ * Score from the share of domain-named modules; one point less with junk drawers
+ */
+function calculateScore(domainShare, moduleCount, junkDrawerCount) {
+  let score;
+  if (moduleCount === 0) score = 5;      // Keine Module unterhalb der Layer
+  else if (domainShare >= 90) score = 5; // Fachlich geschnitten
+  else if (domainShare >= 75) score = 4;
+  else if (domainShare >= 60) score = 3;
+  else if (domainShare >= 45) score = 2;
+  else if (domainShare >= 30) score = 1;
+  else score = 0;                        // Überwiegend technisch geschnitten
+
+  return junkDrawerCount > 0 ? Math.max(0, score - 1) : score;
+}
+
+/**
+ * Get MMI level description
+ */
+function getLevel(score) {
+  const levels = {
+    5: 'Exzellent',
+    4: 'Gut',
+    3: 'Akzeptabel',
+    2: 'Verbesserungswürdig',
+    1: 'Schlecht',
+    0: 'Kritisch'
+  };
+  return levels[score] || 'Unbekannt';
+}
@@ -0,0 +1,317 @@
+import { createProjectSnapshot } from '../utils/project-snapshot.js';
+import { extractSnippet } from '../utils/source-snippet.js';
+import { partitionFindings } from '../utils/suppressions.js';
+import { compareWithBaseline } from '../utils/baseline.js';
+
+// Ebenen, auf denen Größe und Balance gemessen werden
+export const SIZE_LEVELS = ['file', 'class', 'namespace', 'project'];
+
+const CLASS_KINDS = ['class', 'struct', 'record'];
+
+// Anzahl größter Einheiten je Ebene im Ergebnis
+const LARGEST_SHOWN = 5;
+
+/**
+ * Analyzes module sizes: lines of code per file, class, namespace and project,
+ * their balance (Gini coefficient, outliers beyond N × median), god classes
+ * and oversized files/modules. Lines of code are lines containing code tokens
+ * (no blank or comment-only lines).
+ * @param {string} projectPath - Path to the C# project
+ * @param {boolean} useCache - Use file cache (default: false)
+ * @param {Object} [snapshot] - Shared project snapshot (built if omitted)
+ */
+export function analyzeModuleSize(projectPath, useCache = false, snapshot = null) {
+  console.error(`[MMI] Analyzing module sizes in ${projectPath}`);
+
+  const project = snapshot || createProjectSnapshot(projectPath, { useCache });
+  const thresholds = project.config.moduleSize;
+
+  const files = project.files.map(file => measureFile(file));
+  const classes = measureClasses(project.files, files);
+  const namespaces = groupLines(files, file => file.namespace);
+  const projects = groupLines(files, file => file.project);
+  const totalLines = files.reduce((sum, file) => sum + file.lines, 0);
+
+  const levels = {
+    file: summarizeLevel(files.map(f => ({ name: f.file, lines: f.lines })), thresholds),
+    class: summarizeLevel(classes.map(c => ({ name: c.name, lines: c.lines })), thresholds),
+    namespace: summarizeLevel(namespaces, thresholds),
+    project: summarizeLevel(projects, thresholds)
+  };
+
+  const detected = [
+    ...findGodClasses(classes, thresholds),
+    ...findOversizedFiles(files, thresholds),
+    ...findOversizedModules('namespace', namespaces, levels.namespace, thresholds),
+    ...findOversizedModules('project', projects, levels.project, thresholds)
+  ];
+
+  // `// mmi-ignore: size` über der Klasse bzw. `mmi-ignore-file: size` in der Datei
+  const { active, suppressed } = partitionFindings(detected, project, 'size');
+  const { findings, summary: baseline } = compareWithBaseline(project, 'size', active);
+
+  const godClasses = findings.filter(f => f.rule === 'god-class');
+  const oversizedFiles = findings.filter(f => f.rule === 'oversized-file');
+  const oversizedModules = findings.filter(f => f.rule === 'oversized-module');
+
+  const flaggedLines = getFlaggedLines(files, godClasses, oversizedFiles);
+  const oversizedShare = totalLines > 0 ? Number((flaggedLines / totalLines * 100).toFixed(1)) : 0;
+  const score = calculateScore(oversizedShare, oversizedModules.length);
+
+  console.error(`[MMI] Module size: ${totalLines} lines, ${godClasses.length} god classes, ${oversizedFiles.length} oversized files, ${oversizedModules.length} oversized modules`);
+
+  return {
+    projectPath,
+    totalFiles: files.length,
+    totalClasses: classes.length,
+    totalLines,
+    thresholds,
+    levels,
+    files: files.map(({ file, lines, layer }) => ({ file, lines, layer })),
+    findings,
+    godClasses,
+    godClassCount: godClasses.length,
+    oversizedFiles,
+    oversizedFileCount: oversizedFiles.length,
+    oversizedModules,
+    oversizedModuleCount: oversizedModules.length,
+    oversizedShare,
+    suppressed,
+    suppressedCount: suppressed.length,
+    baseline,
+    score,
+    level: getLevel(score)
+  };
+}
+
+/**
+ * Lines of code of a file (lines touched by a code token)
+ */
+function measureFile(file) {
+  const codeLines = new Set();
+  for (const token of file.model.tokens) {
+    for (let line = token.line; line <= token.endLine; line++) codeLines.add(line);
+  }
+
+  return {
+    file: file.relativePath,
+    namespace: file.model.namespace || '(global namespace)',
+    project: file.project || '(no project)',
+    layer: file.layer,
+    lines: codeLines.size,
+    codeLines
+  };
+}
+
+/**
+ * Lines and methods per class; partial declarations are merged, nested types
+ * count on their own (their lines are not part of the outer class)
+ */
+function measureClasses(snapshotFiles, measured) {
+  const byName = new Map();
+
+  snapshotFiles.forEach((file, index) => {
+    const { codeLines } = measured[index];
+    const types = file.model.types;
+
+    for (const type of types.filter(t => CLASS_KINDS.includes(t.kind))) {
+      const nested = types.filter(t => t.parent === type.fullName);
+      let lines = 0;
+      for (const line of codeLines) {
+        if (line < type.line || line > type.endLine) continue;
+        if (nested.some(n => line >= n.line && line <= n.endLine)) continue;
+        lines++;
+      }
+
+      if (!byName.has(type.fullName)) {
+        byName.set(type.fullName, {
+          name: type.fullName,
+          kind: type.kind,
+          file: file.relativePath,
+          line: type.line,
+          column: type.column,
+          content: file.content,
+          files: [],
+          lines: 0,
+          methods: 0
+        });
+      }
+
+      const entry = byName.get(type.fullName);
+      if (!entry.files.includes(file.relativePath)) entry.files.push(file.relativePath);
+      entry.lines += lines;
+      entry.methods += type.members.filter(m => m.kind === 'method').length;
+    }
+  });
+
+  return [...byName.values()];
+}
+
+function groupLines(files, keyOf) {
+  const groups = new Map();
+  for (const file of files) {
+    const key = keyOf(file);
+    if (!groups.has(key)) groups.set(key, { name: key, lines: 0, files: [] });
+    const group = groups.get(key);
+    group.lines += file.lines;
+    group.files.push(file);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Distribution of one level: median, max, Gini coefficient (0 = all units
+ * equally large, 1 = everything in one unit) and outliers beyond N × median
+ */
+function summarizeLevel(units, thresholds) {
+  const sizes = units.map(u => u.lines);
+  const median = getMedian(sizes);
+  const limit = median * thresholds.outlierFactor;
+  const bySize = [...units].sort((a, b) => b.lines - a.lines);
+
+  return {
+    count: units.length,
+    totalLines: sizes.reduce((sum, lines) => sum + lines, 0),
+    median,
+    max: sizes.length > 0 ? Math.max(...sizes) : 0,
+    gini: getGini(sizes),
+    // Erst ab 3 Einheiten ist der Median aussagekräftig
+    outliers: units.length >= 3 && median > 0
+      ? bySize.filter(u => u.lines > limit).map(u => ({ name: u.name, lines: u.lines, factor: Number((u.lines / median).toFixed(1)) }))
+      : [],
+    largest: bySize.slice(0, LARGEST_SHOWN).map(u => ({ name: u.name, lines: u.lines }))
+  };
+}
+
+function findGodClasses(classes, thresholds) {
+  const { maxClassLines, maxClassMethods } = thresholds;
+
+  return classes
+    .filter(c => c.lines > maxClassLines || c.methods > maxClassMethods)
+    .sort((a, b) => b.lines - a.lines)
+    .map(c => {
+      const reasons = [];
+      if (c.lines > maxClassLines) reasons.push(`${c.lines} lines (max ${maxClassLines})`);
+      if (c.methods > maxClassMethods) reasons.push(`${c.methods} methods (max ${maxClassMethods})`);
+
+      return {
+        rule: 'god-class',
+        file: c.file,
+        line: c.line,
+        column: c.column,
+        endLine: c.line,
+        snippet: extractSnippet(c.content, c.line),
+        name: c.name,
+        kind: c.kind,
+        files: c.files,
+        lines: c.lines,
+        methods: c.methods,
+        reasons,
+        severity: c.lines > 2 * maxClassLines || c.methods > 2 * maxClassMethods ? 'HIGH' : 'MEDIUM'
+      };
+    });
+}
+
+function findOversizedFiles(files, thresholds) {
+  return files
+    .filter(f => f.lines > thresholds.maxFileLines)
+    .sort((a, b) => b.lines - a.lines)
+    .map(f => ({
+      rule: 'oversized-file',
+      file: f.file,
+      line: null,
+      column: null,
+      endLine: null,
+      name: f.file,
+      lines: f.lines,
+      severity: f.lines > 2 * thresholds.maxFileLines ? 'HIGH' : 'MEDIUM'
+    }));
+}
+
+/**
+ * Namespaces/projects beyond N × median that are also larger than a big file
+ * (in kleinen Projekten ist sonst jeder Ausreißer "oversized").
+ * Located at their largest file, which also carries `mmi-ignore-file: size`
+ */
+function findOversizedModules(level, groups, summary, thresholds) {
+  const outliers = new Set(summary.outliers.map(o => o.name));
+
+  return groups
+    .filter(g => outliers.has(g.name) && g.lines > thresholds.maxFileLines)
+    .map(g => {
+      const largestFile = g.files.reduce((a, b) => (b.lines > a.lines ? b : a));
+      return {
+        rule: 'oversized-module',
+        file: largestFile.file,
+        line: null,
+        column: null,
+        endLine: null,
+        level,
+        name: g.name,
+        lines: g.lines,
+        fileCount: g.files.length,
+        median: summary.median,
+        factor: Number((g.lines / summary.median).toFixed(1)),
+        severity: 'MEDIUM'
+      };
+    });
+}
+
+/**
+ * Lines of code in files that are oversized or contain a god class
+ */
+function getFlaggedLines(files, godClasses, oversizedFiles) {
+  const flagged = new Set([
+    ...oversizedFiles.map(f => f.file),
+    ...godClasses.flatMap(c => c.files)
+  ]);
+  return files.filter(f => flagged.has(f.file)).reduce((sum, f) => sum + f.lines, 0);
+}
+
+function getMedian(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function getGini(values) {
+  const total = values.reduce((sum, v) => sum + v, 0);
+  if (values.length < 2 || total === 0) return 0;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const weighted = sorted.reduce((sum, v, i) => sum + (i + 1) * v, 0);
+  const gini = (2 * weighted) / (sorted.length * total) - (sorted.length + 1) / sorted.length;
+  return Number(gini.toFixed(2));
+}
+
+/**
+ * Score from the share of code in god classes / oversized files,
+ * one point less when namespaces or projects are oversized
+ */
+function calculateScore(oversizedShare, oversizedModuleCount) {
+  let score;
+  if (oversizedShare === 0) score = 5;       // Nichts zu groß
+  else if (oversizedShare < 10) score = 4;   // < 10% des Codes
+  else if (oversizedShare < 20) score = 3;   // < 20% des Codes
+  else if (oversizedShare < 35) score = 2;   // < 35% des Codes
+  else if (oversizedShare < 50) score = 1;   // < 50% des Codes
+  else score = 0;                            // Hälfte des Codes in Monolithen
+
+  return Math.max(0, score - (oversizedModuleCount > 0 ? 1 : 0));
+}
+
+/**
+ * Get MMI level description
+ */
+function getLevel(score) {
+  const levels = {
+    5: 'Exzellent',
+    4: 'Gut',
+    3: 'Akzeptabel',
+    2: 'Verbesserungswürdig',
+    1: 'Schlecht',
+    0: 'Kritisch'
+  };
+  return levels[score] || 'Unbekannt';
+}
@@ -0,0 +1,226 @@
+import { createProjectSnapshot } from '../utils/project-snapshot.js';
+import { getLayerRole } from '../config/project-config.js';
+import { buildTypeIndex, resolveReferencedTypes } from '../utils/type-index.js';
+import { extractSnippet } from '../utils/source-snippet.js';
+import { partitionFindings } from '../utils/suppressions.js';
+import { compareWithBaseline } from '../utils/baseline.js';
+
+// Vorgänger, nach denen ein Bezeichner Member eines anderen Objekts ist
+const MEMBER_ACCESS = ['.', '?.', '::'];
+
+/**
+ * Analyzes pattern consistency: types whose name suffix implies a layer
+ * (`*Repository`, `*Controller`, `*Handler`, `*Dto`, ...) are checked against
+ * the naming conventions of the project config.
+ * - misplaced: type declared outside the layers of `allowedIn`
+ * - forbidden-reference: type used by a layer of `notReferencedBy`
+ * Targets are layer names or roles; files without a layer are not judged.
+ * @param {string} projectPath - Path to the C# project
+ * @param {boolean} useCache - Use file cache (default: false)
+ * @param {Object} [snapshot] - Shared project snapshot (built if omitted)
+ */
+export function analyzePatterns(projectPath, useCache = false, snapshot = null) {
+  console.error(`[MMI] Analyzing pattern consistency in ${projectPath}`);
+
+  const project = snapshot || createProjectSnapshot(projectPath, { useCache });
+  const { config } = project;
+  const typeIndex = buildTypeIndex(project.files);
+
+  const detected = [];
+  const conventions = config.conventions.map(convention => {
+    const types = collectMatchingTypes(project.files, convention);
+    const found = [
+      ...findMisplaced(types, convention, config),
+      ...findForbiddenReferences(project.files, types, convention, config, typeIndex)
+    ];
+    detected.push(...found);
+    return { convention, types };
+  });
+
+  // `// mmi-ignore: patterns` über der Typdeklaration bzw. der Datei mit der Referenz
+  const { active, suppressed } = partitionFindings(detected, project, 'patterns');
+  const { findings, summary: baseline } = compareWithBaseline(project, 'patterns', active);
+
+  // Konformität je Typ: ein Typ mit mehreren Findings zählt einmal
+  const matched = new Set(conventions.flatMap(c => [...c.types.keys()]));
+  const violating = new Set(findings.map(f => f.name));
+  const conformance = matched.size > 0
+    ? Number(((matched.size - violating.size) / matched.size * 100).toFixed(1))
+    : 100;
+  const score = calculateScore(conformance, matched.size);
+
+  console.error(`[MMI] Patterns: ${matched.size} types matched by ${config.conventions.length} conventions, ${findings.length} violations`);
+
+  return {
+    projectPath,
+    totalFiles: project.files.length,
+    matchedTypes: matched.size,
+    conformingTypes: matched.size - violating.size,
+    conformance,
+    conventions: conventions.map(({ convention, types }) => summarizeConvention(convention, types, findings)),
+    findings,
+    findingCount: findings.length,
+    misplacedCount: findings.filter(f => f.rule === 'misplaced').length,
+    forbiddenReferenceCount: findings.filter(f => f.rule === 'forbidden-reference').length,
+    suppressed,
+    suppressedCount: suppressed.length,
+    baseline,
+    score,
+    level: getLevel(score)
+  };
+}
+
+/**
+ * Types with the convention's suffix (case-insensitive) and kind
+ * @returns {Map} fullName → declarations [{ type, file }] (partial classes: several)
+ */
+function collectMatchingTypes(files, convention) {
+  const suffix = convention.suffix.toLowerCase();
+  const types = new Map();
+
+  for (const file of files) {
+    for (const type of file.model.types) {
+      if (!type.name || !type.name.toLowerCase().endsWith(suffix)) continue;
+      if (convention.kinds.length > 0 && !convention.kinds.includes(type.kind)) continue;
+
+      if (!types.has(type.fullName)) types.set(type.fullName, []);
+      types.get(type.fullName).push({ type, file });
+    }
+  }
+
+  return types;
+}
+
+/**
+ * Declarations outside the allowed layers (one finding per declaring file)
+ */
+function findMisplaced(types, convention, config) {
+  if (convention.allowedIn.length === 0) return [];
+
+  const findings = [];
+  for (const [fullName, declarations] of types) {
+    for (const { type, file } of declarations) {
+      if (!file.layer || isInTargets(config, file.layer, convention.allowedIn)) continue;
+      if (findings.some(f => f.name === fullName && f.file === file.relativePath)) continue;
+
+      findings.push({
+        rule: 'misplaced',
+        convention: convention.name,
+        suffix: convention.suffix,
+        file: file.relativePath,
+        line: type.line,
+        column: type.column,
+        endLine: type.line,
+        snippet: extractSnippet(file.content, type.line),
+        name: fullName,
+        kind: type.kind,
+        layer: file.layer,
+        expected: convention.allowedIn,
+        severity: 'MEDIUM'
+      });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Files of a forbidden layer that reference a matching type
+ */
+function findForbiddenReferences(files, types, convention, config, typeIndex) {
+  if (convention.notReferencedBy.length === 0 || types.size === 0) return [];
+
+  const findings = [];
+  for (const file of files) {
+    if (!file.layer || !isInTargets(config, file.layer, convention.notReferencedBy)) continue;
+
+    const referenced = new Set(
+      resolveReferencedTypes(file, typeIndex)
+        .filter(entry => types.has(entry.fullName))
+        .map(entry => entry.fullName)
+    );
+
+    for (const fullName of referenced) {
+      const { type, file: declaring } = types.get(fullName)[0];
+      const position = findFirstReference(file.model.tokens, type.name);
+
+      findings.push({
+        rule: 'forbidden-reference',
+        convention: convention.name,
+        suffix: convention.suffix,
+        file: file.relativePath,
+        line: position?.line ?? null,
+        column: position?.column ?? null,
+        endLine: position?.line ?? null,
+        ...(position && { snippet: extractSnippet(file.content, position.line) }),
+        name: fullName,
+        kind: type.kind,
+        layer: file.layer,
+        declaredIn: declaring.relativePath,
+        forbidden: convention.notReferencedBy,
+        severity: 'HIGH'
+      });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Position of the first use of a type name (unqualified first, else qualified)
+ */
+function findFirstReference(tokens, name) {
+  let qualified = null;
+  for (let i = 0; i < tokens.length; i++) {
+    if (tokens[i].type !== 'identifier' || tokens[i].value !== name) continue;
+    if (!MEMBER_ACCESS.includes(tokens[i - 1]?.value)) return tokens[i];
+    qualified = qualified || tokens[i];
+  }
+  return qualified;
+}
+
+function isInTargets(config, layer, targets) {
+  return targets.includes(layer) || targets.includes(getLayerRole(config, layer));
+}
+
+function summarizeConvention(convention, types, findings) {
+  const violating = new Set(findings.filter(f => f.convention === convention.name).map(f => f.name));
+  return {
+    name: convention.name,
+    suffix: convention.suffix,
+    kinds: convention.kinds,
+    allowedIn: convention.allowedIn,
+    notReferencedBy: convention.notReferencedBy,
+    matched: types.size,
+    conforming: types.size - violating.size,
+    violations: findings.filter(f => f.convention === convention.name).length
+  };
+}
+
+/**
+ * Score from the share of matched types that follow their conventions
+ */
+function calculateScore(conformance, matchedCount) {
+  if (matchedCount === 0) return 5;   // Keine Typen mit Konventions-Suffix
+  if (conformance === 100) return 5;
+  if (conformance >= 95) return 4;
+  if (conformance >= 90) return 3;
+  if (conformance >= 80) return 2;
+  if (conformance >= 65) return 1;
+  return 0;                           // Jeder dritte Typ widerspricht seinem Namen
+}
+
+/**
+ * Get MMI level description
+ */
+function getLevel(score) {
+  const levels = {
+    5: 'Exzellent',
+    4: 'Gut',
+    3: 'Akzeptabel',
+    2: 'Verbesserungswürdig',
+    1: 'Schlecht',
+    0: 'Kritisch'
+  };
+  return levels[score] || 'Unbekannt';
+}
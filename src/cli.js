@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+
+/**
+ * Command-line interface for CI pipelines
+ * Nutzt dieselben Analyzer und Formatter wie der MCP-Server, liefert aber
+ * Exit-Codes für Quality Gates:
+ *   0 = passed, 1 = gate failed (score/budget), 2 = usage or analysis error
+ *
+ *   mmi-analyzer analyze <path> [--dimensions layering,cycles] [--format markdown|json|sarif]
+ *                               [--min-score 3.5] [--max-new-violations 0] [--heatmap report.html]
+ *   mmi-analyzer baseline <path>
+ *   mmi-analyzer serve            (MCP server over stdio - default without arguments)
+ */
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { analyzeLayering } from './analyzers/layering.js';
+import { analyzeEncapsulation } from './analyzers/encapsulation.js';
+import { analyzeAbstraction } from './analyzers/abstraction.js';
+import { analyzeCycles, CYCLE_GRANULARITIES } from './analyzers/cycle-analyzer.js';
+import { analyzeModuleSize } from './analyzers/module-size.js';
+import { analyzeCoupling } from './analyzers/coupling.js';
+import { analyzeCohesion } from './analyzers/cohesion.js';
+import { analyzePatterns } from './analyzers/patterns.js';
+import { analyzeModularization } from './analyzers/modularization.js';
+import { analyzeInheritance } from './analyzers/inheritance.js';
+import { formatLayeringReport } from './formatters/layering-formatter.js';
+import { formatEncapsulationReport } from './formatters/encapsulation-formatter.js';
+import { formatAbstractionReport } from './formatters/abstraction-formatter.js';
+import { formatCycleReport } from './formatters/cycle-formatter.js';
+import { formatModuleSizeReport } from './formatters/module-size-formatter.js';
+import { formatCouplingReport } from './formatters/coupling-formatter.js';
+import { formatCohesionReport } from './formatters/cohesion-formatter.js';
+import { formatPatternsReport } from './formatters/patterns-formatter.js';
+import { formatModularizationReport } from './formatters/modularization-formatter.js';
+import { formatBaselineCreated } from './formatters/baseline-formatter.js';
+import { formatSarifReport } from './formatters/sarif-formatter.js';
+import { generateHeatmap } from './visualizations/heatmap-generator.js';
+import { createProjectSnapshot } from './utils/project-snapshot.js';
+import { BASELINE_FILE, loadBaseline, writeBaseline, collectBaselineFindings } from './utils/baseline.js';
+import { validateProjectPath } from './utils/validation.js';
+
+const EXIT_PASSED = 0;
+const EXIT_GATE_FAILED = 1;
+const EXIT_ERROR = 2;
+
+// Dimensionen in Report-Reihenfolge
+const DIMENSIONS = {
+  modularization: {
+    label: 'Domain Modularization',
+    analyze: (projectPath, snapshot) => analyzeModularization(projectPath, false, snapshot),
+    format: formatModularizationReport
+  },
+  layering: {
+    label: 'Layering',
+    analyze: (projectPath, snapshot) => analyzeLayering(projectPath, false, snapshot),
+    format: formatLayeringReport
+  },
+  patterns: {
+    label: 'Pattern Consistency',
+    analyze: (projectPath, snapshot) => analyzePatterns(projectPath, false, snapshot),
+    format: formatPatternsReport
+  },
+  size: {
+    label: 'Module Size',
+    analyze: (projectPath, snapshot) => analyzeModuleSize(projectPath, false, snapshot),
+    format: formatModuleSizeReport
+  },
+  encapsulation: {
+    label: 'Encapsulation',
+    analyze: (projectPath, snapshot, options) => analyzeEncapsulation(projectPath, false, snapshot, { members: options.mode === 'detailed' }),
+    format: formatEncapsulationReport
+  },
+  coupling: {
+    label: 'Coupling',
+    analyze: (projectPath, snapshot) => analyzeCoupling(projectPath, false, snapshot),
+    format: formatCouplingReport
+  },
+  cohesion: {
+    label: 'Cohesion',
+    analyze: (projectPath, snapshot) => analyzeCohesion(projectPath, false, snapshot),
+    format: formatCohesionReport
+  },
+  abstraction: {
+    label: 'Abstraction',
+    analyze: (projectPath, snapshot) => analyzeAbstraction(projectPath, false, snapshot),
+    format: formatAbstractionReport
+  },
+  cycles: {
+    label: 'Cycles',
+    analyze: (projectPath, snapshot, options) => analyzeCycles(projectPath, false, snapshot, { granularity: options.granularity }),
+    format: formatCycleReport
+  }
+};
+
+const FORMATS = ['markdown', 'json', 'sarif'];
+const MODES = ['compact', 'detailed'];
+
+const OPTIONS = {
+  dimensions: { type: 'string', default: Object.keys(DIMENSIONS).join(',') },
+  format: { type: 'string', default: 'markdown' },
+  mode: { type: 'string', default: 'compact' },
+  'min-score': { type: 'string' },
+  'max-new-violations': { type: 'string' },
+  'only-new': { type: 'boolean', default: false },
+  'architecture-style': { type: 'string' },
+  granularity: { type: 'string', default: 'file' },
+  heatmap: { type: 'string' },
+  output: { type: 'string' },
+  verbose: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const USAGE = `Usage:
+  mmi-analyzer analyze <path> [options]   Analyze a C# solution and apply quality gates
+  mmi-analyzer baseline <path>            Write ${BASELINE_FILE} with the current findings
+  mmi-analyzer serve                      Start the MCP server (stdio, default)
+
+Options:
+  --dimensions <list>          Comma-separated: ${Object.keys(DIMENSIONS).join(', ')} (default: all)
+  --format <format>            ${FORMATS.join(' | ')} (default: markdown)
+  --mode <mode>                compact | detailed (default: compact; detailed adds member-level encapsulation)
+  --min-score <n>              Fail when the overall score (mean of the dimensions) is below n
+  --max-new-violations <n>     Fail when more than n findings are not in ${BASELINE_FILE}
+  --only-new                   Report only findings that are not in ${BASELINE_FILE}
+  --architecture-style <name>  clean | onion | hexagonal | vertical-slice
+  --granularity <level>        Cycle granularity: ${CYCLE_GRANULARITIES.join(', ')} (default: file)
+  --heatmap <file>             Also write the interactive heatmap HTML to <file>
+  --output <file>              Write the report to <file> instead of stdout
+  --verbose                    Show analyzer progress logs on stderr
+
+Exit codes: 0 = passed, 1 = quality gate failed, 2 = usage or analysis error`;
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without node and script path
+ * @returns {Promise<number|null>} Exit code (null while the MCP server runs)
+ */
+async function runCli(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    return fail(`${error.message}\n\n${USAGE}`);
+  }
+
+  const { values, positionals } = parsed;
+  const [command = 'serve', projectPath] = positionals;
+
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_PASSED;
+  }
+
+  if (command === 'serve') {
+    await import('./server.js');
+    return null;
+  }
+
+  if (!['analyze', 'baseline'].includes(command)) {
+    return fail(`Unknown command "${command}"\n\n${USAGE}`);
+  }
+
+  const validation = validateProjectPath(projectPath);
+  if (!validation.valid) {
+    return fail(validation.error);
+  }
+
+  // Analyzer-Logs nur auf Wunsch - in CI-Logs zählt der Report
+  if (!values.verbose) silenceProgressLogs();
+
+  try {
+    return command === 'baseline'
+      ? createBaseline(projectPath, values)
+      : analyze(projectPath, values);
+  } catch (error) {
+    return fail(error.message);
+  }
+}
+
+/**
+ * `analyze`: run the selected dimensions, print the report and apply the gates
+ */
+function analyze(projectPath, values) {
+  const options = parseAnalyzeOptions(values);
+
+  const baseline = options.onlyNew ? loadBaseline(projectPath) : null;
+  if (options.onlyNew && !baseline) {
+    throw new Error(`No ${BASELINE_FILE} in ${projectPath} - run "mmi-analyzer baseline ${projectPath}" first`);
+  }
+
+  const snapshot = createProjectSnapshot(projectPath, { architectureStyle: options.architectureStyle, baseline });
+
+  // Die Heatmap braucht alle Dimensionen
+  const analyzed = options.heatmap ? Object.keys(DIMENSIONS) : options.dimensions;
+  const results = {};
+  for (const name of analyzed) {
+    results[name] = DIMENSIONS[name].analyze(projectPath, snapshot, options);
+  }
+
+  const selected = Object.fromEntries(options.dimensions.map(name => [name, results[name]]));
+  const gate = evaluateGate(selected, options);
+
+  if (options.heatmap) {
+    const html = generateHeatmap(results, snapshot);
+    fs.writeFileSync(options.heatmap, html);
+    console.error(`Heatmap written to ${options.heatmap}`);
+  }
+
+  writeOutput(formatOutput(projectPath, selected, gate, options), options.output);
+
+  return gate.passed ? EXIT_PASSED : EXIT_GATE_FAILED;
+}
+
+/**
+ * `baseline`: snapshot all current findings into .mmi-baseline.json
+ * (incl. the inheritance analysis, which is no MMI dimension, the
+ * member-level encapsulation findings of the detailed mode and the cycles
+ * at every granularity)
+ */
+function createBaseline(projectPath, values) {
+  const snapshot = createProjectSnapshot(projectPath, { architectureStyle: values['architecture-style'] });
+  const results = Object.fromEntries(
+    Object.entries(DIMENSIONS).map(([name, dimension]) => [name, dimension.analyze(projectPath, snapshot, { mode: 'detailed' })])
+  );
+  results.inheritance = analyzeInheritance(projectPath, false, snapshot);
+  // Zyklen je Granularität, damit jedes `analyze --granularity` vergleichbar ist
+  results.cycles = CYCLE_GRANULARITIES.map(granularity => analyzeCycles(projectPath, false, snapshot, { granularity }));
+
+  const { file, baseline } = writeBaseline(projectPath, collectBaselineFindings(results));
+
+  writeOutput(formatBaselineCreated(file, baseline), values.output);
+  return EXIT_PASSED;
+}
+
+/**
+ * Validate and normalize the options of `analyze`
+ */
+function parseAnalyzeOptions(values) {
+  const dimensions = values.dimensions.split(',').map(d => d.trim()).filter(Boolean);
+  const unknown = dimensions.filter(d => !DIMENSIONS[d]);
+  if (unknown.length > 0 || dimensions.length === 0) {
+    throw new Error(`Unknown dimension: ${unknown.join(', ') || '(none)'} (expected ${Object.keys(DIMENSIONS).join(', ')})`);
+  }
+
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`Unknown format "${values.format}" (expected ${FORMATS.join(', ')})`);
+  }
+
+  if (!MODES.includes(values.mode)) {
+    throw new Error(`Unknown mode "${values.mode}" (expected ${MODES.join(', ')})`);
+  }
+
+  if (!CYCLE_GRANULARITIES.includes(values.granularity)) {
+    throw new Error(`Unknown granularity "${values.granularity}" (expected ${CYCLE_GRANULARITIES.join(', ')})`);
+  }
+
+  const minScore = parseNumber(values['min-score'], '--min-score');
+  const maxNewViolations = parseNumber(values['max-new-violations'], '--max-new-violations');
+
+  return {
+    dimensions: Object.keys(DIMENSIONS).filter(name => dimensions.includes(name)),
+    format: values.format,
+    mode: values.mode,
+    minScore,
+    maxNewViolations,
+    // Ein Budget für neue Verletzungen setzt den Baseline-Vergleich voraus
+    onlyNew: values['only-new'] || maxNewViolations !== null,
+    architectureStyle: values['architecture-style'],
+    granularity: values.granularity,
+    heatmap: values.heatmap || null,
+    output: values.output || null
+  };
+}
+
+function parseNumber(value, name) {
+  if (value === undefined) return null;
+  const number = Number(value);
+  if (value.trim() === '' || Number.isNaN(number)) {
+    throw new Error(`${name} expects a number, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Quality gate: overall score (mean of the selected dimensions) and
+ * budget for findings that are not in the baseline
+ * @returns {Object} { passed, overallScore, newViolations, failures }
+ */
+function evaluateGate(results, options) {
+  const scores = Object.values(results).map(result => result.score);
+  const overallScore = Number((scores.reduce((sum, score) => sum + score, 0) / scores.length).toFixed(1));
+  const failures = [];
+
+  if (options.minScore !== null && overallScore < options.minScore) {
+    failures.push(`Overall score ${overallScore} is below the minimum of ${options.minScore}`);
+  }
+
+  let newViolations = null;
+  if (options.maxNewViolations !== null) {
+    // Member-Findings (detailed) haben eine eigene Baseline-Zusammenfassung
+    newViolations = Object.values(results).reduce((sum, result) =>
+      sum + result.baseline.newCount + (result.members ? result.members.baseline.newCount : 0), 0);
+    if (newViolations > options.maxNewViolations) {
+      failures.push(`${newViolations} new findings exceed the budget of ${options.maxNewViolations}`);
+    }
+  }
+
+  return { passed: failures.length === 0, overallScore, newViolations, failures };
+}
+
+function formatOutput(projectPath, results, gate, options) {
+  if (options.format === 'sarif') return formatSarifReport(results);
+  if (options.format === 'json') {
+    return JSON.stringify({ projectPath, overallScore: gate.overallScore, dimensions: results, gate }, null, 2);
+  }
+  return formatMarkdown(results, gate, options.mode);
+}
+
+function formatMarkdown(results, gate, mode) {
+  const reports = Object.entries(results).map(([name, result]) => DIMENSIONS[name].format(result, mode));
+
+  let summary = `# 🚦 Quality Gate: ${gate.passed ? '✅ Passed' : '❌ Failed'}\n\n`;
+  summary += `**Overall Score:** ${gate.overallScore}/5 (${Object.keys(results).map(name => DIMENSIONS[name].label).join(', ')})`;
+  if (gate.newViolations !== null) summary += ` | **New Findings:** ${gate.newViolations}`;
+  summary += `\n\n`;
+  gate.failures.forEach(failure => {
+    summary += `- ❌ ${failure}\n`;
+  });
+
+  return [summary, ...reports].join('\n---\n\n');
+}
+
+function writeOutput(text, file) {
+  if (file) {
+    fs.writeFileSync(file, text.endsWith('\n') ? text : `${text}\n`);
+    console.error(`Report written to ${file}`);
+  } else {
+    console.log(text);
+  }
+}
+
+function fail(message) {
+  console.error(`❌ Error: ${message}`);
+  return EXIT_ERROR;
+}
+
+/**
+ * Hide `[MMI] ...` progress logs of the analyzers (errors stay visible)
+ */
+function silenceProgressLogs() {
+  const log = console.error;
+  console.error = (first, ...rest) => {
+    if (typeof first === 'string' && first.startsWith('[MMI]')) return;
+    log(first, ...rest);
+  };
+}
+
+const exitCode = await runCli(process.argv.slice(2));
+if (exitCode !== null) process.exitCode = exitCode;
@@ -0,0 +1,199 @@
+/**
+ * Architecture style presets
+ * Jeder Preset bringt eigene Layer-Erkennung, Abhängigkeitsregeln und
+ * Severities mit (gleiches Format wie .mmi.json).
+ *
+ * Layer fields:
+ * - paths: globs relative to the project root (most specific match wins)
+ * - aliases: names recognized in namespaces/using directives (default: layer name)
+ * - sliceRoots: folders/namespace segments whose children are isolated slices
+ *   (sibling slices must not reference each other)
+ */
+
+export const DEFAULT_ARCHITECTURE_STYLE = 'clean';
+
+export const ARCHITECTURE_PRESETS = {
+  clean: {
+    label: 'Clean Architecture',
+    description: 'Domain → Application → Infrastructure/Presentation, dependencies point inwards',
+    layers: [
+      { name: 'Domain', paths: ['**/Domain/**'], role: 'domain' },
+      { name: 'Application', paths: ['**/Application/**'], role: 'application' },
+      { name: 'Infrastructure', paths: ['**/Infrastructure/**'], role: 'infrastructure' },
+      { name: 'Presentation', paths: ['**/Presentation/**'], role: 'presentation' },
+      { name: 'API', paths: ['**/API/**'], role: 'presentation' },
+      { name: 'Web', paths: ['**/Web/**'], role: 'presentation' }
+    ],
+    allowedDependencies: {
+      Domain: [],
+      Application: ['Domain'],
+      Infrastructure: ['Domain', 'Application'],
+      Presentation: ['*'],
+      API: ['*'],
+      Web: ['*']
+    },
+    severities: {}
+  },
+
+  onion: {
+    label: 'Onion Architecture',
+    description: 'Domain Model → Domain Services → Application Services → outer ring (Infrastructure, UI)',
+    // Keine Matrix: jeder Ring darf nur nach innen zeigen (Reihenfolge)
+    layers: [
+      {
+        name: 'DomainModel',
+        paths: ['**/Domain/**', '**/Core/**'],
+        aliases: ['Domain', 'Core'],
+        role: 'domain'
+      },
+      {
+        name: 'DomainServices',
+        paths: ['**/Domain/Services/**', '**/DomainServices/**'],
+        aliases: ['Domain.Services', 'DomainServices'],
+        role: 'domain'
+      },
+      {
+        name: 'ApplicationServices',
+        paths: ['**/Application/**', '**/ApplicationServices/**'],
+        aliases: ['Application', 'ApplicationServices'],
+        role: 'application'
+      },
+      {
+        name: 'Infrastructure',
+        paths: ['**/Infrastructure/**', '**/Persistence/**'],
+        aliases: ['Infrastructure', 'Persistence'],
+        role: 'infrastructure'
+      },
+      {
+        name: 'Presentation',
+        paths: ['**/Presentation/**', '**/UI/**', '**/Web/**', '**/API/**'],
+        aliases: ['Presentation', 'UI', 'Web', 'API'],
+        role: 'presentation'
+      }
+    ],
+    severities: {
+      'DomainModel->DomainServices': 'MEDIUM'
+    }
+  },
+
+  hexagonal: {
+    label: 'Ports & Adapters (Hexagonal)',
+    description: 'Core uses ports; adapters implement ports and are only wired up by the composition root',
+    layers: [
+      {
+        name: 'Core',
+        paths: ['**/Core/**', '**/Domain/**', '**/Application/**'],
+        aliases: ['Core', 'Domain', 'Application'],
+        role: 'domain'
+      },
+      {
+        name: 'Ports',
+        paths: ['**/Ports/**'],
+        role: 'application'
+      },
+      {
+        name: 'Adapters',
+        paths: ['**/Adapters/**', '**/Infrastructure/**'],
+        aliases: ['Adapters', 'Infrastructure'],
+        sliceRoots: ['Adapters', 'Infrastructure'],
+        role: 'infrastructure'
+      },
+      {
+        name: 'CompositionRoot',
+        paths: ['**/CompositionRoot/**', '**/Bootstrap/**', '**/Host/**', '**/API/**', '**/Web/**'],
+        aliases: ['CompositionRoot', 'Bootstrap', 'Host', 'API', 'Web'],
+        role: 'presentation'
+      }
+    ],
+    allowedDependencies: {
+      Core: ['Ports'],
+      Ports: ['Core'],
+      Adapters: ['Core', 'Ports'],
+      CompositionRoot: ['*']
+    },
+    severities: {
+      'Core->Adapters': 'CRITICAL',
+      'Ports->Adapters': 'CRITICAL',
+      'Core->CompositionRoot': 'HIGH',
+      'Ports->CompositionRoot': 'HIGH',
+      'Adapters->CompositionRoot': 'MEDIUM',
+      'Adapters->Adapters': 'MEDIUM'
+    }
+  },
+
+  'vertical-slice': {
+    label: 'Vertical Slice Architecture',
+    description: 'Features are self-contained slices that only share code via Shared; sibling features stay independent',
+    layers: [
+      {
+        name: 'Shared',
+        paths: ['**/Shared/**', '**/Common/**', '**/Domain/**', '**/Infrastructure/**'],
+        aliases: ['Shared', 'Common', 'Domain', 'Infrastructure']
+      },
+      {
+        name: 'Features',
+        paths: ['**/Features/**', '**/Slices/**', '**/Modules/**'],
+        aliases: ['Features', 'Slices', 'Modules'],
+        sliceRoots: ['Features', 'Slices', 'Modules'],
+        role: 'application'
+      },
+      {
+        name: 'Host',
+        paths: ['**/Program.cs', '**/Startup.cs', '**/Host/**', '**/API/**', '**/Web/**'],
+        aliases: ['Host', 'API', 'Web'],
+        role: 'presentation'
+      }
+    ],
+    allowedDependencies: {
+      Shared: [],
+      Features: ['Shared'],
+      Host: ['*']
+    },
+    severities: {
+      'Features->Features': 'HIGH',
+      'Shared->Features': 'HIGH',
+      'Shared->Host': 'MEDIUM',
+      'Features->Host': 'MEDIUM'
+    }
+  }
+};
+
+// Accepted spellings → preset key
+const STYLE_ALIASES = {
+  clean: 'clean',
+  cleanarchitecture: 'clean',
+  onion: 'onion',
+  onionarchitecture: 'onion',
+  hexagonal: 'hexagonal',
+  portsandadapters: 'hexagonal',
+  portsadapters: 'hexagonal',
+  verticalslice: 'vertical-slice',
+  verticalslices: 'vertical-slice',
+  verticalslicearchitecture: 'vertical-slice'
+};
+
+/**
+ * Resolve an architecture style name (e.g. "Ports & Adapters", "vertical-slice")
+ * @param {string} style - Style name from .mmi.json or tool argument
+ * @returns {string} Preset key
+ */
+export function resolveArchitectureStyle(style) {
+  const key = String(style).toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+  const resolved = STYLE_ALIASES[key];
+
+  if (!resolved) {
+    throw new Error(`Unknown architecture style "${style}" (expected ${Object.keys(ARCHITECTURE_PRESETS).join(', ')})`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Get a preset by style name
+ * @param {string} style - Style name (aliases allowed)
+ * @returns {Object} { style, label, description, layers, allowedDependencies?, severities }
+ */
+export function getArchitecturePreset(style) {
+  const key = resolveArchitectureStyle(style);
+  return { style: key, ...ARCHITECTURE_PRESETS[key] };
+}
@@ -0,0 +1,435 @@
+import fs from 'fs';
+import path from 'path';
+import { globToRegExp, matchesGlob } from '../utils/glob.js';
+import { getArchitecturePreset, DEFAULT_ARCHITECTURE_STYLE } from './architecture-presets.js';
+
+/**
+ * Per-project configuration (.mmi.json)
+ * Definiert Layer (per Pfad-Glob und/oder Namespace-Präfix), ihre Reihenfolge
+ * (innen → außen) und die erlaubten Abhängigkeiten zwischen ihnen.
+ */
+
+export const CONFIG_FILE = '.mmi.json';
+
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+
+// Schwellwerte der Modulgröße (Lines of Code ohne Leer- und Kommentarzeilen)
+const MODULE_SIZE_DEFAULTS = {
+  maxFileLines: 600,      // Datei darüber = oversized
+  maxClassLines: 500,     // Klasse darüber = God Class
+  maxClassMethods: 30,    // ... oder mehr Methoden als das
+  outlierFactor: 5        // Namespace/Projekt größer als N × Median = oversized
+};
+
+// Schwellwerte der Vererbungsanalyse
+const INHERITANCE_DEFAULTS = {
+  maxDepth: 4             // Basisklassen über einem Typ (externe Basis zählt als eine)
+};
+
+// Namenskonventionen: Suffix ↔ Layer (Layer-Namen oder Rollen)
+const CONVENTION_DEFAULTS = [
+  { name: 'repository-interface', suffix: 'Repository', kinds: ['interface'], allowedIn: ['domain'] },
+  { name: 'repository-implementation', suffix: 'Repository', kinds: ['class'], allowedIn: ['infrastructure'] },
+  { name: 'controller', suffix: 'Controller', allowedIn: ['presentation'] },
+  { name: 'handler', suffix: 'Handler', allowedIn: ['application'] },
+  { name: 'dto', suffix: 'Dto', notReferencedBy: ['domain'] }
+];
+
+const CONVENTION_KINDS = ['class', 'interface', 'struct', 'record', 'enum', 'delegate'];
+
+const ROLES = ['domain', 'application', 'infrastructure', 'presentation'];
+
+// Layer name → role, used when a custom layer declares no explicit role
+const ROLE_SYNONYMS = {
+  domain: ['domain', 'core', 'entities', 'model', 'kernel'],
+  application: ['application', 'usecases', 'usecase'],
+  infrastructure: ['infrastructure', 'adapters', 'persistence', 'data'],
+  presentation: ['presentation', 'api', 'web', 'ui', 'hosts', 'host']
+};
+
+/**
+ * Load .mmi.json for a project (searched in projectPath and its parents)
+ * @param {string} projectPath - Path to the C# project
+ * @param {Object} [options] - { architectureStyle: preset that overrides .mmi.json }
+ * @returns {Object} Normalized config ({ source: null } when using defaults)
+ */
+export function loadProjectConfig(projectPath, options = {}) {
+  const { architectureStyle } = options;
+
+  // Explizit angefragter Stil gewinnt gegen .mmi.json
+  if (architectureStyle) {
+    return normalizeConfig(getArchitecturePreset(architectureStyle), null);
+  }
+
+  const configPath = findConfigFile(projectPath);
+
+  if (!configPath) {
+    return normalizeConfig(getArchitecturePreset(DEFAULT_ARCHITECTURE_STYLE), null);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid ${CONFIG_FILE} at ${configPath}: ${err.message}`);
+  }
+
+  console.error(`[MMI] Using project config: ${configPath}`);
+
+  // Eigene Layer ersetzen die Preset-Regeln komplett
+  const merged = raw.layers
+    ? { style: 'custom', label: 'Custom', ...raw }
+    : { ...getArchitecturePreset(raw.architectureStyle || DEFAULT_ARCHITECTURE_STYLE), ...raw };
+  return normalizeConfig(merged, configPath);
+}
+
+/**
+ * Walk up from projectPath until a .mmi.json is found
+ */
+function findConfigFile(projectPath) {
+  let dir = path.resolve(projectPath);
+
+  while (true) {
+    const candidate = path.join(dir, CONFIG_FILE);
+    if (fs.existsSync(candidate)) return candidate;
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Validate and prepare a raw config (compiles globs, fills defaults)
+ * @param {Object} raw - Parsed .mmi.json content
+ * @param {string|null} source - File the config came from
+ * @returns {Object} { source, style, label, layers, allowedDependencies, severities, moduleSize, inheritance, conventions }
+ */
+export function normalizeConfig(raw, source) {
+  if (!Array.isArray(raw.layers) || raw.layers.length === 0) {
+    throw new Error(`${CONFIG_FILE}: "layers" must be a non-empty array`);
+  }
+
+  const layers = raw.layers.map((layer, index) => {
+    if (!layer || typeof layer.name !== 'string' || layer.name.length === 0) {
+      throw new Error(`${CONFIG_FILE}: layer #${index + 1} needs a "name"`);
+    }
+    if (layer.role && !ROLES.includes(layer.role)) {
+      throw new Error(`${CONFIG_FILE}: layer "${layer.name}" has unknown role "${layer.role}" (expected ${ROLES.join(', ')})`);
+    }
+
+    const paths = layer.paths || [];
+    const namespaces = layer.namespaces || [];
+
+    return {
+      name: layer.name,
+      order: index,
+      role: layer.role || inferRole(layer.name),
+      paths,
+      namespaces,
+      aliases: layer.aliases || [layer.name],
+      sliceRoots: layer.sliceRoots || [],
+      pathMatchers: paths.map(pattern => ({ pattern, regex: globToRegExp(pattern) }))
+    };
+  });
+
+  const names = new Set(layers.map(l => l.name));
+
+  // Ohne Matrix: ein Layer darf nur von weiter innen liegenden Layern abhängen
+  const allowedDependencies = {};
+  const rawAllowed = raw.allowedDependencies || deriveAllowedFromOrder(layers);
+  for (const [from, targets] of Object.entries(rawAllowed)) {
+    if (!names.has(from)) {
+      throw new Error(`${CONFIG_FILE}: allowedDependencies references unknown layer "${from}"`);
+    }
+    allowedDependencies[from] = new Set(targets);
+  }
+
+  const severities = {};
+  for (const [rule, severity] of Object.entries(raw.severities || {})) {
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`${CONFIG_FILE}: severity for "${rule}" must be one of ${SEVERITIES.join(', ')}`);
+    }
+    severities[rule.replace(/\s+/g, '')] = severity;
+  }
+
+  return {
+    source,
+    style: raw.style || 'custom',
+    label: raw.label || 'Custom',
+    layers,
+    allowedDependencies,
+    severities,
+    moduleSize: normalizeThresholds('moduleSize', raw.moduleSize || {}, MODULE_SIZE_DEFAULTS),
+    inheritance: normalizeThresholds('inheritance', raw.inheritance || {}, INHERITANCE_DEFAULTS),
+    conventions: normalizeConventions(raw.conventions || CONVENTION_DEFAULTS, names)
+  };
+}
+
+function normalizeThresholds(section, raw, defaults) {
+  const thresholds = { ...defaults };
+  for (const [key, value] of Object.entries(raw)) {
+    if (!(key in defaults)) {
+      throw new Error(`${CONFIG_FILE}: unknown ${section} setting "${key}" (expected ${Object.keys(defaults).join(', ')})`);
+    }
+    if (typeof value !== 'number' || !(value > 0)) {
+      throw new Error(`${CONFIG_FILE}: ${section}.${key} must be a positive number`);
+    }
+    thresholds[key] = value;
+  }
+  return thresholds;
+}
+
+/**
+ * Eigene Konventionen ersetzen die Defaults komplett (`[]` schaltet sie ab)
+ */
+function normalizeConventions(raw, layerNames) {
+  if (!Array.isArray(raw)) {
+    throw new Error(`${CONFIG_FILE}: "conventions" must be an array`);
+  }
+
+  return raw.map((convention, index) => {
+    if (!convention || typeof convention.suffix !== 'string' || convention.suffix.length === 0) {
+      throw new Error(`${CONFIG_FILE}: convention #${index + 1} needs a "suffix"`);
+    }
+    const name = convention.name || convention.suffix.toLowerCase();
+
+    const kinds = convention.kinds || [];
+    const unknownKind = kinds.find(k => !CONVENTION_KINDS.includes(k));
+    if (unknownKind) {
+      throw new Error(`${CONFIG_FILE}: convention "${name}" has unknown kind "${unknownKind}" (expected ${CONVENTION_KINDS.join(', ')})`);
+    }
+
+    const allowedIn = convention.allowedIn || [];
+    const notReferencedBy = convention.notReferencedBy || [];
+    if (allowedIn.length === 0 && notReferencedBy.length === 0) {
+      throw new Error(`${CONFIG_FILE}: convention "${name}" needs "allowedIn" or "notReferencedBy"`);
+    }
+    const unknownTarget = [...allowedIn, ...notReferencedBy].find(t => !layerNames.has(t) && !ROLES.includes(t));
+    if (unknownTarget) {
+      throw new Error(`${CONFIG_FILE}: convention "${name}" references unknown layer or role "${unknownTarget}"`);
+    }
+
+    return { name, suffix: convention.suffix, kinds, allowedIn, notReferencedBy };
+  });
+}
+
+function deriveAllowedFromOrder(layers) {
+  const allowed = {};
+  layers.forEach((layer, index) => {
+    allowed[layer.name] = layers.slice(0, index).map(l => l.name);
+  });
+  return allowed;
+}
+
+function inferRole(name) {
+  const key = name.toLowerCase().replace(/[^a-z]/g, '');
+  for (const [role, synonyms] of Object.entries(ROLE_SYNONYMS)) {
+    if (synonyms.includes(key)) return role;
+  }
+  return null;
+}
+
+/**
+ * Detect which layer a file belongs to (path globs first, then namespace)
+ * The most specific (longest) matching glob wins, so a `Domain/Services` glob
+ * beats a plain `Domain` glob; on equal length the earlier layer wins.
+ * The namespace is resolved like a referenced namespace (prefix, then
+ * name/alias segments), so files and reference targets get the same layer.
+ * @param {Object} config - Normalized project config
+ * @param {string} relativePath - Path relative to the project root
+ * @param {string|null} namespace - Declared namespace of the file
+ * @returns {string|null} Layer name
+ */
+export function detectLayer(config, relativePath, namespace = null) {
+  let best = null;
+
+  for (const layer of config.layers) {
+    for (const matcher of layer.pathMatchers) {
+      if (!matchesGlob(relativePath, matcher.regex)) continue;
+      if (!best || matcher.pattern.length > best.pattern.length) {
+        best = { layer: layer.name, pattern: matcher.pattern };
+      }
+    }
+  }
+
+  if (best) return best.layer;
+
+  if (namespace) {
+    const match = matchNamespacePrefix(config, namespace) || matchNamespaceAlias(config, namespace);
+    if (match) return match.layer;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the layer a referenced namespace belongs to
+ * Matching works on whole namespace segments: `MyApp.Domain.WebhookPayloads`
+ * belongs to Domain, not to Web, and `MyApp.ApiContracts` is not API.
+ * @param {Object} config - Normalized project config
+ * @param {string} namespace - e.g. from a using directive
+ * @returns {Object|null} { layer, match, slice } - match is the configured prefix
+ *   or the namespace segment(s) that matched a layer name/alias
+ */
+export function resolveNamespaceLayer(config, namespace) {
+  const target = matchNamespacePrefix(config, namespace) || matchNamespaceAlias(config, namespace);
+  if (!target) return null;
+
+  return { ...target, slice: detectSlice(config, target.layer, null, namespace) };
+}
+
+/**
+ * Layers without namespace prefixes are recognized by their name/aliases as
+ * complete segments, case-insensitive (`MyApp.Api` → API). The earliest
+ * segment wins, on a tie the alias with more segments (`Domain.Services`).
+ */
+function matchNamespaceAlias(config, namespace) {
+  const segments = namespace.split('.');
+  const lowered = segments.map(segment => segment.toLowerCase());
+  let best = null;
+
+  for (const layer of config.layers) {
+    if (layer.namespaces.length > 0) continue;
+
+    for (const alias of layer.aliases) {
+      const aliasSegments = alias.toLowerCase().split('.');
+      const index = findSegmentSequence(lowered, aliasSegments);
+      if (index === -1) continue;
+
+      const better = !best ||
+        index < best.index ||
+        (index === best.index && aliasSegments.length > best.length);
+
+      if (better) {
+        best = {
+          layer: layer.name,
+          match: segments.slice(index, index + aliasSegments.length).join('.'),
+          index,
+          length: aliasSegments.length
+        };
+      }
+    }
+  }
+
+  return best ? { layer: best.layer, match: best.match } : null;
+}
+
+/**
+ * Index of the first occurrence of `needle` as consecutive segments, or -1
+ */
+function findSegmentSequence(segments, needle) {
+  for (let i = 0; i + needle.length <= segments.length; i++) {
+    if (needle.every((part, offset) => segments[i + offset] === part)) return i;
+  }
+  return -1;
+}
+
+/**
+ * Slice (e.g. feature) of a file or namespace inside a layer with `sliceRoots`:
+ * the folder / namespace segment right after the slice root
+ * @param {Object} config - Normalized project config
+ * @param {string} layerName - Layer of the file or namespace
+ * @param {string|null} relativePath - File path (preferred)
+ * @param {string|null} namespace - Namespace (fallback)
+ * @returns {string|null} Slice name
+ */
+export function detectSlice(config, layerName, relativePath, namespace = null) {
+  const layer = config.layers.find(l => l.name === layerName);
+  if (!layer || layer.sliceRoots.length === 0) return null;
+
+  const roots = layer.sliceRoots.map(root => root.toLowerCase());
+
+  if (relativePath) {
+    // Letztes Segment ist der Dateiname, kein Slice
+    const folders = relativePath.replace(/\\/g, '/').split('/').filter(Boolean).slice(0, -1);
+    const slice = segmentAfterRoot(folders, roots);
+    if (slice) return slice;
+  }
+
+  return namespace ? segmentAfterRoot(namespace.split('.'), roots) : null;
+}
+
+function segmentAfterRoot(segments, roots) {
+  const index = segments.findIndex(segment => roots.includes(segment.toLowerCase()));
+  if (index === -1 || index + 1 >= segments.length) return null;
+  return segments[index + 1];
+}
+
+/**
+ * Check whether two slices of the same layer are isolated siblings
+ * (e.g. Features/Orders → Features/Billing in a vertical slice architecture)
+ */
+export function isSiblingSliceDependency(config, layerName, fromSlice, toSlice) {
+  const layer = config.layers.find(l => l.name === layerName);
+  if (!layer || layer.sliceRoots.length === 0) return false;
+
+  return Boolean(fromSlice && toSlice && fromSlice !== toSlice);
+}
+
+/**
+ * Longest configured namespace prefix matching the namespace
+ */
+function matchNamespacePrefix(config, namespace) {
+  let best = null;
+
+  for (const layer of config.layers) {
+    for (const prefix of layer.namespaces) {
+      if (namespace === prefix || namespace.startsWith(prefix + '.')) {
+        if (!best || prefix.length > best.match.length) {
+          best = { layer: layer.name, match: prefix };
+        }
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Check the allowed dependency matrix (layers without entry are unrestricted)
+ */
+export function isDependencyAllowed(config, fromLayer, toLayer) {
+  if (fromLayer === toLayer) return true;
+
+  const allowed = config.allowedDependencies[fromLayer];
+  if (!allowed) return true;
+
+  return allowed.has('*') || allowed.has(toLayer);
+}
+
+/**
+ * Severity of a forbidden dependency: explicit "From->To" entry in
+ * `severities`, otherwise derived from the layer roles
+ * (sibling slices of one layer default to HIGH)
+ */
+export function getDependencySeverity(config, fromLayer, toLayer) {
+  const explicit = config.severities[`${fromLayer}->${toLayer}`];
+  if (explicit) return explicit;
+
+  if (fromLayer === toLayer) return 'HIGH';
+
+  const from = getLayerRole(config, fromLayer);
+  const to = getLayerRole(config, toLayer);
+
+  if (from === 'domain' && to === 'infrastructure') return 'CRITICAL';
+  if (from === 'domain' && to === 'application') return 'HIGH';
+  if (from === 'application' && to === 'infrastructure') return 'MEDIUM';
+  return 'LOW';
+}
+
+/**
+ * Role (domain/application/infrastructure/presentation) of a layer
+ * @returns {string|null}
+ */
+export function getLayerRole(config, layerName) {
+  const layer = config.layers.find(l => l.name === layerName);
+  return layer ? layer.role : null;
+}
+
+/**
+ * Layer names in configured order (inner → outer)
+ */
+export function getLayerNames(config) {
+  return config.layers.map(l => l.name);
+}
@@ -14,7 +14,8 @@ export const REPORT_CONFIG = {
       groupSimilar: true,            // Gruppieren statt einzeln
       maxReportLength: 2000,         // Max Zeichen pro Report
       showDetailedStats: false,      // Keine ausführlichen Tabellen
-      maxFilesListed: 10             // Max Dateien einzeln auflisten
+      maxFilesListed: 10,            // Max Dateien einzeln auflisten
+      listSuppressions: false        // Unterdrückte Findings nur zählen
     },
     detailed: {
       maxViolationsShown: 50,
@@ -22,7 +23,8 @@ export const REPORT_CONFIG = {
       groupSimilar: false,
       maxReportLength: 10000,
       showDetailedStats: true,
-      maxFilesListed: 100
+      maxFilesListed: 100,
+      listSuppressions: true
     }
   }
 };
@@ -1,4 +1,8 @@
 import { getReportConfig, groupBy } from '../config/report-config.js';
+import { createDisplayNames } from '../utils/display-names.js';
+import { formatLocation } from '../utils/source-snippet.js';
+import { formatSuppressedCount, formatSuppressions } from './suppression-formatter.js';
+import { formatBaselineSummary, formatFixedSinceBaseline } from './baseline-formatter.js';
 
 /**
  * Format abstraction analysis results as readable report
@@ -11,21 +15,30 @@ export function formatAbstractionReport(result, mode = 'compact') {
     projectPath,
     totalFiles,
     filesWithIssues,
-    mixedAbstractions,
     issueCount,
-    codeExamples,
     score,
     level
   } = result;
   
+  // Schlüssel ist der relative Pfad - angezeigt wird der (eindeutige) Dateiname
+  const displayName = createDisplayNames(result.mixedAbstractions.map(m => m.file));
+  const mixedAbstractions = result.mixedAbstractions.map(m => ({ ...m, file: displayName(m.file) }));
+  const codeExamples = (result.codeExamples || []).map(example => ({ ...example, file: displayName(example.file) }));
+  const appendix = formatFixedSinceBaseline(result, config) + formatSuppressions(result.suppressed, config, item => formatIssueType(item.issue));
+  
   // COMPACT: Eine Zeile Header
   let report = `# 🎯 Abstraction Levels Analysis\n\n`;
-  report += `**Score:** ${score}/5 (${level}) | **Files:** ${totalFiles} | **Issues:** ${issueCount} in ${filesWithIssues} files\n\n`;
+  report += `**Score:** ${score}/5 (${level}) | **Files:** ${totalFiles} | **Issues:** ${issueCount} in ${filesWithIssues} files${formatSuppressedCount(result)}${formatBaselineSummary(result)}\n\n`;
+  
+  if (issueCount === 0 && result.baseline) {
+    report += `## ✅ No New Issues Since the Baseline\n\n`;
+    return report + appendix;
+  }
   
   if (issueCount === 0) {
     report += `## ✅ Excellent Separation!\n\n`;
     report += `No mixing of abstraction levels detected. Clean separation between layers.\n\n`;
-    return report;
+    return report + appendix;
   }
   
   // Issues nach Modus
@@ -42,6 +55,8 @@ export function formatAbstractionReport(result, mode = 'compact') {
     report += formatDetailedAbstractionIssues(critical, high, medium, low, config, codeExamples);
   }
   
+  report += appendix;
+  
   // Recommendations
   report += `---\n\n## 💡 Action\n\n`;
   report += getCompactAbstractionRecommendation(score, issueCount, critical.length);
@@ -102,7 +117,7 @@ function formatDetailedAbstractionIssues(critical, high, medium, low, config, co
     Object.entries(criticalByType).forEach(([type, items]) => {
       report += `**${formatIssueType(type)}** (${items.length} occurrences)\n`;
       items.slice(0, 5).forEach(item => {
-        report += `- \`${item.file}\` (${item.layer}): ${item.pattern}\n`;
+        report += `- \`${item.file}${formatLocation(item)}\` (${item.layer}): ${item.pattern}\n`;
       });
       if (items.length > 5) {
         report += `  _... and ${items.length - 5} more files_\n`;
@@ -117,7 +132,7 @@ function formatDetailedAbstractionIssues(critical, high, medium, low, config, co
     Object.entries(highByType).forEach(([type, items]) => {
       report += `**${formatIssueType(type)}** (${items.length})\n`;
       items.slice(0, 3).forEach(item => {
-        report += `- \`${item.file}\`: ${item.description}\n`;
+        report += `- \`${item.file}${formatLocation(item)}\`: ${item.description}\n`;
       });
       report += '\n';
     });
@@ -141,9 +156,9 @@ function formatDetailedAbstractionIssues(critical, high, medium, low, config, co
   if (config.includeCodeExamples && codeExamples && codeExamples.length > 0) {
     report += `---\n\n## 📝 Code Examples\n\n`;
     codeExamples.slice(0, 2).forEach(example => {
-      report += `### ${example.file}\n\n`;
+      report += `### ${example.file}${formatLocation(example)}\n\n`;
       report += `**Issues:** ${example.issues.map(i => formatIssueType(i.issue)).join(', ')}\n\n`;
-      report += `\`\`\`csharp\n${example.snippet}\n... (truncated)\n\`\`\`\n\n`;
+      report += `\`\`\`csharp\n${example.snippet}\n\`\`\`\n\n`;
     });
   }
   
@@ -0,0 +1,60 @@
+import path from 'path';
+
+/**
+ * Confirmation after create_baseline
+ * @param {string} file - Written .mmi-baseline.json
+ * @param {Object} baseline - Baseline content
+ * @returns {string}
+ */
+export function formatBaselineCreated(file, baseline) {
+  const counts = Object.entries(baseline.findings).map(([dimension, entries]) => [dimension, entries.length]);
+  const total = counts.reduce((sum, [, count]) => sum + count, 0);
+
+  let report = `# 📌 Baseline Created\n\n`;
+  report += `**File:** ${file} | **Findings:** ${total}\n\n`;
+  report += `| Dimension | Findings |\n`;
+  report += `|-----------|----------|\n`;
+  counts.forEach(([dimension, count]) => {
+    report += `| ${dimension} | ${count} |\n`;
+  });
+  report += `\nRun the analysis tools with \`onlyNew: true\` to see only findings that are not in the baseline. `;
+  report += `Commit \`${path.basename(file)}\` so the whole team shares it.\n`;
+
+  return report;
+}
+
+/**
+ * Header suffix with new / known / fixed counts when compared against a baseline
+ * @param {Object} result - Analysis result (with baseline summary or null)
+ * @returns {string}
+ */
+export function formatBaselineSummary(result) {
+  if (!result.baseline) return '';
+  const { newCount, knownCount, fixedCount } = result.baseline;
+  return ` | **Baseline:** ${newCount} new, ${knownCount} known, ${fixedCount} fixed`;
+}
+
+/**
+ * Baseline findings that no longer occur (detailed mode only)
+ * @param {Object} result - Analysis result
+ * @param {Object} config - Report config
+ * @returns {string}
+ */
+export function formatFixedSinceBaseline(result, config) {
+  if (!result.baseline || result.baseline.fixedCount === 0 || config.groupSimilar) return '';
+
+  const { fixed, createdAt } = result.baseline;
+  const showCount = Math.min(fixed.length, config.maxViolationsShown);
+
+  let report = `## ✅ Fixed Since Baseline (${fixed.length}, baseline from ${createdAt.slice(0, 10)})\n\n`;
+  fixed.slice(0, showCount).forEach(entry => {
+    const where = [entry.file, entry.symbol].filter(Boolean).join(': ');
+    report += `- \`${entry.rule}\` ${where}\n`;
+  });
+
+  if (fixed.length > showCount) {
+    report += `  _...and ${fixed.length - showCount} more_\n`;
+  }
+
+  return report + '\n';
+}
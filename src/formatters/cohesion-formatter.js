@@ -0,0 +1,113 @@
+import { getReportConfig } from '../config/report-config.js';
+import { createDisplayNames } from '../utils/display-names.js';
+import { formatLocation } from '../utils/source-snippet.js';
+import { formatSuppressedCount, formatSuppressions } from './suppression-formatter.js';
+import { formatBaselineSummary, formatFixedSinceBaseline } from './baseline-formatter.js';
+
+// Methoden je Cluster in der kompakten Ansicht
+const COMPACT_CLUSTER_METHODS = 4;
+
+/**
+ * Format cohesion analysis results as readable report
+ * @param {Object} result - Analysis result
+ * @param {string} mode - 'compact' or 'detailed'
+ */
+export function formatCohesionReport(result, mode = 'compact') {
+  const config = getReportConfig(mode);
+  const {
+    totalClasses,
+    measuredClasses,
+    averageLcomHs,
+    findingCount,
+    incohesiveShare,
+    score,
+    level
+  } = result;
+
+  // Schlüssel ist der relative Pfad - angezeigt wird der (eindeutige) Dateiname
+  const displayName = createDisplayNames(result.classes.map(c => c.file));
+  const findings = result.findings.map(f => ({ ...f, file: displayName(f.file) }));
+  const appendix = formatFixedSinceBaseline(result, config) + formatSuppressions(result.suppressed, config, f => `\`${f.name}\` (LCOM4 = ${f.lcom4})`);
+
+  // COMPACT: Eine Zeile Header
+  let report = `# 🧩 Cohesion Analysis\n\n`;
+  report += `**Score:** ${score}/5 (${level}) | **Classes:** ${measuredClasses} measured of ${totalClasses} | **Avg. LCOM-HS:** ${averageLcomHs} | **Split Candidates:** ${findingCount} (${incohesiveShare}%)${formatSuppressedCount(result)}${formatBaselineSummary(result)}\n\n`;
+
+  if (config.showDetailedStats && result.classes.length > 0) {
+    report += formatClassTable(result.classes, config, displayName);
+  }
+
+  if (findingCount === 0) {
+    report += result.baseline
+      ? `## ✅ No New Split Candidates Since the Baseline\n\n`
+      : `## ✅ Cohesive Classes\n\nEvery measured class forms one connected unit of methods and fields (LCOM4 = 1).\n\n`;
+    return report + appendix;
+  }
+
+  report += `## ✂️ Split Candidates (${findingCount})\n\n`;
+  findings.slice(0, config.maxViolationsShown).forEach(f => {
+    const partial = f.files.length > 1 ? ` (partial, ${f.files.length} files)` : '';
+    report += `- **${f.name}** (${f.file}${formatLocation(f)})${partial} - LCOM4 = ${f.lcom4}, LCOM-HS = ${f.lcomHs ?? '-'}: ${f.lcom4} independent responsibilities\n`;
+    f.clusters.forEach((cluster, index) => {
+      report += `  ${index + 1}. ${formatCluster(cluster, config)}\n`;
+    });
+    if (config.includeCodeExamples && f.snippet) {
+      report += `\n  \`\`\`csharp\n${f.snippet.replace(/^/gm, '  ')}\n  \`\`\`\n\n`;
+    }
+  });
+  if (findingCount > config.maxViolationsShown) {
+    report += `  _...and ${findingCount - config.maxViolationsShown} more_\n`;
+  }
+  report += `\n`;
+
+  report += appendix;
+
+  // Recommendations
+  report += `---\n\n## 💡 Action\n\n`;
+  report += getCompactCohesionRecommendation(score, findingCount);
+
+  return report;
+}
+
+/**
+ * DETAILED: Klassen mit der geringsten Kohäsion zuerst
+ */
+function formatClassTable(classes, config, displayName) {
+  let report = `## 📊 Least Cohesive Classes\n\n`;
+  report += `| Class | File | LCOM4 | LCOM-HS | Methods | Fields |\n`;
+  report += `|-------|------|-------|---------|---------|--------|\n`;
+  classes.slice(0, config.maxFilesListed).forEach(c => {
+    report += `| ${c.name} | ${displayName(c.file)} | ${c.lcom4} | ${c.lcomHs ?? '-'} | ${c.methods} | ${c.fields} |\n`;
+  });
+  if (classes.length > config.maxFilesListed) {
+    report += `\n_...and ${classes.length - config.maxFilesListed} more classes_\n`;
+  }
+  report += `\n_LCOM4: groups of methods that share no field and do not call each other (1 = cohesive). LCOM-HS: 0 = every method uses every field, 1 = every field is used by one method._\n\n`;
+
+  return report;
+}
+
+/**
+ * `Load, Save, Log (uses _store, _logger)` - compact: first methods only
+ */
+function formatCluster(cluster, config) {
+  const limit = config.groupSimilar ? COMPACT_CLUSTER_METHODS : cluster.methods.length;
+  const more = cluster.methods.length > limit ? ` +${cluster.methods.length - limit} more` : '';
+  const fields = cluster.fields.length > 0 ? ` (uses ${cluster.fields.join(', ')})` : '';
+  return `${cluster.methods.slice(0, limit).join(', ')}${more}${fields}`;
+}
+
+/**
+ * Kurze Empfehlung
+ */
+function getCompactCohesionRecommendation(score, findingCount) {
+  if (score <= 2) {
+    return `🔴 HIGH: Split ${findingCount} classes along their method clusters (one class per responsibility)\n` +
+           `Expected: Score ${score} → ${Math.min(5, score + 2)}\n`;
+  } else if (findingCount > 0) {
+    return `🟡 MEDIUM: Split ${findingCount} classes along their method clusters\n` +
+           `Expected: Score ${score} → ${Math.min(5, score + 1)}\n`;
+  } else {
+    return `✅ Excellent! Classes are cohesive.\n`;
+  }
+}
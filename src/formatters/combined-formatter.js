@@ -2,42 +2,61 @@ import path from 'path';
 import { getReportConfig } from '../config/report-config.js';
 
 /**
- * Format combined MMI report (all 4 dimensions) 
- * @param {Object} layering - Layering analysis result
- * @param {Object} encapsulation - Encapsulation analysis result
- * @param {Object} abstraction - Abstraction analysis result
- * @param {Object} cycles - Cycle analysis result 
+ * Format combined MMI report (all dimensions)
+ * @param {Object} results - { layering, encapsulation, abstraction, cycles, size, coupling, cohesion, patterns, modularization }
  * @param {string} mode - 'compact' or 'detailed'
+ * @param {Object} [timings] - Phase durations in ms (scan, read, parse, per dimension)
  */
-export function formatCombinedReport(layering, encapsulation, abstraction, cycles, mode = 'compact') {
+export function formatCombinedReport(results, mode = 'compact', timings = null) {
   const config = getReportConfig(mode);
+  const { layering, encapsulation, abstraction, cycles, size, coupling, cohesion, patterns, modularization } = results;
+  const dimensions = Object.values(results);
   
-  const overallScore = ((layering.score + encapsulation.score + abstraction.score + cycles.score) / 4).toFixed(1);
+  const overallScore = (dimensions.reduce((sum, result) => sum + result.score, 0) / dimensions.length).toFixed(1);
   
   const overallLevel = getOverallLevel(parseFloat(overallScore));
   const projectName = path.basename(layering.projectPath);
   
   let report = `# 🌳 MMI Analysis - ${projectName}\n\n`;
   report += `**Overall Score:** ${overallScore}/5 (${overallLevel})\n\n`;
+  if (layering.architectureStyle && layering.architectureStyle !== 'clean') {
+    report += `**Architecture Style:** ${layering.architectureLabel}\n\n`;
+  }
   
   // Scorecard
   report += `## 📊 Scorecard\n\n`;
   report += `| Dimension | Score | Status |\n`;
   report += `|-----------|-------|--------|\n`;
+  report += `| Domain Modularization | ${modularization.score}/5 | ${getStatusIcon(modularization.score)} ${modularization.level} |\n`;
   report += `| Layering | ${layering.score}/5 | ${getStatusIcon(layering.score)} ${layering.level} |\n`;
+  report += `| Pattern Consistency | ${patterns.score}/5 | ${getStatusIcon(patterns.score)} ${patterns.level} |\n`;
+  report += `| Module Size | ${size.score}/5 | ${getStatusIcon(size.score)} ${size.level} |\n`;
   report += `| Encapsulation | ${encapsulation.score}/5 | ${getStatusIcon(encapsulation.score)} ${encapsulation.level} |\n`;
+  report += `| Coupling | ${coupling.score}/5 | ${getStatusIcon(coupling.score)} ${coupling.level} |\n`;
+  report += `| Cohesion | ${cohesion.score}/5 | ${getStatusIcon(cohesion.score)} ${cohesion.level} |\n`;
   report += `| Abstraction | ${abstraction.score}/5 | ${getStatusIcon(abstraction.score)} ${abstraction.level} |\n`;
   report += `| Cycles | ${cycles.score}/5 | ${getStatusIcon(cycles.score)} ${cycles.level} |\n`; 
   report += `| **Overall** | **${overallScore}/5** | ${getStatusIcon(parseFloat(overallScore))} **${overallLevel}** |\n\n`;
   
+  const suppressedCount = dimensions.reduce((sum, result) => sum + (result.suppressedCount || 0), 0);
+  if (suppressedCount > 0) {
+    report += `🔕 ${suppressedCount} findings suppressed via \`mmi-ignore\`\n\n`;
+  }
+  
+  if (layering.baseline) {
+    const summaries = dimensions.map(result => result.baseline);
+    const sum = key => summaries.reduce((total, summary) => total + summary[key], 0);
+    report += `📌 Baseline from ${layering.baseline.createdAt.slice(0, 10)}: ${sum('newCount')} new, ${sum('knownCount')} known, ${sum('fixedCount')} fixed\n\n`;
+  }
+  
   // Details
   if (config.showDetailedStats) {
-    report += formatDetailedDimensionInfo(layering, encapsulation, abstraction, cycles); 
+    report += formatDetailedDimensionInfo(results);
   }
   
   // Priority Actions
   report += `## Priority Actions\n\n`;
-  report += formatCompactActions(layering, encapsulation, abstraction, cycles); 
+  report += formatCompactActions(results);
   
   // Roadmap
   if (config.groupSimilar) {
@@ -46,17 +65,45 @@ export function formatCombinedReport(layering, encapsulation, abstraction, cycle
     report += formatDetailedRoadmap(parseFloat(overallScore));
   }
   
+  if (timings) {
+    report += formatTimings(timings, config);
+  }
+  
+  return report;
+}
+
+/**
+ * Laufzeit pro Phase (compact: eine Zeile, detailed: Tabelle)
+ */
+function formatTimings(timings, config) {
+  const total = Object.values(timings).reduce((sum, ms) => sum + ms, 0);
+  
+  if (config.groupSimilar) {
+    const phases = Object.entries(timings).map(([phase, ms]) => `${phase} ${ms}ms`).join(' · ');
+    return `⏱️ ${phases} · **total ${total}ms**\n`;
+  }
+  
+  let report = `## ⏱️ Performance\n\n`;
+  report += `| Phase | Duration |\n`;
+  report += `|-------|----------|\n`;
+  for (const [phase, ms] of Object.entries(timings)) {
+    report += `| ${phase} | ${ms}ms |\n`;
+  }
+  report += `| **Total** | **${total}ms** |\n\n`;
+  
   return report;
 }
 
 /**
  * COMPACT: Kurze Action Items
  */
-function formatCompactActions(layering, encapsulation, abstraction, cycles) {
+function formatCompactActions({ layering, encapsulation, abstraction, cycles, size, coupling, cohesion, patterns, modularization }) {
   const actions = [];
   
-  if (layering.score < 4 && layering.violationCount > 0) {
-    actions.push(`1️⃣ **Layering**: Fix ${layering.violationCount} violations → ${layering.score}→${Math.min(5, layering.score + 1)}`);
+  const projectViolationCount = layering.projectViolationCount || 0;
+  if (layering.score < 4 && layering.violationCount + projectViolationCount > 0) {
+    const projectNote = projectViolationCount > 0 ? ` (+${projectViolationCount} project references)` : '';
+    actions.push(`1️⃣ **Layering**: Fix ${layering.violationCount} violations${projectNote} → ${layering.score}→${Math.min(5, layering.score + 1)}`);
   }
   
   if (encapsulation.score < 3) {
@@ -76,6 +123,26 @@ function formatCompactActions(layering, encapsulation, abstraction, cycles) {
     }
   }
   
+  if (size.score < 4 && size.godClassCount + size.oversizedFileCount > 0) {
+    actions.push(`5️⃣ **Module Size**: Split ${size.godClassCount} god classes and ${size.oversizedFileCount} oversized files → ${size.score}→${Math.min(5, size.score + 1)}`);
+  }
+  
+  if (coupling.score < 4 && coupling.findingCount > 0) {
+    actions.push(`6️⃣ **Coupling**: Rebalance ${coupling.findingCount} modules far from the main sequence (${coupling.zoneOfPainCount} in the zone of pain) → ${coupling.score}→${Math.min(5, coupling.score + 1)}`);
+  }
+  
+  if (cohesion.score < 4 && cohesion.findingCount > 0) {
+    actions.push(`7️⃣ **Cohesion**: Split ${cohesion.findingCount} classes with independent responsibilities (LCOM4 > 1) → ${cohesion.score}→${Math.min(5, cohesion.score + 1)}`);
+  }
+  
+  if (patterns.score < 4 && patterns.findingCount > 0) {
+    actions.push(`8️⃣ **Patterns**: Fix ${patterns.misplacedCount} misplaced types and ${patterns.forbiddenReferenceCount} forbidden references → ${patterns.score}→${Math.min(5, patterns.score + 1)}`);
+  }
+  
+  if (modularization.score < 4 && modularization.findingCount > 0) {
+    actions.push(`9️⃣ **Modularization**: Regroup ${modularization.technicalModuleCount} technical modules by business capability and split ${modularization.junkDrawerCount} junk drawers → ${modularization.score}→${Math.min(5, modularization.score + 1)}`);
+  }
+  
   if (actions.length === 0) {
     return `✅ **No Critical Issues!** Architecture is in excellent shape.\n\n`;
   }
@@ -107,19 +174,52 @@ function formatCompactRoadmap(currentScore) {
 /**
  * DETAILED: Ausführliche Dimension Info
  */
-function formatDetailedDimensionInfo(layering, encapsulation, abstraction, cycles) {
+function formatDetailedDimensionInfo({ layering, encapsulation, abstraction, cycles, size, coupling, cohesion, patterns, modularization }) {
   let report = `## 📈 Dimension Details\n\n`;
   
+  report += `### 🗺️ Dimension 1: Domain Modularization\n`;
+  report += `- **Modules:** ${modularization.domainModules} domain, ${modularization.technicalModules} technical\n`;
+  report += `- **Domain Share:** ${modularization.domainShare}%\n`;
+  report += `- **Junk Drawers:** ${modularization.junkDrawerCount}\n`;
+  report += `- **Status:** ${modularization.findingCount === 0 ? '✅ Cut along business capabilities' : `⚠️ ${modularization.technicalModuleCount} technical modules, ${modularization.junkDrawerCount} junk drawers`}\n\n`;
+  
   report += `### 🏛️ Dimension 2: Layering\n`;
   report += `- **Violations:** ${layering.violationCount}\n`;
   report += `- **Files:** ${layering.totalFiles}\n`;
+  if (layering.totalProjects) {
+    report += `- **Project Reference Violations:** ${layering.projectViolationCount} (${layering.totalProjects} projects)\n`;
+  }
   report += `- **Status:** ${layering.violationCount === 0 ? '✅ Perfect' : `⚠️ ${layering.violationCount} violations found`}\n\n`;
   
+  report += `### 🧭 Dimension 3: Pattern Consistency\n`;
+  report += `- **Conformance:** ${patterns.conformance}% (${patterns.conformingTypes} of ${patterns.matchedTypes} types, ${patterns.conventions.length} conventions)\n`;
+  report += `- **Misplaced Types / Forbidden References:** ${patterns.misplacedCount} / ${patterns.forbiddenReferenceCount}\n`;
+  report += `- **Status:** ${patterns.findingCount === 0 ? '✅ Consistent' : `⚠️ ${patterns.findingCount} convention violations`}\n\n`;
+  
+  report += `### 📏 Dimension 4: Module Size\n`;
+  report += `- **Lines of Code:** ${size.totalLines} (${size.totalClasses} classes)\n`;
+  report += `- **God Classes:** ${size.godClassCount}\n`;
+  report += `- **Oversized Files / Modules:** ${size.oversizedFileCount} / ${size.oversizedModuleCount}\n`;
+  report += `- **Balance (Gini, files):** ${size.levels.file.gini}\n`;
+  report += `- **Status:** ${size.godClassCount + size.oversizedFileCount + size.oversizedModuleCount === 0 ? '✅ Well-proportioned' : `⚠️ ${size.oversizedShare}% of the code in oversized units`}\n\n`;
+  
   report += `### 🔒 Dimension 5: Encapsulation\n`;
   report += `- **Public Types:** ${encapsulation.publicTypes} (${encapsulation.publicPercentage}%)\n`;
   report += `- **Over-Exposed:** ${encapsulation.overExposedCount}\n`;
   report += `- **Status:** ${encapsulation.publicPercentage < 30 ? '✅ Good' : `⚠️ ${encapsulation.publicPercentage}% public (target: <30%)`}\n\n`;
   
+  report += `### 🔗 Dimension 6: Coupling\n`;
+  report += `- **Modules:** ${coupling.totalModules} ${coupling.granularity}${coupling.totalModules === 1 ? '' : 's'}\n`;
+  report += `- **Average Distance from Main Sequence:** ${coupling.averageDistance}\n`;
+  report += `- **Zone of Pain / Uselessness:** ${coupling.zoneOfPainCount} / ${coupling.zoneOfUselessnessCount}\n`;
+  report += `- **Status:** ${coupling.findingCount === 0 ? '✅ Balanced' : `⚠️ ${coupling.findingCount} modules with D > ${coupling.maxDistance}`}\n\n`;
+  
+  report += `### 🧩 Dimension 7: Cohesion\n`;
+  report += `- **Classes Measured:** ${cohesion.measuredClasses} of ${cohesion.totalClasses}\n`;
+  report += `- **Average LCOM-HS:** ${cohesion.averageLcomHs}\n`;
+  report += `- **Split Candidates (LCOM4 > 1):** ${cohesion.findingCount}\n`;
+  report += `- **Status:** ${cohesion.findingCount === 0 ? '✅ Cohesive' : `⚠️ ${cohesion.incohesiveShare}% of the classes fall apart`}\n\n`;
+  
   report += `### 🎯 Dimension 8: Abstraction Levels\n`;
   report += `- **Files with Issues:** ${abstraction.filesWithIssues}\n`;
   report += `- **Total Issues:** ${abstraction.issueCount}\n`;
@@ -128,6 +228,9 @@ function formatDetailedDimensionInfo(layering, encapsulation, abstraction, cycle
   report += `### 🔄 Dimension 9: Circular Dependencies\n`;
   report += `- **Cycles Found:** ${cycles.cycleCount}\n`;
   report += `- **Files in Cycles:** ${cycles.filesInCyclesCount}\n`;
+  if (cycles.totalProjects) {
+    report += `- **Project Cycles:** ${cycles.projectCycleCount}\n`;
+  }
   report += `- **Status:** ${cycles.cycleCount === 0 ? '✅ Acyclic' : `⚠️ ${cycles.cycleCount} cycles detected`}\n\n`;
   
   report += `---\n\n`;
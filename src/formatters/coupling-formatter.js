@@ -0,0 +1,128 @@
+import { getReportConfig } from '../config/report-config.js';
+import { createDisplayNames } from '../utils/display-names.js';
+import { formatSuppressedCount, formatSuppressions } from './suppression-formatter.js';
+import { formatBaselineSummary, formatFixedSinceBaseline } from './baseline-formatter.js';
+
+const ZONE_LABELS = {
+  pain: 'Zone of Pain',
+  uselessness: 'Zone of Uselessness'
+};
+
+/**
+ * Format coupling analysis results as readable report
+ * @param {Object} result - Analysis result
+ * @param {string} mode - 'compact' or 'detailed'
+ */
+export function formatCouplingReport(result, mode = 'compact') {
+  const config = getReportConfig(mode);
+  const {
+    granularity,
+    totalModules,
+    modules,
+    averageDistance,
+    maxDistance,
+    findings,
+    findingCount,
+    score,
+    level
+  } = result;
+
+  const displayName = createDisplayNames(findings.map(f => f.file));
+  const appendix = formatFixedSinceBaseline(result, config) + formatSuppressions(result.suppressed, config, f => `\`${f.module}\` (D = ${f.distance})`);
+
+  // COMPACT: Eine Zeile Header
+  let report = `# 🔗 Coupling Analysis\n\n`;
+  report += `**Score:** ${score}/5 (${level}) | **Modules:** ${totalModules} ${granularity}${totalModules === 1 ? '' : 's'} | **Avg. Distance:** ${averageDistance} | **Far from Main Sequence:** ${findingCount}${formatSuppressedCount(result)}${formatBaselineSummary(result)}\n\n`;
+
+  const coupled = modules.filter(m => m.distance !== null);
+  if (coupled.length === 0) {
+    report += `## ✅ No Dependencies Between Modules\n\n`;
+    report += `Nothing to measure at ${granularity} level - try the other granularity.\n\n`;
+    return report + appendix;
+  }
+
+  report += formatModuleTable(coupled, config);
+
+  if (findingCount === 0) {
+    report += result.baseline
+      ? `## ✅ No New Modules Far from the Main Sequence Since the Baseline\n\n`
+      : `## ✅ Balanced Modules\n\nEvery ${result.suppressedCount > 0 ? 'unsuppressed ' : ''}module is within D ≤ ${maxDistance} of the main sequence (A + I = 1).\n\n`;
+    return report + appendix;
+  }
+
+  report += `## ⚠️ Modules Far from the Main Sequence (D > ${maxDistance})\n\n`;
+  for (const zone of ['pain', 'uselessness']) {
+    const inZone = findings.filter(f => f.zone === zone);
+    if (inZone.length === 0) continue;
+
+    report += `### ${zone === 'pain' ? '🧱' : '🎈'} ${ZONE_LABELS[zone]} (${inZone.length})\n\n`;
+    inZone.slice(0, config.maxViolationsShown).forEach(f => {
+      report += `- **${f.module}** - D = ${f.distance} (I = ${f.instability}, A = ${f.abstractness}, ${f.ca} dependents, ${f.ce} dependencies), hotspot: ${displayName(f.file)}\n`;
+      if (config.showDetailedStats) {
+        const module = modules.find(m => m.name === f.module);
+        if (module.dependents.length > 0) report += `  - Used by: ${module.dependents.join(', ')}\n`;
+        if (module.dependencies.length > 0) report += `  - Uses: ${module.dependencies.join(', ')}\n`;
+      }
+    });
+    if (inZone.length > config.maxViolationsShown) {
+      report += `  _...and ${inZone.length - config.maxViolationsShown} more_\n`;
+    }
+    report += `\n`;
+  }
+
+  if (config.showDetailedStats) {
+    report += `_Zone of pain: stable and concrete - many dependents, hard to change. Zone of uselessness: unstable and abstract - abstractions nobody depends on._\n\n`;
+  }
+
+  report += appendix;
+
+  // Recommendations
+  report += `---\n\n## 💡 Action\n\n`;
+  report += getCompactCouplingRecommendation(score, result.zoneOfPainCount, result.zoneOfUselessnessCount);
+
+  return report;
+}
+
+/**
+ * Worst modules first (compact: top 5, detailed: all with layer and zone)
+ */
+function formatModuleTable(coupled, config) {
+  const shown = config.showDetailedStats ? coupled.slice(0, config.maxViolationsShown) : coupled.slice(0, 5);
+
+  let report = `## 📊 ${config.showDetailedStats ? 'Modules' : 'Worst Modules'}\n\n`;
+  if (config.showDetailedStats) {
+    report += `| Module | Layer | Ca | Ce | I | A | D | Zone |\n`;
+    report += `|--------|-------|----|----|---|---|---|------|\n`;
+    shown.forEach(m => {
+      report += `| ${m.name} | ${m.layers.join(', ') || '-'} | ${m.ca} | ${m.ce} | ${m.instability} | ${m.abstractness} | ${m.distance} | ${m.zone ? ZONE_LABELS[m.zone] : '-'} |\n`;
+    });
+  } else {
+    report += `| Module | Ca | Ce | I | A | D |\n`;
+    report += `|--------|----|----|---|---|---|\n`;
+    shown.forEach(m => {
+      report += `| ${m.name} | ${m.ca} | ${m.ce} | ${m.instability} | ${m.abstractness} | ${m.distance} |\n`;
+    });
+  }
+
+  if (coupled.length > shown.length) {
+    report += `\n_...and ${coupled.length - shown.length} more modules_\n`;
+  }
+  report += `\n_Ca/Ce: modules depending on it / it depends on · I = Ce/(Ca+Ce) · A = abstract types/types · D = |A + I - 1|_\n\n`;
+
+  return report;
+}
+
+/**
+ * Kurze Empfehlung
+ */
+function getCompactCouplingRecommendation(score, painCount, uselessnessCount) {
+  if (painCount > 0) {
+    return `🟠 HIGH: Add abstractions (interfaces) to ${painCount} stable, concrete modules or reduce their dependents\n` +
+           `Expected: Score ${score} → ${Math.min(5, score + 1)}\n`;
+  } else if (uselessnessCount > 0) {
+    return `🟡 MEDIUM: Remove or inline unused abstractions in ${uselessnessCount} unstable, abstract modules\n` +
+           `Expected: Score ${score} → ${Math.min(5, score + 1)}\n`;
+  } else {
+    return `✅ Excellent! Modules are balanced between stability and abstractness.\n`;
+  }
+}
@@ -1,4 +1,7 @@
 import { getReportConfig, groupBy } from '../config/report-config.js';
+import { createDisplayNames } from '../utils/display-names.js';
+import { formatSuppressedCount, formatSuppressions } from './suppression-formatter.js';
+import { formatBaselineSummary, formatFixedSinceBaseline } from './baseline-formatter.js';
 
 /**
  * Format cycle analysis results as readable report
@@ -10,7 +13,6 @@ export function formatCycleReport(result, mode = 'compact') {
   const {
     projectPath,
     totalFiles,
-    cycles,
     cycleCount,
     filesInCycles,
     filesInCyclesCount,
@@ -18,14 +20,43 @@ export function formatCycleReport(result, mode = 'compact') {
     level
   } = result;
   
+  const projectCycles = result.projectCycles || [];
+  const granularity = result.granularity || 'file';
+  const cycles = withDisplayNames(result.cycles, granularity);
+  const unit = UNIT_LABELS[granularity];
+  const appendix = formatFixedSinceBaseline(result, config) + formatSuppressions(withDisplayNames(result.suppressed || [], granularity), config,
+    cycle => describeSuppressedCycle(cycle, unit));
+  
   // Header
   let report = `# 🔄 Circular Dependency Analysis\n\n`;
-  report += `**Score:** ${score}/5 (${level}) | **Files:** ${totalFiles} | **Cycles:** ${cycleCount} | **Files in Cycles:** ${filesInCyclesCount}\n\n`;
+  report += `**Score:** ${score}/5 (${level}) | **Files:** ${totalFiles} | **Cycles:** ${cycleCount} | **Files in Cycles:** ${filesInCyclesCount}`;
+  if (result.totalProjects) {
+    report += ` | **Projects:** ${result.totalProjects} | **Project Cycles:** ${projectCycles.length}`;
+  }
+  if (granularity !== 'file') {
+    report += ` | **Granularity:** ${granularity} (${result.totalNodes} ${unit})`;
+  }
+  report += formatSuppressedCount(result) + formatBaselineSummary(result);
+  report += `\n\n`;
   
-  if (cycleCount === 0) {
+  if (projectCycles.length > 0) {
+    report += formatProjectCycles(projectCycles);
+  }
+  
+  if (cycleCount === 0 && projectCycles.length === 0 && result.baseline) {
+    report += `## ✅ No New Cycles Since the Baseline\n\n`;
+    return report + appendix;
+  }
+  
+  if (cycleCount === 0 && projectCycles.length === 0) {
     report += `## ✅ Excellent! No Cycles Detected\n\n`;
     report += `Your architecture is acyclic - dependencies flow in one direction only.\n\n`;
-    return report;
+    return report + appendix;
+  }
+  
+  if (cycleCount === 0) {
+    report += `✅ No ${granularity}-level cycles.\n\n`;
+    return report + appendix;
   }
   
   // Cycles by severity
@@ -37,11 +68,13 @@ export function formatCycleReport(result, mode = 'compact') {
   report += `## ⚠️ Circular Dependencies Found\n\n`;
   
   if (config.groupSimilar) {
-    report += formatCompactCycles(critical, high, medium, low, config);
+    report += formatCompactCycles(critical, high, medium, low, config, unit);
   } else {
-    report += formatDetailedCycles(critical, high, medium, low, config);
+    report += formatDetailedCycles(critical, high, medium, low, config, unit);
   }
   
+  report += appendix;
+  
   // Recommendations
   report += `---\n\n## 💡 Breaking the Cycles\n\n`;
   report += getRecommendations(score, cycleCount, critical.length);
@@ -49,16 +82,79 @@ export function formatCycleReport(result, mode = 'compact') {
   return report;
 }
 
+const UNIT_LABELS = {
+  file: 'files',
+  namespace: 'namespaces',
+  folder: 'folders',
+  project: 'projects'
+};
+
+/**
+ * File and project nodes are relative paths; the report shows file names
+ * (with parent folders only where names collide). Namespaces and folders
+ * are shown as they are.
+ */
+function withDisplayNames(cycles, granularity) {
+  const displayName = ['file', 'project'].includes(granularity)
+    ? createDisplayNames(cycles.flatMap(cycle => cycle.path))
+    : node => node;
+  const fileEdges = cycles.flatMap(cycle => (cycle.edges || []).flatMap(edge => edge.fileEdges || []));
+  const fileName = createDisplayNames(fileEdges.flatMap(edge => [edge.from, edge.to]));
+  
+  const renameFileEdge = edge => ({ ...edge, from: fileName(edge.from), to: fileName(edge.to) });
+  const renameEdge = edge => ({
+    ...edge,
+    from: displayName(edge.from),
+    to: displayName(edge.to),
+    ...(edge.fileEdges ? { fileEdges: edge.fileEdges.map(renameFileEdge) } : {})
+  });
+  
+  return cycles.map(cycle => ({
+    ...cycle,
+    path: cycle.path.map(displayName),
+    edges: (cycle.edges || []).map(renameEdge),
+    elementaryCycles: (cycle.elementaryCycles || []).map(path => path.map(displayName)),
+    breakingEdges: (cycle.breakingEdges || []).map(renameEdge)
+  }));
+}
+
+/**
+ * Kurzbeschreibung eines unterdrückten Zyklus (Knoten bzw. Projekte)
+ */
+function describeSuppressedCycle(cycle, unit) {
+  if (cycle.projectPaths) return `Project cycle ${cycle.path.join(' → ')}`;
+  
+  const shown = cycle.path.slice(0, 5).join(', ');
+  const more = cycle.path.length > 5 ? `, +${cycle.path.length - 5} more` : '';
+  return `Cycle of ${cycle.path.length} ${unit} (${shown}${more})`;
+}
+
+/**
+ * Cycles between .csproj files (<ProjectReference>)
+ */
+function formatProjectCycles(projectCycles) {
+  let report = `## 📦 Project Reference Cycles\n\n`;
+  report += `MSBuild cannot build circular project references - resolve these first!\n\n`;
+  
+  projectCycles.forEach(cycle => {
+    report += `- 🔴 Project cycle #${cycle.id}: ${cycle.path.join(' → ')} → ${cycle.path[0]}`;
+    report += cycle.layers.length > 0 ? ` (${cycle.layers.join(', ')})\n` : `\n`;
+  });
+  
+  return report + '\n';
+}
+
 /**
  * COMPACT: Grouped cycles
  */
-function formatCompactCycles(critical, high, medium, low, config) {
+function formatCompactCycles(critical, high, medium, low, config, unit) {
   let report = '';
   
   if (critical.length > 0) {
     report += `🔴 **CRITICAL** (${critical.length}) - Domain layer involved!\n\n`;
     critical.slice(0, config.maxViolationsShown).forEach(cycle => {
-      report += `- Cycle #${cycle.id}: ${cycle.path.join(' → ')} → ${cycle.path[0]}\n`;
+      report += `- Cycle #${cycle.id}: ${formatComponentSummary(cycle, unit, config.maxFilesListed)}\n`;
+      report += formatBreakingEdges(cycle, '  ', config.maxViolationsShown);
     });
     if (critical.length > config.maxViolationsShown) {
       report += `  _...and ${critical.length - config.maxViolationsShown} more_\n`;
@@ -70,6 +166,7 @@ function formatCompactCycles(critical, high, medium, low, config) {
     report += `🟠 **HIGH** (${high.length}) - Direct 2-way cycles\n\n`;
     high.slice(0, 3).forEach(cycle => {
       report += `- ${cycle.path[0]} ↔ ${cycle.path[1]}\n`;
+      report += formatBreakingEdges(cycle, '  ', config.maxViolationsShown);
     });
     if (high.length > 3) {
       report += `  _...and ${high.length - 3} more_\n`;
@@ -79,55 +176,153 @@ function formatCompactCycles(critical, high, medium, low, config) {
   
   if (medium.length > 0) {
     report += `🟡 **MEDIUM** (${medium.length}) - Multi-way cycles\n\n`;
+    report += formatCompactComponents(medium, config, unit);
   }
   
   if (low.length > 0) {
     report += `🔵 **LOW** (${low.length}) - Long cycles\n\n`;
+    report += formatCompactComponents(low, config, unit);
   }
   
   return report;
 }
 
 /**
- * DETAILED: Full cycle listing
+ * Top components of a severity with their cheapest cuts
+ */
+function formatCompactComponents(cycles, config, unit) {
+  let report = '';
+  cycles.slice(0, 3).forEach(cycle => {
+    report += `- Cycle #${cycle.id}: ${formatComponentSummary(cycle, unit, config.maxFilesListed)}\n`;
+    report += formatBreakingEdges(cycle, '  ', config.maxViolationsShown);
+  });
+  if (cycles.length > 3) {
+    report += `  _...and ${cycles.length - 3} more_\n`;
+  }
+  return report + '\n';
+}
+
+/**
+ * DETAILED: Full listing of every strongly connected component
  */
-function formatDetailedCycles(critical, high, medium, low, config) {
+function formatDetailedCycles(critical, high, medium, low, config, unit) {
   let report = '';
   
   if (critical.length > 0) {
     report += `### 🔴 CRITICAL Cycles (${critical.length})\n\n`;
     report += `Domain layer should never have circular dependencies!\n\n`;
-    
     critical.forEach(cycle => {
-      report += `**Cycle #${cycle.id}** (${cycle.length} files)\n`;
-      report += `- Path: ${cycle.path.join(' → ')} → ${cycle.path[0]}\n`;
-      report += `- Layers: ${cycle.layers.join(', ')}\n`;
-      report += `- ${cycle.description}\n\n`;
+      report += formatComponentDetails(cycle, unit);
     });
   }
   
   if (high.length > 0) {
     report += `### 🟠 HIGH Priority (${high.length})\n\n`;
-    
     high.forEach(cycle => {
-      report += `**Cycle #${cycle.id}**: ${cycle.path.join(' ↔ ')}\n`;
+      report += formatComponentDetails(cycle, unit);
     });
-    report += '\n';
   }
   
   if (medium.length > 0) {
     report += `### 🟡 MEDIUM Priority (${medium.length})\n\n`;
     report += `Multi-way cycles across layers.\n\n`;
+    medium.forEach(cycle => {
+      report += formatComponentDetails(cycle, unit);
+    });
   }
   
   if (low.length > 0) {
     report += `### 🔵 LOW Priority (${low.length})\n\n`;
     report += `Long dependency chains - consider refactoring for clarity.\n\n`;
+    low.forEach(cycle => {
+      report += formatComponentDetails(cycle, unit);
+    });
   }
   
   return report;
 }
 
+/**
+ * "3 files, 4 dependencies, 2 elementary cycles (A.cs, B.cs, C.cs)"
+ */
+function formatComponentSummary(cycle, unit, maxFiles) {
+  const elementary = cycle.elementaryCycles || [];
+  let summary = `${cycle.length} ${unit}, ${cycle.edgeCount ?? (cycle.edges || []).length} dependencies`;
+  summary += `, ${elementary.length}${cycle.elementaryCyclesTruncated ? '+' : ''} elementary ${elementary.length === 1 ? 'cycle' : 'cycles'}`;
+  
+  const files = cycle.path.slice(0, maxFiles);
+  const more = cycle.path.length > files.length ? `, +${cycle.path.length - files.length} more` : '';
+  return `${summary} (${files.join(', ')}${more})`;
+}
+
+/**
+ * One strongly connected component: files, elementary cycles, edges and
+ * the edges to remove first
+ */
+function formatComponentDetails(cycle, unit) {
+  let report = `**Cycle #${cycle.id}** (${cycle.length} ${unit}, ${cycle.edgeCount ?? (cycle.edges || []).length} dependencies)\n`;
+  report += `- ${unit[0].toUpperCase()}${unit.slice(1)}: ${cycle.path.join(', ')}\n`;
+  if (cycle.layers.length > 0) {
+    report += `- Layers: ${cycle.layers.join(', ')}\n`;
+  }
+  report += `- ${cycle.description}\n`;
+  
+  const elementary = cycle.elementaryCycles || [];
+  if (elementary.length > 0) {
+    report += `- Elementary cycles (${elementary.length}${cycle.elementaryCyclesTruncated ? ', enumeration stopped' : ''}):\n`;
+    elementary.forEach(path => {
+      report += `  - ${path.join(' → ')} → ${path[0]}\n`;
+    });
+  }
+  
+  report += `- Dependencies:\n${formatCycleEdges(cycle, '  ')}`;
+  report += formatBreakingEdges(cycle, '');
+  
+  return report + '\n';
+}
+
+/**
+ * Edges inside a cycle with the types that create them
+ */
+function formatCycleEdges(cycle, indent) {
+  return (cycle.edges || [])
+    .map(edge => `${indent}- ${edge.from} → ${edge.to} (uses ${edge.types.join(', ')}${formatReferenceCount(edge)})\n` +
+      formatFileEdges(edge, indent + '  '))
+    .join('');
+}
+
+/**
+ * File dependencies behind an aggregated edge (namespace/folder/project level)
+ */
+function formatFileEdges(edge, indent) {
+  return (edge.fileEdges || [])
+    .map(fileEdge => `${indent}- ${fileEdge.from} → ${fileEdge.to} (uses ${fileEdge.types.join(', ')}${formatReferenceCount(fileEdge)})\n`)
+    .join('');
+}
+
+/**
+ * Smallest set of dependencies to cut (fewest references first)
+ */
+function formatBreakingEdges(cycle, indent, limit = Infinity) {
+  const edges = cycle.breakingEdges || [];
+  if (edges.length === 0) return '';
+  
+  let report = `${indent}- ✂️ Break by removing ${edges.length === 1 ? 'this dependency' : `these ${edges.length} dependencies`}:\n`;
+  edges.slice(0, limit).forEach(edge => {
+    const from = edge.namespaces && edge.namespaces.length > 0 ? ` from \`${edge.namespaces.join('`, `')}\`` : '';
+    report += `${indent}  - ${edge.from} → ${edge.to}: uses ${edge.types.join(', ')}${from}${formatReferenceCount(edge)}\n`;
+  });
+  if (edges.length > limit) {
+    report += `${indent}  _...and ${edges.length - limit} more_\n`;
+  }
+  return report;
+}
+
+function formatReferenceCount(edge) {
+  if (!edge.references) return '';
+  return `, ${edge.references} ${edge.references === 1 ? 'reference' : 'references'}`;
+}
+
 /**
  * Get recommendations
  */
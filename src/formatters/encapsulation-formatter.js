@@ -1,4 +1,16 @@
 import { getReportConfig } from '../config/report-config.js';
+import { createDisplayNames } from '../utils/display-names.js';
+import { formatSuppressedCount, formatSuppressions } from './suppression-formatter.js';
+import { formatBaselineSummary, formatFixedSinceBaseline } from './baseline-formatter.js';
+import { formatLocation } from '../utils/source-snippet.js';
+
+// Abschnitte der Member-Analyse in Reihenfolge der Regel-Priorität
+const MEMBER_SECTIONS = [
+  { rule: 'public-setter', title: '✏️ Public Setters on Domain Types' },
+  { rule: 'public-field', title: '🔓 Public Mutable Fields' },
+  { rule: 'exposed-collection', title: '📦 Exposed Mutable Collections' },
+  { rule: 'unused-public-method', title: '💤 Public Methods Unused Outside Their Type' }
+];
 
 /**
  * Format encapsulation analysis results as readable report
@@ -14,15 +26,18 @@ export function formatEncapsulationReport(result, mode = 'compact') {
     stats,
     publicTypes,
     publicPercentage, 
-    overExposed,
     overExposedCount,
     score, 
     level 
   } = result;
   
+  // Schlüssel ist der relative Pfad - angezeigt wird der (eindeutige) Dateiname
+  const displayName = createDisplayNames(result.overExposed.map(item => item.file));
+  const overExposed = result.overExposed.map(item => ({ ...item, file: displayName(item.file) }));
+  
   // COMPACT: Eine Zeile Header
   let report = `# 🔒 Encapsulation Analysis\n\n`;
-  report += `**Score:** ${score}/5 (${level}) | **Public:** ${publicPercentage}% (${publicTypes}/${totalTypes}) | **Over-Exposed:** ${overExposedCount}\n\n`;
+  report += `**Score:** ${score}/5 (${level}) | **Public:** ${publicPercentage}% (${publicTypes}/${totalTypes}) | **Over-Exposed:** ${overExposedCount}${formatSuppressedCount(result)}${formatBaselineSummary(result)}\n\n`;
   
   // Nur bei detailed mode: Ausführliche Tabelle
   if (config.showDetailedStats) {
@@ -51,14 +66,33 @@ export function formatEncapsulationReport(result, mode = 'compact') {
     } else {
       report += formatDetailedOverExposed(overExposed, config);
     }
+  } else if (result.baseline) {
+    report += `### ✅ No New Over-Exposed Types Since the Baseline\n\n`;
   } else {
     report += `### ✅ No Over-Exposed Types\n\n`;
     report += `All public types appear intentional (Controllers, DTOs, Contracts).\n\n`;
   }
   
+  // Nur bei detailed mode: Member-Ebene mit eigenem Teil-Score
+  const { members } = result;
+  if (members) {
+    report += formatMemberSection(members, config);
+  }
+  
+  // Typ- und Member-Findings teilen sich den Anhang
+  report += formatFixedSinceBaseline(members ? mergeFixed(result, members) : result, config);
+  report += formatSuppressions(
+    members ? [...result.suppressed, ...members.suppressed] : result.suppressed,
+    config,
+    item => item.rule ? `\`${item.owner}.${item.name}\` (${item.rule})` : `\`${item.type} ${item.name}\``
+  );
+  
   // Recommendations
   report += `---\n\n## 💡 Action\n\n`;
   report += getCompactEncapsulationRecommendation(score, publicPercentage, overExposedCount);
+  if (members && members.findingCount > 0) {
+    report += getMemberRecommendation(members);
+  }
   
   return report;
 }
@@ -111,7 +145,10 @@ function formatDetailedOverExposed(overExposed, config) {
   files.forEach(file => {
     report += `**${file}:**\n`;
     byFile[file].forEach(item => {
-      report += `- \`${item.type} ${item.name}\` → Consider making internal\n`;
+      report += `- \`${item.type} ${item.name}\` (line ${item.line}) → Consider making internal\n`;
+      if (config.includeCodeExamples && item.snippet) {
+        report += `\n  \`\`\`csharp\n${item.snippet.replace(/^/gm, '  ')}\n  \`\`\`\n\n`;
+      }
     });
     report += '\n';
   });
@@ -123,6 +160,82 @@ function formatDetailedOverExposed(overExposed, config) {
   return report;
 }
 
+/**
+ * DETAILED: Fields, Properties und Methoden von Klassen, Records und Structs
+ */
+function formatMemberSection(members, config) {
+  const { stats, findings, findingCount } = members;
+  const displayName = createDisplayNames(findings.map(f => f.file));
+
+  let report = `## 🧱 Member Encapsulation
+
+`;
+  report += `**Sub-Score:** ${members.score}/5 (${members.level}) | **Public:** ${members.publicPercentage}% (${members.publicMembers}/${members.totalMembers}) | **Findings:** ${findingCount}${formatSuppressedCount(members)}${formatBaselineSummary(members)}\n\n`;
+
+  report += `| Member | Public | Non-Public | Total |\n`;
+  report += `|--------|--------|------------|-------|\n`;
+  report += `| Fields | ${stats.publicFields} | ${stats.nonPublicFields} | ${stats.publicFields + stats.nonPublicFields} |\n`;
+  report += `| Properties | ${stats.publicProperties} | ${stats.nonPublicProperties} | ${stats.publicProperties + stats.nonPublicProperties} |\n`;
+  report += `| Methods | ${stats.publicMethods} | ${stats.nonPublicMethods} | ${stats.publicMethods + stats.nonPublicMethods} |\n`;
+  report += `| **Total** | **${members.publicMembers}** | **${members.totalMembers - members.publicMembers}** | **${members.totalMembers}** |\n\n`;
+
+  if (findingCount === 0) {
+    report += members.baseline
+      ? `### ✅ No New Member Findings Since the Baseline\n\n`
+      : `### ✅ Members Well Encapsulated\n\nNo public setters on domain types, no public mutable fields or collections and no public methods that are only used inside their type.\n\n`;
+    return report;
+  }
+
+  for (const { rule, title } of MEMBER_SECTIONS) {
+    const items = findings.filter(f => f.rule === rule);
+    if (items.length === 0) continue;
+
+    report += `### ${title} (${items.length})\n\n`;
+    items.slice(0, config.maxViolationsShown).forEach(f => {
+      const signature = f.memberKind === 'method' ? '()' : ` : ${f.memberType}`;
+      report += `- \`${f.owner}.${f.name}${signature}\` (${displayName(f.file)}${formatLocation(f)}) → ${f.suggestion}\n`;
+      if (config.includeCodeExamples && f.snippet) {
+        report += `\n  \`\`\`csharp\n${f.snippet.replace(/^/gm, '  ')}\n  \`\`\`\n\n`;
+      }
+    });
+    if (items.length > config.maxViolationsShown) {
+      report += `  _...and ${items.length - config.maxViolationsShown} more_\n`;
+    }
+    report += `\n`;
+  }
+
+  return report;
+}
+
+/**
+ * Behobene Baseline-Einträge von Typen und Membern in einer Liste
+ */
+function mergeFixed(result, members) {
+  if (!result.baseline) return result;
+  return {
+    baseline: {
+      ...result.baseline,
+      fixed: [...result.baseline.fixed, ...members.baseline.fixed],
+      fixedCount: result.baseline.fixedCount + members.baseline.fixedCount
+    }
+  };
+}
+
+/**
+ * Empfehlung für die Member-Ebene (Setter und Collections zuerst)
+ */
+function getMemberRecommendation(members) {
+  const { score, publicSetterCount, publicFieldCount, exposedCollectionCount, unusedPublicMethodCount } = members;
+  const mutable = publicSetterCount + publicFieldCount + exposedCollectionCount;
+
+  if (mutable > 0) {
+    return `🟡 MEDIUM: Protect ${mutable} members from outside writes (private setters, readonly fields, IReadOnlyList<T>)\n` +
+           `Expected: Member score ${score} → ${Math.min(5, score + 1)}\n`;
+  }
+  return `🟢 LOW: Make ${unusedPublicMethodCount} public methods private that are only used inside their type\n` +
+         `Expected: Member score ${score} → ${Math.min(5, score + 1)}\n`;
+}
+
 /**
  * Kurze Empfehlung
  */
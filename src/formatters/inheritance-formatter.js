@@ -0,0 +1,172 @@
+import { getReportConfig } from '../config/report-config.js';
+import { createDisplayNames } from '../utils/display-names.js';
+import { formatLocation } from '../utils/source-snippet.js';
+import { formatSuppressedCount, formatSuppressions } from './suppression-formatter.js';
+import { formatBaselineSummary, formatFixedSinceBaseline } from './baseline-formatter.js';
+
+/**
+ * Format inheritance hierarchy results as readable report
+ * @param {Object} result - Analysis result
+ * @param {string} mode - 'compact' or 'detailed'
+ */
+export function formatInheritanceReport(result, mode = 'compact') {
+  const config = getReportConfig(mode);
+  const {
+    totalTypes,
+    classes,
+    interfaces,
+    depthLimit,
+    maxDepth,
+    findingCount,
+    deepHierarchyCount,
+    crossLayerCount,
+    cycleCount,
+    misplacedInterfaceCount,
+    score,
+    level
+  } = result;
+
+  // Schlüssel ist der relative Pfad - angezeigt wird der (eindeutige) Dateiname
+  const displayName = createDisplayNames([
+    ...result.findings.map(f => f.file),
+    ...result.suppressed.map(f => f.file),
+    ...result.deepestTypes.map(t => t.file),
+    ...result.singleImplementationInterfaces.map(i => i.file)
+  ]);
+  const findings = result.findings.map(f => ({ ...f, file: displayName(f.file) }));
+  const appendix = formatFixedSinceBaseline(result, config) + formatSuppressions(result.suppressed, config, f => `\`${f.name}\` (${f.rule})`);
+
+  // COMPACT: Eine Zeile Header
+  let report = `# 🌳 Inheritance Analysis\n\n`;
+  report += `**Score:** ${score}/5 (${level}) | **Types:** ${totalTypes} (${classes} classes, ${interfaces} interfaces) | **Max Depth:** ${maxDepth} (limit ${depthLimit}) | **Findings:** ${findingCount}${formatSuppressedCount(result)}${formatBaselineSummary(result)}\n\n`;
+
+  if (config.showDetailedStats) {
+    report += formatHierarchyTables(result, config, displayName);
+  }
+
+  if (findingCount === 0) {
+    report += result.baseline
+      ? `## ✅ No New Inheritance Findings Since the Baseline\n\n`
+      : `## ✅ Sound Hierarchy\n\nNo hierarchy deeper than ${depthLimit}, no base type from a forbidden layer, no inheritance cycle and no misplaced single-implementation interface.\n\n`;
+    return report + appendix;
+  }
+
+  const crossLayer = findings.filter(f => f.rule === 'cross-layer');
+  if (crossLayer.length > 0) {
+    report += `## 🔀 Cross-Layer Inheritance (${crossLayer.length})\n\n`;
+    report += formatList(crossLayer, config, f =>
+      `- **${f.name}** (${f.file}${formatLocation(f)}) in ${f.layer} ${f.relation} \`${shortName(f.base)}\` from ${f.baseLayer} - ${f.severity}\n`
+    );
+  }
+
+  const cycles = findings.filter(f => f.rule === 'inheritance-cycle');
+  if (cycles.length > 0) {
+    report += `## 🔁 Inheritance Cycles (${cycles.length})\n\n`;
+    report += formatList(cycles, config, f => f.subtype
+      ? `- **${f.name}** (${f.file}${formatLocation(f)}) references its subtype \`${shortName(f.subtype)}\`: ${formatChain(f.cycle)}\n`
+      : `- **${f.name}** (${f.file}${formatLocation(f)}) - cyclic base classes: ${formatChain(f.cycle)}\n`
+    );
+  }
+
+  const deep = findings.filter(f => f.rule === 'deep-hierarchy');
+  if (deep.length > 0) {
+    report += `## 🪜 Deep Hierarchies (${deep.length})\n\n`;
+    report += formatList(deep, config, f =>
+      `- **${f.name}** (${f.file}${formatLocation(f)}) - depth ${f.depth}: ${formatChain(f.chain)}\n`
+    );
+  }
+
+  const misplaced = findings.filter(f => f.rule === 'misplaced-interface');
+  if (misplaced.length > 0) {
+    report += `## 🔌 Misplaced Interfaces (${misplaced.length})\n\n`;
+    report += formatList(misplaced, config, f =>
+      `- **${f.name}** (${f.file}${formatLocation(f)}) in ${f.layer} - only implementation \`${shortName(f.implementation)}\`, used by ${f.consumerLayers.join(', ')} → belongs in ${f.expectedLayer}\n`
+    );
+  }
+
+  report += appendix;
+
+  // Recommendations
+  report += `---\n\n## 💡 Action\n\n`;
+  report += getCompactInheritanceRecommendation(score, crossLayerCount, cycleCount, deepHierarchyCount, misplacedInterfaceCount);
+
+  return report;
+}
+
+/**
+ * DETAILED: Tiefste Klassen und Interfaces mit genau einer Implementierung
+ */
+function formatHierarchyTables(result, config, displayName) {
+  let report = '';
+
+  if (result.deepestTypes.length > 0) {
+    report += `## 📊 Deepest Classes\n\n`;
+    report += `| Class | File | Depth | Chain |\n`;
+    report += `|-------|------|-------|-------|\n`;
+    result.deepestTypes.slice(0, config.maxFilesListed).forEach(t => {
+      report += `| ${shortName(t.name)} | ${displayName(t.file)} | ${t.depth} | ${formatChain(t.chain)} |\n`;
+    });
+    if (result.deepestTypes.length > config.maxFilesListed) {
+      report += `\n_...and ${result.deepestTypes.length - config.maxFilesListed} more classes_\n`;
+    }
+    report += `\n_Depth: base classes above the type; an external base (framework type) counts as one level._\n\n`;
+  }
+
+  if (result.singleImplementationInterfaces.length > 0) {
+    report += `## 🔌 Single-Implementation Interfaces\n\n`;
+    report += `| Interface | Layer | Implementation | Used by |\n`;
+    report += `|-----------|-------|----------------|---------|\n`;
+    result.singleImplementationInterfaces.slice(0, config.maxFilesListed).forEach(i => {
+      report += `| ${shortName(i.name)} | ${i.layer || '-'} | ${shortName(i.implementation)} (${i.implementationLayer || '-'}) | ${i.consumerLayers.join(', ') || '-'} |\n`;
+    });
+    if (result.singleImplementationInterfaces.length > config.maxFilesListed) {
+      report += `\n_...and ${result.singleImplementationInterfaces.length - config.maxFilesListed} more interfaces_\n`;
+    }
+    report += `\n`;
+  }
+
+  return report;
+}
+
+function formatList(findings, config, formatFinding) {
+  let report = '';
+  findings.slice(0, config.maxViolationsShown).forEach(f => {
+    report += formatFinding(f);
+    if (config.includeCodeExamples && f.snippet) {
+      report += `\n  \`\`\`csharp\n${f.snippet.replace(/^/gm, '  ')}\n  \`\`\`\n\n`;
+    }
+  });
+  if (findings.length > config.maxViolationsShown) {
+    report += `  _...and ${findings.length - config.maxViolationsShown} more_\n`;
+  }
+  return report + `\n`;
+}
+
+function formatChain(names) {
+  return names.map(shortName).join(' → ');
+}
+
+function shortName(fullName) {
+  return fullName.split('.').pop();
+}
+
+/**
+ * Kurze Empfehlung
+ */
+function getCompactInheritanceRecommendation(score, crossLayerCount, cycleCount, deepHierarchyCount, misplacedInterfaceCount) {
+  if (crossLayerCount > 0) {
+    return `🔴 HIGH: Replace ${crossLayerCount} base types from forbidden layers (inherit only from the own or an inner layer)\n` +
+           `Expected: Score ${score} → ${Math.min(5, score + 1)}\n`;
+  } else if (cycleCount > 0) {
+    return `🔴 HIGH: Break ${cycleCount} inheritance cycles (base types must not know their subtypes)\n` +
+           `Expected: Score ${score} → ${Math.min(5, score + 1)}\n`;
+  } else if (deepHierarchyCount > 0) {
+    return `🟡 MEDIUM: Flatten ${deepHierarchyCount} deep hierarchies (composition over inheritance)\n` +
+           `Expected: Score ${score} → ${Math.min(5, score + 1)}\n`;
+  } else if (misplacedInterfaceCount > 0) {
+    return `🟡 MEDIUM: Move ${misplacedInterfaceCount} interfaces into the layer that uses them (dependency inversion)\n` +
+           `Expected: Score ${score} → ${Math.min(5, score + 1)}\n`;
+  } else {
+    return `✅ Excellent! The type hierarchy is sound.\n`;
+  }
+}
@@ -1,4 +1,8 @@
 import { getReportConfig, groupBy } from '../config/report-config.js';
+import { createDisplayNames } from '../utils/display-names.js';
+import { formatLocation } from '../utils/source-snippet.js';
+import { formatSuppressedCount, formatSuppressions } from './suppression-formatter.js';
+import { formatBaselineSummary, formatFixedSinceBaseline } from './baseline-formatter.js';
 
 /**
  * Format layering analysis results as readable report
@@ -7,24 +11,43 @@ import { getReportConfig, groupBy } from '../config/report-config.js';
  */
 export function formatLayeringReport(result, mode = 'compact') {
   const config = getReportConfig(mode);
-  const { projectPath, totalFiles, violations, violationCount, score, level } = result;
+  const { projectPath, totalFiles, violationCount, score, level, architectureLabel } = result;
+  const projectViolations = result.projectViolations || [];
+  const violations = withDisplayNames(result.violations);
+  const appendix = formatFixedSinceBaseline(result, config) + formatSuppressions(result.suppressed, config, describeSuppressed);
   
   // COMPACT: Kurzer Header (1 Zeile statt 10)
   let report = `# 📊 Layering Analysis\n\n`;
-  report += `**Score:** ${score}/5 (${level}) | **Files:** ${totalFiles} | **Violations:** ${violationCount}\n\n`;
+  report += `**Score:** ${score}/5 (${level}) | **Files:** ${totalFiles} | **Violations:** ${violationCount}`;
+  if (result.totalProjects) {
+    report += ` | **Projects:** ${result.totalProjects} | **Project Violations:** ${projectViolations.length}`;
+  }
+  report += formatSuppressedCount(result) + formatBaselineSummary(result);
+  report += architectureLabel ? ` | **Style:** ${architectureLabel}\n\n` : `\n\n`;
+  
+  if (violationCount === 0 && projectViolations.length === 0) {
+    report += result.baseline ? `✅ No new violations since the baseline.\n\n` : `✅ Perfect! No violations found.\n\n`;
+    return report + appendix;
+  }
+  
+  if (projectViolations.length > 0) {
+    report += formatProjectViolations(projectViolations, config);
+  }
   
   if (violationCount === 0) {
-    report += `✅ Perfect! No violations found.\n`;
-    return report;
+    report += `✅ No file-level violations.\n\n`;
+    return report + appendix;
   }
   
   // Je nach Modus: Gruppiert oder detailliert
   if (config.groupSimilar) {
     report += formatGroupedViolations(violations, config);
   } else {
-    report += formatDetailedViolations(violations, config);
+    report += formatDetailedViolations(violations, config, score, result.architectureStyle);
   }
   
+  if (appendix) report += `\n${appendix}`;
+  
   // COMPACT: Kurze Empfehlung (2 Zeilen statt 20)
   report += `\n## 💡 Action\n`;
   report += getCompactRecommendation(score, violationCount);
@@ -32,6 +55,15 @@ export function formatLayeringReport(result, mode = 'compact') {
   return report;
 }
 
+/**
+ * Findings are keyed by relative path; the report shows file names
+ * (with parent folders only where names collide)
+ */
+function withDisplayNames(violations) {
+  const displayName = createDisplayNames(violations.map(v => v.file));
+  return violations.map(v => ({ ...v, file: displayName(v.file) }));
+}
+
 /**
  * Gruppierte Darstellung (SPART ~70% TOKENS!)
  */
@@ -54,7 +86,7 @@ function formatGroupedViolations(violations, config) {
     report += `${icon} **${severity}** (${items.length})\n`;
     
     // Gruppiere nach Ziel-Layer (z.B. alle die "Infrastructure" verwenden)
-    const byTarget = groupBy(items, 'dependsOn');
+    const byTarget = groupBy(items.map(v => ({ ...v, target: describeTarget(v) })), 'target');
     
     for (const [target, targetItems] of Object.entries(byTarget)) {
       report += `- ${target}: ${targetItems.length} files\n`;
@@ -62,7 +94,7 @@ function formatGroupedViolations(violations, config) {
       // Zeige nur erste N Dateien (spart Tokens!)
       const showCount = Math.min(targetItems.length, config.maxViolationsShown);
       if (showCount > 0) {
-        const fileList = targetItems.slice(0, showCount).map(v => v.file).join(', ');
+        const fileList = targetItems.slice(0, showCount).map(v => `${v.file}${formatLocation(v)}`).join(', ');
         report += `  → ${fileList}\n`;
         
         if (targetItems.length > showCount) {
@@ -76,10 +108,49 @@ function formatGroupedViolations(violations, config) {
   return report;
 }
 
+/**
+ * Verletzungen auf Projekt-Ebene (<ProjectReference> zwischen Layern)
+ */
+function formatProjectViolations(projectViolations, config) {
+  let report = `## 📦 Project Reference Violations\n\n`;
+  
+  const showCount = Math.min(projectViolations.length, config.maxViolationsShown);
+  
+  projectViolations.slice(0, showCount).forEach(v => {
+    const icon = v.severity === 'CRITICAL' ? '🔴' : v.severity === 'HIGH' ? '🟠' : '🟡';
+    report += `- ${icon} **${v.severity}** \`${v.project}\` → \`${v.references}\` (${v.layer} → ${v.dependsOn})`;
+    report += v.line ? ` at \`${v.file}${formatLocation(v)}\`\n` : '\n';
+  });
+  
+  if (projectViolations.length > showCount) {
+    report += `  _...and ${projectViolations.length - showCount} more_\n`;
+  }
+  
+  return report + '\n';
+}
+
+/**
+ * Kurzbeschreibung einer unterdrückten Verletzung (Datei- oder Projekt-Ebene)
+ */
+function describeSuppressed(v) {
+  if (v.references) return `\`${v.project}\` → \`${v.references}\` (${v.layer} → ${v.dependsOn})`;
+  return `Uses \`${v.using}\` (${v.layer} → ${describeTarget(v)})`;
+}
+
+/**
+ * Ziel einer Verletzung: Layer bzw. Layer/Slice bei Slice-Verletzungen
+ */
+function describeTarget(v) {
+  return v.targetSlice ? `${v.dependsOn}/${v.targetSlice}` : v.dependsOn;
+}
+
 /**
  * ALTE FUNKTION: Detaillierte Darstellung (für detailed mode)
  */
-function formatDetailedViolations(violations, config) {
+function formatDetailedViolations(violations, config, score, architectureStyle = 'clean') {
+  // Die Erklärtexte gelten nur für die Clean-Architecture-Regeln
+  const isClean = architectureStyle === 'clean';
+
   let report = `## ⚠️ Violations by Severity\n\n`;
   
   const critical = violations.filter(v => v.severity === 'CRITICAL');
@@ -89,27 +160,27 @@ function formatDetailedViolations(violations, config) {
   
   if (critical.length > 0) {
     report += `### 🔴 CRITICAL (${critical.length})\n`;
-    report += `Domain layer depends on Infrastructure - breaks Clean Architecture!\n\n`;
+    report += isClean ? `Domain layer depends on Infrastructure - breaks Clean Architecture!\n\n` : '\n';
     critical.forEach(v => {
-      report += `- **${v.file}**: Uses \`${v.using}\`\n`;
+      report += formatViolationLine(v, isClean, config);
     });
     report += '\n';
   }
   
   if (high.length > 0) {
     report += `### 🟠 HIGH (${high.length})\n`;
-    report += `Domain layer depends on Application - domain should be independent!\n\n`;
+    report += isClean ? `Domain layer depends on Application - domain should be independent!\n\n` : '\n';
     high.forEach(v => {
-      report += `- **${v.file}**: Uses \`${v.using}\`\n`;
+      report += formatViolationLine(v, isClean, config);
     });
     report += '\n';
   }
   
   if (medium.length > 0) {
     report += `### 🟡 MEDIUM (${medium.length})\n`;
-    report += `Application layer depends on Infrastructure - use dependency injection!\n\n`;
+    report += isClean ? `Application layer depends on Infrastructure - use dependency injection!\n\n` : '\n';
     medium.forEach(v => {
-      report += `- **${v.file}**: Uses \`${v.using}\`\n`;
+      report += formatViolationLine(v, isClean, config);
     });
     report += '\n';
   }
@@ -117,7 +188,8 @@ function formatDetailedViolations(violations, config) {
   if (low.length > 0) {
     report += `### 🔵 LOW (${low.length})\n\n`;
     low.forEach(v => {
-      report += `- **${v.file}** (${v.layer}): Uses \`${v.using}\` from ${v.dependsOn}\n`;
+      report += `- **${v.file}${formatLocation(v)}** (${v.layer}): Uses \`${v.using}\` from ${describeTarget(v)}${formatMatch(v)}\n`;
+      report += formatSnippet(v, config);
     });
     report += '\n';
   }
@@ -144,6 +216,48 @@ function formatDetailedViolations(violations, config) {
   return report;
 }
 
+/**
+ * Eine Zeile pro Verletzung; bei Presets ohne festen Erklärtext mit Layer → Ziel
+ */
+function formatViolationLine(v, isClean, config) {
+  const matched = formatMatch(v);
+  const location = `${v.file}${formatLocation(v)}`;
+  const line = isClean
+    ? `- **${location}**: Uses \`${v.using}\`${matched}\n`
+    : `- **${location}** (${v.slice ? `${v.layer}/${v.slice}` : v.layer} → ${describeTarget(v)}): Uses \`${v.using}\`${matched}\n`;
+  return line + formatSnippet(v, config);
+}
+
+/**
+ * Quelltext-Ausschnitt unter der Verletzung (nur detailed mode)
+ */
+function formatSnippet(v, config) {
+  if (!config.includeCodeExamples || !v.snippet) return '';
+  const language = v.file.endsWith('.csproj') ? 'xml' : 'csharp';
+  return `\n  \`\`\`${language}\n${v.snippet.replace(/^/gm, '  ')}\n  \`\`\`\n\n`;
+}
+
+const IMPORT_KIND_LABELS = {
+  alias: 'using alias',
+  static: 'using static',
+  global: 'global using',
+  project: '.csproj <Using>'
+};
+
+/**
+ * Welches Namespace-Segment (bzw. welcher Präfix) den Ziel-Layer bestimmt hat
+ * und über welche Art von Import die Abhängigkeit entsteht
+ */
+function formatMatch(v) {
+  const details = [];
+  if (v.matchedSegment) details.push(`matched \`${v.matchedSegment}\``);
+  if (IMPORT_KIND_LABELS[v.importKind]) details.push(IMPORT_KIND_LABELS[v.importKind]);
+  if (v.importKind === 'qualified') {
+    details.push(`fully-qualified \`${v.reference}\` in ${v.referenceContext}`);
+  }
+  return details.length > 0 ? ` (${details.join(', ')})` : '';
+}
+
 /**
  * Kurze, actionable Empfehlung
  */
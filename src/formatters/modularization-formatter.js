@@ -0,0 +1,126 @@
+import { getReportConfig } from '../config/report-config.js';
+import { createDisplayNames } from '../utils/display-names.js';
+import { formatSuppressedCount, formatSuppressions } from './suppression-formatter.js';
+import { formatBaselineSummary, formatFixedSinceBaseline } from './baseline-formatter.js';
+
+// Isolierte Typen je Junk Drawer in der kompakten Ansicht
+const COMPACT_ISOLATED_TYPES = 5;
+
+/**
+ * Format domain modularization results as readable report
+ * @param {Object} result - Analysis result
+ * @param {string} mode - 'compact' or 'detailed'
+ */
+export function formatModularizationReport(result, mode = 'compact') {
+  const config = getReportConfig(mode);
+  const {
+    totalModules,
+    domainModules,
+    technicalModules,
+    domainShare,
+    modules,
+    findings,
+    findingCount,
+    technicalModuleCount,
+    junkDrawerCount,
+    score,
+    level
+  } = result;
+
+  const displayName = createDisplayNames([...findings, ...result.suppressed].map(f => f.file));
+  const appendix = formatFixedSinceBaseline(result, config) + formatSuppressions(result.suppressed, config, f => `\`${f.module || f.namespace}\` (${f.rule})`);
+
+  // COMPACT: Eine Zeile Header
+  let report = `# 🗺️ Domain Modularization Analysis\n\n`;
+  report += `**Score:** ${score}/5 (${level}) | **Modules:** ${domainModules} domain, ${technicalModules} technical | **Domain Share:** ${domainShare}% | **Junk Drawers:** ${junkDrawerCount}${formatSuppressedCount(result)}${formatBaselineSummary(result)}\n\n`;
+
+  if (config.showDetailedStats && modules.length > 0) {
+    report += formatModuleTable(modules, config);
+  }
+
+  if (findingCount === 0) {
+    if (result.baseline) {
+      report += `## ✅ No New Technical Modules or Junk Drawers Since the Baseline\n\n`;
+    } else if (totalModules === 0) {
+      report += `## ✅ No Modules Below the Layers\n\nNo namespaces below the domain or application layers - nothing to classify.\n\n`;
+    } else {
+      report += `## ✅ Cut Along Business Capabilities\n\nModules are named after business capabilities and no namespace collects unrelated types.\n\n`;
+    }
+    return report + appendix;
+  }
+
+  const technical = findings.filter(f => f.rule === 'technical-module');
+  if (technical.length > 0) {
+    report += `## 🧰 Technical Modules (${technical.length})\n\n`;
+    technical.slice(0, config.maxViolationsShown).forEach(f => {
+      report += `- **${f.module}** (${f.layers.join(', ') || 'no layer'}) - ${f.types} types in ${f.files.length} files, named after a kind of code instead of a business capability\n`;
+    });
+    if (technical.length > config.maxViolationsShown) {
+      report += `  _...and ${technical.length - config.maxViolationsShown} more_\n`;
+    }
+    report += `\n`;
+  }
+
+  const drawers = findings.filter(f => f.rule === 'junk-drawer');
+  if (drawers.length > 0) {
+    report += `## 🗃️ Junk Drawers (${drawers.length})\n\n`;
+    drawers.slice(0, config.maxViolationsShown).forEach(f => {
+      report += `- **${f.namespace}** - ${f.isolatedTypes} of ${f.types} types unrelated (${f.isolatedShare}%), hotspot: ${displayName(f.file)}\n`;
+      report += `  - Unrelated: ${formatIsolated(f.isolated, config)}\n`;
+    });
+    if (drawers.length > config.maxViolationsShown) {
+      report += `  _...and ${drawers.length - config.maxViolationsShown} more_\n`;
+    }
+    report += `\n`;
+  }
+
+  report += appendix;
+
+  // Recommendations
+  report += `---\n\n## 💡 Action\n\n`;
+  report += getCompactModularizationRecommendation(score, technicalModuleCount, junkDrawerCount);
+
+  return report;
+}
+
+/**
+ * DETAILED: Alle Module, fachliche zuerst
+ */
+function formatModuleTable(modules, config) {
+  let report = `## 📊 Modules\n\n`;
+  report += `| Module | Kind | Layers | Types | Files |\n`;
+  report += `|--------|------|--------|-------|-------|\n`;
+  modules.slice(0, config.maxFilesListed).forEach(m => {
+    report += `| ${m.name} | ${m.kind === 'domain' ? '🏷️ domain' : '🧰 technical'} | ${m.layers.join(', ') || '-'} | ${m.types} | ${m.files.length} |\n`;
+  });
+  if (modules.length > config.maxFilesListed) {
+    report += `\n_...and ${modules.length - config.maxFilesListed} more modules_\n`;
+  }
+  report += `\n_A module is the first namespace segment below a domain or application layer (or before it, e.g. \`Shop.Billing.Domain\`)._\n\n`;
+
+  return report;
+}
+
+function formatIsolated(isolated, config) {
+  const limit = config.groupSimilar ? COMPACT_ISOLATED_TYPES : isolated.length;
+  const more = isolated.length > limit ? ` +${isolated.length - limit} more` : '';
+  return `${isolated.slice(0, limit).join(', ')}${more}`;
+}
+
+/**
+ * Kurze Empfehlung
+ */
+function getCompactModularizationRecommendation(score, technicalModuleCount, junkDrawerCount) {
+  if (score <= 2 && technicalModuleCount > 0) {
+    return `🔴 HIGH: Regroup ${technicalModuleCount} technical modules by business capability (e.g. Services/Billing → Billing)\n` +
+           `Expected: Score ${score} → ${Math.min(5, score + 2)}\n`;
+  } else if (junkDrawerCount > 0) {
+    return `🟡 MEDIUM: Distribute the types of ${junkDrawerCount} junk drawer namespaces to the modules that use them\n` +
+           `Expected: Score ${score} → ${Math.min(5, score + 1)}\n`;
+  } else if (technicalModuleCount > 0) {
+    return `🟡 MEDIUM: Regroup ${technicalModuleCount} technical modules by business capability\n` +
+           `Expected: Score ${score} → ${Math.min(5, score + 1)}\n`;
+  } else {
+    return `✅ Excellent! Modules follow business capabilities.\n`;
+  }
+}
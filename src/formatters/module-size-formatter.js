@@ -0,0 +1,163 @@
+import { getReportConfig } from '../config/report-config.js';
+import { createDisplayNames } from '../utils/display-names.js';
+import { formatLocation } from '../utils/source-snippet.js';
+import { SIZE_LEVELS } from '../analyzers/module-size.js';
+import { formatSuppressedCount, formatSuppressions } from './suppression-formatter.js';
+import { formatBaselineSummary, formatFixedSinceBaseline } from './baseline-formatter.js';
+
+const LEVEL_LABELS = {
+  file: 'Files',
+  class: 'Classes',
+  namespace: 'Namespaces',
+  project: 'Projects'
+};
+
+/**
+ * Format module size analysis results as readable report
+ * @param {Object} result - Analysis result
+ * @param {string} mode - 'compact' or 'detailed'
+ */
+export function formatModuleSizeReport(result, mode = 'compact') {
+  const config = getReportConfig(mode);
+  const {
+    totalFiles,
+    totalLines,
+    levels,
+    thresholds,
+    godClassCount,
+    oversizedFileCount,
+    oversizedModuleCount,
+    oversizedShare,
+    score,
+    level
+  } = result;
+
+  // Schlüssel ist der relative Pfad - angezeigt wird der (eindeutige) Dateiname
+  const displayName = createDisplayNames(result.files.map(f => f.file));
+  const godClasses = result.godClasses.map(c => ({ ...c, file: displayName(c.file) }));
+  const oversizedFiles = result.oversizedFiles.map(f => ({ ...f, file: displayName(f.file) }));
+  const oversizedModules = result.oversizedModules.map(m => ({ ...m, file: displayName(m.file) }));
+  const findingCount = godClassCount + oversizedFileCount + oversizedModuleCount;
+  const appendix = formatFixedSinceBaseline(result, config) + formatSuppressions(result.suppressed, config, describeFinding);
+
+  // COMPACT: Eine Zeile Header
+  let report = `# 📏 Module Size Analysis\n\n`;
+  report += `**Score:** ${score}/5 (${level}) | **Lines of Code:** ${totalLines} in ${totalFiles} files | **God Classes:** ${godClassCount} | **Oversized Files:** ${oversizedFileCount} | **Oversized Modules:** ${oversizedModuleCount}${formatSuppressedCount(result)}${formatBaselineSummary(result)}\n\n`;
+
+  if (config.showDetailedStats) {
+    report += formatDistribution(levels, config, displayName);
+  } else {
+    const gini = SIZE_LEVELS.filter(l => levels[l].count > 1).map(l => `${LEVEL_LABELS[l].toLowerCase()} ${levels[l].gini}`);
+    if (gini.length > 0) report += `**Balance (Gini):** ${gini.join(' · ')}\n\n`;
+  }
+
+  if (findingCount === 0 && result.baseline) {
+    report += `## ✅ No New Oversized Classes or Modules Since the Baseline\n\n`;
+    return report + appendix;
+  }
+
+  if (findingCount === 0) {
+    report += `## ✅ Well-Proportioned Modules\n\n`;
+    report += `No class above ${thresholds.maxClassLines} lines or ${thresholds.maxClassMethods} methods, no file above ${thresholds.maxFileLines} lines, no namespace or project beyond ${thresholds.outlierFactor}× the median.\n\n`;
+    return report + appendix;
+  }
+
+  report += `## ⚠️ Size Issues (${oversizedShare}% of the code)\n\n`;
+
+  if (godClasses.length > 0) {
+    report += formatGodClasses(godClasses, config);
+  }
+
+  if (oversizedFiles.length > 0) {
+    report += `### 📄 Oversized Files (${oversizedFiles.length})\n\n`;
+    oversizedFiles.slice(0, config.maxViolationsShown).forEach(f => {
+      report += `- **${f.file}** - ${f.lines} lines (max ${thresholds.maxFileLines})\n`;
+    });
+    if (oversizedFiles.length > config.maxViolationsShown) {
+      report += `  _...and ${oversizedFiles.length - config.maxViolationsShown} more_\n`;
+    }
+    report += `\n`;
+  }
+
+  if (oversizedModules.length > 0) {
+    report += `### 📦 Oversized Modules (${oversizedModules.length})\n\n`;
+    oversizedModules.forEach(m => {
+      report += `- ${m.level} **${m.name}** - ${m.lines} lines in ${m.fileCount} files (${m.factor}× the median of ${m.median}, largest: ${m.file})\n`;
+    });
+    report += `\n`;
+  }
+
+  report += appendix;
+
+  // Recommendations
+  report += `---\n\n## 💡 Action\n\n`;
+  report += getCompactSizeRecommendation(score, godClasses.length, oversizedFiles.length, oversizedModules.length);
+
+  return report;
+}
+
+/**
+ * DETAILED: Verteilung je Ebene (Median, Max, Gini, Ausreißer)
+ */
+function formatDistribution(levels, config, displayName) {
+  let report = `## ⚖️ Size Distribution\n\n`;
+  report += `| Level | Units | Lines | Median | Max | Gini | Outliers |\n`;
+  report += `|-------|-------|-------|--------|-----|------|----------|\n`;
+  SIZE_LEVELS.forEach(name => {
+    const l = levels[name];
+    report += `| ${LEVEL_LABELS[name]} | ${l.count} | ${l.totalLines} | ${l.median} | ${l.max} | ${l.gini} | ${l.outliers.length} |\n`;
+  });
+  report += `\n_Gini: 0 = evenly sized, 1 = everything in one unit._\n\n`;
+
+  SIZE_LEVELS.forEach(name => {
+    const l = levels[name];
+    if (l.count < 2) return;
+    const shownName = name === 'file' ? displayName : (n => n);
+    const largest = l.largest.slice(0, config.maxFilesListed).map(u => `${shownName(u.name)} (${u.lines})`).join(', ');
+    report += `**Largest ${LEVEL_LABELS[name].toLowerCase()}:** ${largest}\n`;
+  });
+
+  return report + '\n';
+}
+
+function formatGodClasses(godClasses, config) {
+  let report = `### 🏋️ God Classes (${godClasses.length})\n\n`;
+
+  godClasses.slice(0, config.maxViolationsShown).forEach(c => {
+    const partial = c.files.length > 1 ? ` (partial, ${c.files.length} files)` : '';
+    report += `- **${c.name}** (${c.file}${formatLocation(c)})${partial} - ${c.reasons.join(', ')}\n`;
+    if (config.includeCodeExamples && c.snippet) {
+      report += `\n  \`\`\`csharp\n${c.snippet.replace(/^/gm, '  ')}\n  \`\`\`\n\n`;
+    }
+  });
+
+  if (godClasses.length > config.maxViolationsShown) {
+    report += `  _...and ${godClasses.length - config.maxViolationsShown} more_\n`;
+  }
+
+  return report + '\n';
+}
+
+function describeFinding(finding) {
+  if (finding.rule === 'god-class') return `God class \`${finding.name}\``;
+  if (finding.rule === 'oversized-file') return `Oversized file (${finding.lines} lines)`;
+  return `Oversized ${finding.level} \`${finding.name}\``;
+}
+
+/**
+ * Kurze Empfehlung
+ */
+function getCompactSizeRecommendation(score, godClassCount, oversizedFileCount, oversizedModuleCount) {
+  if (godClassCount > 0) {
+    return `🔴 HIGH: Split ${godClassCount} god classes by responsibility (extract services, value objects)\n` +
+           `Expected: Score ${score} → ${Math.min(5, score + 2)}\n`;
+  } else if (oversizedFileCount > 0) {
+    return `🟡 MEDIUM: Split ${oversizedFileCount} oversized files (one type per file)\n` +
+           `Expected: Score ${score} → ${Math.min(5, score + 1)}\n`;
+  } else if (oversizedModuleCount > 0) {
+    return `🟡 MEDIUM: Break up ${oversizedModuleCount} oversized namespaces/projects into cohesive modules\n` +
+           `Expected: Score ${score} → ${Math.min(5, score + 1)}\n`;
+  } else {
+    return `✅ Excellent! Keep classes and modules small and focused.\n`;
+  }
+}
@@ -0,0 +1,127 @@
+import { getReportConfig } from '../config/report-config.js';
+import { createDisplayNames } from '../utils/display-names.js';
+import { formatLocation } from '../utils/source-snippet.js';
+import { formatSuppressedCount, formatSuppressions } from './suppression-formatter.js';
+import { formatBaselineSummary, formatFixedSinceBaseline } from './baseline-formatter.js';
+
+/**
+ * Format pattern consistency results as readable report
+ * @param {Object} result - Analysis result
+ * @param {string} mode - 'compact' or 'detailed'
+ */
+export function formatPatternsReport(result, mode = 'compact') {
+  const config = getReportConfig(mode);
+  const {
+    matchedTypes,
+    conformingTypes,
+    conformance,
+    findingCount,
+    misplacedCount,
+    forbiddenReferenceCount,
+    score,
+    level
+  } = result;
+
+  // Schlüssel ist der relative Pfad - angezeigt wird der (eindeutige) Dateiname
+  const displayName = createDisplayNames([...result.findings, ...result.suppressed].flatMap(f => [f.file, f.declaredIn].filter(Boolean)));
+  const findings = result.findings.map(f => ({ ...f, file: displayName(f.file) }));
+  const appendix = formatFixedSinceBaseline(result, config) + formatSuppressions(result.suppressed, config, f => `\`${f.name}\` (${f.convention})`);
+
+  // COMPACT: Eine Zeile Header
+  let report = `# 🧭 Pattern Consistency Analysis\n\n`;
+  report += `**Score:** ${score}/5 (${level}) | **Conformance:** ${conformance}% (${conformingTypes} of ${matchedTypes} types) | **Misplaced:** ${misplacedCount} | **Forbidden References:** ${forbiddenReferenceCount}${formatSuppressedCount(result)}${formatBaselineSummary(result)}\n\n`;
+
+  if (result.conventions.length === 0) {
+    report += `## ✅ No Conventions Configured\n\n`;
+    report += `\`conventions\` in .mmi.json is empty - nothing to check.\n\n`;
+    return report + appendix;
+  }
+
+  if (config.showDetailedStats) {
+    report += formatConventionTable(result.conventions);
+  }
+
+  if (findingCount === 0) {
+    report += result.baseline
+      ? `## ✅ No New Convention Violations Since the Baseline\n\n`
+      : `## ✅ Consistent Naming\n\nEvery type with a convention suffix lives in its expected layer${matchedTypes === 0 ? ' (no such types found)' : ''}.\n\n`;
+    return report + appendix;
+  }
+
+  const misplaced = findings.filter(f => f.rule === 'misplaced');
+  if (misplaced.length > 0) {
+    report += `## 📍 Misplaced Types (${misplaced.length})\n\n`;
+    report += formatList(misplaced, config, f =>
+      `- **${f.name}** (${f.file}${formatLocation(f)}) in ${f.layer} - \`*${f.suffix}\` belongs in ${formatTargets(f.expected)}\n`
+    );
+  }
+
+  const references = findings.filter(f => f.rule === 'forbidden-reference');
+  if (references.length > 0) {
+    report += `## 🚫 Forbidden References (${references.length})\n\n`;
+    report += formatList(references, config, f =>
+      `- **${f.file}${formatLocation(f)}** (${f.layer}) uses \`${f.name}\` from ${displayName(f.declaredIn)} - \`*${f.suffix}\` must not be referenced by ${formatTargets(f.forbidden)}\n`
+    );
+  }
+
+  report += appendix;
+
+  // Recommendations
+  report += `---\n\n## 💡 Action\n\n`;
+  report += getCompactPatternsRecommendation(score, misplacedCount, forbiddenReferenceCount);
+
+  return report;
+}
+
+/**
+ * DETAILED: Treffer und Verstöße je Konvention
+ */
+function formatConventionTable(conventions) {
+  let report = `## 📊 Conventions\n\n`;
+  report += `| Convention | Suffix | Rule | Types | Conforming | Violations |\n`;
+  report += `|------------|--------|------|-------|------------|------------|\n`;
+  conventions.forEach(c => {
+    const kinds = c.kinds.length > 0 ? ` (${c.kinds.join(', ')})` : '';
+    const rules = [
+      c.allowedIn.length > 0 ? `in ${formatTargets(c.allowedIn)}` : null,
+      c.notReferencedBy.length > 0 ? `not used by ${formatTargets(c.notReferencedBy)}` : null
+    ].filter(Boolean).join('; ');
+    report += `| ${c.name} | \`*${c.suffix}\`${kinds} | ${rules} | ${c.matched} | ${c.conforming} | ${c.violations} |\n`;
+  });
+  report += `\n_Targets are layer names or roles. Configure via \`conventions\` in .mmi.json._\n\n`;
+
+  return report;
+}
+
+function formatList(findings, config, formatFinding) {
+  let report = '';
+  findings.slice(0, config.maxViolationsShown).forEach(f => {
+    report += formatFinding(f);
+    if (config.includeCodeExamples && f.snippet) {
+      report += `\n  \`\`\`csharp\n${f.snippet.replace(/^/gm, '  ')}\n  \`\`\`\n\n`;
+    }
+  });
+  if (findings.length > config.maxViolationsShown) {
+    report += `  _...and ${findings.length - config.maxViolationsShown} more_\n`;
+  }
+  return report + `\n`;
+}
+
+function formatTargets(targets) {
+  return targets.join(' / ');
+}
+
+/**
+ * Kurze Empfehlung
+ */
+function getCompactPatternsRecommendation(score, misplacedCount, forbiddenReferenceCount) {
+  if (forbiddenReferenceCount > 0) {
+    return `🔴 HIGH: Remove ${forbiddenReferenceCount} references to types the layer must not know (map them at the layer boundary)\n` +
+           `Expected: Score ${score} → ${Math.min(5, score + 1)}\n`;
+  } else if (misplacedCount > 0) {
+    return `🟡 MEDIUM: Move ${misplacedCount} types into the layer their name promises (or rename them)\n` +
+           `Expected: Score ${score} → ${Math.min(5, score + 1)}\n`;
+  } else {
+    return `✅ Excellent! Type names match their layers.\n`;
+  }
+}
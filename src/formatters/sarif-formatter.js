@@ -0,0 +1,587 @@
+import fs from 'fs';
+import { pathToFileURL } from 'url';
+import { getCycleFiles } from '../analyzers/cycle-analyzer.js';
+import { getFingerprint } from '../utils/baseline.js';
+import { createDisplayNames } from '../utils/display-names.js';
+
+/**
+ * SARIF 2.1.0 output for code-scanning and IDE SARIF viewers
+ * Jede Dimension liefert Regeln (Metadaten) und Results mit physischer
+ * Position; Pfade sind relativ zu %SRCROOT% (dem Projektverzeichnis).
+ */
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_VERSION = '2.1.0';
+const INFORMATION_URI = 'https://github.com/lady-logic/mmi-analyzer';
+const TOOL_VERSION = JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf8')).version;
+
+// MMI-Schweregrad → SARIF-Level
+const LEVELS = {
+  CRITICAL: 'error',
+  HIGH: 'error',
+  MEDIUM: 'warning',
+  LOW: 'note'
+};
+
+// Weitere Zyklus-Teilnehmer je Result (große Tangles sonst quadratisch)
+const MAX_RELATED_LOCATIONS = 10;
+
+// Regelkatalog je Dimension (severity = Default, Findings können abweichen)
+const RULES = {
+  layering: [
+    {
+      id: 'layering/dependency',
+      name: 'ForbiddenLayerDependency',
+      severity: 'HIGH',
+      description: 'Forbidden dependency between layers',
+      fullDescription: 'A file uses a namespace or type of a layer it must not depend on according to the architecture rules (Clean Architecture by default, a preset or .mmi.json).',
+      help: 'Invert the dependency: declare an interface in the inner layer and implement it in the outer one, or move the code to the layer it belongs to. Deliberate exceptions: `// mmi-ignore: layering -- reason`.',
+      anchor: '5-layering-analysis'
+    },
+    {
+      id: 'layering/project-reference',
+      name: 'ForbiddenProjectReference',
+      severity: 'HIGH',
+      description: 'Forbidden <ProjectReference> between layers',
+      fullDescription: 'A .csproj references a project of a layer it must not depend on.',
+      help: 'Remove the <ProjectReference> and depend on an abstraction declared in an inner project instead.',
+      anchor: '5-layering-analysis'
+    }
+  ],
+  encapsulation: [
+    {
+      id: 'encapsulation/over-exposed',
+      name: 'OverExposedType',
+      severity: 'MEDIUM',
+      description: 'Public type that appears to be an implementation detail',
+      fullDescription: 'A public class, interface or record outside the presentation layer that is not a DTO, contract or controller.',
+      help: 'Make the type internal (use InternalsVisibleTo for tests) unless it is part of the public contract of the assembly.',
+      anchor: '6-encapsulation-analysis'
+    },
+    {
+      id: 'encapsulation/public-setter',
+      name: 'PublicSetterOnDomainType',
+      severity: 'MEDIUM',
+      description: 'Domain type with a public property setter',
+      fullDescription: 'A property of a class, record or struct in the domain layer can be set by any caller, bypassing the invariants of the type (detailed mode only).',
+      help: 'Make the setter private (or init) and change the state through methods that enforce the invariants.',
+      anchor: '6-encapsulation-analysis'
+    },
+    {
+      id: 'encapsulation/public-field',
+      name: 'PublicMutableField',
+      severity: 'MEDIUM',
+      description: 'Public field that is neither readonly nor const',
+      fullDescription: 'Any caller can overwrite the field; the type cannot validate or observe the change (detailed mode only).',
+      help: 'Make the field private and expose it through a property, or make it readonly.',
+      anchor: '6-encapsulation-analysis'
+    },
+    {
+      id: 'encapsulation/exposed-collection',
+      name: 'ExposedMutableCollection',
+      severity: 'MEDIUM',
+      description: 'Public member exposes a mutable collection',
+      fullDescription: 'A public field or property of type List<T>, Dictionary<K, V>, an array or another mutable collection lets callers change the content behind the back of the owning type (detailed mode only).',
+      help: 'Expose IReadOnlyList<T> / IReadOnlyCollection<T> and offer methods to change the content.',
+      anchor: '6-encapsulation-analysis'
+    },
+    {
+      id: 'encapsulation/unused-public-method',
+      name: 'UnusedPublicMethod',
+      severity: 'LOW',
+      description: 'Public method that is never called outside its type',
+      fullDescription: 'The method name does not occur outside the declaring type. Overrides, interface implementations, attributed methods and types with external base types are not reported (detailed mode only).',
+      help: 'Make the method private, or delete it if it is not used at all.',
+      anchor: '6-encapsulation-analysis'
+    }
+  ],
+  abstraction: [
+    {
+      id: 'abstraction/SQL_MIXING',
+      name: 'SqlInBusinessLogic',
+      severity: 'CRITICAL',
+      description: 'Business logic mixed with SQL implementation details',
+      fullDescription: 'SqlConnection, SqlCommand and similar ADO.NET types are used outside the infrastructure layer.',
+      help: 'Move data access behind a repository interface and implement it in the infrastructure layer.',
+      anchor: '7-abstraction-level-analysis'
+    },
+    {
+      id: 'abstraction/EF_IN_DOMAIN',
+      name: 'EntityFrameworkInDomain',
+      severity: 'CRITICAL',
+      description: 'Domain layer contains Entity Framework details',
+      fullDescription: 'DbContext, DbSet, Include and similar Entity Framework APIs are used in the domain layer.',
+      help: 'Keep the domain persistence-ignorant: map entities in the infrastructure layer and access them through repositories.',
+      anchor: '7-abstraction-level-analysis'
+    },
+    {
+      id: 'abstraction/HTTP_MIXING',
+      name: 'HttpInBusinessLogic',
+      severity: 'CRITICAL',
+      description: 'Business logic mixed with HTTP communication details',
+      fullDescription: 'HttpClient, HttpRequest and similar types are used in business code.',
+      help: 'Wrap remote calls in a gateway interface and implement it in the infrastructure layer.',
+      anchor: '7-abstraction-level-analysis'
+    },
+    {
+      id: 'abstraction/FILE_IO_MIXING',
+      name: 'FileIoInBusinessLogic',
+      severity: 'HIGH',
+      description: 'Business logic mixed with file I/O operations',
+      fullDescription: 'File, StreamReader and similar I/O APIs are used in business code.',
+      help: 'Move file access behind a storage interface and implement it in the infrastructure layer.',
+      anchor: '7-abstraction-level-analysis'
+    },
+    {
+      id: 'abstraction/SERIALIZATION_IN_DOMAIN',
+      name: 'SerializationInDomain',
+      severity: 'HIGH',
+      description: 'Domain contains serialization logic',
+      fullDescription: 'JsonSerializer, XmlSerializer and similar APIs are used in the domain layer.',
+      help: 'Serialize at the boundaries (API, persistence, messaging) and keep domain types free of wire formats.',
+      anchor: '7-abstraction-level-analysis'
+    },
+    {
+      id: 'abstraction/EXCESSIVE_LOGGING',
+      name: 'ExcessiveLogging',
+      severity: 'LOW',
+      description: 'Excessive logging in domain logic',
+      fullDescription: 'A domain file contains more than five logging calls.',
+      help: 'Raise domain events or return results and log them in the application or infrastructure layer.',
+      anchor: '7-abstraction-level-analysis'
+    }
+  ],
+  cycles: [
+    {
+      id: 'cycles/cycle',
+      name: 'CyclicDependency',
+      severity: 'HIGH',
+      description: 'File participates in a circular dependency',
+      fullDescription: 'The file belongs to a group of files, namespaces, folders or projects that depend on each other in a circle.',
+      help: 'Break the cycle at the suggested edges (analyze_cycles, detailed mode), e.g. by extracting an interface or moving the shared type.',
+      anchor: '3-circular-dependency-analysis'
+    },
+    {
+      id: 'cycles/project-cycle',
+      name: 'CircularProjectReference',
+      severity: 'CRITICAL',
+      description: 'Circular <ProjectReference> between projects',
+      fullDescription: 'Projects reference each other in a circle; MSBuild rejects such solutions at build time.',
+      help: 'Remove one <ProjectReference> of the cycle and move the shared types into a project both can reference.',
+      anchor: '3-circular-dependency-analysis'
+    }
+  ],
+  size: [
+    {
+      id: 'size/god-class',
+      name: 'GodClass',
+      severity: 'MEDIUM',
+      description: 'Class with too many lines of code or methods',
+      fullDescription: 'A class, struct or record (partial declarations merged) exceeds maxClassLines or maxClassMethods of the moduleSize settings.',
+      help: 'Split the class by responsibility: extract collaborators, value objects or services so each class has one reason to change.',
+      anchor: '8-module-size-analysis'
+    },
+    {
+      id: 'size/oversized-file',
+      name: 'OversizedFile',
+      severity: 'MEDIUM',
+      description: 'File with too many lines of code',
+      fullDescription: 'A .cs file exceeds maxFileLines lines of code (blank and comment-only lines are not counted).',
+      help: 'Move types into files of their own and split large types.',
+      anchor: '8-module-size-analysis'
+    },
+    {
+      id: 'size/oversized-module',
+      name: 'OversizedModule',
+      severity: 'MEDIUM',
+      description: 'Namespace or project far larger than its siblings',
+      fullDescription: 'A namespace or project is larger than outlierFactor times the median size of its level and larger than maxFileLines.',
+      help: 'Break the module up into cohesive sub-modules, e.g. one namespace per feature or aggregate.',
+      anchor: '8-module-size-analysis'
+    }
+  ],
+  coupling: [
+    {
+      id: 'coupling/main-sequence-distance',
+      name: 'MainSequenceDistance',
+      severity: 'MEDIUM',
+      description: 'Module far from the main sequence (zone of pain or uselessness)',
+      fullDescription: 'The distance D = |A + I - 1| of a namespace or project from the main sequence exceeds 0.7: it is either stable and concrete (zone of pain - many dependents, hard to change) or unstable and abstract (zone of uselessness - abstractions nobody depends on).',
+      help: 'Zone of pain: extract interfaces the dependents can use instead of the concrete types, or reduce the number of dependents. Zone of uselessness: remove or inline abstractions without dependents.',
+      anchor: '9-coupling-analysis'
+    }
+  ],
+  cohesion: [
+    {
+      id: 'cohesion/lcom4',
+      name: 'IncohesiveClass',
+      severity: 'MEDIUM',
+      description: 'Class that falls apart into independent responsibilities (LCOM4 > 1)',
+      fullDescription: 'The methods of the class form several groups that share no field and do not call each other (LCOM4 = number of groups). Constructors and methods that use no member of the class are not counted.',
+      help: 'Split the class along the reported clusters: each group of methods with the fields it uses becomes a class of its own.',
+      anchor: '10-cohesion-analysis'
+    }
+  ],
+  patterns: [
+    {
+      id: 'patterns/misplaced',
+      name: 'MisplacedType',
+      severity: 'MEDIUM',
+      description: 'Type whose name suffix belongs in another layer',
+      fullDescription: 'The type name ends with a convention suffix (e.g. *Repository, *Controller, *Handler), but the type is declared outside the layers the convention allows.',
+      help: 'Move the type into the layer its name promises, or rename it. Conventions are configurable via `conventions` in .mmi.json.',
+      anchor: '11-pattern-consistency-analysis'
+    },
+    {
+      id: 'patterns/forbidden-reference',
+      name: 'ForbiddenTypeReference',
+      severity: 'HIGH',
+      description: 'Layer uses a type it must not know (e.g. a DTO in the domain)',
+      fullDescription: 'A file references a type whose name suffix (e.g. *Dto) is excluded for the layer of the file by a naming convention.',
+      help: 'Map the type at the layer boundary (e.g. DTO ↔ domain object in the application layer) instead of using it inside the layer.',
+      anchor: '11-pattern-consistency-analysis'
+    }
+  ],
+  modularization: [
+    {
+      id: 'modularization/technical-module',
+      name: 'TechnicalModule',
+      severity: 'MEDIUM',
+      description: 'Module named after a kind of code instead of a business capability',
+      fullDescription: 'A top-level module below the domain or application layer is named after a technical category (Services, Helpers, Utils, Managers, ...) instead of a business capability.',
+      help: 'Group the code by business capability (e.g. Billing, Shipping) so a change to one capability stays inside one module.',
+      anchor: '12-domain-modularization-analysis'
+    },
+    {
+      id: 'modularization/junk-drawer',
+      name: 'JunkDrawerNamespace',
+      severity: 'MEDIUM',
+      description: 'Namespace collecting many unrelated types',
+      fullDescription: 'A namespace with at least 10 classes, interfaces, structs or records of which at least half neither reference nor are referenced by another type of the namespace.',
+      help: 'Move each type to the module that uses it; keep only genuinely shared building blocks together.',
+      anchor: '12-domain-modularization-analysis'
+    }
+  ],
+  inheritance: [
+    {
+      id: 'inheritance/deep-hierarchy',
+      name: 'DeepInheritanceHierarchy',
+      severity: 'MEDIUM',
+      description: 'Class with too many base classes',
+      fullDescription: 'The depth of inheritance (base classes above the type, an external framework base counting as one) exceeds inheritance.maxDepth of .mmi.json.',
+      help: 'Flatten the hierarchy: move shared behavior into collaborators (composition over inheritance).',
+      anchor: '13-inheritance-analysis'
+    },
+    {
+      id: 'inheritance/cross-layer',
+      name: 'CrossLayerInheritance',
+      severity: 'HIGH',
+      description: 'Base type from a layer the subtype may not depend on',
+      fullDescription: 'A class or interface extends or implements a type of a layer it must not depend on (e.g. an Infrastructure base class extended in Domain).',
+      help: 'Inherit only from types of the own or an inner layer; move the base type inwards or replace inheritance by an interface of the inner layer.',
+      anchor: '13-inheritance-analysis'
+    },
+    {
+      id: 'inheritance/inheritance-cycle',
+      name: 'InheritanceCycle',
+      severity: 'HIGH',
+      description: 'Base type that depends on its own subtype',
+      fullDescription: 'Cyclic base classes, or a base class or interface whose body references one of its subtypes, so base and subtype depend on each other.',
+      help: 'Remove the subtype from the base type (factory or registration outside the hierarchy) or nest closed hierarchies in the base type.',
+      anchor: '13-inheritance-analysis'
+    },
+    {
+      id: 'inheritance/misplaced-interface',
+      name: 'MisplacedInterface',
+      severity: 'MEDIUM',
+      description: 'Single-implementation interface in a layer its consumers may not use',
+      fullDescription: 'An interface with exactly one implementation lives in a layer that one of its consumers may not depend on.',
+      help: 'Move the interface into the innermost layer that uses it and keep the implementation outside (dependency inversion).',
+      anchor: '13-inheritance-analysis'
+    }
+  ]
+};
+
+/**
+ * Format analysis results as SARIF 2.1.0 log (one run)
+ * Suppressed findings are included with `suppressions`, with a baseline
+ * the reported findings carry `baselineState: "new"`.
+ * @param {Object} results - { layering, encapsulation, abstraction, cycles, size, coupling, cohesion, patterns, modularization, inheritance } (any subset)
+ * @returns {string} SARIF JSON
+ */
+export function formatSarifReport(results) {
+  const dimensions = Object.keys(RULES).filter(name => results[name]);
+  const rules = dimensions.flatMap(name => RULES[name]);
+  const ruleIndex = new Map(rules.map((rule, index) => [rule.id, index]));
+  const projectPath = results[dimensions[0]].projectPath;
+
+  const sarifResults = dimensions.flatMap(name => {
+    const result = results[name];
+    const toResults = RESULT_BUILDERS[name];
+    const active = getFindings(name, result).flatMap(finding => toResults(finding, result));
+    const suppressed = getSuppressed(name, result).flatMap(finding =>
+      toResults(finding, result).map(sarifResult => ({ ...sarifResult, suppressions: [toSuppression(finding.suppression)] }))
+    );
+    if (result.baseline) active.forEach(sarifResult => { sarifResult.baselineState = 'new'; });
+    return [...active, ...suppressed];
+  }).map(sarifResult => ({ ...sarifResult, ruleIndex: ruleIndex.get(sarifResult.ruleId) }));
+
+  const log = {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'mmi-analyzer',
+            version: TOOL_VERSION,
+            informationUri: INFORMATION_URI,
+            rules: rules.map(toReportingDescriptor)
+          }
+        },
+        originalUriBaseIds: {
+          SRCROOT: { uri: toDirectoryUri(projectPath) }
+        },
+        columnKind: 'utf16CodeUnits',
+        results: sarifResults,
+        properties: {
+          scores: Object.fromEntries(dimensions.map(name => [name, results[name].score]))
+        }
+      }
+    ]
+  };
+
+  return JSON.stringify(log, null, 2);
+}
+
+// Aktive Findings je Dimension
+function getFindings(dimension, result) {
+  if (dimension === 'layering') return [...result.violations, ...result.projectViolations];
+  if (dimension === 'encapsulation') return [...result.overExposed, ...(result.members ? result.members.findings : [])];
+  if (dimension === 'abstraction') return result.mixedAbstractions;
+  if (['size', 'coupling', 'cohesion', 'patterns', 'modularization', 'inheritance'].includes(dimension)) return result.findings;
+  return [...result.cycles, ...result.projectCycles];
+}
+
+// Unterdrückte Findings je Dimension (Encapsulation: Typen und Member)
+function getSuppressed(dimension, result) {
+  if (dimension === 'encapsulation' && result.members) return [...result.suppressed, ...result.members.suppressed];
+  return result.suppressed || [];
+}
+
+// Finding → SARIF-Results (Zyklen: ein Result je beteiligter Datei bzw. .csproj)
+const RESULT_BUILDERS = {
+  layering: finding => [finding.projectPath
+    ? createResult('layering/project-reference', finding, {
+      message: `\`${finding.project}\` references \`${finding.references}\` - ${finding.layer} must not depend on ${finding.dependsOn}`,
+      location: toLocation(finding.file, finding),
+      fingerprint: getFingerprint('layering', finding).fingerprint
+    })
+    : createResult('layering/dependency', finding, {
+      message: `Uses \`${finding.reference || finding.using}\` - ${finding.layer} must not depend on ${describeTarget(finding)}`,
+      location: toLocation(finding.file, finding),
+      fingerprint: getFingerprint('layering', finding).fingerprint
+    })],
+
+  encapsulation: finding => [finding.rule
+    ? createResult(`encapsulation/${finding.rule}`, finding, {
+      message: `\`${finding.owner}.${finding.name}\`: ${finding.suggestion}`,
+      location: toLocation(finding.file, finding),
+      fingerprint: getFingerprint('encapsulation', finding).fingerprint,
+      properties: { memberKind: finding.memberKind, memberType: finding.memberType }
+    })
+    : createResult('encapsulation/over-exposed', finding, {
+      message: finding.suggestion,
+      location: toLocation(finding.file, finding),
+      fingerprint: getFingerprint('encapsulation', finding).fingerprint
+    })],
+
+  abstraction: finding => [createResult(`abstraction/${finding.issue}`, finding, {
+    message: `${finding.description} (${finding.pattern})`,
+    location: toLocation(finding.file, finding),
+    fingerprint: getFingerprint('abstraction', finding).fingerprint
+  })],
+
+  cycles: (cycle, result) => cycle.projectPaths
+    ? toProjectCycleResults(cycle)
+    : toCycleResults(cycle, result.granularity || 'file'),
+
+  size: finding => [createResult(`size/${finding.rule}`, finding, {
+    message: describeSizeFinding(finding),
+    location: toLocation(finding.file, finding),
+    fingerprint: getFingerprint('size', finding).fingerprint,
+    properties: { lines: finding.lines }
+  })],
+
+  coupling: finding => [createResult('coupling/main-sequence-distance', finding, {
+    message: `${finding.granularity === 'project' ? 'Project' : 'Namespace'} \`${finding.module}\` is in the ${finding.zone === 'pain' ? 'zone of pain' : 'zone of uselessness'}: D = ${finding.distance} (I = ${finding.instability}, A = ${finding.abstractness}, Ca = ${finding.ca}, Ce = ${finding.ce})`,
+    location: toLocation(finding.file, finding),
+    fingerprint: getFingerprint('coupling', finding).fingerprint,
+    properties: { distance: finding.distance, instability: finding.instability, abstractness: finding.abstractness }
+  })],
+
+  cohesion: finding => [createResult('cohesion/lcom4', finding, {
+    message: `\`${finding.name}\` falls apart into ${finding.lcom4} independent parts (LCOM4 = ${finding.lcom4}, LCOM-HS = ${finding.lcomHs ?? '-'}): ${finding.clusters.map(c => c.methods.join(', ')).join(' | ')}`,
+    location: toLocation(finding.file, finding),
+    fingerprint: getFingerprint('cohesion', finding).fingerprint,
+    properties: { lcom4: finding.lcom4, lcomHs: finding.lcomHs, clusters: finding.clusters }
+  })],
+
+  patterns: finding => [createResult(`patterns/${finding.rule}`, finding, {
+    message: finding.rule === 'misplaced'
+      ? `\`${finding.name}\` is declared in ${finding.layer} - \`*${finding.suffix}\` belongs in ${finding.expected.join(' / ')} (convention ${finding.convention})`
+      : `Uses \`${finding.name}\` - \`*${finding.suffix}\` must not be referenced by ${finding.forbidden.join(' / ')} (convention ${finding.convention})`,
+    location: toLocation(finding.file, finding),
+    fingerprint: getFingerprint('patterns', finding).fingerprint,
+    properties: { convention: finding.convention, layer: finding.layer }
+  })],
+
+  modularization: finding => [createResult(`modularization/${finding.rule}`, finding, {
+    message: finding.rule === 'technical-module'
+      ? `Module \`${finding.module}\` (${finding.layers.join(', ') || 'no layer'}, ${finding.types} types) is named after a kind of code instead of a business capability`
+      : `Namespace \`${finding.namespace}\` is a junk drawer: ${finding.isolatedTypes} of ${finding.types} types are unrelated`,
+    location: toLocation(finding.file, finding),
+    fingerprint: getFingerprint('modularization', finding).fingerprint,
+    properties: { types: finding.types }
+  })],
+  inheritance: finding => [createResult(`inheritance/${finding.rule}`, finding, {
+    message: describeInheritanceFinding(finding),
+    location: toLocation(finding.file, finding),
+    related: finding.baseFile ? [finding.baseFile] : finding.blockedConsumers || [],
+    fingerprint: getFingerprint('inheritance', finding).fingerprint,
+    properties: finding.chain ? { depth: finding.depth, chain: finding.chain } : finding.cycle ? { cycle: finding.cycle } : {}
+  })]
+};
+
+function describeInheritanceFinding(finding) {
+  switch (finding.rule) {
+    case 'deep-hierarchy':
+      return `\`${finding.name}\` has ${finding.depth} base classes (${finding.chain.join(' → ')})`;
+    case 'cross-layer':
+      return `\`${finding.name}\` (${finding.layer}) ${finding.relation} \`${finding.base}\` from ${finding.baseLayer}`;
+    case 'inheritance-cycle':
+      return finding.subtype
+        ? `\`${finding.name}\` references its subtype \`${finding.subtype}\``
+        : `Cyclic base classes: ${finding.cycle.join(' → ')}`;
+    default:
+      return `Interface \`${finding.name}\` (${finding.layer}) has one implementation and is used by ${finding.consumerLayers.join(', ')} - it belongs in ${finding.expectedLayer}`;
+  }
+}
+
+function toCycleResults(cycle, granularity) {
+  const files = getCycleFiles(cycle, granularity);
+  const displayName = createDisplayNames(granularity === 'file' ? cycle.path : []);
+  const shown = cycle.path.slice(0, 5).map(displayName).join(' ↔ ');
+  const more = cycle.path.length > 5 ? ` ↔ +${cycle.path.length - 5} more` : '';
+  const { fingerprint } = getFingerprint('cycles', cycle, granularity);
+
+  return files.map(file => createResult('cycles/cycle', cycle, {
+    message: `Part of cycle #${cycle.id}: ${cycle.description} (${shown}${more})`,
+    location: toLocation(file),
+    related: files.filter(other => other !== file),
+    fingerprint: `${fingerprint}:${file}`,
+    properties: { granularity, members: cycle.path }
+  }));
+}
+
+function toProjectCycleResults(cycle) {
+  const { fingerprint } = getFingerprint('cycles', cycle);
+  const references = cycle.references || [];
+
+  return cycle.projectPaths.map(project => {
+    const reference = references.find(r => r.from === project);
+    return createResult('cycles/project-cycle', cycle, {
+      message: `Part of circular project reference: ${cycle.path.join(' → ')}`,
+      location: toLocation(project, reference),
+      related: cycle.projectPaths.filter(other => other !== project),
+      fingerprint: `${fingerprint}:${project}`,
+      properties: { members: cycle.path }
+    });
+  });
+}
+
+function createResult(ruleId, finding, { message, location, related = [], fingerprint, properties = {} }) {
+  const rule = findRule(ruleId);
+  const severity = finding.severity || rule.severity;
+
+  const sarifResult = {
+    ruleId,
+    level: LEVELS[severity],
+    message: { text: message },
+    locations: [location],
+    partialFingerprints: { 'mmiFingerprint/v1': fingerprint },
+    properties: { severity, ...(finding.layer ? { layer: finding.layer } : {}), ...properties }
+  };
+
+  if (related.length > 0) {
+    sarifResult.relatedLocations = related.slice(0, MAX_RELATED_LOCATIONS)
+      .map((file, index) => ({ id: index + 1, ...toLocation(file) }));
+  }
+
+  return sarifResult;
+}
+
+/**
+ * Physical location relative to %SRCROOT% (region only when the line is known)
+ */
+function toLocation(file, position = null) {
+  const physicalLocation = {
+    artifactLocation: { uri: toRelativeUri(file), uriBaseId: 'SRCROOT' }
+  };
+
+  if (position && position.line) {
+    physicalLocation.region = { startLine: position.line };
+    if (position.column) physicalLocation.region.startColumn = position.column;
+    if (position.endLine && position.endLine > position.line) physicalLocation.region.endLine = position.endLine;
+  }
+
+  return { physicalLocation };
+}
+
+function toSuppression({ scope, reason, file, line }) {
+  return {
+    kind: 'inSource',
+    justification: reason || `${scope === 'file' ? 'mmi-ignore-file' : 'mmi-ignore'} without reason`,
+    location: toLocation(file, { line })
+  };
+}
+
+function toReportingDescriptor(rule) {
+  return {
+    id: rule.id,
+    name: rule.name,
+    shortDescription: { text: rule.description },
+    fullDescription: { text: rule.fullDescription },
+    help: { text: rule.help.replace(/`/g, ''), markdown: rule.help },
+    helpUri: `${INFORMATION_URI}#${rule.anchor}`,
+    defaultConfiguration: { level: LEVELS[rule.severity] },
+    properties: { severity: rule.severity, tags: ['architecture', rule.id.split('/')[0]] }
+  };
+}
+
+function findRule(ruleId) {
+  const rule = Object.values(RULES).flat().find(r => r.id === ruleId);
+  if (!rule) throw new Error(`Unknown SARIF rule "${ruleId}"`);
+  return rule;
+}
+
+function describeSizeFinding(finding) {
+  if (finding.rule === 'god-class') return `God class \`${finding.name}\`: ${finding.reasons.join(', ')}`;
+  if (finding.rule === 'oversized-file') return `File has ${finding.lines} lines of code`;
+  const level = finding.level === 'project' ? 'Project' : 'Namespace';
+  return `${level} \`${finding.name}\` has ${finding.lines} lines of code in ${finding.fileCount} files (${finding.factor}× the median)`;
+}
+
+function describeTarget(v) {
+  return v.targetSlice ? `${v.dependsOn}/${v.targetSlice}` : v.dependsOn;
+}
+
+// Relative Pfade (Forward Slashes) als URI-Referenz, Segmente kodiert
+function toRelativeUri(file) {
+  return file.split('/').map(encodeURIComponent).join('/');
+}
+
+function toDirectoryUri(directory) {
+  const uri = pathToFileURL(directory).href;
+  return uri.endsWith('/') ? uri : `${uri}/`;
+}
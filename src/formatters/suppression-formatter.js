@@ -0,0 +1,38 @@
+import { createDisplayNames } from '../utils/display-names.js';
+
+/**
+ * Header suffix with the number of findings suppressed via `mmi-ignore`
+ * @param {Object} result - Analysis result (with suppressedCount)
+ * @returns {string}
+ */
+export function formatSuppressedCount(result) {
+  return result.suppressedCount ? ` | **Suppressed:** ${result.suppressedCount}` : '';
+}
+
+/**
+ * Suppressed findings with their reasons, so exceptions can be audited
+ * (detailed mode only)
+ * @param {Object[]} suppressed - Findings carrying `suppression`
+ * @param {Object} config - Report config
+ * @param {Function} describe - finding → short description (e.g. "Uses `MyApp.Infrastructure`")
+ * @returns {string}
+ */
+export function formatSuppressions(suppressed = [], config, describe) {
+  if (!config.listSuppressions || suppressed.length === 0) return '';
+
+  const displayName = createDisplayNames(suppressed.map(f => f.suppression.file));
+  const showCount = Math.min(suppressed.length, config.maxViolationsShown);
+
+  let report = `## 🔕 Suppressed (${suppressed.length})\n\n`;
+  suppressed.slice(0, showCount).forEach(finding => {
+    const { scope, reason, file, line } = finding.suppression;
+    const directive = scope === 'file' ? 'mmi-ignore-file' : 'mmi-ignore';
+    report += `- ${describe(finding)} - \`${directive}\` at ${displayName(file)}:${line}: ${reason || '_no reason given_'}\n`;
+  });
+
+  if (suppressed.length > showCount) {
+    report += `  _...and ${suppressed.length - showCount} more_\n`;
+  }
+
+  return report + '\n';
+}
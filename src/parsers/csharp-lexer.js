@@ -0,0 +1,366 @@
+/**
+ * C# Lexer für MMI Analyzer
+ * Zerlegt Quellcode in Tokens mit Zeilen-/Spaltenpositionen, damit
+ * Kommentare, Strings und Präprozessor-Direktiven zuverlässig von Code
+ * unterschieden werden können.
+ */
+
+/**
+ * Reserved C# keywords (contextual keywords like `var`, `record`, `global`
+ * stay identifiers and are interpreted by the parser)
+ */
+export const KEYWORDS = new Set([
+  'abstract', 'as', 'base', 'bool', 'break', 'byte', 'case', 'catch', 'char',
+  'checked', 'class', 'const', 'continue', 'decimal', 'default', 'delegate',
+  'do', 'double', 'else', 'enum', 'event', 'explicit', 'extern', 'false',
+  'finally', 'fixed', 'float', 'for', 'foreach', 'goto', 'if', 'implicit',
+  'in', 'int', 'interface', 'internal', 'is', 'lock', 'long', 'namespace',
+  'new', 'null', 'object', 'operator', 'out', 'override', 'params', 'private',
+  'protected', 'public', 'readonly', 'ref', 'return', 'sbyte', 'sealed',
+  'short', 'sizeof', 'stackalloc', 'static', 'string', 'struct', 'switch',
+  'this', 'throw', 'true', 'try', 'typeof', 'uint', 'ulong', 'unchecked',
+  'unsafe', 'ushort', 'using', 'virtual', 'void', 'volatile', 'while'
+]);
+
+// Multi-char operators. `>>`, `<<` and `>=` are deliberately emitted as single
+// characters so generic argument lists (`List<List<int>>`) stay balanced.
+const OPERATORS = [
+  '??=', '=>', '==', '!=', '<=', '&&', '||', '??', '?.', '::', '++', '--',
+  '->', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '..'
+];
+
+const IDENT_START = /[\p{L}_]/u;
+const IDENT_PART = /[\p{L}\p{N}_]/u;
+
+/**
+ * Tokenize C# source code
+ * @param {string} source - C# source code
+ * @returns {Array} Tokens: { type, value, start, end, line, column, endLine, endColumn }
+ *   type is one of identifier, keyword, number, string, char, comment,
+ *   preprocessor, punctuation
+ */
+export function tokenize(source) {
+  const tokens = [];
+  const lineStarts = computeLineStarts(source);
+  const length = source.length;
+  let pos = 0;
+  let atLineStart = true;
+
+  const push = (type, start, end, extra = {}) => {
+    const from = positionAt(lineStarts, start);
+    const to = positionAt(lineStarts, Math.max(start, end - 1));
+    tokens.push({
+      type,
+      value: source.slice(start, end),
+      start,
+      end,
+      line: from.line,
+      column: from.column,
+      endLine: to.line,
+      endColumn: to.column,
+      ...extra
+    });
+  };
+
+  while (pos < length) {
+    const ch = source[pos];
+    const next = source[pos + 1];
+
+    // Whitespace
+    if (ch === '\n') {
+      atLineStart = true;
+      pos++;
+      continue;
+    }
+    if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\f' || ch === '\v' || ch === '\uFEFF') {
+      pos++;
+      continue;
+    }
+
+    // Präprozessor: nur am Zeilenanfang
+    if (ch === '#' && atLineStart) {
+      const end = findLineEnd(source, pos);
+      push('preprocessor', pos, end);
+      pos = end;
+      continue;
+    }
+
+    atLineStart = false;
+
+    // Kommentare
+    if (ch === '/' && next === '/') {
+      const end = findLineEnd(source, pos);
+      push('comment', pos, end, { block: false, doc: source[pos + 2] === '/' });
+      pos = end;
+      continue;
+    }
+    if (ch === '/' && next === '*') {
+      const close = source.indexOf('*/', pos + 2);
+      const end = close === -1 ? length : close + 2;
+      push('comment', pos, end, { block: true, doc: false });
+      pos = end;
+      continue;
+    }
+
+    // Strings (regular, verbatim, interpolated, raw)
+    if (ch === '"' || ((ch === '$' || ch === '@') && isStringPrefix(source, pos))) {
+      const str = scanString(source, pos);
+      push('string', pos, str.end, {
+        verbatim: str.verbatim,
+        interpolated: str.interpolated,
+        raw: str.raw
+      });
+      pos = str.end;
+      continue;
+    }
+
+    // Char literal
+    if (ch === "'") {
+      const end = scanChar(source, pos);
+      push('char', pos, end);
+      pos = end;
+      continue;
+    }
+
+    // Verbatim identifier (@class)
+    if (ch === '@' && next !== undefined && IDENT_START.test(next)) {
+      let end = pos + 2;
+      while (end < length && IDENT_PART.test(source[end])) end++;
+      push('identifier', pos, end, { verbatim: true, value: source.slice(pos + 1, end) });
+      pos = end;
+      continue;
+    }
+
+    // Identifiers / keywords
+    if (IDENT_START.test(ch)) {
+      let end = pos + 1;
+      while (end < length && IDENT_PART.test(source[end])) end++;
+      const value = source.slice(pos, end);
+      push(KEYWORDS.has(value) ? 'keyword' : 'identifier', pos, end);
+      pos = end;
+      continue;
+    }
+
+    // Numbers
+    if (isDigit(ch) || (ch === '.' && isDigit(next))) {
+      let end = pos + 1;
+      while (end < length) {
+        const c = source[end];
+        if (IDENT_PART.test(c)) {
+          end++;
+        } else if (c === '.' && isDigit(source[end + 1])) {
+          end++;
+        } else if ((c === '+' || c === '-') && /[eE]/.test(source[end - 1]) && !/^0[xX]/.test(source.slice(pos, end))) {
+          end++;
+        } else {
+          break;
+        }
+      }
+      push('number', pos, end);
+      pos = end;
+      continue;
+    }
+
+    // Operators / punctuation
+    const op = OPERATORS.find(o => source.startsWith(o, pos));
+    const end = pos + (op ? op.length : 1);
+    push('punctuation', pos, end);
+    pos = end;
+  }
+
+  return tokens;
+}
+
+/**
+ * Replace comments, string/char contents and preprocessor directives with
+ * spaces so plain regexes only see real code. Offsets and line breaks are
+ * preserved, so positions stay valid.
+ * @param {string} source - C# source code
+ * @param {Array} [tokens] - Tokens from tokenize() (computed if omitted)
+ * @returns {string} Code-only text
+ */
+export function maskNonCode(source, tokens = tokenize(source)) {
+  const chars = source.split('');
+
+  for (const token of tokens) {
+    if (token.type !== 'comment' && token.type !== 'string' &&
+        token.type !== 'char' && token.type !== 'preprocessor') {
+      continue;
+    }
+    for (let i = token.start; i < token.end; i++) {
+      if (chars[i] !== '\n' && chars[i] !== '\r') chars[i] = ' ';
+    }
+  }
+
+  return chars.join('');
+}
+
+/**
+ * Compute offsets of all line starts
+ */
+export function computeLineStarts(source) {
+  const starts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+/**
+ * Convert an offset to a 1-based { line, column }
+ */
+export function positionAt(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return { line: low + 1, column: offset - lineStarts[low] + 1 };
+}
+
+function isDigit(ch) {
+  return ch !== undefined && ch >= '0' && ch <= '9';
+}
+
+function findLineEnd(source, pos) {
+  const end = source.indexOf('\n', pos);
+  if (end === -1) return source.length;
+  return source[end - 1] === '\r' ? end - 1 : end;
+}
+
+/**
+ * Check whether $ / @ at pos starts a string literal ($"", @"", $@"", $$""")
+ */
+function isStringPrefix(source, pos) {
+  let i = pos;
+  while (source[i] === '$' || source[i] === '@') i++;
+  return i > pos && source[i] === '"';
+}
+
+/**
+ * Scan a string literal starting at pos (including prefixes)
+ * @returns {Object} { end, verbatim, interpolated, raw }
+ */
+function scanString(source, pos) {
+  let i = pos;
+  let dollars = 0;
+  let verbatim = false;
+
+  while (source[i] === '$' || source[i] === '@') {
+    if (source[i] === '$') dollars++;
+    else verbatim = true;
+    i++;
+  }
+
+  const interpolated = dollars > 0;
+
+  // Raw string literal: """ ... """
+  let quotes = 0;
+  while (source[i + quotes] === '"') quotes++;
+  if (quotes >= 3) {
+    const fence = '"'.repeat(quotes);
+    const close = source.indexOf(fence, i + quotes);
+    return {
+      end: close === -1 ? source.length : close + quotes,
+      verbatim: false,
+      interpolated,
+      raw: true
+    };
+  }
+
+  i++; // opening quote
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (verbatim) {
+      if (ch === '"') {
+        if (source[i + 1] === '"') {
+          i += 2;
+          continue;
+        }
+        return { end: i + 1, verbatim, interpolated, raw: false };
+      }
+    } else {
+      if (ch === '\\') {
+        i += 2;
+        continue;
+      }
+      if (ch === '"') {
+        return { end: i + 1, verbatim, interpolated, raw: false };
+      }
+      if (ch === '\n') {
+        // Unterminated string - stop at line end
+        return { end: i, verbatim, interpolated, raw: false };
+      }
+    }
+
+    if (interpolated && ch === '{') {
+      if (source[i + 1] === '{') {
+        i += 2;
+        continue;
+      }
+      i = skipInterpolationHole(source, i + 1);
+      continue;
+    }
+
+    i++;
+  }
+
+  return { end: source.length, verbatim, interpolated, raw: false };
+}
+
+/**
+ * Skip an interpolation hole `{ expr }`, honoring nested braces and strings
+ * @returns {number} Position after the closing brace
+ */
+function skipInterpolationHole(source, pos) {
+  let depth = 1;
+  let i = pos;
+
+  while (i < source.length && depth > 0) {
+    const ch = source[i];
+
+    if (ch === '"' || ((ch === '$' || ch === '@') && isStringPrefix(source, i))) {
+      i = scanString(source, i).end;
+      continue;
+    }
+    if (ch === "'") {
+      i = scanChar(source, i);
+      continue;
+    }
+    if (ch === '{') depth++;
+    if (ch === '}') depth--;
+    i++;
+  }
+
+  return i;
+}
+
+/**
+ * Scan a char literal ('a', '\n', '\'')
+ * @returns {number} Position after the literal
+ */
+function scanChar(source, pos) {
+  let i = pos + 1;
+
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '\\') {
+      i += 2;
+      continue;
+    }
+    if (ch === "'") return i + 1;
+    if (ch === '\n') return i;
+    i++;
+  }
+
+  return source.length;
+}
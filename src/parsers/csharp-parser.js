@@ -0,0 +1,1020 @@
+/**
+ * C# Source Model für MMI Analyzer
+ * Baut aus den Lexer-Tokens ein leichtgewichtiges Modell (Usings, Namespaces,
+ * Typdeklarationen, Member) mit Positionen. Kein vollständiger C#-Parser -
+ * Methodenrümpfe werden nur übersprungen, nicht interpretiert.
+ */
+
+import { tokenize, maskNonCode } from './csharp-lexer.js';
+
+const TYPE_KEYWORDS = new Set(['class', 'struct', 'interface', 'enum', 'delegate']);
+
+const MODIFIERS = new Set([
+  'public', 'private', 'protected', 'internal', 'static', 'abstract', 'sealed',
+  'partial', 'readonly', 'virtual', 'override', 'async', 'extern', 'unsafe',
+  'new', 'volatile', 'const', 'required', 'file', 'fixed', 'ref', 'scoped'
+]);
+
+const ACCESSORS = new Set(['get', 'set', 'init', 'add', 'remove']);
+
+/**
+ * Parse C# source code into a source model
+ * @param {string} source - C# source code
+ * @returns {Object} { tokens, comments, directives, usings, namespaces, namespace, types,
+ *   qualifiedNames, code }
+ *   qualifiedNames: dotted names outside using/namespace directives
+ *   [{ name, context (code|attribute|generic|typeof|nameof), line, column, endLine, endColumn }]
+ */
+export function parseCSharp(source) {
+  const allTokens = tokenize(source);
+
+  const state = {
+    tokens: allTokens.filter(t => t.type !== 'comment' && t.type !== 'preprocessor'),
+    pos: 0,
+    usings: [],
+    namespaces: [],
+    types: [],
+    // Token-Bereiche von using-/namespace-Direktiven [start, end)
+    directiveRanges: []
+  };
+
+  parseScope(state, { kind: 'namespace', namespace: null, type: null, membersSeen: false }, false);
+
+  return {
+    tokens: state.tokens,
+    comments: allTokens.filter(t => t.type === 'comment'),
+    directives: allTokens.filter(t => t.type === 'preprocessor'),
+    usings: state.usings,
+    namespaces: state.namespaces,
+    namespace: state.namespaces.length > 0 ? state.namespaces[0].name : null,
+    types: state.types,
+    qualifiedNames: collectQualifiedNames(state.tokens, state.directiveRanges),
+    code: maskNonCode(source, allTokens)
+  };
+}
+
+/**
+ * Join tokens back into readable text (e.g. a type name or using target)
+ * @param {Array} tokens - Tokens to join
+ * @returns {string}
+ */
+export function tokensToText(tokens) {
+  let text = '';
+  let previous = null;
+
+  for (const token of tokens) {
+    if (previous && isWordToken(previous) && isWordToken(token)) {
+      text += ' ';
+    } else if (previous && previous.value === ',') {
+      text += ' ';
+    }
+    text += token.value;
+    previous = token;
+  }
+
+  return text;
+}
+
+// ============================================================================
+// Scopes
+// ============================================================================
+
+/**
+ * Parse declarations until the closing brace of the current scope (or EOF)
+ */
+function parseScope(state, context, hasClosingBrace) {
+  while (state.pos < state.tokens.length) {
+    const token = peek(state);
+
+    if (token.value === '}') {
+      state.pos++;
+      if (hasClosingBrace) return token;
+      continue;
+    }
+
+    if (token.value === ';') {
+      state.pos++;
+      continue;
+    }
+
+    if (context.kind === 'namespace') {
+      if (!context.membersSeen && isUsingDirective(state)) {
+        parseUsing(state);
+        continue;
+      }
+
+      if (token.value === 'namespace') {
+        parseNamespace(state, context);
+        continue;
+      }
+
+      if (token.value === 'extern' && peek(state, 1)?.value === 'alias') {
+        skipUntil(state, ';');
+        continue;
+      }
+    }
+
+    context.membersSeen = true;
+    parseDeclaration(state, context);
+  }
+
+  return null;
+}
+
+/**
+ * Using directives must precede all other members, so `using (...)` and
+ * `using var x = ...` in top-level statements are never mistaken for them.
+ */
+function isUsingDirective(state) {
+  let offset = 0;
+  if (peek(state).value === 'global') offset = 1;
+  if (peek(state, offset)?.value !== 'using') return false;
+
+  const next = peek(state, offset + 1);
+  if (!next || next.value === '(') return false;
+  if (next.value === 'var' || (peek(state, offset + 2)?.type === 'identifier' && peek(state, offset + 3)?.value === '=')) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * using [global] [static] [Alias =] Name;
+ */
+function parseUsing(state) {
+  const start = peek(state);
+  const startPos = state.pos;
+  const isGlobal = start.value === 'global';
+  if (isGlobal) state.pos++;
+  state.pos++; // using
+
+  const isStatic = peek(state)?.value === 'static';
+  if (isStatic) state.pos++;
+
+  let alias = null;
+  if (peek(state)?.type === 'identifier' && peek(state, 1)?.value === '=') {
+    alias = peek(state).value;
+    state.pos += 2;
+  }
+
+  const nameTokens = [];
+  while (state.pos < state.tokens.length && peek(state).value !== ';') {
+    nameTokens.push(peek(state));
+    state.pos++;
+  }
+  const end = peek(state) || nameTokens[nameTokens.length - 1] || start;
+  state.pos++;
+  state.directiveRanges.push([startPos, state.pos]);
+
+  state.usings.push({
+    namespace: stripGlobalPrefix(tokensToText(nameTokens)),
+    alias,
+    isStatic,
+    isGlobal,
+    line: start.line,
+    column: start.column,
+    endLine: end.endLine,
+    endColumn: end.endColumn
+  });
+}
+
+/**
+ * namespace A.B { ... }  or  namespace A.B;
+ */
+function parseNamespace(state, context) {
+  const start = peek(state);
+  const startPos = state.pos;
+  state.pos++;
+
+  const nameTokens = [];
+  while (state.pos < state.tokens.length && peek(state).value !== '{' && peek(state).value !== ';') {
+    nameTokens.push(peek(state));
+    state.pos++;
+  }
+  state.directiveRanges.push([startPos, state.pos]);
+
+  const name = tokensToText(nameTokens);
+  const fullName = context.namespace ? `${context.namespace}.${name}` : name;
+  const terminator = peek(state);
+  state.pos++;
+
+  const namespace = {
+    name: fullName,
+    fileScoped: terminator?.value === ';',
+    line: start.line,
+    column: start.column,
+    endLine: null
+  };
+  state.namespaces.push(namespace);
+
+  if (namespace.fileScoped) {
+    // Gilt für den Rest der Datei
+    context.namespace = fullName;
+    namespace.endLine = state.tokens.length > 0 ? state.tokens[state.tokens.length - 1].endLine : start.line;
+    return;
+  }
+
+  const close = parseScope(state, { kind: 'namespace', namespace: fullName, type: null, membersSeen: false }, true);
+  namespace.endLine = (close || terminator || start).endLine;
+}
+
+// ============================================================================
+// Declarations
+// ============================================================================
+
+/**
+ * Parse a type declaration, member, or (at namespace level) a top-level statement
+ */
+function parseDeclaration(state, context) {
+  const attributeStart = peek(state);
+
+  skipAttributes(state);
+
+  const start = peek(state) || attributeStart;
+  const modifiers = [];
+  while (state.pos < state.tokens.length && MODIFIERS.has(peek(state).value) && !isTypeKeywordAt(state, 0)) {
+    // `new()` / `ref x` in statements are not modifiers
+    if (peek(state, 1)?.value === '(' || peek(state, 1)?.value === '.') break;
+    modifiers.push(peek(state).value);
+    state.pos++;
+  }
+
+  if (isTypeKeywordAt(state, 0)) {
+    parseTypeDeclaration(state, context, modifiers, start, attributeStart);
+    return;
+  }
+
+  if (context.kind === 'type') {
+    parseMember(state, context, modifiers, start, attributeStart);
+    return;
+  }
+
+  skipStatement(state);
+}
+
+function isTypeKeywordAt(state, offset) {
+  const token = peek(state, offset);
+  if (!token) return false;
+  if (TYPE_KEYWORDS.has(token.value)) {
+    // `delegate (` is an anonymous method, not a declaration
+    return token.value !== 'delegate' || peek(state, offset + 1)?.value !== '(';
+  }
+  if (token.value === 'record') {
+    const next = peek(state, offset + 1);
+    return !!next && (next.type === 'identifier' || next.value === 'class' || next.value === 'struct');
+  }
+  return false;
+}
+
+/**
+ * class/struct/interface/enum/record/delegate declarations
+ */
+function parseTypeDeclaration(state, context, modifiers, start, attributeStart) {
+  let kind = peek(state).value;
+  state.pos++;
+
+  if (kind === 'record' && (peek(state)?.value === 'class' || peek(state)?.value === 'struct')) {
+    if (peek(state).value === 'struct') modifiers = [...modifiers, 'struct'];
+    state.pos++;
+  }
+
+  if (kind === 'delegate') {
+    parseDelegate(state, context, modifiers, start, attributeStart);
+    return;
+  }
+
+  const nameToken = peek(state);
+  state.pos++;
+
+  const type = createType(context, kind, nameToken?.value || '', modifiers, start, attributeStart);
+  state.types.push(type);
+
+  // Type parameters
+  if (peek(state)?.value === '<') skipBalanced(state, '<', '>');
+
+  // Primary constructor / positional record parameters
+  if (peek(state)?.value === '(') {
+    const open = state.pos;
+    skipBalanced(state, '(', ')');
+    type.parameters = parseParameterList(state.tokens.slice(open + 1, state.pos - 1));
+  }
+
+  // Base list
+  if (peek(state)?.value === ':') {
+    state.pos++;
+    type.baseTypes = parseBaseList(state);
+  }
+
+  // Constraints (where T : ...)
+  while (state.pos < state.tokens.length && peek(state).value !== '{' && peek(state).value !== ';') {
+    state.pos++;
+  }
+
+  const terminator = peek(state);
+  state.pos++;
+
+  if (terminator?.value === '{') {
+    type.bodyStart = state.pos;
+    let close;
+    if (kind === 'enum') {
+      state.pos--;
+      skipBalanced(state, '{', '}');
+      close = state.tokens[state.pos - 1];
+    } else {
+      close = parseScope(state, { kind: 'type', namespace: context.namespace, type, membersSeen: true }, true);
+    }
+    type.bodyEnd = state.pos - 1;
+    type.endLine = (close || terminator).endLine;
+    type.endColumn = (close || terminator).endColumn;
+  } else {
+    type.endLine = (terminator || nameToken || start).endLine;
+    type.endColumn = (terminator || nameToken || start).endColumn;
+  }
+}
+
+/**
+ * delegate ReturnType Name<T>(...);
+ */
+function parseDelegate(state, context, modifiers, start, attributeStart) {
+  const header = [];
+  while (state.pos < state.tokens.length && peek(state).value !== ';') {
+    header.push(peek(state));
+    state.pos++;
+  }
+  const terminator = peek(state);
+  state.pos++;
+
+  const nameToken = findNameBeforeParen(header);
+  const type = createType(context, 'delegate', nameToken?.value || '', modifiers, start, attributeStart);
+  type.endLine = (terminator || start).endLine;
+  type.endColumn = (terminator || start).endColumn;
+  state.types.push(type);
+}
+
+function createType(context, kind, name, modifiers, start, attributeStart) {
+  const parent = context.type;
+  const owner = parent ? parent.fullName : context.namespace;
+
+  return {
+    kind,
+    name,
+    fullName: owner ? `${owner}.${name}` : name,
+    namespace: context.namespace,
+    parent: parent ? parent.fullName : null,
+    isNested: !!parent,
+    modifiers,
+    accessibility: getAccessibility(modifiers, parent ? (parent.kind === 'interface' ? 'public' : 'private') : 'internal'),
+    baseTypes: [],
+    parameters: [],
+    members: [],
+    line: start.line,
+    column: start.column,
+    startLine: attributeStart.line,
+    endLine: start.endLine,
+    endColumn: start.endColumn
+  };
+}
+
+/**
+ * Parse `: Base<T>, IFoo, IBar` up to `where` / `{` / `;`
+ */
+function parseBaseList(state) {
+  const baseTypes = [];
+  let current = [];
+  let depth = 0;
+
+  while (state.pos < state.tokens.length) {
+    const token = peek(state);
+
+    if (depth === 0 && (token.value === '{' || token.value === ';' || token.value === 'where')) break;
+
+    if (token.value === '(' && depth === 0) {
+      // Primary constructor base call: Base(x)
+      skipBalanced(state, '(', ')');
+      continue;
+    }
+
+    if (token.value === '<') depth++;
+    if (token.value === '>') depth--;
+
+    if (token.value === ',' && depth === 0) {
+      if (current.length > 0) baseTypes.push(stripGlobalPrefix(tokensToText(current)));
+      current = [];
+    } else {
+      current.push(token);
+    }
+    state.pos++;
+  }
+
+  if (current.length > 0) baseTypes.push(stripGlobalPrefix(tokensToText(current)));
+  return baseTypes;
+}
+
+/**
+ * Parse a member inside a type body
+ */
+function parseMember(state, context, modifiers, start, attributeStart) {
+  const type = context.type;
+  const header = [];
+  let parenDepth = 0;
+  let bracketDepth = 0;
+  let terminator = null;
+
+  while (state.pos < state.tokens.length) {
+    const token = peek(state);
+
+    if (parenDepth === 0 && bracketDepth === 0 &&
+        (token.value === ';' || token.value === '{' || token.value === '=>' || token.value === '=' || token.value === '}')) {
+      terminator = token;
+      break;
+    }
+
+    if (token.value === '(') parenDepth++;
+    if (token.value === ')') parenDepth--;
+    if (token.value === '[') bracketDepth++;
+    if (token.value === ']') bracketDepth--;
+
+    header.push(token);
+    state.pos++;
+  }
+
+  if (!terminator) return;
+
+  if (header.length === 0) {
+    // `}` of the enclosing scope is handled by the caller; anything else is
+    // unexpected here and skipped so parsing always makes progress
+    if (terminator.value === '{') skipBalanced(state, '{', '}');
+    else if (terminator.value !== '}') state.pos++;
+    return;
+  }
+
+  const defaultAccess = type.kind === 'interface' ? 'public' : 'private';
+  const base = {
+    modifiers,
+    accessibility: getAccessibility(modifiers, defaultAccess),
+    isStatic: modifiers.includes('static') || modifiers.includes('const'),
+    line: start.line,
+    column: start.column,
+    startLine: attributeStart.line
+  };
+
+  const hasParams = header.some(t => t.value === '(');
+  const isEvent = header[0]?.value === 'event';
+  const isIndexer = header.some((t, i) => t.value === 'this' && header[i + 1]?.value === '[');
+
+  if (terminator.value === '=') {
+    // Field(s) with initializer
+    parseFieldDeclarators(state, type, header, base, isEvent);
+    return;
+  }
+
+  if (terminator.value === ';' || terminator.value === '}') {
+    if (terminator.value === ';') state.pos++;
+    if (hasParams) {
+      addMember(type, createMethod(type, header, base, null, terminator));
+    } else {
+      addFields(type, header, base, isEvent, terminator);
+    }
+    return;
+  }
+
+  if (terminator.value === '=>') {
+    state.pos++;
+    const bodyStart = state.pos;
+    skipExpression(state);
+    const bodyEnd = state.pos - 1;
+    const end = state.tokens[bodyEnd] || terminator;
+    state.pos++; // ;
+
+    const member = hasParams && !isIndexer
+      ? createMethod(type, header, base, { start: bodyStart, end: bodyEnd }, end)
+      : createProperty(type, header, base, isIndexer, [{ kind: 'get', accessibility: base.accessibility, modifiers: [], hasBody: true }], { start: bodyStart, end: bodyEnd }, end);
+    member.expressionBodied = true;
+    addMember(type, member);
+    return;
+  }
+
+  // terminator === '{'
+  if (hasParams && !isIndexer) {
+    const bodyStart = state.pos + 1;
+    skipBalanced(state, '{', '}');
+    const end = state.tokens[state.pos - 1];
+    addMember(type, createMethod(type, header, base, { start: bodyStart, end: state.pos - 2 }, end));
+    return;
+  }
+
+  // Property / indexer / event accessors
+  const bodyStart = state.pos + 1;
+  const accessors = parseAccessors(state, base.accessibility);
+  const close = state.tokens[state.pos - 1];
+  const member = createProperty(type, header, base, isIndexer, accessors, { start: bodyStart, end: state.pos - 2 }, close);
+  if (isEvent) member.kind = 'event';
+
+  // Property initializer: { get; set; } = new();
+  if (peek(state)?.value === '=') {
+    state.pos++;
+    member.hasInitializer = true;
+    skipExpression(state);
+    state.pos++;
+  }
+
+  addMember(type, member);
+}
+
+/**
+ * int a = 1, b = 2;
+ */
+function parseFieldDeclarators(state, type, header, base, isEvent) {
+  const typeTokens = header.slice(isEvent ? 1 : 0, -1);
+  let nameToken = header[header.length - 1];
+
+  while (nameToken) {
+    state.pos++; // '='
+    const initStart = state.pos;
+    const stop = skipExpression(state, true);
+    const end = state.tokens[state.pos - 1] || nameToken;
+
+    addMember(type, {
+      ...base,
+      kind: isEvent ? 'event' : 'field',
+      name: nameToken.value,
+      type: tokensToText(typeTokens),
+      isReadonly: base.modifiers.includes('readonly') || base.modifiers.includes('const'),
+      hasInitializer: true,
+      initializer: { start: initStart, end: state.pos - 1 },
+      line: base.line,
+      column: base.column,
+      nameLine: nameToken.line,
+      nameColumn: nameToken.column,
+      endLine: end.endLine,
+      endColumn: end.endColumn
+    });
+
+    if (stop !== ',') {
+      if (stop === ';') state.pos++;
+      break;
+    }
+
+    // Next declarator: name [= init]
+    state.pos++;
+    nameToken = peek(state);
+    state.pos++;
+    if (peek(state)?.value !== '=') {
+      const terminator = peek(state);
+      addMember(type, {
+        ...base,
+        kind: isEvent ? 'event' : 'field',
+        name: nameToken?.value || '',
+        type: tokensToText(typeTokens),
+        isReadonly: base.modifiers.includes('readonly') || base.modifiers.includes('const'),
+        hasInitializer: false,
+        nameLine: nameToken?.line,
+        nameColumn: nameToken?.column,
+        endLine: (terminator || nameToken).endLine,
+        endColumn: (terminator || nameToken).endColumn
+      });
+      if (terminator?.value === ',') {
+        // Further declarators without initializer are rare - skip to the end
+        skipUntil(state, ';');
+        break;
+      }
+      state.pos++;
+      break;
+    }
+  }
+}
+
+/**
+ * Fields without initializer: `int a, b;` / `event EventHandler Changed;`
+ */
+function addFields(type, header, base, isEvent, terminator) {
+  const tokens = isEvent ? header.slice(1) : header;
+  const segments = splitTopLevel(tokens, ',');
+  const typeTokens = segments[0].slice(0, -1);
+
+  segments.forEach((segment, index) => {
+    const nameToken = segment[segment.length - 1];
+    if (!nameToken) return;
+
+    addMember(type, {
+      ...base,
+      kind: isEvent ? 'event' : 'field',
+      name: nameToken.value,
+      type: tokensToText(typeTokens),
+      isReadonly: base.modifiers.includes('readonly') || base.modifiers.includes('const'),
+      hasInitializer: false,
+      nameLine: nameToken.line,
+      nameColumn: nameToken.column,
+      endLine: (index === segments.length - 1 ? terminator : nameToken).endLine,
+      endColumn: (index === segments.length - 1 ? terminator : nameToken).endColumn
+    });
+  });
+}
+
+function createMethod(type, header, base, body, end) {
+  const nameToken = findNameBeforeParen(header);
+  const nameIndex = header.indexOf(nameToken);
+  const isOperator = header.some(t => t.value === 'operator');
+  const isDestructor = header[0]?.value === '~';
+
+  let kind = 'method';
+  if (isOperator) kind = 'operator';
+  else if (isDestructor) kind = 'destructor';
+  else if (nameToken && nameToken.value === type.name && nameIndex === 0) kind = 'constructor';
+
+  const open = header.findIndex(t => t.value === '(');
+  const close = findMatching(header, open, '(', ')');
+
+  return {
+    ...base,
+    kind,
+    name: isOperator ? 'operator' : (nameToken?.value || ''),
+    type: kind === 'method' ? tokensToText(header.slice(0, Math.max(0, nameIndex))) : null,
+    parameters: open >= 0 ? parseParameterList(header.slice(open + 1, close >= 0 ? close : header.length)) : [],
+    isAbstract: body === null,
+    body,
+    nameLine: nameToken?.line,
+    nameColumn: nameToken?.column,
+    endLine: end.endLine,
+    endColumn: end.endColumn
+  };
+}
+
+function createProperty(type, header, base, isIndexer, accessors, body, end) {
+  const nameToken = isIndexer ? header.find(t => t.value === 'this') : lastIdentifier(header);
+  const nameIndex = header.indexOf(nameToken);
+
+  return {
+    ...base,
+    kind: isIndexer ? 'indexer' : 'property',
+    name: isIndexer ? 'this[]' : (nameToken?.value || ''),
+    type: tokensToText(header.slice(header[0]?.value === 'event' ? 1 : 0, Math.max(0, nameIndex))),
+    accessors,
+    hasInitializer: false,
+    body,
+    nameLine: nameToken?.line,
+    nameColumn: nameToken?.column,
+    endLine: end.endLine,
+    endColumn: end.endColumn
+  };
+}
+
+/**
+ * Parse `{ get; private set; init => ...; add { } }`
+ * @returns {Array} [{ kind, accessibility, modifiers, hasBody, line, body }]
+ */
+function parseAccessors(state, memberAccessibility) {
+  const accessors = [];
+  state.pos++; // '{'
+
+  while (state.pos < state.tokens.length && peek(state).value !== '}') {
+    skipAttributes(state);
+
+    const modifiers = [];
+    while (state.pos < state.tokens.length && MODIFIERS.has(peek(state).value)) {
+      modifiers.push(peek(state).value);
+      state.pos++;
+    }
+
+    const token = peek(state);
+    if (!token || token.value === '}') break;
+
+    if (!ACCESSORS.has(token.value)) {
+      // Unexpected content - skip defensively
+      state.pos++;
+      continue;
+    }
+    state.pos++;
+
+    const accessor = {
+      kind: token.value,
+      accessibility: getAccessibility(modifiers, memberAccessibility),
+      modifiers,
+      hasBody: false,
+      line: token.line,
+      body: null
+    };
+
+    if (peek(state)?.value === '{') {
+      const bodyStart = state.pos + 1;
+      skipBalanced(state, '{', '}');
+      accessor.hasBody = true;
+      accessor.body = { start: bodyStart, end: state.pos - 2 };
+    } else if (peek(state)?.value === '=>') {
+      state.pos++;
+      const bodyStart = state.pos;
+      skipExpression(state);
+      accessor.hasBody = true;
+      accessor.body = { start: bodyStart, end: state.pos - 1 };
+      state.pos++;
+    } else if (peek(state)?.value === ';') {
+      state.pos++;
+    }
+
+    accessors.push(accessor);
+  }
+
+  state.pos++; // '}'
+  return accessors;
+}
+
+/**
+ * Parse a parameter list into [{ name, type }]
+ */
+function parseParameterList(tokens) {
+  return splitTopLevel(tokens, ',')
+    .map(segment => {
+      const defaultIndex = segment.findIndex(t => t.value === '=');
+      const declaration = (defaultIndex >= 0 ? segment.slice(0, defaultIndex) : segment)
+        .filter((t, i, all) => !(t.value === '[' || t.value === ']' || isInsideAttribute(all, i)));
+      const nameToken = lastIdentifier(declaration);
+      if (!nameToken) return null;
+
+      const typeTokens = declaration
+        .slice(0, declaration.indexOf(nameToken))
+        .filter(t => !['this', 'ref', 'out', 'in', 'params', 'scoped', 'readonly'].includes(t.value));
+
+      return { name: nameToken.value, type: tokensToText(typeTokens) };
+    })
+    .filter(Boolean);
+}
+
+// ============================================================================
+// Qualified names
+// ============================================================================
+
+/**
+ * Collect dotted identifier chains (`A.B.C`, `global::A.B`) outside of
+ * using/namespace directives. Whether a chain is a namespace-qualified type
+ * reference or just member access is decided later against the project's
+ * namespaces.
+ */
+function collectQualifiedNames(tokens, directiveRanges) {
+  const inDirective = new Uint8Array(tokens.length);
+  for (const [start, end] of directiveRanges) {
+    inDirective.fill(1, start, Math.min(end, tokens.length));
+  }
+
+  const names = [];
+  let i = 0;
+
+  while (i < tokens.length) {
+    if (inDirective[i] || !isChainStart(tokens, i)) {
+      i++;
+      continue;
+    }
+
+    let first = i;
+    if (tokens[i].value === 'global') first = i + 2; // global::
+
+    const parts = [tokens[first].value];
+    let last = first;
+    while (tokens[last + 1]?.value === '.' && tokens[last + 2]?.type === 'identifier') {
+      parts.push(tokens[last + 2].value);
+      last += 2;
+    }
+
+    if (parts.length >= 2) {
+      names.push({
+        name: parts.join('.'),
+        context: getReferenceContext(tokens, i),
+        line: tokens[i].line,
+        column: tokens[i].column,
+        endLine: tokens[last].endLine,
+        endColumn: tokens[last].endColumn
+      });
+    }
+
+    i = last + 1;
+  }
+
+  return names;
+}
+
+function isChainStart(tokens, index) {
+  const token = tokens[index];
+  const previous = tokens[index - 1];
+
+  // Member access on an expression (`x.A.B`, `x?.A`) is not a chain start
+  if (previous && (previous.value === '.' || previous.value === '?.' || previous.value === '::')) return false;
+
+  if (token.value === 'global' && tokens[index + 1]?.value === '::') {
+    return tokens[index + 2]?.type === 'identifier';
+  }
+
+  return token.type === 'identifier' && tokens[index + 1]?.value === '.' && tokens[index + 2]?.type === 'identifier';
+}
+
+/**
+ * Where a qualified name appears: typeof/nameof argument, generic argument,
+ * attribute or plain code
+ */
+function getReferenceContext(tokens, index) {
+  const previous = tokens[index - 1];
+  const beforePrevious = tokens[index - 2];
+
+  if (previous?.value === '(' && (beforePrevious?.value === 'typeof' || beforePrevious?.value === 'nameof')) {
+    return beforePrevious.value;
+  }
+
+  // Walk back over the enclosing brackets on this statement
+  let angle = 0;
+  let square = 0;
+  for (let i = index - 1; i >= 0; i--) {
+    const value = tokens[i].value;
+    if (value === ';' || value === '{' || value === '}') break;
+
+    if (value === '>') angle--;
+    else if (value === ']') square--;
+    else if (value === '<') {
+      if (++angle > 0) return 'generic';
+    } else if (value === '[') {
+      if (++square > 0) {
+        const before = tokens[i - 1];
+        const isAttribute = !before || before.value === ';' || before.value === '{' ||
+          before.value === '}' || before.value === ']' || before.value === '(' || before.value === ',';
+        return isAttribute ? 'attribute' : 'code';
+      }
+    }
+  }
+
+  return 'code';
+}
+
+function isInsideAttribute(tokens, index) {
+  let depth = 0;
+  for (let i = 0; i < index; i++) {
+    if (tokens[i].value === '[') depth++;
+    if (tokens[i].value === ']') depth--;
+  }
+  return depth > 0;
+}
+
+function addMember(type, member) {
+  type.members.push(member);
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function peek(state, offset = 0) {
+  return state.tokens[state.pos + offset];
+}
+
+function isWordToken(token) {
+  return token.type === 'identifier' || token.type === 'keyword' || token.type === 'number';
+}
+
+function stripGlobalPrefix(name) {
+  return name.replace(/^global::/, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Access modifier for a declaration, falling back to the C# default
+ */
+function getAccessibility(modifiers, fallback) {
+  const has = m => modifiers.includes(m);
+  if (has('protected') && has('internal')) return 'protected internal';
+  if (has('private') && has('protected')) return 'private protected';
+  if (has('public')) return 'public';
+  if (has('internal')) return 'internal';
+  if (has('protected')) return 'protected';
+  if (has('private')) return 'private';
+  if (has('file')) return 'file';
+  return fallback;
+}
+
+function skipAttributes(state) {
+  while (peek(state)?.value === '[') {
+    skipBalanced(state, '[', ']');
+  }
+}
+
+/**
+ * Skip a balanced region starting at the current token (which must be `open`)
+ */
+function skipBalanced(state, open, close) {
+  let depth = 0;
+
+  while (state.pos < state.tokens.length) {
+    const value = peek(state).value;
+    if (value === open) depth++;
+    if (value === close) depth--;
+    state.pos++;
+    if (depth === 0) return;
+  }
+}
+
+function skipUntil(state, value) {
+  while (state.pos < state.tokens.length && peek(state).value !== value) {
+    state.pos++;
+  }
+  state.pos++;
+}
+
+/**
+ * Skip an expression until `;` (or `,` if stopAtComma) at nesting depth 0.
+ * Leaves the position ON the terminator.
+ * @returns {string|null} The terminator value
+ */
+function skipExpression(state, stopAtComma = false) {
+  let depth = 0;
+
+  while (state.pos < state.tokens.length) {
+    const value = peek(state).value;
+
+    if (depth === 0 && (value === ';' || (stopAtComma && value === ','))) return value;
+    if (depth === 0 && value === '}') return value;
+
+    if (value === '(' || value === '[' || value === '{') depth++;
+    if (value === ')' || value === ']' || value === '}') depth = Math.max(0, depth - 1);
+    state.pos++;
+  }
+
+  return null;
+}
+
+/**
+ * Skip a top-level statement: up to `;` or over a `{ ... }` block
+ */
+function skipStatement(state) {
+  let depth = 0;
+
+  while (state.pos < state.tokens.length) {
+    const value = peek(state).value;
+
+    if (depth === 0 && value === ';') {
+      state.pos++;
+      return;
+    }
+    if (depth === 0 && value === '}') return;
+
+    if (depth === 0 && value === '{') {
+      skipBalanced(state, '{', '}');
+      return;
+    }
+
+    if (value === '(' || value === '[') depth++;
+    if (value === ')' || value === ']') depth = Math.max(0, depth - 1);
+    state.pos++;
+  }
+}
+
+function splitTopLevel(tokens, separator) {
+  const segments = [[]];
+  let depth = 0;
+
+  for (const token of tokens) {
+    if (token.value === '<' || token.value === '(' || token.value === '[') depth++;
+    if (token.value === '>' || token.value === ')' || token.value === ']') depth--;
+
+    if (token.value === separator && depth === 0) {
+      segments.push([]);
+    } else {
+      segments[segments.length - 1].push(token);
+    }
+  }
+
+  return segments.filter(s => s.length > 0);
+}
+
+function findMatching(tokens, openIndex, open, close) {
+  if (openIndex < 0) return -1;
+  let depth = 0;
+
+  for (let i = openIndex; i < tokens.length; i++) {
+    if (tokens[i].value === open) depth++;
+    if (tokens[i].value === close) depth--;
+    if (depth === 0) return i;
+  }
+
+  return -1;
+}
+
+/**
+ * Identifier directly before the first `(`, skipping generic parameters
+ */
+function findNameBeforeParen(header) {
+  const open = header.findIndex(t => t.value === '(');
+  let i = (open >= 0 ? open : header.length) - 1;
+
+  if (header[i]?.value === '>') {
+    let depth = 0;
+    for (; i >= 0; i--) {
+      if (header[i].value === '>') depth++;
+      if (header[i].value === '<') depth--;
+      if (depth === 0) break;
+    }
+    i--;
+  }
+
+  return header[i] && (header[i].type === 'identifier' || header[i].type === 'keyword') ? header[i] : null;
+}
+
+function lastIdentifier(tokens) {
+  for (let i = tokens.length - 1; i >= 0; i--) {
+    if (tokens[i].type === 'identifier') return tokens[i];
+  }
+  return null;
+}
@@ -0,0 +1,124 @@
+/**
+ * Minimal MSBuild/solution parsers (.csproj, .sln, .slnx)
+ * Liest nur, was für den Projekt-Abhängigkeitsgraphen gebraucht wird.
+ */
+
+// Well-known properties that prefix ProjectReference paths
+const PATH_PROPERTIES = /\$\((MSBuildThisFileDirectory|MSBuildProjectDirectory)\)[\\/]?/g;
+
+/**
+ * Parse a .csproj file
+ * @param {string} content - XML content
+ * @returns {Object} { projectReferences, usings, rootNamespace, assemblyName }
+ *   projectReferences: [{ path, line, column }] - paths relative to the .csproj
+ *   (forward slashes)
+ *   usings: <Using Include> items (after <Using Remove>) as
+ *   [{ namespace, alias, isStatic, line, column }]
+ */
+export function parseProjectFile(content) {
+  const xml = stripXmlComments(content);
+  const projectReferences = [];
+
+  const referencePattern = /<ProjectReference\b[^>]*?\bInclude\s*=\s*"([^"]+)"/g;
+  let match;
+  while ((match = referencePattern.exec(xml)) !== null) {
+    projectReferences.push({ path: normalizeMsBuildPath(match[1]), ...locate(xml, match.index) });
+  }
+
+  return {
+    projectReferences,
+    usings: parseUsingItems(xml),
+    rootNamespace: readProperty(xml, 'RootNamespace'),
+    assemblyName: readProperty(xml, 'AssemblyName')
+  };
+}
+
+/**
+ * Parse a solution file (classic .sln or XML .slnx)
+ * @param {string} content - Solution content
+ * @returns {Object} { projects: [{ name, path }] } - paths relative to the solution
+ */
+export function parseSolutionFile(content) {
+  const projects = [];
+
+  // Classic: Project("{type}") = "Name", "src\Name\Name.csproj", "{guid}"
+  const slnPattern = /^Project\("\{[^}]+\}"\)\s*=\s*"([^"]+)"\s*,\s*"([^"]+)"/gm;
+  let match;
+  while ((match = slnPattern.exec(content)) !== null) {
+    // Solution folders have no project file
+    if (!match[2].endsWith('.csproj')) continue;
+    projects.push({ name: match[1], path: normalizeMsBuildPath(match[2]) });
+  }
+
+  // XML format: <Project Path="src/Name/Name.csproj" />
+  const slnxPattern = /<Project\b[^>]*?\bPath\s*=\s*"([^"]+\.csproj)"/g;
+  const xml = stripXmlComments(content);
+  while ((match = slnxPattern.exec(xml)) !== null) {
+    const projectPath = normalizeMsBuildPath(match[1]);
+    const name = projectPath.split('/').pop().replace(/\.csproj$/, '');
+    projects.push({ name, path: projectPath });
+  }
+
+  return { projects };
+}
+
+/**
+ * <Using Include="X" />, <Using Include="X" Alias="Y" />, <Using Include="X" Static="true" />
+ * and <Using Remove="X" /> (ImplicitUsings only adds System.* / Microsoft.* namespaces)
+ */
+function parseUsingItems(xml) {
+  const usings = [];
+  const removed = new Set();
+
+  const itemPattern = /<Using\b([^>]*?)\/?>/g;
+  let match;
+  while ((match = itemPattern.exec(xml)) !== null) {
+    const attributes = readAttributes(match[1]);
+
+    if (attributes.Remove) {
+      removed.add(attributes.Remove.trim());
+      continue;
+    }
+    if (!attributes.Include) continue;
+
+    usings.push({
+      namespace: attributes.Include.trim(),
+      alias: attributes.Alias ? attributes.Alias.trim() : null,
+      isStatic: /^true$/i.test(attributes.Static || ''),
+      ...locate(xml, match.index)
+    });
+  }
+
+  return usings.filter(u => !removed.has(u.namespace));
+}
+
+// 1-based line/column of an offset
+function locate(xml, index) {
+  const before = xml.slice(0, index);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  return { line: before.split('\n').length, column: index - lineStart + 1 };
+}
+
+function readAttributes(text) {
+  const attributes = {};
+  const attributePattern = /(\w+)\s*=\s*"([^"]*)"/g;
+  let match;
+  while ((match = attributePattern.exec(text)) !== null) {
+    attributes[match[1]] = match[2];
+  }
+  return attributes;
+}
+
+function readProperty(xml, name) {
+  const match = xml.match(new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`));
+  return match && match[1] ? match[1] : null;
+}
+
+// Kommentare ausblenden, Zeilenumbrüche behalten (Zeilennummern bleiben gültig)
+function stripXmlComments(xml) {
+  return xml.replace(/<!--[\s\S]*?-->/g, comment => comment.replace(/[^\n]/g, ' '));
+}
+
+function normalizeMsBuildPath(value) {
+  return value.replace(PATH_PROPERTIES, '').replace(/\\/g, '/').trim();
+}
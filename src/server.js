@@ -16,7 +16,14 @@ import {
   handleAbstractionAnalysis,
   handleMMIAnalysis,
   handleArchitectureHeatmap,
-  handleCycleAnalysis
+  handleCycleAnalysis,
+  handleModuleSizeAnalysis,
+  handleCouplingAnalysis,
+  handleCohesionAnalysis,
+  handlePatternsAnalysis,
+  handleModularizationAnalysis,
+  handleInheritanceAnalysis,
+  handleCreateBaseline
 } from './tools/analysis-tools.js';
 
 import {
@@ -25,6 +32,21 @@ import {
   handleMonitoringStatus
 } from './tools/monitoring-tools.js';
 
+import {
+  LAYERING_OUTPUT_SCHEMA,
+  ENCAPSULATION_OUTPUT_SCHEMA,
+  ABSTRACTION_OUTPUT_SCHEMA,
+  CYCLES_OUTPUT_SCHEMA,
+  MODULE_SIZE_OUTPUT_SCHEMA,
+  COUPLING_OUTPUT_SCHEMA,
+  COHESION_OUTPUT_SCHEMA,
+  PATTERNS_OUTPUT_SCHEMA,
+  MODULARIZATION_OUTPUT_SCHEMA,
+  INHERITANCE_OUTPUT_SCHEMA,
+  MMI_OUTPUT_SCHEMA,
+  BASELINE_OUTPUT_SCHEMA
+} from './tools/output-schemas.js';
+
 // Resources
 import { listResources, readResource } from './resources/mmi-resources.js';
 
@@ -50,7 +72,7 @@ const server = new Server(
 const TOOLS = [
   {
     name: "analyze_layering",
-    description: "Analyzes Clean Architecture layering violations in a C# project. Checks if Domain/Application/Infrastructure layers follow dependency rules.",
+    description: "Analyzes layering violations in a C# project. Checks if layers (Clean Architecture by default, or an Onion/Hexagonal/Vertical Slice preset or custom .mmi.json layers) follow their dependency rules.",
     inputSchema: {
       type: "object",
       properties: {
@@ -63,14 +85,31 @@ const TOOLS = [
           description: "Report mode: 'compact' (default, token-optimized) or 'detailed' (full info)",
           enum: ["compact", "detailed"],
           default: "compact"
+        },
+        format: {
+          type: "string",
+          description: "Output format: 'markdown' (default) or 'sarif' (SARIF 2.1.0 log with rule metadata and source locations for code-scanning and IDE SARIF viewers)",
+          enum: ["markdown", "sarif"],
+          default: "markdown"
+        },
+        architectureStyle: {
+          type: "string",
+          description: "Architecture style preset (overrides .mmi.json): 'clean' (default), 'onion', 'hexagonal' (Ports & Adapters) or 'vertical-slice'",
+          enum: ["clean", "onion", "hexagonal", "vertical-slice"]
+        },
+        onlyNew: {
+          type: "boolean",
+          description: "Report only findings that are not in .mmi-baseline.json (see create_baseline), plus counts of baseline findings fixed since",
+          default: false
         }
       },
       required: ["projectPath"],
     },
+    outputSchema: LAYERING_OUTPUT_SCHEMA,
   },
   {
     name: "analyze_encapsulation",
-    description: "Analyzes encapsulation quality by checking public vs internal visibility of classes, interfaces, and records. Identifies over-exposed types that should be internal.",
+    description: "Analyzes encapsulation quality by checking public vs internal visibility of classes, interfaces, and records. Identifies over-exposed types that should be internal. In detailed mode also checks members (public setters on domain types, public mutable fields, exposed mutable collections, public methods unused outside their type) with a separate sub-score.",
     inputSchema: {
       type: "object",
       properties: {
@@ -83,10 +122,22 @@ const TOOLS = [
           description: "Report mode: 'compact' (default, token-optimized) or 'detailed' (full info)",
           enum: ["compact", "detailed"],
           default: "compact"
+        },
+        format: {
+          type: "string",
+          description: "Output format: 'markdown' (default) or 'sarif' (SARIF 2.1.0 log with rule metadata and source locations for code-scanning and IDE SARIF viewers)",
+          enum: ["markdown", "sarif"],
+          default: "markdown"
+        },
+        onlyNew: {
+          type: "boolean",
+          description: "Report only findings that are not in .mmi-baseline.json (see create_baseline), plus counts of baseline findings fixed since",
+          default: false
         }
       },
       required: ["projectPath"],
     },
+    outputSchema: ENCAPSULATION_OUTPUT_SCHEMA,
   },
   {
     name: "analyze_abstraction",
@@ -103,14 +154,26 @@ const TOOLS = [
           description: "Report mode: 'compact' (default, token-optimized) or 'detailed' (full info)",
           enum: ["compact", "detailed"],
           default: "compact"
+        },
+        format: {
+          type: "string",
+          description: "Output format: 'markdown' (default) or 'sarif' (SARIF 2.1.0 log with rule metadata and source locations for code-scanning and IDE SARIF viewers)",
+          enum: ["markdown", "sarif"],
+          default: "markdown"
+        },
+        onlyNew: {
+          type: "boolean",
+          description: "Report only findings that are not in .mmi-baseline.json (see create_baseline), plus counts of baseline findings fixed since",
+          default: false
         }
       },
       required: ["projectPath"],
     },
+    outputSchema: ABSTRACTION_OUTPUT_SCHEMA,
   },
   {
     name: "analyze_mmi",
-    description: "Complete MMI (Modularity Maturity Index) analysis. Runs all three dimensions: Layering (Dimension 2), Encapsulation (Dimension 5), and Abstraction Levels (Dimension 8). Provides overall architecture quality score.",
+    description: "Complete MMI (Modularity Maturity Index) analysis. Runs all dimensions: Domain Modularization (Dimension 1), Layering (Dimension 2), Pattern Consistency (Dimension 3), Module Size (Dimension 4), Encapsulation (Dimension 5), Coupling (Dimension 6), Cohesion (Dimension 7), Abstraction Levels (Dimension 8) and Circular Dependencies (Dimension 9). Provides overall architecture quality score.",
     inputSchema: {
       type: "object",
       properties: {
@@ -123,10 +186,27 @@ const TOOLS = [
           description: "Report mode: 'compact' (default, token-optimized) or 'detailed' (full info)",
           enum: ["compact", "detailed"],
           default: "compact"
+        },
+        format: {
+          type: "string",
+          description: "Output format: 'markdown' (default) or 'sarif' (SARIF 2.1.0 log with rule metadata and source locations for code-scanning and IDE SARIF viewers)",
+          enum: ["markdown", "sarif"],
+          default: "markdown"
+        },
+        architectureStyle: {
+          type: "string",
+          description: "Architecture style preset (overrides .mmi.json): 'clean' (default), 'onion', 'hexagonal' (Ports & Adapters) or 'vertical-slice'",
+          enum: ["clean", "onion", "hexagonal", "vertical-slice"]
+        },
+        onlyNew: {
+          type: "boolean",
+          description: "Report only findings that are not in .mmi-baseline.json (see create_baseline), plus counts of baseline findings fixed since",
+          default: false
         }
       },
       required: ["projectPath"],
     },
+    outputSchema: MMI_OUTPUT_SCHEMA,
   },
   {
     name: "start_monitoring",
@@ -166,7 +246,7 @@ const TOOLS = [
   },
   {
     name: "visualize_architecture",
-    description: "Generate interactive architecture heatmap visualization with D3.js. Shows files as nodes colored by score (green=good, red=critical), dependencies as links, violations highlighted. Click nodes to see details.",
+    description: "Generate interactive architecture heatmap visualization with D3.js. Shows files as nodes colored by score (green=good, red=critical) and sized by lines of code, dependencies as links, violations highlighted. Click nodes to see details.",
     inputSchema: {
       type: "object",
       properties: {
@@ -177,10 +257,11 @@ const TOOLS = [
       },
       required: ["projectPath"],
     },
+    outputSchema: MMI_OUTPUT_SCHEMA,
   },
   {
     name: "analyze_cycles",
-      description: "Analyzes circular dependencies (cycles) in the codebase. Detects files that depend on each other in a circular way, which violates good architecture principles. Critical when Domain layer is involved.",
+      description: "Analyzes circular dependencies (cycles) in the codebase. Detects files, namespaces, folders or projects that depend on each other in a circular way, which violates good architecture principles. Critical when Domain layer is involved.",
       inputSchema: {
         type: "object",
         properties: {
@@ -193,10 +274,261 @@ const TOOLS = [
             description: "Report mode: 'compact' (default, token-optimized) or 'detailed' (full info)",
             enum: ["compact", "detailed"],
             default: "compact"
+          },
+          format: {
+            type: "string",
+            description: "Output format: 'markdown' (default) or 'sarif' (SARIF 2.1.0 log with rule metadata and source locations for code-scanning and IDE SARIF viewers)",
+            enum: ["markdown", "sarif"],
+            default: "markdown"
+          },
+          granularity: {
+            type: "string",
+            description: "Level of the dependency graph: 'file' (default), 'namespace', 'folder' or 'project'. Aggregated levels report package tangles; detailed mode lists the file dependencies behind each edge.",
+            enum: ["file", "namespace", "folder", "project"],
+            default: "file"
+          },
+          onlyNew: {
+            type: "boolean",
+            description: "Report only findings that are not in .mmi-baseline.json (see create_baseline), plus counts of baseline findings fixed since",
+            default: false
           }
         },
         required: ["projectPath"],
       },
+      outputSchema: CYCLES_OUTPUT_SCHEMA,
+  },
+  {
+    name: "analyze_module_size",
+    description: "Analyzes module sizes: lines of code per file, class, namespace and project, their balance (Gini coefficient, outliers beyond N x median), god classes (too many lines or methods) and oversized files/modules. Thresholds are configurable via .mmi.json (moduleSize).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        projectPath: {
+          type: "string",
+          description: "Path to the C# project directory",
+        },
+        mode: {
+          type: "string",
+          description: "Report mode: 'compact' (default, token-optimized) or 'detailed' (full info)",
+          enum: ["compact", "detailed"],
+          default: "compact"
+        },
+        format: {
+          type: "string",
+          description: "Output format: 'markdown' (default) or 'sarif' (SARIF 2.1.0 log with rule metadata and source locations for code-scanning and IDE SARIF viewers)",
+          enum: ["markdown", "sarif"],
+          default: "markdown"
+        },
+        onlyNew: {
+          type: "boolean",
+          description: "Report only findings that are not in .mmi-baseline.json (see create_baseline), plus counts of baseline findings fixed since",
+          default: false
+        }
+      },
+      required: ["projectPath"],
+    },
+    outputSchema: MODULE_SIZE_OUTPUT_SCHEMA,
+  },
+  {
+    name: "analyze_coupling",
+    description: "Analyzes coupling per namespace or project (Robert C. Martin's package metrics): afferent (Ca) and efferent (Ce) coupling, instability I = Ce/(Ca+Ce), abstractness A (share of interfaces and abstract classes) and distance from the main sequence D = |A + I - 1|. Flags modules in the zone of pain (stable and concrete) or the zone of uselessness (unstable and abstract).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        projectPath: {
+          type: "string",
+          description: "Path to the C# project directory",
+        },
+        mode: {
+          type: "string",
+          description: "Report mode: 'compact' (default, token-optimized) or 'detailed' (full info)",
+          enum: ["compact", "detailed"],
+          default: "compact"
+        },
+        format: {
+          type: "string",
+          description: "Output format: 'markdown' (default) or 'sarif' (SARIF 2.1.0 log with rule metadata and source locations for code-scanning and IDE SARIF viewers)",
+          enum: ["markdown", "sarif"],
+          default: "markdown"
+        },
+        granularity: {
+          type: "string",
+          description: "Module level: 'namespace' (default) or 'project' (.csproj)",
+          enum: ["namespace", "project"],
+          default: "namespace"
+        },
+        onlyNew: {
+          type: "boolean",
+          description: "Report only findings that are not in .mmi-baseline.json (see create_baseline), plus counts of baseline findings fixed since",
+          default: false
+        }
+      },
+      required: ["projectPath"],
+    },
+    outputSchema: COUPLING_OUTPUT_SCHEMA,
+  },
+  {
+    name: "analyze_cohesion",
+    description: "Analyzes class cohesion: LCOM4 (groups of methods that share no field and do not call each other) and LCOM-HS (Henderson-Sellers) per class, from fields, auto-properties and instance methods. Classes with LCOM4 > 1 are reported as split candidates together with their method/field clusters.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        projectPath: {
+          type: "string",
+          description: "Path to the C# project directory",
+        },
+        mode: {
+          type: "string",
+          description: "Report mode: 'compact' (default, token-optimized) or 'detailed' (full info)",
+          enum: ["compact", "detailed"],
+          default: "compact"
+        },
+        format: {
+          type: "string",
+          description: "Output format: 'markdown' (default) or 'sarif' (SARIF 2.1.0 log with rule metadata and source locations for code-scanning and IDE SARIF viewers)",
+          enum: ["markdown", "sarif"],
+          default: "markdown"
+        },
+        onlyNew: {
+          type: "boolean",
+          description: "Report only findings that are not in .mmi-baseline.json (see create_baseline), plus counts of baseline findings fixed since",
+          default: false
+        }
+      },
+      required: ["projectPath"],
+    },
+    outputSchema: COHESION_OUTPUT_SCHEMA,
+  },
+  {
+    name: "analyze_patterns",
+    description: "Analyzes pattern consistency: checks naming conventions against layers - *Repository interfaces in Domain and implementations in Infrastructure, *Controller only in API/Web, *Handler in Application, *Dto not referenced by Domain. Reports types whose name suffix and location disagree. Conventions are configurable via .mmi.json (conventions).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        projectPath: {
+          type: "string",
+          description: "Path to the C# project directory",
+        },
+        mode: {
+          type: "string",
+          description: "Report mode: 'compact' (default, token-optimized) or 'detailed' (full info)",
+          enum: ["compact", "detailed"],
+          default: "compact"
+        },
+        format: {
+          type: "string",
+          description: "Output format: 'markdown' (default) or 'sarif' (SARIF 2.1.0 log with rule metadata and source locations for code-scanning and IDE SARIF viewers)",
+          enum: ["markdown", "sarif"],
+          default: "markdown"
+        },
+        architectureStyle: {
+          type: "string",
+          description: "Architecture style preset (overrides .mmi.json): 'clean' (default), 'onion', 'hexagonal' (Ports & Adapters) or 'vertical-slice'",
+          enum: ["clean", "onion", "hexagonal", "vertical-slice"]
+        },
+        onlyNew: {
+          type: "boolean",
+          description: "Report only findings that are not in .mmi-baseline.json (see create_baseline), plus counts of baseline findings fixed since",
+          default: false
+        }
+      },
+      required: ["projectPath"],
+    },
+    outputSchema: PATTERNS_OUTPUT_SCHEMA,
+  },
+  {
+    name: "analyze_modularization",
+    description: "Analyzes domain vs. technical modularization: classifies the top-level modules below the domain and application layers as named after business capabilities (Billing, Shipping) or kinds of code (Services, Helpers, Utils, Managers), reports the share of domain-named modules and junk drawer namespaces with many types that do not reference each other.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        projectPath: {
+          type: "string",
+          description: "Path to the C# project directory",
+        },
+        mode: {
+          type: "string",
+          description: "Report mode: 'compact' (default, token-optimized) or 'detailed' (full info)",
+          enum: ["compact", "detailed"],
+          default: "compact"
+        },
+        format: {
+          type: "string",
+          description: "Output format: 'markdown' (default) or 'sarif' (SARIF 2.1.0 log with rule metadata and source locations for code-scanning and IDE SARIF viewers)",
+          enum: ["markdown", "sarif"],
+          default: "markdown"
+        },
+        architectureStyle: {
+          type: "string",
+          description: "Architecture style preset (overrides .mmi.json): 'clean' (default), 'onion', 'hexagonal' (Ports & Adapters) or 'vertical-slice'",
+          enum: ["clean", "onion", "hexagonal", "vertical-slice"]
+        },
+        onlyNew: {
+          type: "boolean",
+          description: "Report only findings that are not in .mmi-baseline.json (see create_baseline), plus counts of baseline findings fixed since",
+          default: false
+        }
+      },
+      required: ["projectPath"],
+    },
+    outputSchema: MODULARIZATION_OUTPUT_SCHEMA,
+  },
+  {
+    name: "analyze_inheritance",
+    description: "Analyzes the inheritance and interface hierarchy built from the base lists (class X : Y, IZ): classes deeper than inheritance.maxDepth of .mmi.json, base classes or interfaces from a layer the subtype may not depend on (e.g. an Infrastructure base class extended in Domain), inheritance cycles (cyclic base classes, base types that reference their own subtypes) and single-implementation interfaces in a layer their consumers may not use. Not part of analyze_mmi.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        projectPath: {
+          type: "string",
+          description: "Path to the C# project directory",
+        },
+        mode: {
+          type: "string",
+          description: "Report mode: 'compact' (default, token-optimized) or 'detailed' (full info)",
+          enum: ["compact", "detailed"],
+          default: "compact"
+        },
+        format: {
+          type: "string",
+          description: "Output format: 'markdown' (default) or 'sarif' (SARIF 2.1.0 log with rule metadata and source locations for code-scanning and IDE SARIF viewers)",
+          enum: ["markdown", "sarif"],
+          default: "markdown"
+        },
+        architectureStyle: {
+          type: "string",
+          description: "Architecture style preset (overrides .mmi.json): 'clean' (default), 'onion', 'hexagonal' (Ports & Adapters) or 'vertical-slice'",
+          enum: ["clean", "onion", "hexagonal", "vertical-slice"]
+        },
+        onlyNew: {
+          type: "boolean",
+          description: "Report only findings that are not in .mmi-baseline.json (see create_baseline), plus counts of baseline findings fixed since",
+          default: false
+        }
+      },
+      required: ["projectPath"],
+    },
+    outputSchema: INHERITANCE_OUTPUT_SCHEMA,
+  },
+  {
+    name: "create_baseline",
+    description: "Snapshots the current findings of all dimensions into .mmi-baseline.json (stable fingerprints: rule + file + symbol, no line numbers). Analysis tools called with onlyNew then report only new findings and how many baseline findings were fixed.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        projectPath: {
+          type: "string",
+          description: "Path to the C# project directory (the baseline file is written there)",
+        },
+        architectureStyle: {
+          type: "string",
+          description: "Architecture style preset (overrides .mmi.json): 'clean' (default), 'onion', 'hexagonal' (Ports & Adapters) or 'vertical-slice'",
+          enum: ["clean", "onion", "hexagonal", "vertical-slice"]
+        }
+      },
+      required: ["projectPath"],
+    },
+    outputSchema: BASELINE_OUTPUT_SCHEMA,
   }
 ];
 
@@ -256,6 +588,27 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
     case "analyze_cycles":
       return handleCycleAnalysis(args);
+
+    case "analyze_module_size":
+      return handleModuleSizeAnalysis(args);
+
+    case "analyze_coupling":
+      return handleCouplingAnalysis(args);
+
+    case "analyze_cohesion":
+      return handleCohesionAnalysis(args);
+
+    case "analyze_patterns":
+      return handlePatternsAnalysis(args);
+
+    case "analyze_modularization":
+      return handleModularizationAnalysis(args);
+
+    case "analyze_inheritance":
+      return handleInheritanceAnalysis(args);
+
+    case "create_baseline":
+      return handleCreateBaseline(args);
       
     default:
       throw new Error(`Unknown tool: ${name}`);
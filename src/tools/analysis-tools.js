@@ -8,9 +8,25 @@ import { formatCombinedReport } from '../formatters/combined-formatter.js';
 import { generateHeatmap } from '../visualizations/heatmap-generator.js';
 import { validateProjectPath } from '../utils/validation.js';
 import { logToolCall, logError } from '../utils/logging.js';
-import { createSuccessResponse, createJsonErrorResponse } from '../utils/response.js';
-import { analyzeCycles } from '../analyzers/cycle-analyzer.js';
+import { createStructuredResponse, createJsonErrorResponse } from '../utils/response.js';
+import { analyzeCycles, CYCLE_GRANULARITIES } from '../analyzers/cycle-analyzer.js';
 import { formatCycleReport } from '../formatters/cycle-formatter.js';
+import { analyzeModuleSize } from '../analyzers/module-size.js';
+import { formatModuleSizeReport } from '../formatters/module-size-formatter.js';
+import { analyzeCoupling } from '../analyzers/coupling.js';
+import { formatCouplingReport } from '../formatters/coupling-formatter.js';
+import { analyzeCohesion } from '../analyzers/cohesion.js';
+import { formatCohesionReport } from '../formatters/cohesion-formatter.js';
+import { analyzePatterns } from '../analyzers/patterns.js';
+import { formatPatternsReport } from '../formatters/patterns-formatter.js';
+import { analyzeModularization } from '../analyzers/modularization.js';
+import { formatModularizationReport } from '../formatters/modularization-formatter.js';
+import { analyzeInheritance } from '../analyzers/inheritance.js';
+import { formatInheritanceReport } from '../formatters/inheritance-formatter.js';
+import { createProjectSnapshot, measurePhase } from '../utils/project-snapshot.js';
+import { BASELINE_FILE, loadBaseline, writeBaseline, collectBaselineFindings } from '../utils/baseline.js';
+import { formatBaselineCreated } from '../formatters/baseline-formatter.js';
+import { formatSarifReport } from '../formatters/sarif-formatter.js';
 
 /**
  * Handle layering analysis tool
@@ -19,7 +35,7 @@ import { formatCycleReport } from '../formatters/cycle-formatter.js';
 export function handleLayeringAnalysis(args) {
   logToolCall('analyze_layering', args);
   
-  const { projectPath, mode = 'compact' } = args;  
+  const { projectPath, mode = 'compact', format = 'markdown', architectureStyle, onlyNew = false } = args;
   const validation = validateProjectPath(projectPath);
   
   if (!validation.valid) {
@@ -27,9 +43,11 @@ export function handleLayeringAnalysis(args) {
   }
   
   try {
-    const result = analyzeLayering(projectPath);
+    const snapshot = createToolSnapshot(projectPath, { architectureStyle, onlyNew });
+    const result = analyzeLayering(projectPath, false, snapshot);
+    if (format === 'sarif') return createSarifResponse({ layering: result }, result);
     const report = formatLayeringReport(result, mode);  
-    return createSuccessResponse(report);
+    return createStructuredResponse(report, result);
   } catch (error) {
     logError(error, 'analyze_layering');
     return createJsonErrorResponse(error.message, 'Check the log file for details.');
@@ -42,7 +60,7 @@ export function handleLayeringAnalysis(args) {
 export function handleEncapsulationAnalysis(args) {
   logToolCall('analyze_encapsulation', args);
   
-  const { projectPath, mode = 'compact' } = args;  
+  const { projectPath, mode = 'compact', format = 'markdown', onlyNew = false } = args;
   const validation = validateProjectPath(projectPath);
   
   if (!validation.valid) {
@@ -50,9 +68,12 @@ export function handleEncapsulationAnalysis(args) {
   }
   
   try {
-    const result = analyzeEncapsulation(projectPath);
+    const snapshot = createToolSnapshot(projectPath, { onlyNew });
+    // Member-Ebene (Setter, Felder, Collections, ungenutzte Methoden) nur im Detailmodus
+    const result = analyzeEncapsulation(projectPath, false, snapshot, { members: mode === 'detailed' });
+    if (format === 'sarif') return createSarifResponse({ encapsulation: result }, result);
     const report = formatEncapsulationReport(result, mode);  
-    return createSuccessResponse(report);
+    return createStructuredResponse(report, result);
   } catch (error) {
     logError(error, 'analyze_encapsulation');
     return createJsonErrorResponse(error.message, 'Check the log file for details.');
@@ -65,7 +86,7 @@ export function handleEncapsulationAnalysis(args) {
 export function handleAbstractionAnalysis(args) {
   logToolCall('analyze_abstraction', args);
   
-  const { projectPath, mode = 'compact' } = args;  
+  const { projectPath, mode = 'compact', format = 'markdown', onlyNew = false } = args;
   const validation = validateProjectPath(projectPath);
   
   if (!validation.valid) {
@@ -73,9 +94,11 @@ export function handleAbstractionAnalysis(args) {
   }
   
   try {
-    const result = analyzeAbstraction(projectPath);
+    const snapshot = createToolSnapshot(projectPath, { onlyNew });
+    const result = analyzeAbstraction(projectPath, false, snapshot);
+    if (format === 'sarif') return createSarifResponse({ abstraction: result }, result);
     const report = formatAbstractionReport(result, mode);  
-    return createSuccessResponse(report);
+    return createStructuredResponse(report, result);
   } catch (error) {
     logError(error, 'analyze_abstraction');
     return createJsonErrorResponse(error.message, 'Check the log file for details.');
@@ -87,12 +110,12 @@ export function handleAbstractionAnalysis(args) {
  */
 /**
  * Handle MMI analysis
- * @param {Object} args - { projectPath, mode, useCache }
+ * @param {Object} args - { projectPath, mode, format, useCache, architectureStyle, onlyNew }
  */
 export function handleMMIAnalysis(args) {
   logToolCall('analyze_mmi', args);
   
-  const { projectPath, mode = 'compact', useCache = false } = args;  // ⬅️ NEU: useCache
+  const { projectPath, mode = 'compact', format = 'markdown', useCache = false, architectureStyle, onlyNew = false } = args;
   const validation = validateProjectPath(projectPath);
   
   if (!validation.valid) {
@@ -102,14 +125,26 @@ export function handleMMIAnalysis(args) {
   try {
     console.error('[MMI] Running MMI analysis...');
     
-    // useCache übergeben
-    const layering = analyzeLayering(projectPath, useCache);
-    const encapsulation = analyzeEncapsulation(projectPath, useCache);
-    const abstraction = analyzeAbstraction(projectPath, useCache);
-    const cycles = analyzeCycles(projectPath, useCache);
+    // Einmal scannen/lesen/parsen, dann von allen Dimensionen nutzen
+    const snapshot = createToolSnapshot(projectPath, { useCache, architectureStyle, onlyNew });
+    const timings = snapshot.timings;
     
-    const report = formatCombinedReport(layering, encapsulation, abstraction, cycles, mode);
-    return createSuccessResponse(report);
+    const layering = measurePhase(timings, 'layering', () => analyzeLayering(projectPath, useCache, snapshot));
+    const encapsulation = measurePhase(timings, 'encapsulation', () => analyzeEncapsulation(projectPath, useCache, snapshot));
+    const abstraction = measurePhase(timings, 'abstraction', () => analyzeAbstraction(projectPath, useCache, snapshot));
+    const cycles = measurePhase(timings, 'cycles', () => analyzeCycles(projectPath, useCache, snapshot));
+    const size = measurePhase(timings, 'size', () => analyzeModuleSize(projectPath, useCache, snapshot));
+    const coupling = measurePhase(timings, 'coupling', () => analyzeCoupling(projectPath, useCache, snapshot));
+    const cohesion = measurePhase(timings, 'cohesion', () => analyzeCohesion(projectPath, useCache, snapshot));
+    const patterns = measurePhase(timings, 'patterns', () => analyzePatterns(projectPath, useCache, snapshot));
+    const modularization = measurePhase(timings, 'modularization', () => analyzeModularization(projectPath, useCache, snapshot));
+    
+    const results = { layering, encapsulation, abstraction, cycles, size, coupling, cohesion, patterns, modularization };
+    const structured = createMMIResult(projectPath, results, timings);
+    if (format === 'sarif') return createSarifResponse(results, structured);
+    
+    const report = formatCombinedReport(results, mode, timings);
+    return createStructuredResponse(report, structured);
   } catch (error) {
     logError(error, 'analyze_mmi');
     return createJsonErrorResponse(error.message);
@@ -132,22 +167,25 @@ export function handleArchitectureHeatmap(args) {
   try {
     console.error('[MMI] Generating architecture heatmap...');
     
-    const layering = analyzeLayering(projectPath, false);
-    const encapsulation = analyzeEncapsulation(projectPath, false);
-    const abstraction = analyzeAbstraction(projectPath, false);
-    const cycles = analyzeCycles(projectPath, false);
+    const snapshot = createProjectSnapshot(projectPath);
+    const timings = snapshot.timings;
     
-    const html = generateHeatmap(layering, encapsulation, abstraction, cycles);
+    const layering = measurePhase(timings, 'layering', () => analyzeLayering(projectPath, false, snapshot));
+    const encapsulation = measurePhase(timings, 'encapsulation', () => analyzeEncapsulation(projectPath, false, snapshot));
+    const abstraction = measurePhase(timings, 'abstraction', () => analyzeAbstraction(projectPath, false, snapshot));
+    const cycles = measurePhase(timings, 'cycles', () => analyzeCycles(projectPath, false, snapshot));
+    const size = measurePhase(timings, 'size', () => analyzeModuleSize(projectPath, false, snapshot));
+    const coupling = measurePhase(timings, 'coupling', () => analyzeCoupling(projectPath, false, snapshot));
+    const cohesion = measurePhase(timings, 'cohesion', () => analyzeCohesion(projectPath, false, snapshot));
+    const patterns = measurePhase(timings, 'patterns', () => analyzePatterns(projectPath, false, snapshot));
+    const modularization = measurePhase(timings, 'modularization', () => analyzeModularization(projectPath, false, snapshot));
     
-    return {
-      content: [
-        {
-          type: "text",
-          text: html,
-          mimeType: "text/html"
-        }
-      ]
-    };
+    const results = { layering, encapsulation, abstraction, cycles, size, coupling, cohesion, patterns, modularization };
+    const html = measurePhase(timings, 'heatmap', () => generateHeatmap(results, snapshot));
+    console.error(`[MMI] Heatmap timings: ${JSON.stringify(timings)}`);
+    
+    const structured = createMMIResult(projectPath, results, timings);
+    return createStructuredResponse(html, structured, 'text/html');
   } catch (error) {
     logError(error, 'visualize_architecture');
     return createJsonErrorResponse(error.message, 'Check the log file for details.');
@@ -160,7 +198,7 @@ export function handleArchitectureHeatmap(args) {
 export function handleCycleAnalysis(args) {
   logToolCall('analyze_cycles', args);
   
-  const { projectPath, mode = 'compact' } = args;
+  const { projectPath, mode = 'compact', format = 'markdown', granularity = 'file', onlyNew = false } = args;
   const validation = validateProjectPath(projectPath);
   
   if (!validation.valid) {
@@ -168,11 +206,237 @@ export function handleCycleAnalysis(args) {
   }
   
   try {
-    const result = analyzeCycles(projectPath);
+    const snapshot = createToolSnapshot(projectPath, { onlyNew });
+    const result = analyzeCycles(projectPath, false, snapshot, { granularity });
+    if (format === 'sarif') return createSarifResponse({ cycles: result }, result);
     const report = formatCycleReport(result, mode);
-    return createSuccessResponse(report);
+    return createStructuredResponse(report, result);
   } catch (error) {
     logError(error, 'analyze_cycles');
     return createJsonErrorResponse(error.message, 'Check the log file for details.');
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Handle module size analysis tool
+ */
+export function handleModuleSizeAnalysis(args) {
+  logToolCall('analyze_module_size', args);
+  
+  const { projectPath, mode = 'compact', format = 'markdown', onlyNew = false } = args;
+  const validation = validateProjectPath(projectPath);
+  
+  if (!validation.valid) {
+    return createJsonErrorResponse(validation.error, 'Please check if the path is correct.');
+  }
+  
+  try {
+    const snapshot = createToolSnapshot(projectPath, { onlyNew });
+    const result = analyzeModuleSize(projectPath, false, snapshot);
+    if (format === 'sarif') return createSarifResponse({ size: result }, result);
+    const report = formatModuleSizeReport(result, mode);
+    return createStructuredResponse(report, result);
+  } catch (error) {
+    logError(error, 'analyze_module_size');
+    return createJsonErrorResponse(error.message, 'Check the log file for details.');
+  }
+}
+
+/**
+ * Handle coupling analysis tool
+ */
+export function handleCouplingAnalysis(args) {
+  logToolCall('analyze_coupling', args);
+  
+  const { projectPath, mode = 'compact', format = 'markdown', granularity = 'namespace', onlyNew = false } = args;
+  const validation = validateProjectPath(projectPath);
+  
+  if (!validation.valid) {
+    return createJsonErrorResponse(validation.error, 'Please check if the path is correct.');
+  }
+  
+  try {
+    const snapshot = createToolSnapshot(projectPath, { onlyNew });
+    const result = analyzeCoupling(projectPath, false, snapshot, { granularity });
+    if (format === 'sarif') return createSarifResponse({ coupling: result }, result);
+    const report = formatCouplingReport(result, mode);
+    return createStructuredResponse(report, result);
+  } catch (error) {
+    logError(error, 'analyze_coupling');
+    return createJsonErrorResponse(error.message, 'Check the log file for details.');
+  }
+}
+
+/**
+ * Handle cohesion analysis tool
+ */
+export function handleCohesionAnalysis(args) {
+  logToolCall('analyze_cohesion', args);
+  
+  const { projectPath, mode = 'compact', format = 'markdown', onlyNew = false } = args;
+  const validation = validateProjectPath(projectPath);
+  
+  if (!validation.valid) {
+    return createJsonErrorResponse(validation.error, 'Please check if the path is correct.');
+  }
+  
+  try {
+    const snapshot = createToolSnapshot(projectPath, { onlyNew });
+    const result = analyzeCohesion(projectPath, false, snapshot);
+    if (format === 'sarif') return createSarifResponse({ cohesion: result }, result);
+    const report = formatCohesionReport(result, mode);
+    return createStructuredResponse(report, result);
+  } catch (error) {
+    logError(error, 'analyze_cohesion');
+    return createJsonErrorResponse(error.message, 'Check the log file for details.');
+  }
+}
+
+/**
+ * Handle pattern consistency analysis tool
+ */
+export function handlePatternsAnalysis(args) {
+  logToolCall('analyze_patterns', args);
+  
+  const { projectPath, mode = 'compact', format = 'markdown', architectureStyle, onlyNew = false } = args;
+  const validation = validateProjectPath(projectPath);
+  
+  if (!validation.valid) {
+    return createJsonErrorResponse(validation.error, 'Please check if the path is correct.');
+  }
+  
+  try {
+    const snapshot = createToolSnapshot(projectPath, { architectureStyle, onlyNew });
+    const result = analyzePatterns(projectPath, false, snapshot);
+    if (format === 'sarif') return createSarifResponse({ patterns: result }, result);
+    const report = formatPatternsReport(result, mode);
+    return createStructuredResponse(report, result);
+  } catch (error) {
+    logError(error, 'analyze_patterns');
+    return createJsonErrorResponse(error.message, 'Check the log file for details.');
+  }
+}
+
+/**
+ * Handle domain modularization analysis tool
+ */
+export function handleModularizationAnalysis(args) {
+  logToolCall('analyze_modularization', args);
+  
+  const { projectPath, mode = 'compact', format = 'markdown', architectureStyle, onlyNew = false } = args;
+  const validation = validateProjectPath(projectPath);
+  
+  if (!validation.valid) {
+    return createJsonErrorResponse(validation.error, 'Please check if the path is correct.');
+  }
+  
+  try {
+    const snapshot = createToolSnapshot(projectPath, { architectureStyle, onlyNew });
+    const result = analyzeModularization(projectPath, false, snapshot);
+    if (format === 'sarif') return createSarifResponse({ modularization: result }, result);
+    const report = formatModularizationReport(result, mode);
+    return createStructuredResponse(report, result);
+  } catch (error) {
+    logError(error, 'analyze_modularization');
+    return createJsonErrorResponse(error.message, 'Check the log file for details.');
+  }
+}
+
+/**
+ * Handle inheritance hierarchy analysis tool
+ */
+export function handleInheritanceAnalysis(args) {
+  logToolCall('analyze_inheritance', args);
+  
+  const { projectPath, mode = 'compact', format = 'markdown', architectureStyle, onlyNew = false } = args;
+  const validation = validateProjectPath(projectPath);
+  
+  if (!validation.valid) {
+    return createJsonErrorResponse(validation.error, 'Please check if the path is correct.');
+  }
+  
+  try {
+    const snapshot = createToolSnapshot(projectPath, { architectureStyle, onlyNew });
+    const result = analyzeInheritance(projectPath, false, snapshot);
+    if (format === 'sarif') return createSarifResponse({ inheritance: result }, result);
+    const report = formatInheritanceReport(result, mode);
+    return createStructuredResponse(report, result);
+  } catch (error) {
+    logError(error, 'analyze_inheritance');
+    return createJsonErrorResponse(error.message, 'Check the log file for details.');
+  }
+}
+
+/**
+ * Handle baseline creation tool
+ * Speichert die aktuellen Findings aller Dimensionen in .mmi-baseline.json
+ * @param {Object} args - { projectPath, architectureStyle }
+ */
+export function handleCreateBaseline(args) {
+  logToolCall('create_baseline', args);
+  
+  const { projectPath, architectureStyle } = args;
+  const validation = validateProjectPath(projectPath);
+  
+  if (!validation.valid) {
+    return createJsonErrorResponse(validation.error, 'Please check if the path is correct.');
+  }
+  
+  try {
+    const snapshot = createProjectSnapshot(projectPath, { architectureStyle });
+    
+    const layering = analyzeLayering(projectPath, false, snapshot);
+    const encapsulation = analyzeEncapsulation(projectPath, false, snapshot, { members: true });
+    const abstraction = analyzeAbstraction(projectPath, false, snapshot);
+    const cycles = CYCLE_GRANULARITIES.map(granularity => analyzeCycles(projectPath, false, snapshot, { granularity }));
+    const size = analyzeModuleSize(projectPath, false, snapshot);
+    const coupling = analyzeCoupling(projectPath, false, snapshot);
+    const cohesion = analyzeCohesion(projectPath, false, snapshot);
+    const patterns = analyzePatterns(projectPath, false, snapshot);
+    const modularization = analyzeModularization(projectPath, false, snapshot);
+    const inheritance = analyzeInheritance(projectPath, false, snapshot);
+    
+    const { file, baseline } = writeBaseline(
+      projectPath,
+      collectBaselineFindings({ layering, encapsulation, abstraction, cycles, size, coupling, cohesion, patterns, modularization, inheritance })
+    );
+    
+    return createStructuredResponse(formatBaselineCreated(file, baseline), { file, baseline });
+  } catch (error) {
+    logError(error, 'create_baseline');
+    return createJsonErrorResponse(error.message, 'Check the log file for details.');
+  }
+}
+
+/**
+ * Snapshot for one tool call; with onlyNew the baseline is attached and the
+ * analyzers report only findings that are not in .mmi-baseline.json
+ * @param {string} projectPath - Path to the C# project
+ * @param {Object} [options] - { useCache, architectureStyle, onlyNew }
+ */
+function createToolSnapshot(projectPath, options = {}) {
+  const { useCache = false, architectureStyle, onlyNew = false } = options;
+  const baseline = onlyNew ? loadBaseline(projectPath) : null;
+  if (onlyNew && !baseline) {
+    throw new Error(`No ${BASELINE_FILE} in ${projectPath} - run create_baseline first`);
+  }
+  return createProjectSnapshot(projectPath, { useCache, architectureStyle, baseline });
+}
+
+/**
+ * SARIF 2.1.0 log as tool response (format: "sarif")
+ * @param {Object} results - { layering, encapsulation, abstraction, cycles, size, coupling, cohesion, patterns, modularization, inheritance } (any subset)
+ * @param {Object} structured - Raw result for structuredContent
+ */
+function createSarifResponse(results, structured) {
+  return createStructuredResponse(formatSarifReport(results), structured, 'application/sarif+json');
+}
+
+/**
+ * Structured result of all dimensions (analyze_mmi, visualize_architecture)
+ */
+function createMMIResult(projectPath, results, timings) {
+  const scores = Object.values(results).map(result => result.score);
+  const overallScore = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  return { projectPath, overallScore: Number(overallScore.toFixed(1)), ...results, timings };
+}
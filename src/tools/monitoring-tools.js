@@ -4,6 +4,8 @@ import * as historyStorage from '../monitoring/history-storage.js';
 import { analyzeLayering } from '../analyzers/layering.js';
 import { analyzeEncapsulation } from '../analyzers/encapsulation.js';
 import { analyzeAbstraction } from '../analyzers/abstraction.js';
+import { analyzeCycles } from '../analyzers/cycle-analyzer.js';
+import { createProjectSnapshot } from '../utils/project-snapshot.js';
 import { formatMonitoringStatus } from '../formatters/combined-formatter.js';
 import { validateProjectPath } from '../utils/validation.js';
 import { logToolCall, logError } from '../utils/logging.js';
@@ -40,10 +42,11 @@ export function handleStartMonitoring(args) {
     console.error('[MMI] ========================================');
     console.error('[MMI] Project path:', projectPath);
     // Initial analysis WITHOUT cache
-    const layering = analyzeLayering(projectPath, false);
-    const encapsulation = analyzeEncapsulation(projectPath, false);
-    const abstraction = analyzeAbstraction(projectPath, false);
-    const cycles = analyzeCycles(projectPath, false);
+    const snapshot = createProjectSnapshot(projectPath);
+    const layering = analyzeLayering(projectPath, false, snapshot);
+    const encapsulation = analyzeEncapsulation(projectPath, false, snapshot);
+    const abstraction = analyzeAbstraction(projectPath, false, snapshot);
+    const cycles = analyzeCycles(projectPath, false, snapshot);
     
     const overallScore = ((layering.score + encapsulation.score + abstraction.score) / 3);
 
@@ -68,9 +71,10 @@ export function handleStartMonitoring(args) {
       console.error(`[MMI] Files changed, running analysis...`);
       
       // Nur geänderte Dateien werden analysiert
-      const l = analyzeLayering(changedPath, false);   
-      const e = analyzeEncapsulation(changedPath, false);
-      const a = analyzeAbstraction(changedPath, false);
+      const changedSnapshot = createProjectSnapshot(changedPath);
+      const l = analyzeLayering(changedPath, false, changedSnapshot);   
+      const e = analyzeEncapsulation(changedPath, false, changedSnapshot);
+      const a = analyzeAbstraction(changedPath, false, changedSnapshot);
       
       const overall = ((l.score + e.score + a.score) / 3);
       
@@ -0,0 +1,794 @@
+/**
+ * Output schemas of the analysis tools (MCP `outputSchema`)
+ * Beschreiben das `structuredContent`, d.h. die Rohergebnisse der Analyzer
+ * neben dem Markdown-Report. Findings dürfen zusätzliche Felder tragen.
+ */
+
+const SEVERITY = {
+  type: 'string',
+  enum: ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW']
+};
+
+const NULLABLE_INTEGER = { type: ['integer', 'null'] };
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+// Position eines Findings (file: relativer Pfad der .cs-Datei bzw. .csproj-ID)
+const LOCATION_PROPERTIES = {
+  file: { type: 'string', description: 'Path relative to the project root (.cs file or .csproj)' },
+  line: NULLABLE_INTEGER,
+  column: NULLABLE_INTEGER,
+  endLine: NULLABLE_INTEGER,
+  snippet: { type: 'string', description: 'Source lines around the finding, offending lines marked with `>`' }
+};
+
+const SCORE_PROPERTIES = {
+  projectPath: { type: 'string' },
+  score: { type: 'number', minimum: 0, maximum: 5 },
+  level: { type: 'string' }
+};
+
+const SUPPRESSED = {
+  type: 'array',
+  description: 'Findings suppressed via mmi-ignore comments',
+  items: {
+    type: 'object',
+    properties: {
+      suppression: {
+        type: 'object',
+        properties: {
+          scope: { type: 'string', enum: ['line', 'file'] },
+          reason: { type: ['string', 'null'] },
+          file: { type: 'string' },
+          line: { type: 'integer' }
+        },
+        required: ['scope', 'file']
+      }
+    },
+    required: ['suppression']
+  }
+};
+
+const BASELINE_ENTRY = {
+  type: 'object',
+  properties: {
+    fingerprint: { type: 'string' },
+    rule: { type: 'string' },
+    file: { type: 'string' },
+    symbol: { type: 'string' }
+  },
+  required: ['fingerprint', 'rule', 'file', 'symbol']
+};
+
+const BASELINE_SUMMARY = {
+  type: ['object', 'null'],
+  description: 'Comparison with .mmi-baseline.json (onlyNew), null otherwise',
+  properties: {
+    createdAt: { type: 'string' },
+    newCount: { type: 'integer' },
+    knownCount: { type: 'integer' },
+    fixedCount: { type: 'integer' },
+    fixed: { type: 'array', items: BASELINE_ENTRY }
+  },
+  required: ['newCount', 'knownCount', 'fixedCount']
+};
+
+const SHARED_PROPERTIES = {
+  ...SCORE_PROPERTIES,
+  totalFiles: { type: 'integer' },
+  suppressed: SUPPRESSED,
+  suppressedCount: { type: 'integer' },
+  baseline: BASELINE_SUMMARY
+};
+
+const SHARED_REQUIRED = ['projectPath', 'score', 'level'];
+
+export const LAYERING_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...SHARED_PROPERTIES,
+    violations: {
+      type: 'array',
+      description: 'Forbidden dependencies of .cs files (usings and fully-qualified references)',
+      items: {
+        type: 'object',
+        properties: {
+          ...LOCATION_PROPERTIES,
+          layer: { type: 'string' },
+          dependsOn: { type: 'string' },
+          using: { type: 'string', description: 'Imported namespace (or type of an alias/static using)' },
+          importKind: { type: 'string' },
+          reference: { type: 'string', description: 'Fully-qualified type reference (importKind "qualified")' },
+          slice: { type: 'string' },
+          targetSlice: { type: 'string' },
+          severity: SEVERITY
+        },
+        required: ['file', 'layer', 'dependsOn', 'using', 'severity']
+      }
+    },
+    violationCount: { type: 'integer' },
+    totalProjects: { type: 'integer' },
+    projectViolations: {
+      type: 'array',
+      description: 'Forbidden <ProjectReference> edges',
+      items: {
+        type: 'object',
+        properties: {
+          ...LOCATION_PROPERTIES,
+          project: { type: 'string' },
+          projectPath: { type: 'string' },
+          references: { type: 'string' },
+          referencePath: { type: 'string' },
+          layer: { type: 'string' },
+          dependsOn: { type: 'string' },
+          severity: SEVERITY
+        },
+        required: ['file', 'projectPath', 'referencePath', 'layer', 'dependsOn', 'severity']
+      }
+    },
+    projectViolationCount: { type: 'integer' },
+    architectureStyle: { type: ['string', 'null'] },
+    architectureLabel: { type: ['string', 'null'] }
+  },
+  required: [...SHARED_REQUIRED, 'violations', 'projectViolations']
+};
+
+export const ENCAPSULATION_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...SHARED_PROPERTIES,
+    totalTypes: { type: 'integer' },
+    stats: {
+      type: 'object',
+      description: 'Declared classes, interfaces and records by visibility',
+      additionalProperties: { type: 'integer' }
+    },
+    publicTypes: { type: 'integer' },
+    publicPercentage: { type: 'number' },
+    overExposed: {
+      type: 'array',
+      description: 'Public types that appear to be implementation details',
+      items: {
+        type: 'object',
+        properties: {
+          ...LOCATION_PROPERTIES,
+          type: { type: 'string', enum: ['class', 'interface', 'record'] },
+          name: { type: 'string' },
+          suggestion: { type: 'string' }
+        },
+        required: ['file', 'type', 'name']
+      }
+    },
+    overExposedCount: { type: 'integer' },
+    members: {
+      type: ['object', 'null'],
+      description: 'Member-level encapsulation with its own sub-score (detailed mode), null otherwise',
+      properties: {
+        totalMembers: { type: 'integer' },
+        publicMembers: { type: 'integer' },
+        publicPercentage: { type: 'number' },
+        stats: {
+          type: 'object',
+          description: 'Fields, properties and methods of classes, records and structs by visibility',
+          additionalProperties: { type: 'integer' }
+        },
+        findings: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              ...LOCATION_PROPERTIES,
+              rule: { type: 'string', enum: ['public-setter', 'public-field', 'exposed-collection', 'unused-public-method'] },
+              owner: { type: 'string' },
+              name: { type: 'string' },
+              memberKind: { type: 'string' },
+              memberType: { type: ['string', 'null'] },
+              severity: SEVERITY,
+              suggestion: { type: 'string' }
+            },
+            required: ['file', 'rule', 'owner', 'name']
+          }
+        },
+        findingCount: { type: 'integer' },
+        suppressed: SUPPRESSED,
+        suppressedCount: { type: 'integer' },
+        baseline: BASELINE_SUMMARY,
+        score: { type: 'number', minimum: 0, maximum: 5 },
+        level: { type: 'string' }
+      },
+      required: ['findings', 'score', 'level']
+    }
+  },
+  required: [...SHARED_REQUIRED, 'overExposed', 'publicPercentage']
+};
+
+const MIXED_ABSTRACTION = {
+  type: 'object',
+  properties: {
+    ...LOCATION_PROPERTIES,
+    layer: { type: ['string', 'null'] },
+    issue: {
+      type: 'string',
+      enum: ['SQL_MIXING', 'EF_IN_DOMAIN', 'HTTP_MIXING', 'FILE_IO_MIXING', 'SERIALIZATION_IN_DOMAIN', 'EXCESSIVE_LOGGING']
+    },
+    severity: SEVERITY,
+    description: { type: 'string' },
+    pattern: { type: 'string' }
+  },
+  required: ['file', 'issue', 'severity']
+};
+
+export const ABSTRACTION_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...SHARED_PROPERTIES,
+    filesWithIssues: { type: 'integer' },
+    mixedAbstractions: { type: 'array', items: MIXED_ABSTRACTION },
+    issueCount: { type: 'integer' },
+    codeExamples: {
+      type: 'array',
+      description: 'Snippets of up to 5 files with issues',
+      items: {
+        type: 'object',
+        properties: {
+          file: { type: 'string' },
+          line: NULLABLE_INTEGER,
+          snippet: { type: 'string' },
+          issues: { type: 'array', items: MIXED_ABSTRACTION }
+        },
+        required: ['file']
+      }
+    }
+  },
+  required: [...SHARED_REQUIRED, 'mixedAbstractions']
+};
+
+const CYCLE_EDGE = {
+  type: 'object',
+  properties: {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    types: STRING_LIST,
+    namespaces: STRING_LIST,
+    references: { type: 'integer', description: 'Number of type references behind the edge' },
+    fileEdges: {
+      type: 'array',
+      description: 'File dependencies behind an aggregated edge (namespace/folder/project granularity)',
+      items: { type: 'object' }
+    }
+  },
+  required: ['from', 'to']
+};
+
+export const CYCLES_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...SHARED_PROPERTIES,
+    granularity: { type: 'string', enum: ['file', 'namespace', 'folder', 'project'] },
+    totalNodes: { type: 'integer' },
+    cycles: {
+      type: 'array',
+      description: 'Strongly connected components of the dependency graph',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          path: { ...STRING_LIST, description: 'Members (files, namespaces, folders or projects)' },
+          length: { type: 'integer' },
+          size: { type: 'integer' },
+          edgeCount: { type: 'integer' },
+          severity: SEVERITY,
+          layers: STRING_LIST,
+          edges: { type: 'array', items: CYCLE_EDGE },
+          elementaryCycles: { type: 'array', items: STRING_LIST },
+          elementaryCyclesTruncated: { type: 'boolean' },
+          breakingEdges: { type: 'array', description: 'Edges to cut to break the cycle', items: CYCLE_EDGE },
+          description: { type: 'string' }
+        },
+        required: ['id', 'path', 'severity']
+      }
+    },
+    cycleCount: { type: 'integer' },
+    totalProjects: { type: 'integer' },
+    projectCycles: {
+      type: 'array',
+      description: 'Circular <ProjectReference> chains',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          path: STRING_LIST,
+          projectPaths: STRING_LIST,
+          length: { type: 'integer' },
+          severity: SEVERITY,
+          layers: STRING_LIST,
+          references: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { from: { type: 'string' }, to: { type: 'string' }, line: NULLABLE_INTEGER, column: NULLABLE_INTEGER },
+              required: ['from', 'to']
+            }
+          },
+          description: { type: 'string' }
+        },
+        required: ['id', 'path', 'projectPaths', 'severity']
+      }
+    },
+    projectCycleCount: { type: 'integer' },
+    filesInCycles: STRING_LIST,
+    filesInCyclesCount: { type: 'integer' }
+  },
+  required: [...SHARED_REQUIRED, 'cycles', 'projectCycles']
+};
+
+const SIZE_UNIT = {
+  type: 'object',
+  properties: { name: { type: 'string' }, lines: { type: 'integer' }, factor: { type: 'number' } },
+  required: ['name', 'lines']
+};
+
+const SIZE_LEVEL = {
+  type: 'object',
+  description: 'Size distribution of one level',
+  properties: {
+    count: { type: 'integer' },
+    totalLines: { type: 'integer' },
+    median: { type: 'number' },
+    max: { type: 'integer' },
+    gini: { type: 'number', minimum: 0, maximum: 1, description: '0 = evenly sized, 1 = everything in one unit' },
+    outliers: { type: 'array', description: 'Units beyond outlierFactor x median', items: SIZE_UNIT },
+    largest: { type: 'array', items: SIZE_UNIT }
+  },
+  required: ['count', 'totalLines', 'median', 'max', 'gini', 'outliers']
+};
+
+export const MODULE_SIZE_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...SHARED_PROPERTIES,
+    totalClasses: { type: 'integer' },
+    totalLines: { type: 'integer', description: 'Lines of code (without blank and comment-only lines)' },
+    thresholds: {
+      type: 'object',
+      properties: {
+        maxFileLines: { type: 'number' },
+        maxClassLines: { type: 'number' },
+        maxClassMethods: { type: 'number' },
+        outlierFactor: { type: 'number' }
+      }
+    },
+    levels: {
+      type: 'object',
+      properties: { file: SIZE_LEVEL, class: SIZE_LEVEL, namespace: SIZE_LEVEL, project: SIZE_LEVEL },
+      required: ['file', 'class', 'namespace', 'project']
+    },
+    files: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { file: { type: 'string' }, lines: { type: 'integer' }, layer: { type: ['string', 'null'] } },
+        required: ['file', 'lines']
+      }
+    },
+    godClasses: {
+      type: 'array',
+      description: 'Classes above maxClassLines or maxClassMethods (partial classes merged)',
+      items: {
+        type: 'object',
+        properties: {
+          ...LOCATION_PROPERTIES,
+          rule: { type: 'string', const: 'god-class' },
+          name: { type: 'string' },
+          kind: { type: 'string' },
+          files: STRING_LIST,
+          lines: { type: 'integer' },
+          methods: { type: 'integer' },
+          reasons: STRING_LIST,
+          severity: SEVERITY
+        },
+        required: ['file', 'name', 'lines', 'methods', 'severity']
+      }
+    },
+    godClassCount: { type: 'integer' },
+    oversizedFiles: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          ...LOCATION_PROPERTIES,
+          rule: { type: 'string', const: 'oversized-file' },
+          lines: { type: 'integer' },
+          severity: SEVERITY
+        },
+        required: ['file', 'lines', 'severity']
+      }
+    },
+    oversizedFileCount: { type: 'integer' },
+    oversizedModules: {
+      type: 'array',
+      description: 'Namespaces/projects beyond outlierFactor x median and larger than maxFileLines (file: their largest file)',
+      items: {
+        type: 'object',
+        properties: {
+          ...LOCATION_PROPERTIES,
+          rule: { type: 'string', const: 'oversized-module' },
+          level: { type: 'string', enum: ['namespace', 'project'] },
+          name: { type: 'string' },
+          lines: { type: 'integer' },
+          fileCount: { type: 'integer' },
+          median: { type: 'number' },
+          factor: { type: 'number' },
+          severity: SEVERITY
+        },
+        required: ['level', 'name', 'lines', 'severity']
+      }
+    },
+    oversizedModuleCount: { type: 'integer' },
+    oversizedShare: { type: 'number', description: 'Percentage of lines in oversized files or files with god classes' }
+  },
+  required: [...SHARED_REQUIRED, 'levels', 'godClasses', 'oversizedFiles', 'oversizedModules']
+};
+
+const NULLABLE_RATIO = { type: ['number', 'null'], minimum: 0, maximum: 1 };
+
+export const COUPLING_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...SHARED_PROPERTIES,
+    granularity: { type: 'string', enum: ['namespace', 'project'] },
+    totalModules: { type: 'integer' },
+    modules: {
+      type: 'array',
+      description: 'Namespaces or projects, farthest from the main sequence first',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          layers: STRING_LIST,
+          files: STRING_LIST,
+          types: { type: 'integer' },
+          abstractTypes: { type: 'integer' },
+          ca: { type: 'integer', description: 'Afferent coupling: modules depending on this one' },
+          ce: { type: 'integer', description: 'Efferent coupling: modules this one depends on' },
+          instability: { ...NULLABLE_RATIO, description: 'Ce / (Ca + Ce), null without dependencies' },
+          abstractness: { type: 'number', minimum: 0, maximum: 1 },
+          distance: { ...NULLABLE_RATIO, description: '|A + I - 1|, null without dependencies' },
+          zone: { type: ['string', 'null'], enum: ['pain', 'uselessness', null] },
+          dependents: STRING_LIST,
+          dependencies: STRING_LIST,
+          hotspot: { type: ['string', 'null'], description: 'File with the most dependencies across the module boundary' }
+        },
+        required: ['name', 'ca', 'ce', 'instability', 'abstractness', 'distance']
+      }
+    },
+    averageDistance: { type: 'number', description: 'Mean distance of the modules with dependencies (suppressed modules excluded)' },
+    maxDistance: { type: 'number' },
+    findings: {
+      type: 'array',
+      description: 'Modules farther than maxDistance from the main sequence (file: their hotspot)',
+      items: {
+        type: 'object',
+        properties: {
+          ...LOCATION_PROPERTIES,
+          rule: { type: 'string', const: 'main-sequence-distance' },
+          granularity: { type: 'string' },
+          module: { type: 'string' },
+          zone: { type: 'string', enum: ['pain', 'uselessness'] },
+          distance: { type: 'number' },
+          instability: { type: 'number' },
+          abstractness: { type: 'number' },
+          ca: { type: 'integer' },
+          ce: { type: 'integer' },
+          layers: STRING_LIST,
+          severity: SEVERITY
+        },
+        required: ['module', 'zone', 'distance', 'severity']
+      }
+    },
+    findingCount: { type: 'integer' },
+    zoneOfPainCount: { type: 'integer' },
+    zoneOfUselessnessCount: { type: 'integer' }
+  },
+  required: [...SHARED_REQUIRED, 'granularity', 'modules', 'averageDistance', 'findings']
+};
+
+export const COHESION_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...SHARED_PROPERTIES,
+    totalClasses: { type: 'integer', description: 'Classes, structs and records (partial classes merged)' },
+    measuredClasses: { type: 'integer', description: 'Classes with at least two methods that use members of the class' },
+    classes: {
+      type: 'array',
+      description: 'Measured classes, least cohesive first',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          file: { type: 'string' },
+          lcom4: { type: 'integer', minimum: 1 },
+          lcomHs: { type: ['number', 'null'], description: 'Henderson-Sellers, null without fields' },
+          methods: { type: 'integer' },
+          fields: { type: 'integer' }
+        },
+        required: ['name', 'file', 'lcom4', 'lcomHs']
+      }
+    },
+    averageLcomHs: { type: 'number' },
+    findings: {
+      type: 'array',
+      description: 'Classes with LCOM4 > 1 (split candidates)',
+      items: {
+        type: 'object',
+        properties: {
+          ...LOCATION_PROPERTIES,
+          rule: { type: 'string', const: 'lcom4' },
+          name: { type: 'string' },
+          kind: { type: 'string' },
+          files: STRING_LIST,
+          lcom4: { type: 'integer' },
+          lcomHs: { type: ['number', 'null'] },
+          methods: { type: 'integer' },
+          fields: { type: 'integer' },
+          clusters: {
+            type: 'array',
+            description: 'Independent groups of methods and the fields they use - the suggested split',
+            items: {
+              type: 'object',
+              properties: { methods: STRING_LIST, fields: STRING_LIST },
+              required: ['methods', 'fields']
+            }
+          },
+          severity: SEVERITY
+        },
+        required: ['file', 'name', 'lcom4', 'clusters', 'severity']
+      }
+    },
+    findingCount: { type: 'integer' },
+    incohesiveShare: { type: 'number', description: 'Percentage of measured classes with LCOM4 > 1' }
+  },
+  required: [...SHARED_REQUIRED, 'classes', 'findings']
+};
+
+export const PATTERNS_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...SHARED_PROPERTIES,
+    matchedTypes: { type: 'integer', description: 'Types whose name suffix matches a convention' },
+    conformingTypes: { type: 'integer' },
+    conformance: { type: 'number', description: 'Percentage of matched types without violation' },
+    conventions: {
+      type: 'array',
+      description: 'Configured naming conventions with their matches',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          suffix: { type: 'string' },
+          kinds: STRING_LIST,
+          allowedIn: { ...STRING_LIST, description: 'Layer names or roles the type must be declared in' },
+          notReferencedBy: { ...STRING_LIST, description: 'Layer names or roles that must not use the type' },
+          matched: { type: 'integer' },
+          conforming: { type: 'integer' },
+          violations: { type: 'integer' }
+        },
+        required: ['name', 'suffix', 'matched', 'violations']
+      }
+    },
+    findings: {
+      type: 'array',
+      description: 'Types whose name and location disagree',
+      items: {
+        type: 'object',
+        properties: {
+          ...LOCATION_PROPERTIES,
+          rule: { type: 'string', enum: ['misplaced', 'forbidden-reference'] },
+          convention: { type: 'string' },
+          suffix: { type: 'string' },
+          name: { type: 'string', description: 'Full name of the type' },
+          kind: { type: 'string' },
+          layer: { type: 'string', description: 'Layer of the declaring (misplaced) or referencing file' },
+          expected: STRING_LIST,
+          declaredIn: { type: 'string' },
+          forbidden: STRING_LIST,
+          severity: SEVERITY
+        },
+        required: ['rule', 'convention', 'file', 'name', 'layer', 'severity']
+      }
+    },
+    findingCount: { type: 'integer' },
+    misplacedCount: { type: 'integer' },
+    forbiddenReferenceCount: { type: 'integer' }
+  },
+  required: [...SHARED_REQUIRED, 'conformance', 'conventions', 'findings']
+};
+
+export const MODULARIZATION_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...SHARED_PROPERTIES,
+    totalModules: { type: 'integer', description: 'Top-level modules below the domain and application layers' },
+    domainModules: { type: 'integer' },
+    technicalModules: { type: 'integer', description: 'Unsuppressed modules named after a kind of code (Services, Helpers, ...)' },
+    domainShare: { type: 'number', description: 'Percentage of domain-named modules' },
+    modules: {
+      type: 'array',
+      description: 'Modules, domain-named first',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          kind: { type: 'string', enum: ['domain', 'technical'] },
+          layers: STRING_LIST,
+          files: STRING_LIST,
+          types: { type: 'integer' }
+        },
+        required: ['name', 'kind', 'layers', 'types']
+      }
+    },
+    junkDrawers: {
+      type: 'array',
+      description: 'Namespaces with many types that do not reference each other',
+      items: {
+        type: 'object',
+        properties: {
+          namespace: { type: 'string' },
+          types: { type: 'integer' },
+          isolatedTypes: { type: 'integer' },
+          isolatedShare: { type: 'number' },
+          isolated: STRING_LIST,
+          files: STRING_LIST,
+          hotspot: { type: 'string' }
+        },
+        required: ['namespace', 'types', 'isolatedTypes']
+      }
+    },
+    findings: {
+      type: 'array',
+      description: 'Technical modules and junk drawers',
+      items: {
+        type: 'object',
+        properties: {
+          ...LOCATION_PROPERTIES,
+          rule: { type: 'string', enum: ['technical-module', 'junk-drawer'] },
+          module: { type: 'string' },
+          namespace: { type: 'string' },
+          files: STRING_LIST,
+          layers: STRING_LIST,
+          types: { type: 'integer' },
+          isolatedTypes: { type: 'integer' },
+          isolatedShare: { type: 'number' },
+          isolated: STRING_LIST,
+          severity: SEVERITY
+        },
+        required: ['rule', 'file', 'severity']
+      }
+    },
+    findingCount: { type: 'integer' },
+    technicalModuleCount: { type: 'integer' },
+    junkDrawerCount: { type: 'integer' }
+  },
+  required: [...SHARED_REQUIRED, 'domainShare', 'modules', 'junkDrawers', 'findings']
+};
+
+export const INHERITANCE_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...SHARED_PROPERTIES,
+    totalTypes: { type: 'integer', description: 'Classes, records, structs and interfaces (partial types once)' },
+    classes: { type: 'integer' },
+    interfaces: { type: 'integer' },
+    inheritanceEdges: { type: 'integer', description: 'Types with a project base class' },
+    implementationEdges: { type: 'integer', description: 'Implemented or extended project interfaces' },
+    depthLimit: { type: 'number', description: 'inheritance.maxDepth of .mmi.json' },
+    maxDepth: { type: 'integer' },
+    averageDepth: { type: 'number' },
+    deepestTypes: {
+      type: 'array',
+      description: 'Classes with more than one base class, deepest first',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          file: { type: 'string' },
+          layer: { type: ['string', 'null'] },
+          depth: { type: 'integer' },
+          chain: STRING_LIST
+        },
+        required: ['name', 'file', 'depth', 'chain']
+      }
+    },
+    singleImplementationInterfaces: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          file: { type: 'string' },
+          layer: { type: ['string', 'null'] },
+          implementation: { type: 'string' },
+          implementationLayer: { type: ['string', 'null'] },
+          consumerLayers: STRING_LIST
+        },
+        required: ['name', 'file', 'implementation', 'consumerLayers']
+      }
+    },
+    affectedShare: { type: 'number', description: 'Percentage of types involved in a finding' },
+    findings: {
+      type: 'array',
+      description: 'Deep hierarchies, cross-layer inheritance, inheritance cycles and misplaced interfaces',
+      items: {
+        type: 'object',
+        properties: {
+          ...LOCATION_PROPERTIES,
+          rule: { type: 'string', enum: ['deep-hierarchy', 'cross-layer', 'inheritance-cycle', 'misplaced-interface'] },
+          name: { type: 'string' },
+          kind: { type: 'string' },
+          layer: { type: ['string', 'null'] },
+          depth: { type: 'integer' },
+          chain: STRING_LIST,
+          base: { type: 'string' },
+          baseLayer: { type: 'string' },
+          relation: { type: 'string', enum: ['extends', 'implements'] },
+          subtype: { type: 'string' },
+          cycle: STRING_LIST,
+          implementation: { type: 'string' },
+          expectedLayer: { type: 'string' },
+          severity: SEVERITY
+        },
+        required: ['rule', 'file', 'name', 'severity']
+      }
+    },
+    findingCount: { type: 'integer' },
+    deepHierarchyCount: { type: 'integer' },
+    crossLayerCount: { type: 'integer' },
+    cycleCount: { type: 'integer' },
+    misplacedInterfaceCount: { type: 'integer' }
+  },
+  required: [...SHARED_REQUIRED, 'maxDepth', 'deepestTypes', 'singleImplementationInterfaces', 'findings']
+};
+
+export const MMI_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    projectPath: { type: 'string' },
+    overallScore: { type: 'number', minimum: 0, maximum: 5, description: 'Mean of the dimension scores' },
+    layering: LAYERING_OUTPUT_SCHEMA,
+    encapsulation: ENCAPSULATION_OUTPUT_SCHEMA,
+    abstraction: ABSTRACTION_OUTPUT_SCHEMA,
+    cycles: CYCLES_OUTPUT_SCHEMA,
+    size: MODULE_SIZE_OUTPUT_SCHEMA,
+    coupling: COUPLING_OUTPUT_SCHEMA,
+    cohesion: COHESION_OUTPUT_SCHEMA,
+    patterns: PATTERNS_OUTPUT_SCHEMA,
+    modularization: MODULARIZATION_OUTPUT_SCHEMA,
+    timings: {
+      type: 'object',
+      description: 'Phase durations in ms (scan, read, parse, per dimension)',
+      additionalProperties: { type: 'number' }
+    }
+  },
+  required: ['projectPath', 'overallScore', 'layering', 'encapsulation', 'abstraction', 'cycles', 'size', 'coupling', 'cohesion', 'patterns', 'modularization']
+};
+
+export const BASELINE_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    file: { type: 'string', description: 'Written .mmi-baseline.json' },
+    baseline: {
+      type: 'object',
+      properties: {
+        version: { type: 'integer' },
+        createdAt: { type: 'string' },
+        findings: {
+          type: 'object',
+          description: 'Fingerprinted findings per dimension',
+          additionalProperties: { type: 'array', items: BASELINE_ENTRY }
+        }
+      },
+      required: ['version', 'createdAt', 'findings']
+    }
+  },
+  required: ['file', 'baseline']
+};
@@ -0,0 +1,193 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Baseline of known findings (.mmi-baseline.json)
+ * Legacy-Projekte frieren ihre bestehenden Verletzungen ein und sehen danach
+ * nur noch neue Findings. Fingerprints bestehen aus Regel + Datei + Symbol -
+ * ohne Zeilennummer, damit Verschiebungen im Code nichts ändern.
+ */
+
+export const BASELINE_FILE = '.mmi-baseline.json';
+
+const BASELINE_VERSION = 1;
+
+// Regel und Symbol je Dimension (Datei kommt aus finding.file)
+const FINGERPRINTS = {
+  layering: finding => finding.projectPath
+    ? { rule: 'project-reference', file: finding.projectPath, symbol: finding.referencePath }
+    : { rule: 'dependency', file: finding.file, symbol: finding.reference || finding.using },
+  encapsulation: finding => finding.rule
+    ? { rule: finding.rule, file: finding.file, symbol: `${finding.owner}.${finding.name}` }
+    : { rule: 'over-exposed', file: finding.file, symbol: `${finding.type} ${finding.name}` },
+  abstraction: finding => ({ rule: finding.issue, file: finding.file, symbol: '' }),
+  cycles: (finding, granularity) => finding.projectPaths
+    ? { rule: 'project-cycle', file: '', symbol: [...finding.projectPaths].sort().join(' ↔ ') }
+    : { rule: `cycle/${finding.granularity || granularity}`, file: '', symbol: [...finding.path].sort().join(' ↔ ') },
+  size: finding => finding.rule === 'oversized-module'
+    ? { rule: finding.rule, file: '', symbol: `${finding.level} ${finding.name}` }
+    : { rule: finding.rule, file: finding.file, symbol: finding.rule === 'god-class' ? finding.name : '' },
+  coupling: finding => ({ rule: `distance/${finding.granularity}`, file: '', symbol: finding.module }),
+  cohesion: finding => ({ rule: finding.rule, file: finding.file, symbol: finding.name }),
+  patterns: finding => ({ rule: `${finding.rule}/${finding.convention}`, file: finding.file, symbol: finding.name }),
+  modularization: finding => ({ rule: finding.rule, file: '', symbol: finding.module || finding.namespace }),
+  inheritance: finding => ({ rule: finding.rule, file: finding.file, symbol: [finding.name, finding.base || finding.subtype].filter(Boolean).join(' → ') })
+};
+
+/**
+ * Describe a finding by its stable fingerprint
+ * @param {string} dimension - layering, encapsulation, abstraction, cycles, size, coupling, cohesion, patterns, modularization or inheritance
+ * @param {Object} finding - Finding as produced by the analyzer
+ * @param {string} [granularity] - Cycle granularity (cycles only)
+ * @returns {Object} { fingerprint, rule, file, symbol }
+ */
+export function getFingerprint(dimension, finding, granularity = 'file') {
+  const { rule, file, symbol } = FINGERPRINTS[dimension](finding, granularity);
+  const fingerprint = crypto.createHash('sha1')
+    .update([dimension, rule, file, symbol].join('\n'))
+    .digest('hex')
+    .slice(0, 16);
+  return { fingerprint, rule, file, symbol };
+}
+
+/**
+ * Findings of the analysis results in baseline form (per dimension)
+ * @param {Object} results - { layering, encapsulation, abstraction, cycles, size, coupling, cohesion, patterns, modularization, inheritance } analysis results
+ *   (cycles may be a list of cycle results, one per granularity)
+ * @returns {Object} { layering: [], encapsulation: [], abstraction: [], cycles: [], size: [], coupling: [], cohesion: [], patterns: [], modularization: [], inheritance: [] }
+ */
+export function collectBaselineFindings({ layering, encapsulation, abstraction, cycles, size, coupling, cohesion, patterns, modularization, inheritance }) {
+  return {
+    layering: [...layering.violations, ...layering.projectViolations],
+    encapsulation: [...encapsulation.overExposed, ...(encapsulation.members ? encapsulation.members.findings : [])],
+    abstraction: abstraction.mixedAbstractions,
+    cycles: collectCycleFindings([cycles].flat()),
+    size: size.findings,
+    coupling: coupling.findings,
+    cohesion: cohesion.findings,
+    patterns: patterns.findings,
+    modularization: modularization.findings,
+    inheritance: inheritance.findings
+  };
+}
+
+/**
+ * Cycles of each result tagged with the granularity they were found at;
+ * project cycles do not depend on the granularity and are taken once
+ */
+function collectCycleFindings(results) {
+  return [
+    ...results.flatMap(result => result.cycles.map(cycle => ({ ...cycle, granularity: result.granularity }))),
+    ...results[0].projectCycles
+  ];
+}
+
+/**
+ * Write .mmi-baseline.json with the current findings of all dimensions
+ * @param {string} projectPath - Project root (the file is written there)
+ * @param {Object} findings - { layering: [], encapsulation: [], abstraction: [], cycles: [], size: [], coupling: [], cohesion: [], patterns: [], modularization: [], inheritance: [] }
+ * @param {string} [granularity] - Cycle granularity of cycle findings without own `granularity`
+ * @returns {Object} { file, baseline }
+ */
+export function writeBaseline(projectPath, findings, granularity = 'file') {
+  const baseline = {
+    version: BASELINE_VERSION,
+    createdAt: new Date().toISOString(),
+    findings: {}
+  };
+
+  for (const [dimension, list] of Object.entries(findings)) {
+    baseline.findings[dimension] = list
+      .map(finding => getFingerprint(dimension, finding, granularity))
+      .sort((a, b) => a.rule.localeCompare(b.rule) || a.file.localeCompare(b.file) || a.symbol.localeCompare(b.symbol));
+  }
+
+  const file = path.join(projectPath, BASELINE_FILE);
+  fs.writeFileSync(file, JSON.stringify(baseline, null, 2) + '\n');
+  console.error(`[MMI] Baseline written: ${file}`);
+
+  return { file, baseline };
+}
+
+/**
+ * Load .mmi-baseline.json from the project root
+ * @param {string} projectPath - Project root
+ * @returns {Object|null} Baseline or null when none exists
+ */
+export function loadBaseline(projectPath) {
+  const file = path.join(projectPath, BASELINE_FILE);
+  if (!fs.existsSync(file)) return null;
+
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid ${BASELINE_FILE} at ${file}: ${err.message}`);
+  }
+
+  if (baseline.version !== BASELINE_VERSION || !baseline.findings) {
+    throw new Error(`Unsupported ${BASELINE_FILE} at ${file} (expected version ${BASELINE_VERSION}) - run create_baseline again`);
+  }
+
+  return baseline;
+}
+
+/**
+ * Keep only findings that are not in the baseline of the snapshot
+ * (without a baseline all findings are returned unchanged)
+ * @param {Object} snapshot - Project snapshot (`baseline` from loadBaseline or null)
+ * @param {string} dimension - layering, encapsulation, abstraction, cycles, size, coupling, cohesion, patterns, modularization or inheritance
+ * @param {Object[]} findings - Active (not suppressed) findings
+ * @param {string} [granularity] - Cycle/coupling granularity ('members' for member-level encapsulation)
+ * @returns {Object} { findings, summary } - summary: { createdAt, newCount,
+ *   knownCount, fixedCount, fixed } or null; fixed lists baseline entries
+ *   that no longer occur
+ */
+export function compareWithBaseline(snapshot, dimension, findings, granularity = 'file') {
+  if (!snapshot.baseline) return { findings, summary: null };
+
+  // Mehrfach vorkommende Fingerprints zählen einzeln (Multiset)
+  const remaining = new Map();
+  const entries = (snapshot.baseline.findings[dimension] || []).filter(entry => isComparable(dimension, entry, granularity));
+  for (const entry of entries) {
+    if (!remaining.has(entry.fingerprint)) remaining.set(entry.fingerprint, []);
+    remaining.get(entry.fingerprint).push(entry);
+  }
+
+  const newFindings = [];
+  let knownCount = 0;
+  for (const finding of findings) {
+    const known = remaining.get(getFingerprint(dimension, finding, granularity).fingerprint);
+    if (known && known.length > 0) {
+      known.pop();
+      knownCount++;
+    } else {
+      newFindings.push(finding);
+    }
+  }
+
+  const fixed = [...remaining.values()].flat();
+
+  return {
+    findings: newFindings,
+    summary: {
+      createdAt: snapshot.baseline.createdAt,
+      newCount: newFindings.length,
+      knownCount,
+      fixedCount: fixed.length,
+      fixed
+    }
+  };
+}
+
+/**
+ * Cycles and coupling are only comparable at the granularity the baseline
+ * was taken with; encapsulation compares types and members separately
+ */
+function isComparable(dimension, entry, granularity) {
+  if (dimension === 'encapsulation') return (entry.rule === 'over-exposed') === (granularity !== 'members');
+  if (dimension === 'coupling') return entry.rule === `distance/${granularity}`;
+  if (dimension !== 'cycles' || entry.rule === 'project-cycle') return true;
+  return entry.rule === `cycle/${granularity}`;
+}
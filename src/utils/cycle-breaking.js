@@ -0,0 +1,286 @@
+import graphlib from 'graphlib';
+
+/**
+ * Graph helpers for dependency tangles (strongly connected components)
+ * findCycles() only returns the SCCs; these helpers list the simple cycles
+ * inside a component and suggest which edges to cut.
+ */
+
+// Schutz vor exponentieller Aufzählung in großen Knäueln
+export const MAX_ELEMENTARY_CYCLES = 20;
+const MAX_SEARCH_STEPS = 20000;
+// Kantenbesuche für das Minimieren der Schnittkanten (je Knäuel)
+const MAX_MINIMIZE_STEPS = 2000000;
+
+/**
+ * Enumerate elementary cycles of one component (bounded)
+ * @param {graphlib.Graph} graph - Dependency graph
+ * @param {string[]} nodes - Nodes of the strongly connected component
+ * @param {number} [limit] - Maximum number of cycles to return
+ * @returns {Object} { cycles: string[][], truncated } - each cycle is an ordered
+ *   node list (A → B → C, closing back to A)
+ */
+export function findElementaryCycles(graph, nodes, limit = MAX_ELEMENTARY_CYCLES) {
+  const order = [...nodes].sort();
+  const rank = new Map(order.map((node, index) => [node, index]));
+  const cycles = [];
+  let steps = 0;
+  let truncated = false;
+
+  // Jeder Zyklus wird genau einmal gefunden: ab seinem kleinsten Knoten.
+  // Tiefensuche mit eigenem Stack (ein Frame je Pfadknoten), lange Pfade
+  // sprengen so nicht den Call-Stack.
+  for (const start of order) {
+    const path = [start];
+    const onPath = new Set(path);
+    const frames = [{ successors: graph.successors(start) || [], next: 0 }];
+
+    while (frames.length > 0) {
+      const frame = frames[frames.length - 1];
+      if (frame.next === frame.successors.length) {
+        frames.pop();
+        if (frames.length > 0) onPath.delete(path.pop());
+        continue;
+      }
+
+      const next = frame.successors[frame.next++];
+      if (cycles.length >= limit || ++steps > MAX_SEARCH_STEPS) {
+        truncated = true;
+        break;
+      }
+      if (!rank.has(next) || rank.get(next) < rank.get(start)) continue;
+
+      if (next === start) {
+        cycles.push([...path]);
+      } else if (!onPath.has(next)) {
+        path.push(next);
+        onPath.add(next);
+        frames.push({ successors: graph.successors(next) || [], next: 0 });
+      }
+    }
+
+    if (truncated) break;
+  }
+
+  return { cycles, truncated };
+}
+
+/**
+ * Strongly connected components that contain a cycle (iterative Tarjan)
+ * Same components and order as graphlib.alg.findCycles(), which recurses
+ * once per node and overflows the stack on long dependency chains.
+ * @param {graphlib.Graph} graph - Dependency graph
+ * @returns {string[][]} Components with more than one node or a self-loop
+ */
+export function findStronglyConnectedComponents(graph) {
+  const index = new Map();
+  const lowlink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const frames = [];
+  const components = [];
+
+  const open = node => {
+    index.set(node, index.size);
+    lowlink.set(node, index.get(node));
+    stack.push(node);
+    onStack.add(node);
+    frames.push({ node, successors: graph.successors(node) || [], next: 0 });
+  };
+
+  for (const root of graph.nodes()) {
+    if (index.has(root)) continue;
+    open(root);
+
+    while (frames.length > 0) {
+      const frame = frames[frames.length - 1];
+
+      if (frame.next < frame.successors.length) {
+        const next = frame.successors[frame.next++];
+        if (!index.has(next)) {
+          open(next);
+        } else if (onStack.has(next)) {
+          lowlink.set(frame.node, Math.min(lowlink.get(frame.node), index.get(next)));
+        }
+        continue;
+      }
+
+      frames.pop();
+      if (lowlink.get(frame.node) === index.get(frame.node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.node);
+        components.push(component);
+      }
+      if (frames.length > 0) {
+        const parent = frames[frames.length - 1].node;
+        lowlink.set(parent, Math.min(lowlink.get(parent), lowlink.get(frame.node)));
+      }
+    }
+  }
+
+  return components.filter(c => c.length > 1 || graph.hasEdge(c[0], c[0]));
+}
+
+/**
+ * Suggest a small set of edges whose removal makes the component acyclic
+ * (greedy feedback arc set after Eades/Lin/Smyth, weighted by edge weight,
+ * followed by a pass that keeps every edge not needed to break a cycle)
+ * @param {graphlib.Graph} graph - Dependency graph
+ * @param {string[]} nodes - Nodes of the strongly connected component
+ * @param {Function} weightOf - edge { v, w } → integer weight (cheap edges are cut first)
+ * @returns {Object[]} Edges to remove ({ v, w }), heaviest last
+ */
+export function findFeedbackArcSet(graph, nodes, weightOf) {
+  const members = new Set(nodes);
+  const edges = nodes.flatMap(node => (graph.outEdges(node) || []).filter(e => members.has(e.w)));
+  // Ganzzahlige Gewichte: die Buckets der Anordnung sind nach Differenz sortiert
+  const weights = new Map(edges.map(edge => [edge, Math.round(weightOf(edge))]));
+
+  const ordering = getGreedyOrdering(nodes, edges, weights);
+  const position = new Map(ordering.map((node, index) => [node, index]));
+
+  // Rückwärtskanten der Anordnung brechen alle Zyklen
+  const backward = new Set(edges.filter(e => position.get(e.v) >= position.get(e.w)));
+  const kept = new Map(nodes.map(node => [node, []]));
+  edges.filter(e => !backward.has(e)).forEach(e => kept.get(e.v).push(e.w));
+
+  // Minimal machen: teure Kanten zuerst zurücknehmen, wenn kein Zyklus entsteht.
+  // v → w schließt genau dann einen Zyklus, wenn w v schon erreicht; ist das
+  // Suchbudget aufgebraucht, bleiben die übrigen Kanten geschnitten.
+  const removed = [];
+  let budget = MAX_MINIMIZE_STEPS;
+  for (const edge of [...backward].sort((a, b) => weights.get(b) - weights.get(a))) {
+    const search = budget > 0 ? reaches(kept, edge.w, edge.v, budget) : null;
+    if (search) budget -= search.steps;
+
+    if (search && !search.found && !search.aborted) {
+      kept.get(edge.v).push(edge.w);
+    } else {
+      removed.push(edge);
+    }
+  }
+
+  return removed.sort((a, b) => weights.get(a) - weights.get(b));
+}
+
+/**
+ * Depth-first search from `from` for `to` over adjacency lists
+ * @returns {Object} { found, aborted, steps } - aborted when more than `budget` edges were visited
+ */
+function reaches(successors, from, to, budget) {
+  const visited = new Set([from]);
+  const pending = [from];
+  let steps = 0;
+
+  while (pending.length > 0) {
+    const node = pending.pop();
+    if (node === to) return { found: true, aborted: false, steps };
+
+    for (const next of successors.get(node)) {
+      if (++steps > budget) return { found: false, aborted: true, steps };
+      if (visited.has(next)) continue;
+      visited.add(next);
+      pending.push(next);
+    }
+  }
+
+  return { found: false, aborted: false, steps };
+}
+
+/**
+ * Vertex ordering with few (light) backward edges (Eades/Lin/Smyth with
+ * buckets, O(V + E + total weight)): sinks go to the end, sources to the
+ * front, otherwise the node with the largest outgoing - incoming weight is
+ * placed next
+ */
+function getGreedyOrdering(nodes, edges, weights) {
+  const stats = new Map([...nodes].sort().map(node => [node, { in: [], out: [], inDegree: 0, outDegree: 0, delta: 0 }]));
+  for (const edge of edges) {
+    if (edge.v === edge.w) continue;
+    const weight = weights.get(edge);
+    const from = stats.get(edge.v);
+    const to = stats.get(edge.w);
+    from.out.push(edge);
+    from.outDegree++;
+    from.delta += weight;
+    to.in.push(edge);
+    to.inDegree++;
+    to.delta -= weight;
+  }
+
+  // Jeder verbleibende Knoten steckt in genau einer Menge: Senke, Quelle oder Bucket (delta)
+  const sinks = new Set();
+  const sources = new Set();
+  const buckets = new Map();
+  let maxDelta = -Infinity;
+
+  const place = node => {
+    const entry = stats.get(node);
+    if (entry.outDegree === 0) {
+      sinks.add(node);
+    } else if (entry.inDegree === 0) {
+      sources.add(node);
+    } else {
+      if (!buckets.has(entry.delta)) buckets.set(entry.delta, new Set());
+      buckets.get(entry.delta).add(node);
+      maxDelta = Math.max(maxDelta, entry.delta);
+    }
+  };
+  const unplace = node => {
+    const entry = stats.get(node);
+    if (!sinks.delete(node) && !sources.delete(node)) buckets.get(entry.delta).delete(node);
+  };
+
+  const removed = new Set();
+  const head = [];
+  const tail = [];
+
+  const remove = node => {
+    unplace(node);
+    removed.add(node);
+    const entry = stats.get(node);
+
+    for (const edge of entry.in) {
+      if (removed.has(edge.v)) continue;
+      unplace(edge.v);
+      const from = stats.get(edge.v);
+      from.outDegree--;
+      from.delta -= weights.get(edge);
+      place(edge.v);
+    }
+    for (const edge of entry.out) {
+      if (removed.has(edge.w)) continue;
+      unplace(edge.w);
+      const to = stats.get(edge.w);
+      to.inDegree--;
+      to.delta += weights.get(edge);
+      place(edge.w);
+    }
+  };
+
+  stats.forEach((entry, node) => place(node));
+
+  while (removed.size < stats.size) {
+    if (sinks.size > 0) {
+      const node = sinks.values().next().value;
+      tail.push(node);
+      remove(node);
+    } else if (sources.size > 0) {
+      const node = sources.values().next().value;
+      head.push(node);
+      remove(node);
+    } else {
+      while (!buckets.has(maxDelta) || buckets.get(maxDelta).size === 0) maxDelta--;
+      const node = buckets.get(maxDelta).values().next().value;
+      head.push(node);
+      remove(node);
+    }
+  }
+
+  return [...head, ...tail.reverse()];
+}
@@ -0,0 +1,45 @@
+/**
+ * Display names for files in reports
+ * Files are keyed by their relative path; reports show the file name and add
+ * parent folders only where file names collide (two `Extensions.cs`).
+ */
+
+/**
+ * Create a lookup from relative path to the shortest unambiguous display name
+ * @param {string[]} paths - Normalized relative paths (forward slashes)
+ * @returns {Function} path → display name (unknown paths are returned unchanged)
+ */
+export function createDisplayNames(paths) {
+  const unique = [...new Set(paths)];
+  const byFileName = new Map();
+
+  for (const filePath of unique) {
+    const fileName = filePath.split('/').pop();
+    if (!byFileName.has(fileName)) byFileName.set(fileName, []);
+    byFileName.get(fileName).push(filePath);
+  }
+
+  const names = new Map();
+  for (const [fileName, group] of byFileName) {
+    if (group.length === 1) {
+      names.set(group[0], fileName);
+      continue;
+    }
+
+    for (const filePath of group) {
+      const segments = filePath.split('/');
+      let depth = 2;
+      while (depth < segments.length &&
+             group.some(other => other !== filePath && getSuffix(other, depth) === getSuffix(filePath, depth))) {
+        depth++;
+      }
+      names.set(filePath, getSuffix(filePath, depth));
+    }
+  }
+
+  return filePath => names.get(filePath) || filePath;
+}
+
+function getSuffix(filePath, depth) {
+  return filePath.split('/').slice(-depth).join('/');
+}
@@ -0,0 +1,134 @@
+/**
+ * Effective imports per file - what the compiler actually sees:
+ * the file's own using directives, `global using` directives declared in any
+ * file of the same project and <Using Include> items of the owning .csproj.
+ * Fully-qualified type references in code (`new MyApp.Infra.Db()`) are
+ * resolved separately as a dependency kind of their own.
+ */
+
+/**
+ * Attach `imports` to every snapshot file
+ * @param {Object[]} files - Snapshot files (with model and project)
+ * @param {Object} projectGraph - Result of buildProjectGraph()
+ *   imports: [{ namespace, alias, isStatic, isGlobal, scope, source, line, column, endLine }]
+ *   scope: 'file' (declared in this file), 'global' (global using of another
+ *   file in the project) or 'project' (<Using> item of the .csproj)
+ */
+export function resolveEffectiveImports(files, projectGraph) {
+  const projectsById = new Map(projectGraph.projects.map(p => [p.id, p]));
+
+  // Project id (or null for files outside any .csproj) → global usings
+  const globalsByProject = new Map();
+  for (const file of files) {
+    for (const using of file.model.usings) {
+      if (!using.isGlobal) continue;
+      if (!globalsByProject.has(file.project)) globalsByProject.set(file.project, []);
+      globalsByProject.get(file.project).push(toImport(using, 'global', file.relativePath));
+    }
+  }
+
+  for (const file of files) {
+    const imports = file.model.usings.map(using => toImport(using, 'file', file.relativePath));
+    const seen = new Set(imports.map(importKey));
+
+    const inherited = [...(globalsByProject.get(file.project) || [])];
+    const owner = projectsById.get(file.project);
+    if (owner) {
+      inherited.push(...owner.usings.map(using => toImport(using, 'project', owner.id)));
+    }
+
+    for (const imp of inherited) {
+      const key = importKey(imp);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      imports.push(imp);
+    }
+
+    file.imports = imports;
+  }
+}
+
+/**
+ * Attach `qualifiedReferences` to every snapshot file: dotted names in code
+ * that start with a project namespace root (e.g. `MyApp`)
+ * @param {Object[]} files - Snapshot files (with model)
+ * @param {Object} config - Normalized project config (layer namespace prefixes)
+ *   qualifiedReferences: [{ name, namespace, context, line, column, endLine, endColumn }]
+ *   namespace: longest declared namespace prefix of the name (or the name
+ *   without its last segment when the namespace is not part of the scan)
+ */
+export function resolveQualifiedReferences(files, config) {
+  const declared = new Set();
+  for (const file of files) {
+    file.model.namespaces.forEach(ns => declared.add(ns.name));
+  }
+
+  const roots = new Set([...declared].map(ns => ns.split('.')[0]));
+  for (const layer of config.layers) {
+    layer.namespaces.forEach(prefix => roots.add(prefix.split('.')[0]));
+  }
+
+  for (const file of files) {
+    file.qualifiedReferences = file.model.qualifiedNames
+      .filter(ref => roots.has(ref.name.split('.')[0]))
+      .map(ref => ({ ...ref, namespace: findNamespacePrefix(ref.name, declared) }));
+  }
+}
+
+function findNamespacePrefix(name, declared) {
+  const segments = name.split('.');
+  // Nur der Root (`MyApp`) sagt nichts über den Layer aus
+  for (let length = segments.length; length > 1; length--) {
+    const candidate = segments.slice(0, length).join('.');
+    if (declared.has(candidate)) return candidate;
+  }
+  return segments.slice(0, -1).join('.');
+}
+
+/**
+ * Namespace an import refers to: the imported namespace, or for aliases and
+ * `using static` the (generic-free) target type/namespace name
+ * @param {Object} imp - Effective import
+ * @returns {string}
+ */
+export function getImportTarget(imp) {
+  const genericStart = imp.namespace.indexOf('<');
+  return genericStart === -1 ? imp.namespace : imp.namespace.slice(0, genericStart);
+}
+
+/**
+ * Kind of an import for reports: 'using', 'alias', 'static', 'global' or 'project'
+ * (fully-qualified references use the kind 'qualified')
+ */
+export function getImportKind(imp) {
+  if (imp.scope === 'project') return 'project';
+  if (imp.alias) return 'alias';
+  if (imp.isStatic) return 'static';
+  if (imp.isGlobal) return 'global';
+  return 'using';
+}
+
+/**
+ * Check for System.* / Microsoft.* framework namespaces
+ */
+export function isFrameworkNamespace(namespace) {
+  return ['System', 'Microsoft'].some(root => namespace === root || namespace.startsWith(root + '.'));
+}
+
+function toImport(using, scope, source) {
+  return {
+    namespace: using.namespace,
+    alias: using.alias || null,
+    isStatic: Boolean(using.isStatic),
+    isGlobal: scope !== 'file' || Boolean(using.isGlobal),
+    scope,
+    source,
+    line: using.line || null,
+    column: using.column || null,
+    endLine: using.endLine || using.line || null
+  };
+}
+
+function importKey(imp) {
+  return `${imp.alias || ''}|${imp.isStatic ? 'static' : ''}|${imp.namespace}`;
+}
@@ -33,18 +33,21 @@ function saveCache() {
 
 /**
  * Calculate file hash (MD5)
+ * @param {string} filePath - File to hash
+ * @param {string} [content] - Already loaded content (avoids a second read)
  */
-function getFileHash(filePath) {
-  const content = fs.readFileSync(filePath, 'utf8');
+function getFileHash(filePath, content = fs.readFileSync(filePath, 'utf8')) {
   return crypto.createHash('md5').update(content).digest('hex');
 }
 
 /**
  * Check if file has changed
+ * @param {string} filePath - File to check
+ * @param {string} [content] - Already loaded content (avoids a second read)
  * @returns {boolean} true if changed
  */
-export function hasFileChanged(filePath) {
-  const currentHash = getFileHash(filePath);
+export function hasFileChanged(filePath, content) {
+  const currentHash = getFileHash(filePath, content);
   const cachedHash = cache[filePath];
   
   if (!cachedHash || cachedHash !== currentHash) {
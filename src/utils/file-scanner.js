@@ -0,0 +1,55 @@
+import fs from 'fs';
+import path from 'path';
+
+const IGNORED_DIRECTORIES = new Set(['bin', 'obj', 'node_modules']);
+
+/**
+ * Find all C# files recursively (skips bin/obj/node_modules)
+ * @param {string} dir - Directory to scan
+ * @returns {string[]} Absolute file paths
+ */
+export function findCSharpFiles(dir) {
+  return findFilesByExtension(dir, ['.cs']);
+}
+
+/**
+ * Find project and solution files (.csproj, .sln, .slnx) recursively
+ * @param {string} dir - Directory to scan
+ * @returns {string[]} Absolute file paths
+ */
+export function findProjectFiles(dir) {
+  return findFilesByExtension(dir, ['.csproj', '.sln', '.slnx']);
+}
+
+/**
+ * Find files with one of the given extensions recursively
+ * @param {string} dir - Directory to scan
+ * @param {string[]} extensions - e.g. ['.cs']
+ * @returns {string[]} Absolute file paths
+ */
+export function findFilesByExtension(dir, extensions) {
+  let results = [];
+
+  try {
+    const items = fs.readdirSync(dir);
+
+    for (const item of items) {
+      if (IGNORED_DIRECTORIES.has(item)) {
+        continue;
+      }
+
+      const fullPath = path.join(dir, item);
+      const stat = fs.statSync(fullPath);
+
+      if (stat.isDirectory()) {
+        results = results.concat(findFilesByExtension(fullPath, extensions));
+      } else if (extensions.some(ext => item.endsWith(ext))) {
+        results.push(fullPath);
+      }
+    }
+  } catch (err) {
+    console.error(`[MMI] Error reading directory ${dir}:`, err.message);
+  }
+
+  return results;
+}
@@ -0,0 +1,54 @@
+/**
+ * Minimal glob matching for layer path patterns
+ * Supports `**` (any number of folders), `*` (within one segment) and `?`.
+ */
+
+/**
+ * Convert a glob pattern to a case-insensitive RegExp (matched against
+ * forward-slash paths)
+ * @param {string} pattern - Glob pattern relative to the project root
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  const normalized = pattern.replace(/\\/g, '/').replace(/^\.?\//, '');
+  let regex = '';
+
+  for (let i = 0; i < normalized.length; i++) {
+    const ch = normalized[i];
+
+    if (ch === '*' && normalized[i + 1] === '*') {
+      const atStart = i === 0 || normalized[i - 1] === '/';
+      const followedBySlash = normalized[i + 2] === '/';
+
+      if (atStart && followedBySlash) {
+        // "**/" → zero or more folders
+        regex += '(?:.*/)?';
+        i += 2;
+      } else {
+        regex += '.*';
+        i += 1;
+      }
+      continue;
+    }
+
+    if (ch === '*') {
+      regex += '[^/]*';
+    } else if (ch === '?') {
+      regex += '[^/]';
+    } else {
+      regex += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${regex}$`, 'i');
+}
+
+/**
+ * Check if a path matches a glob pattern
+ * @param {string} filePath - Path (leading slash and backslashes are normalized)
+ * @param {RegExp} matcher - Result of globToRegExp()
+ */
+export function matchesGlob(filePath, matcher) {
+  const normalized = filePath.replace(/\\/g, '/').replace(/^\//, '');
+  return matcher.test(normalized);
+}
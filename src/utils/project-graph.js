@@ -0,0 +1,117 @@
+import fs from 'fs';
+import path from 'path';
+import { findProjectFiles } from './file-scanner.js';
+import { parseProjectFile, parseSolutionFile } from '../parsers/msbuild-parser.js';
+import { detectLayer } from '../config/project-config.js';
+import { parseXmlSuppressions } from './suppressions.js';
+
+/**
+ * Build the assembly-level dependency graph from .sln/.slnx and .csproj files
+ * (<ProjectReference> is the authoritative dependency between projects)
+ * @param {string} projectPath - Path to the C# project / solution directory
+ * @param {Object} config - Normalized project config (for layer detection)
+ * @returns {Object} { projects, edges, solutions }
+ *   projects: [{ id, name, fileName, path, directory, rootNamespace, layer, references, usings, content, suppressions }]
+ *   edges: [{ from, to, line, column }] - project ids (relative .csproj paths) and
+ *   the position of the <ProjectReference> in the referencing .csproj
+ */
+export function buildProjectGraph(projectPath, config) {
+  const root = path.resolve(projectPath);
+  const found = findProjectFiles(root);
+
+  const solutionFiles = found.filter(f => !f.endsWith('.csproj'));
+  const projectFiles = new Set(found.filter(f => f.endsWith('.csproj')));
+
+  // Projekte aus der Solution können auch außerhalb des Ordners liegen
+  for (const solutionFile of solutionFiles) {
+    const solution = parseSolutionFile(fs.readFileSync(solutionFile, 'utf8'));
+    for (const project of solution.projects) {
+      const absolute = path.resolve(path.dirname(solutionFile), project.path);
+      if (fs.existsSync(absolute)) projectFiles.add(absolute);
+    }
+  }
+
+  const projects = [];
+  const byPath = new Map();
+
+  for (const file of projectFiles) {
+    const content = fs.readFileSync(file, 'utf8');
+    const parsed = parseProjectFile(content);
+    const name = path.basename(file, '.csproj');
+    const id = toProjectId(root, file);
+
+    const project = {
+      id,
+      name,
+      fileName: path.basename(file),
+      path: file,
+      directory: path.dirname(file),
+      rootNamespace: parsed.rootNamespace || parsed.assemblyName || name,
+      layer: null,
+      references: parsed.projectReferences.map(ref => ({ ...ref, path: path.resolve(path.dirname(file), ref.path) })),
+      usings: parsed.usings,
+      content,
+      suppressions: parseXmlSuppressions(content)
+    };
+
+    project.layer = detectProjectLayer(config, project);
+    projects.push(project);
+    byPath.set(file, project);
+  }
+
+  const edges = [];
+  for (const project of projects) {
+    const resolved = [];
+    for (const reference of project.references) {
+      const target = byPath.get(reference.path);
+      if (!target) {
+        console.error(`[MMI] ProjectReference not found: ${project.fileName} → ${reference.path}`);
+        continue;
+      }
+      if (target.id === project.id) continue;
+      resolved.push(target.id);
+      edges.push({ from: project.id, to: target.id, line: reference.line, column: reference.column });
+    }
+    project.references = resolved;
+  }
+
+  if (projects.length > 0) {
+    console.error(`[MMI] Project graph: ${projects.length} projects, ${edges.length} references, ${solutionFiles.length} solutions`);
+  }
+
+  return {
+    projects,
+    edges,
+    solutions: solutionFiles.map(f => toProjectId(root, f))
+  };
+}
+
+/**
+ * Find the project a source file belongs to (closest .csproj directory above it)
+ * @param {Object} projectGraph - Result of buildProjectGraph()
+ * @param {string} filePath - Absolute file path
+ * @returns {Object|null} Project
+ */
+export function findOwningProject(projectGraph, filePath) {
+  let best = null;
+
+  for (const project of projectGraph.projects) {
+    const prefix = project.directory + path.sep;
+    if (filePath.startsWith(prefix) && (!best || project.directory.length > best.directory.length)) {
+      best = project;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Layer of a project: folder globs on the .csproj path, then root namespace/name
+ */
+function detectProjectLayer(config, project) {
+  return detectLayer(config, project.id, project.rootNamespace);
+}
+
+function toProjectId(root, file) {
+  return path.relative(root, file).replace(/\\/g, '/');
+}
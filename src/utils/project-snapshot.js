@@ -0,0 +1,104 @@
+import fs from 'fs';
+import path from 'path';
+import { findCSharpFiles } from './file-scanner.js';
+import { hasFileChanged } from './file-cache.js';
+import { buildProjectGraph, findOwningProject } from './project-graph.js';
+import { resolveEffectiveImports, resolveQualifiedReferences } from './effective-imports.js';
+import { parseCSharp } from '../parsers/csharp-parser.js';
+import { parseSuppressions } from './suppressions.js';
+import { loadProjectConfig, detectLayer, detectSlice } from '../config/project-config.js';
+
+/**
+ * Build a project snapshot: scans, reads and parses every C# file exactly once
+ * so all analyzers of one request can share the result.
+ * @param {string} projectPath - Path to the C# project
+ * @param {Object} [options] - { useCache: mark unchanged files via file cache,
+ *   config: project config (loaded from .mmi.json if omitted),
+ *   architectureStyle: preset that overrides .mmi.json,
+ *   baseline: loaded .mmi-baseline.json - analyzers then report only new findings }
+ * @returns {Object} { projectPath, config, files, projectGraph, baseline, timings }
+ *   files: [{ path, relativePath, fileName, content, model, imports, qualifiedReferences, layer, slice, project,
+ *   suppressions, changed }]
+ *   relativePath: normalized path relative to the project root (forward slashes,
+ *   no leading slash) - the unique key of a file in graphs and findings
+ *   imports: effective usings incl. global/.csproj usings (see resolveEffectiveImports)
+ *   qualifiedReferences: fully-qualified type references (see resolveQualifiedReferences)
+ *   suppressions: `mmi-ignore` comments of the file (see parseSuppressions)
+ *   projectGraph: .csproj/.sln dependency graph (see buildProjectGraph)
+ */
+export function createProjectSnapshot(projectPath, options = {}) {
+  const { useCache = false, architectureStyle } = options;
+  const timings = {};
+  const config = options.config || loadProjectConfig(projectPath, { architectureStyle });
+
+  const filePaths = measurePhase(timings, 'scan', () => findCSharpFiles(projectPath));
+  const projectGraph = measurePhase(timings, 'projects', () => buildProjectGraph(projectPath, config));
+
+  const contents = measurePhase(timings, 'read', () =>
+    filePaths.map(file => fs.readFileSync(file, 'utf8'))
+  );
+
+  const files = measurePhase(timings, 'parse', () => {
+    const parsed = filePaths.map((file, index) => {
+      const relativePath = toRelativePath(projectPath, file);
+      const model = parseCSharp(contents[index]);
+      const project = findOwningProject(projectGraph, file);
+      // Ohne Treffer per Pfad/Namespace gilt der Layer des .csproj
+      const layer = detectLayer(config, relativePath, model.namespace) || (project ? project.layer : null);
+
+      return {
+        path: file,
+        relativePath,
+        fileName: path.basename(file),
+        content: contents[index],
+        model,
+        layer,
+        slice: detectSlice(config, layer, relativePath, model.namespace),
+        project: project ? project.id : null,
+        suppressions: parseSuppressions(contents[index], model.comments),
+        changed: useCache ? hasFileChanged(file, contents[index]) : true
+      };
+    });
+
+    resolveEffectiveImports(parsed, projectGraph);
+    resolveQualifiedReferences(parsed, config);
+    return parsed;
+  });
+
+  console.error(`[MMI] Snapshot: ${files.length} files (scan ${timings.scan}ms, read ${timings.read}ms, parse ${timings.parse}ms)`);
+
+  return {
+    projectPath,
+    config,
+    files,
+    projectGraph,
+    baseline: options.baseline || null,
+    timings
+  };
+}
+
+/**
+ * Run fn and record its duration (ms) under timings[phase]
+ * @param {Object} timings - Timing map to write into
+ * @param {string} phase - Phase name
+ * @param {Function} fn - Work to measure
+ * @returns {*} Result of fn
+ */
+export function measurePhase(timings, phase, fn) {
+  const start = process.hrtime.bigint();
+  try {
+    return fn();
+  } finally {
+    timings[phase] = Number((process.hrtime.bigint() - start) / 1000000n);
+  }
+}
+
+/**
+ * Normalized relative path of a file (`src/Domain/Order.cs`)
+ * @param {string} projectPath - Project root
+ * @param {string} filePath - Absolute file path
+ * @returns {string}
+ */
+export function toRelativePath(projectPath, filePath) {
+  return path.relative(projectPath, filePath).replace(/\\/g, '/');
+}
@@ -35,6 +35,23 @@ export function createSuccessResponse(content) {
   };
 }
 
+/**
+ * Create a success response with structured content (tools with outputSchema)
+ * @param {string} text - Report text (markdown, SARIF, HTML)
+ * @param {Object} structuredContent - Raw result matching the tool's outputSchema
+ * @param {string} [mimeType] - Optional MIME type of the text
+ * @returns {Object} MCP response object
+ */
+export function createStructuredResponse(text, structuredContent, mimeType) {
+  const content = { type: 'text', text };
+  if (mimeType) content.mimeType = mimeType;
+  
+  return {
+    content: [content],
+    structuredContent
+  };
+}
+
 /**
  * Create an error response
  * @param {string} error - Error message
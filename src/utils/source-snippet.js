@@ -0,0 +1,41 @@
+/**
+ * Source snippets for findings
+ * Zeigt die betroffenen Zeilen mit etwas Kontext, markiert mit `>`.
+ */
+
+export const SNIPPET_CONTEXT_LINES = 2;
+
+/**
+ * Extract a snippet centered on the offending line(s)
+ * @param {string} content - File content
+ * @param {number} line - First offending line (1-based)
+ * @param {number} [endLine] - Last offending line (defaults to line)
+ * @param {number} [context] - Lines shown before and after
+ * @returns {string} Numbered lines, e.g. "> 12 | using MyApp.Infrastructure;"
+ */
+export function extractSnippet(content, line, endLine = line, context = SNIPPET_CONTEXT_LINES) {
+  if (!line) return '';
+
+  const lines = content.split(/\r?\n/);
+  const from = Math.max(1, line - context);
+  const to = Math.min(lines.length, Math.max(line, endLine) + context);
+  const width = String(to).length;
+
+  const snippet = [];
+  for (let number = from; number <= to; number++) {
+    const marker = number >= line && number <= endLine ? '>' : ' ';
+    snippet.push(`${marker} ${String(number).padStart(width)} | ${lines[number - 1]}`);
+  }
+
+  return snippet.join('\n');
+}
+
+/**
+ * "Order.cs:12:5" - location suffix for report lines
+ * @param {Object} finding - Finding with line/column
+ * @returns {string}
+ */
+export function formatLocation(finding) {
+  if (!finding.line) return '';
+  return finding.column ? `:${finding.line}:${finding.column}` : `:${finding.line}`;
+}
@@ -0,0 +1,169 @@
+/**
+ * Inline suppressions for deliberate exceptions
+ *
+ *   // mmi-ignore: layering -- kept for the legacy importer
+ *   using MyApp.Infrastructure.Import;
+ *
+ *   // mmi-ignore-file: abstraction, encapsulation -- generated code
+ *
+ * `mmi-ignore` applies to the next code line (attribute lines in between are
+ * covered as well) or, as a trailing comment, to its own line.
+ * `mmi-ignore-file` applies to the whole file. In .csproj files the same
+ * syntax works inside XML comments (`<!-- mmi-ignore: layering -- ... -->`).
+ */
+
+// Dimensions that honor suppressions (`all` matches every dimension)
+export const SUPPRESSIBLE_DIMENSIONS = ['layering', 'encapsulation', 'abstraction', 'cycles', 'size', 'coupling', 'cohesion', 'patterns', 'modularization', 'inheritance'];
+
+const DIRECTIVE_PATTERN = /\bmmi-ignore(-file)?\s*:\s*(.*)$/s;
+
+/**
+ * Collect the suppressions declared in a C# file
+ * @param {string} content - File content
+ * @param {Object[]} comments - Comment tokens of the source model ({ value, line, column, endLine })
+ * @returns {Object[]} [{ scope: 'line'|'file', dimensions, reason, line, lines }] -
+ *   lines: the source lines a line suppression covers
+ */
+export function parseSuppressions(content, comments) {
+  const lines = content.split(/\r?\n/);
+  const suppressions = [];
+
+  for (const comment of comments) {
+    const directive = parseDirective(comment.value);
+    if (!directive) continue;
+
+    suppressions.push({
+      ...directive,
+      line: comment.line,
+      lines: directive.scope === 'line' ? getCoveredLines(lines, comment) : []
+    });
+  }
+
+  return suppressions;
+}
+
+/**
+ * Collect the suppressions declared in XML comments of a .csproj
+ * @param {string} content - XML content
+ * @returns {Object[]} Same shape as parseSuppressions()
+ */
+export function parseXmlSuppressions(content) {
+  const comments = [];
+  const commentPattern = /<!--([\s\S]*?)-->/g;
+  let match;
+
+  while ((match = commentPattern.exec(content)) !== null) {
+    const before = content.slice(0, match.index);
+    const lineStart = before.lastIndexOf('\n') + 1;
+    comments.push({
+      value: match[1],
+      line: before.split('\n').length,
+      column: match.index - lineStart + 1,
+      endLine: before.split('\n').length + (match[0].match(/\n/g) || []).length
+    });
+  }
+
+  return parseSuppressions(content, comments);
+}
+
+/**
+ * Split findings of one dimension into active and suppressed ones
+ * @param {Object[]} findings - Findings with `file` (relative path or .csproj id) and optional line/endLine
+ * @param {Object} snapshot - Project snapshot (files and projectGraph carry `suppressions`)
+ * @param {string} dimension - One of SUPPRESSIBLE_DIMENSIONS
+ * @returns {Object} { active, suppressed } - suppressed findings carry
+ *   `suppression: { scope, reason, file, line }`
+ */
+export function partitionFindings(findings, snapshot, dimension) {
+  const byFile = getSuppressionsByFile(snapshot);
+  const active = [];
+  const suppressed = [];
+
+  for (const finding of findings) {
+    const match = findSuppression(byFile.get(finding.file), dimension, finding.line, finding.endLine);
+    if (match) {
+      suppressed.push({ ...finding, suppression: describe(match, finding.file) });
+    } else {
+      active.push(finding);
+    }
+  }
+
+  return { active, suppressed };
+}
+
+/**
+ * File-level suppression of a dimension for one file (e.g. cycles through a file)
+ * @returns {Object|null} `{ scope, reason, file, line }` or null
+ */
+export function findFileSuppression(snapshot, filePath, dimension) {
+  const match = findSuppression(getSuppressionsByFile(snapshot).get(filePath), dimension, null, null);
+  return match ? describe(match, filePath) : null;
+}
+
+function parseDirective(text) {
+  const match = DIRECTIVE_PATTERN.exec(text.replace(/\*\/\s*$/, '').trim());
+  if (!match) return null;
+
+  const [targets, ...reason] = match[2].split(/\s*--\s*/);
+  const dimensions = targets.split(/[\s,]+/).map(d => d.trim().toLowerCase()).filter(Boolean);
+
+  const unknown = dimensions.filter(d => d !== 'all' && !SUPPRESSIBLE_DIMENSIONS.includes(d));
+  if (unknown.length > 0) {
+    console.error(`[MMI] Unknown suppression dimension: ${unknown.join(', ')} (expected ${SUPPRESSIBLE_DIMENSIONS.join(', ')} or all)`);
+  }
+
+  return {
+    scope: match[1] ? 'file' : 'line',
+    dimensions,
+    reason: reason.join(' -- ').replace(/\s+/g, ' ').trim() || null
+  };
+}
+
+/**
+ * Lines covered by a line suppression: its own line for a trailing comment,
+ * otherwise the next code line (plus attribute lines before it)
+ */
+function getCoveredLines(lines, comment) {
+  const ownLine = lines[comment.line - 1] || '';
+  if (ownLine.slice(0, comment.column - 1).trim() !== '') return [comment.line];
+
+  const covered = [];
+  for (let number = comment.endLine + 1; number <= lines.length; number++) {
+    const text = lines[number - 1].trim();
+    if (text === '' || text.startsWith('//')) continue;
+
+    covered.push(number);
+    if (!text.startsWith('[')) break;
+  }
+  return covered;
+}
+
+function findSuppression(suppressions, dimension, line, endLine) {
+  if (!suppressions) return null;
+
+  const applies = s => s.dimensions.includes(dimension) || s.dimensions.includes('all');
+  const fileLevel = suppressions.find(s => s.scope === 'file' && applies(s));
+  if (fileLevel || !line) return fileLevel || null;
+
+  const last = endLine || line;
+  return suppressions.find(s =>
+    s.scope === 'line' && applies(s) && s.lines.some(l => l >= line && l <= last)
+  ) || null;
+}
+
+function describe(suppression, file) {
+  return { scope: suppression.scope, reason: suppression.reason, file, line: suppression.line };
+}
+
+// Suppressions je Datei bzw. .csproj - einmal pro Snapshot aufgebaut
+const indexCache = new WeakMap();
+
+function getSuppressionsByFile(snapshot) {
+  if (!indexCache.has(snapshot)) {
+    const byFile = new Map();
+    snapshot.files.forEach(f => byFile.set(f.relativePath, f.suppressions || []));
+    snapshot.projectGraph.projects.forEach(p => byFile.set(p.id, p.suppressions || []));
+    indexCache.set(snapshot, byFile);
+  }
+  return indexCache.get(snapshot);
+}
@@ -0,0 +1,177 @@
+import { getImportTarget } from './effective-imports.js';
+
+/**
+ * Project-wide type index
+ * Ordnet Typnamen den Dateien zu, die sie deklarieren - Grundlage für
+ * Abhängigkeiten auf Typ-Ebene statt "Namespace → alle Dateien".
+ */
+
+/**
+ * Build the type index over all snapshot files
+ * @param {Object[]} files - Snapshot files (with model)
+ * @returns {Object} { bySimpleName: Map<name, entry[]>, byFullName: Map<fullName, entry[]> }
+ *   entry: { name, fullName, namespace, container, file } - container is the
+ *   namespace or the enclosing type of a nested type; file is the declaring snapshot file
+ */
+export function buildTypeIndex(files) {
+  const bySimpleName = new Map();
+  const byFullName = new Map();
+
+  for (const file of files) {
+    for (const type of file.model.types) {
+      if (!type.name) continue;
+
+      const entry = {
+        name: type.name,
+        fullName: type.fullName,
+        namespace: type.namespace,
+        container: type.parent || type.namespace,
+        file
+      };
+
+      addTo(bySimpleName, type.name, entry);
+      addTo(byFullName, type.fullName, entry);
+    }
+  }
+
+  return { bySimpleName, byFullName };
+}
+
+/**
+ * Resolve the project types a file actually references
+ * (identifiers visible through own namespaces, usings, aliases and
+ * `using static`, plus fully-qualified references)
+ * @param {Object} file - Snapshot file (with imports and qualifiedReferences)
+ * @param {Object} typeIndex - Result of buildTypeIndex()
+ * @returns {Object[]} Type index entries declared in other files, each with
+ *   `references` (number of occurrences in the file)
+ */
+export function resolveReferencedTypes(file, typeIndex) {
+  const ownTypes = new Set(file.model.types.map(t => t.fullName));
+  const visible = getVisibleContainers(file);
+  const aliases = new Map(
+    file.imports.filter(imp => imp.alias).map(imp => [imp.alias, getImportTarget(imp)])
+  );
+
+  const referenced = new Map();
+  const add = (entry, count) => {
+    // Eigene (auch partielle) Typen sind keine Abhängigkeit
+    if (entry.file === file || ownTypes.has(entry.fullName)) return;
+
+    const key = `${entry.fullName}|${entry.file.relativePath}`;
+    const existing = referenced.get(key);
+    if (existing) {
+      existing.references += count;
+    } else {
+      referenced.set(key, { ...entry, references: count });
+    }
+  };
+
+  for (const [name, count] of collectTypeIdentifiers(file.model.tokens)) {
+    if (aliases.has(name)) {
+      (typeIndex.byFullName.get(aliases.get(name)) || []).forEach(entry => add(entry, count));
+    }
+
+    for (const entry of typeIndex.bySimpleName.get(name) || []) {
+      if (!entry.container || visible.has(entry.container)) add(entry, count);
+    }
+  }
+
+  for (const ref of file.qualifiedReferences) {
+    findLongestTypePrefix(ref.name, typeIndex).forEach(entry => add(entry, 1));
+  }
+
+  return [...referenced.values()];
+}
+
+/**
+ * Resolve a type name as written in a file (`Base`, `Infrastructure.Base`,
+ * `Alias.Base`) to the project type it denotes
+ * @param {Object} file - Snapshot file (with imports)
+ * @param {string} name - Type name without type arguments
+ * @param {Object} typeIndex - Result of buildTypeIndex()
+ * @param {string|null} [container] - Enclosing type of the declaration (makes sibling nested types visible)
+ * @returns {Object[]} Type index entries of the best match (empty for external types)
+ */
+export function resolveTypeName(file, name, typeIndex, container = null) {
+  const [first, ...rest] = name.split('.');
+  const alias = file.imports.find(imp => imp.alias === first);
+  if (alias) return typeIndex.byFullName.get([getImportTarget(alias), ...rest].join('.')) || [];
+
+  const containers = getVisibleContainers(file);
+  if (container) containers.add(container);
+
+  // Innerer Namespace verdeckt äußeren - längster Container zuerst
+  const candidates = [...containers]
+    .sort((a, b) => b.length - a.length)
+    .map(c => `${c}.${name}`);
+  candidates.push(name);
+
+  for (const candidate of candidates) {
+    const entries = typeIndex.byFullName.get(candidate);
+    if (entries) return entries;
+  }
+  return [];
+}
+
+/**
+ * Namespaces/types whose members a file can name without qualification:
+ * its own namespaces and their parents, imported namespaces and static types
+ */
+function getVisibleContainers(file) {
+  const visible = new Set();
+
+  for (const namespace of file.model.namespaces) {
+    const segments = namespace.name.split('.');
+    for (let length = 1; length <= segments.length; length++) {
+      visible.add(segments.slice(0, length).join('.'));
+    }
+  }
+
+  for (const imp of file.imports) {
+    if (!imp.alias) visible.add(getImportTarget(imp));
+  }
+
+  return visible;
+}
+
+/**
+ * Identifiers that can name a type (name → occurrences): everything except
+ * member access (`x.Name`). Qualified chains (`A.B.Type`) are handled via
+ * qualifiedReferences.
+ */
+function collectTypeIdentifiers(tokens) {
+  const names = new Map();
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'identifier') return;
+
+    const previous = tokens[index - 1];
+    if (previous && (previous.value === '.' || previous.value === '?.' || previous.value === '::')) return;
+
+    names.set(token.value, (names.get(token.value) || 0) + 1);
+  });
+
+  return names;
+}
+
+/**
+ * Project type named by the longest prefix of a qualified name
+ * (`Shop.Billing.Invoice.Create` → `Shop.Billing.Invoice`)
+ * @param {string} name - Dotted name as written in the code
+ * @param {Object} typeIndex - Result of buildTypeIndex()
+ * @returns {Object[]} Type index entries (empty when no prefix is a project type)
+ */
+export function findLongestTypePrefix(name, typeIndex) {
+  const segments = name.split('.');
+  for (let length = segments.length; length > 1; length--) {
+    const entries = typeIndex.byFullName.get(segments.slice(0, length).join('.'));
+    if (entries) return entries;
+  }
+  return [];
+}
+
+function addTo(map, key, value) {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+}
@@ -1,15 +1,23 @@
 import path from 'path';
-import fs from 'fs';
-import graphlib from 'graphlib';
+import { createProjectSnapshot } from '../utils/project-snapshot.js';
+import { getLayerNames } from '../config/project-config.js';
+import { createDisplayNames } from '../utils/display-names.js';
+
+// Knotenradius (px) ohne Größenangabe bzw. Grenzen der LOC-Skalierung
+const DEFAULT_RADIUS = 12;
+const MIN_RADIUS = 8;
+const MAX_RADIUS = 40;
 
 /**
  * Generate interactive architecture heatmap HTML
+ * @param {Object} results - { layering, encapsulation, abstraction, cycles, size, coupling, cohesion, patterns, modularization }
+ * @param {Object} [snapshot] - Shared project snapshot (avoids another directory scan)
  */
-export function generateHeatmap(layering, encapsulation, abstraction, cycles) {
-  const projectName = path.basename(layering.projectPath);
+export function generateHeatmap(results, snapshot = null) {
+  const projectName = path.basename(results.layering.projectPath);
   
   // Prepare data for visualization
-  const graphData = prepareGraphData(layering, encapsulation, abstraction, cycles);
+  const graphData = prepareGraphData(results, snapshot);
   
   const htmlContent = `<!DOCTYPE html>
 <html>
@@ -329,12 +337,10 @@ export function generateHeatmap(layering, encapsulation, abstraction, cycles) {
         </div>
       </div>
       <div id="filters">
-        <button class="filter-btn active" onclick="filterGraph('all')">All Files</button>
-        <button class="filter-btn" onclick="filterGraph('issues')">Only Issues</button>
-        <button class="filter-btn" onclick="filterGraph('domain')">Domain</button>
-        <button class="filter-btn" onclick="filterGraph('application')">Application</button>
-        <button class="filter-btn" onclick="filterGraph('infrastructure')">Infrastructure</button>
-        <button class="filter-btn" onclick="filterGraph('cycles')">Cycles</button>
+        <button class="filter-btn active" data-filter="all">All Files</button>
+        <button class="filter-btn" data-filter="issues">Only Issues</button>
+${graphData.layerOrder.map(layer => `        <button class="filter-btn" data-filter="layer:${escapeHtml(layer)}">${escapeHtml(layer)}</button>
+`).join('')}        <button class="filter-btn" data-filter="cycles">Cycles</button>
       </div>
     </div>
     
@@ -378,7 +384,7 @@ export function generateHeatmap(layering, encapsulation, abstraction, cycles) {
   </div>
   
   <script>
-    const data = ${JSON.stringify(graphData)};
+    const data = ${toScriptJson(graphData)};
     let currentFilter = 'all';
     
     const width = window.innerWidth;
@@ -414,12 +420,12 @@ export function generateHeatmap(layering, encapsulation, abstraction, cycles) {
       .force("link", d3.forceLink(data.links).id(d => d.id).distance(150))
       .force("charge", d3.forceManyBody().strength(-300))
       .force("center", d3.forceCenter(width / 2, height / 2))
-      .force("collision", d3.forceCollide().radius(40))
+      .force("collision", d3.forceCollide().radius(d => d.radius + 12))
       .force("x", d3.forceX(d => {
-        if (d.layer === 'Domain') return width * 0.25;
-        if (d.layer === 'Application') return width * 0.5;
-        if (d.layer === 'Infrastructure') return width * 0.75;
-        return width * 0.5;
+        // One lane per configured layer (inner → outer, left → right)
+        const lane = data.layerOrder.indexOf(d.layer);
+        if (lane === -1) return width * 0.5;
+        return width * (lane + 1) / (data.layerOrder.length + 1);
       }).strength(0.1))
       .force("y", d3.forceY(height / 2).strength(0.05));
     
@@ -446,7 +452,7 @@ export function generateHeatmap(layering, encapsulation, abstraction, cycles) {
         if (d.inCycle) classes += " in-cycle"; 
         return classes;
       })
-      .attr("r", d => d.issueCount > 0 ? 15 + d.issueCount * 2 : 12)
+      .attr("r", d => d.radius)
       .attr("fill", d => getNodeColor(d.score))
       .attr("stroke", d => d.inCycle ? "#ff0080" : "#fff") 
       .attr("stroke-width", d => d.inCycle ? 3 : 2) 
@@ -459,23 +465,33 @@ export function generateHeatmap(layering, encapsulation, abstraction, cycles) {
       .join("text")
       .attr("class", "node-label")
       .text(d => d.name)
-      .attr("dy", d => d.issueCount > 0 ? 35 + d.issueCount * 2 : 30);
+      .attr("dy", d => d.radius + 18);
     
     const tooltip = d3.select("body").append("div")
       .attr("class", "tooltip")
       .style("opacity", 0);
     
+    // Namen aus .mmi.json und dem Code nur als Text einsetzen, nie als HTML
     node.on("mouseover", function(event, d) {
       tooltip.transition().duration(200).style("opacity", 1);
-      tooltip.html(
-        '<strong>' + d.name + '</strong><br/>' +
-        'Layer: ' + d.layer + '<br/>' +
-        'Score: ' + d.score.toFixed(1) + '/5<br/>' +
-        'Issues: ' + d.issueCount +
-        (d.inCycle ? '<br/><span style="color:#ff0080">In Cycle!</span>' : '')
-      )
-      .style("left", (event.pageX + 10) + "px")
-      .style("top", (event.pageY - 28) + "px");
+      tooltip.html("");
+      tooltip.append("strong").text(d.name);
+      [
+        'Layer: ' + d.layer,
+        'Score: ' + d.score.toFixed(1) + '/5',
+        d.lines !== null ? 'Lines: ' + d.lines : null,
+        'Issues: ' + d.issueCount
+      ].filter(line => line !== null).forEach(line => {
+        tooltip.append("br");
+        tooltip.append("span").text(line);
+      });
+      if (d.inCycle) {
+        tooltip.append("br");
+        tooltip.append("span").style("color", "#ff0080").text("In Cycle!");
+      }
+      tooltip
+        .style("left", (event.pageX + 10) + "px")
+        .style("top", (event.pageY - 28) + "px");
     })
     .on("mouseout", function() {
       tooltip.transition().duration(200).style("opacity", 0);
@@ -521,23 +537,27 @@ export function generateHeatmap(layering, encapsulation, abstraction, cycles) {
         .on("end", dragended);
     }
     
-    function filterGraph(filter) {
+    // Filter aus data-filter lesen: Layer-Namen aus .mmi.json landen nie im Script-Code
+    document.getElementById('filters').addEventListener('click', event => {
+      const button = event.target.closest('.filter-btn');
+      if (button) filterGraph(button.dataset.filter, button);
+    });
+    
+    function filterGraph(filter, button) {
       currentFilter = filter;
       
       // Update button states
       document.querySelectorAll('.filter-btn').forEach(btn => {
         btn.classList.remove('active');
       });
-      event.target.classList.add('active');
+      button.classList.add('active');
       
       // Apply filter
       node.classed('filtered', d => {
         if (filter === 'all') return false;
         if (filter === 'issues') return d.issueCount === 0;
         if (filter === 'cycles') return !d.inCycle;
-        if (filter === 'domain') return d.layer !== 'Domain';
-        if (filter === 'application') return d.layer !== 'Application';
-        if (filter === 'infrastructure') return d.layer !== 'Infrastructure';
+        if (filter.startsWith('layer:')) return d.layer !== filter.slice(6);
         return false;
       });
       
@@ -545,9 +565,7 @@ export function generateHeatmap(layering, encapsulation, abstraction, cycles) {
         if (filter === 'all') return false;
         if (filter === 'issues') return d.issueCount === 0;
         if (filter === 'cycles') return !d.inCycle;
-        if (filter === 'domain') return d.layer !== 'Domain';
-        if (filter === 'application') return d.layer !== 'Application';
-        if (filter === 'infrastructure') return d.layer !== 'Infrastructure';
+        if (filter.startsWith('layer:')) return d.layer !== filter.slice(6);
         return false;
       });
       
@@ -569,20 +587,19 @@ export function generateHeatmap(layering, encapsulation, abstraction, cycles) {
       
       document.getElementById("sidebar-title").textContent = d.name;
       
-      const content = document.getElementById("sidebar-content");
+      const content = d3.select("#sidebar-content").html("");
       if (d.issues && d.issues.length > 0) {
-        content.innerHTML = d.issues.map(issue => 
-          '<div class="violation-item">' +
-            '<div class="violation-type">' + issue.type + '</div>' +
-            '<div class="violation-desc">' + issue.description + '</div>' +
-          '</div>'
-        ).join('');
+        d.issues.forEach(issue => {
+          const item = content.append("div").attr("class", "violation-item");
+          item.append("div").attr("class", "violation-type").text(issue.type);
+          item.append("div").attr("class", "violation-desc").text(issue.description);
+        });
       } else {
-        content.innerHTML = 
+        content.html(
           '<div style="padding: 20px; text-align: center; color: #10b981;">' +
             '✅ No issues found!<br/>' +
             'This file has excellent architecture quality.' +
-          '</div>';
+          '</div>');
       }
     }
     
@@ -606,7 +623,8 @@ export function generateHeatmap(layering, encapsulation, abstraction, cycles) {
 /**
  * Prepare graph data 
  */
-function prepareGraphData(layering, encapsulation, abstraction, cycles) { 
+function prepareGraphData(results, snapshot) { 
+  const { layering, encapsulation, abstraction, cycles, size, coupling, cohesion, patterns, modularization } = results;
   console.error('[MMI] 🔍 Starting prepareGraphData...');
   
   const nodes = [];
@@ -614,9 +632,13 @@ function prepareGraphData(layering, encapsulation, abstraction, cycles) {
   const nodeMap = new Map();
   
   // Collect ALL C# files from the project
-  const allFiles = findAllCSharpFiles(layering.projectPath);
+  const project = snapshot || createProjectSnapshot(layering.projectPath);
+  const allFiles = project.files;
   console.error(`[MMI] 📁 Found ${allFiles.length} files`);
   
+  // Nodes are keyed by relative path; labels only get folders where file names collide
+  const displayName = createDisplayNames(allFiles.map(f => f.relativePath));
+  
   // USE cycles from parameter instead of detecting again!
   console.error(`[MMI] 🔄 Using cycle data: ${cycles.cycleCount} cycles`);
   
@@ -647,18 +669,53 @@ function prepareGraphData(layering, encapsulation, abstraction, cycles) {
     abstIssueMap.get(m.file).push(m);
   });
   
+  const sizeIssueMap = new Map();
+  [...size.godClasses, ...size.oversizedFiles].forEach(s => {
+    if (!sizeIssueMap.has(s.file)) sizeIssueMap.set(s.file, []);
+    sizeIssueMap.get(s.file).push(s);
+  });
+  
+  const cohesionIssueMap = new Map();
+  cohesion.findings.forEach(c => {
+    if (!cohesionIssueMap.has(c.file)) cohesionIssueMap.set(c.file, []);
+    cohesionIssueMap.get(c.file).push(c);
+  });
+  
+  const patternIssueMap = new Map();
+  patterns.findings.forEach(p => {
+    if (!patternIssueMap.has(p.file)) patternIssueMap.set(p.file, []);
+    patternIssueMap.get(p.file).push(p);
+  });
+  
+  // Technical modules and junk drawers, shown at their first / largest file
+  const modularizationIssueMap = new Map();
+  modularization.findings.forEach(m => {
+    if (!modularizationIssueMap.has(m.file)) modularizationIssueMap.set(m.file, []);
+    modularizationIssueMap.get(m.file).push(m);
+  });
+  
+  // Modules far from the main sequence, shown at their hotspot file
+  const couplingIssueMap = new Map();
+  coupling.findings.forEach(c => {
+    if (!couplingIssueMap.has(c.file)) couplingIssueMap.set(c.file, []);
+    couplingIssueMap.get(c.file).push(c);
+  });
+  
+  // Node size from lines of code
+  const linesByFile = new Map(size.files.map(f => [f.file, f.lines]));
+  
   // Cycle file map
   const filesInCycles = new Set(cycleData.filesInCycles);
   console.error(`[MMI] 🔄 Files in cycles:`, Array.from(filesInCycles));
   
   // Create nodes for ALL files
-  allFiles.forEach((filePath, index) => {
-    const fileName = path.basename(filePath);
+  allFiles.forEach((file, index) => {
+    const filePath = file.relativePath;
     const issues = [];
     
-    const layerViolations = layerViolationMap.get(fileName) || [];
-    const encapIssues = encapIssueMap.get(fileName) || [];
-    const abstIssues = abstIssueMap.get(fileName) || [];
+    const layerViolations = layerViolationMap.get(filePath) || [];
+    const encapIssues = encapIssueMap.get(filePath) || [];
+    const abstIssues = abstIssueMap.get(filePath) || [];
     
     layerViolations.forEach(v => {
       issues.push({
@@ -681,51 +738,85 @@ function prepareGraphData(layering, encapsulation, abstraction, cycles) {
       });
     });
     
+    (sizeIssueMap.get(filePath) || []).forEach(s => {
+      issues.push({
+        type: s.rule === 'god-class' ? 'God Class' : 'Oversized File',
+        description: s.rule === 'god-class' ? `${s.name}: ${s.reasons.join(', ')}` : `${s.lines} lines of code`
+      });
+    });
+    
+    (cohesionIssueMap.get(filePath) || []).forEach(c => {
+      issues.push({
+        type: 'Low Cohesion',
+        description: `${c.name}: LCOM4 = ${c.lcom4} (${c.clusters.map(cluster => cluster.methods.join(', ')).join(' | ')})`
+      });
+    });
+    
+    (patternIssueMap.get(filePath) || []).forEach(p => {
+      issues.push({
+        type: p.rule === 'misplaced' ? 'Misplaced Type' : 'Forbidden Reference',
+        description: p.rule === 'misplaced'
+          ? `${p.name} in ${p.layer} (expected ${p.expected.join(' / ')})`
+          : `Uses ${p.name} (must not be referenced by ${p.forbidden.join(' / ')})`
+      });
+    });
+    
+    (modularizationIssueMap.get(filePath) || []).forEach(m => {
+      issues.push({
+        type: m.rule === 'technical-module' ? 'Technical Module' : 'Junk Drawer',
+        description: m.rule === 'technical-module'
+          ? `Module ${m.module}: named after a kind of code (${m.types} types)`
+          : `Namespace ${m.namespace}: ${m.isolatedTypes} of ${m.types} types unrelated`
+      });
+    });
+    
+    (couplingIssueMap.get(filePath) || []).forEach(c => {
+      issues.push({
+        type: c.zone === 'pain' ? 'Zone of Pain' : 'Zone of Uselessness',
+        description: `Module ${c.module}: D = ${c.distance} (I = ${c.instability}, A = ${c.abstractness})`
+      });
+    });
+    
     // Add cycle info
     const cyclesForFile = cycleData.cycles.filter(c => 
-      c.path.includes(fileName)
+      c.path.includes(filePath)
     );
     
     cyclesForFile.forEach(cycle => {
       issues.push({
         type: '🔄 Circular Dependency',
-        description: `Part of cycle: ${cycle.path.join(' → ')} → ${cycle.path[0]}`
+        description: `Part of cycle #${cycle.id} (${cycle.path.length} files: ${cycle.path.map(displayName).join(', ')})`
       });
     });
     
     const issueCount = issues.length;
     const score = Math.max(0, 5 - (issueCount * 0.5));
     
-    // Detect layer from path
-    let layer = 'Unknown';
-    const normalizedPath = filePath.replace(/\\/g, '/');
-    if (normalizedPath.includes('/Domain/')) layer = 'Domain';
-    else if (normalizedPath.includes('/Application/')) layer = 'Application';
-    else if (normalizedPath.includes('/Infrastructure/')) layer = 'Infrastructure';
-    else if (normalizedPath.includes('/Presentation/')) layer = 'Presentation';
-    else if (normalizedPath.includes('/API/')) layer = 'API';
-    else if (normalizedPath.includes('/Web/')) layer = 'Web';
-    
-    const inCycle = filesInCycles.has(fileName);
+    const layer = file.layer || 'Unknown';
+    const lines = linesByFile.get(filePath) ?? 0;
+    
+    const inCycle = filesInCycles.has(filePath);
     const cycleIds = cyclesForFile.map(c => c.id);
     
     // 🔍 DEBUG LOG
     if (inCycle) {
-      console.error(`[MMI] 🔄 Node ${fileName} IS IN CYCLE! IDs: ${cycleIds.join(', ')}`);
+      console.error(`[MMI] 🔄 Node ${filePath} IS IN CYCLE! IDs: ${cycleIds.join(', ')}`);
     }
     
     nodes.push({
-      id: fileName,
-      name: fileName.replace('.cs', ''),
+      id: filePath,
+      name: displayName(filePath).replace('.cs', ''),
       layer: layer,
       score: score,
       issueCount: issueCount,
       issues: issues,
+      lines: lines,
+      radius: getNodeRadius(lines),
       inCycle: inCycle,
       cycleIds: cycleIds
     });
     
-    nodeMap.set(fileName, index);
+    nodeMap.set(filePath, index);
   });
   
   // Create links from violations AND from cycles!
@@ -739,6 +830,8 @@ function prepareGraphData(layering, encapsulation, abstraction, cycles) {
         score: 5,
         issueCount: 0,
         issues: [],
+        lines: null,
+        radius: DEFAULT_RADIUS,
         inCycle: false,
         cycleIds: []
       });
@@ -761,10 +854,9 @@ function prepareGraphData(layering, encapsulation, abstraction, cycles) {
   });
   
   // Create links for cycles that aren't violations!
+  // (the real dependencies inside each strongly connected component)
   cycleData.cycles.forEach(cycle => {
-    for (let i = 0; i < cycle.path.length; i++) {
-      const source = cycle.path[i];
-      const target = cycle.path[(i + 1) % cycle.path.length]; // Wrap around
+    for (const { from: source, to: target } of getCycleLinks(cycle)) {
       
       // Check if this link already exists
       const existingLink = links.find(l => 
@@ -779,11 +871,13 @@ function prepareGraphData(layering, encapsulation, abstraction, cycles) {
         if (!nodeMap.has(source)) {
           nodes.push({
             id: source,
-            name: source.replace('.cs', ''),
+            name: displayName(source).replace('.cs', ''),
             layer: 'Unknown',
             score: 5,
             issueCount: 0,
             issues: [],
+            lines: null,
+            radius: DEFAULT_RADIUS,
             inCycle: true,
             cycleIds: [cycle.id]
           });
@@ -793,11 +887,13 @@ function prepareGraphData(layering, encapsulation, abstraction, cycles) {
         if (!nodeMap.has(target)) {
           nodes.push({
             id: target,
-            name: target.replace('.cs', ''),
+            name: displayName(target).replace('.cs', ''),
             layer: 'Unknown',
             score: 5,
             issueCount: 0,
             issues: [],
+            lines: null,
+            radius: DEFAULT_RADIUS,
             inCycle: true,
             cycleIds: [cycle.id]
           });
@@ -822,8 +918,11 @@ function prepareGraphData(layering, encapsulation, abstraction, cycles) {
   console.error(`[MMI] 🔄 Nodes in cycles: ${nodes.filter(n => n.inCycle).length}`);
   console.error(`[MMI] 🔄 Links in cycles: ${links.filter(l => l.cycleId).length}`);
   
-  const overallScore = (layering.score + encapsulation.score + abstraction.score) / 3;
+  const scores = Object.values(results).map(result => result.score);
+  const overallScore = scores.reduce((sum, score) => sum + score, 0) / scores.length;
   const layers = [...new Set(nodes.map(n => n.layer))];
+  // Configured layers that actually contain files, in configured order
+  const layerOrder = getLayerNames(project.config).filter(name => layers.includes(name));
   const filesWithIssues = nodes.filter(n => n.issueCount > 0).length;
   
   return {
@@ -834,56 +933,34 @@ function prepareGraphData(layering, encapsulation, abstraction, cycles) {
     filesWithIssues,
     totalViolations: layering.violationCount + abstraction.issueCount,
     layers,
+    layerOrder,
     cycles: cycleData.cycles,
     cycleCount: cycleData.cycleCount
   };
 }
 
+/**
+ * Node radius grows with the square root of the lines of code (area ~ size)
+ */
+function getNodeRadius(lines) {
+  return Math.round(Math.min(MAX_RADIUS, MIN_RADIUS + Math.sqrt(lines) * 0.8));
+}
+
 /**
  * Find which cycle a link belongs to
  */
 function findCycleForLink(source, target, cycles) {
-  for (const cycle of cycles) {
-    const sourceIdx = cycle.path.indexOf(source);
-    if (sourceIdx === -1) continue;
-    
-    const nextIdx = (sourceIdx + 1) % cycle.path.length;
-    if (cycle.path[nextIdx] === target) {
-      return cycle.id;
-    }
-  }
-  return null;
+  const cycle = cycles.find(c => getCycleLinks(c).some(l => l.from === source && l.to === target));
+  return cycle ? cycle.id : null;
 }
 
 /**
- * Find all C# files in project
+ * Links of a cycle: its internal edges, or consecutive path entries for
+ * results without edge data
  */
-function findAllCSharpFiles(projectPath) {
-  const files = [];
-  
-  function scan(dir) {
-    try {
-      const items = fs.readdirSync(dir);
-      
-      for (const item of items) {
-        if (item === 'bin' || item === 'obj' || item === 'node_modules') continue;
-        
-        const fullPath = path.join(dir, item);
-        const stat = fs.statSync(fullPath);
-        
-        if (stat.isDirectory()) {
-          scan(fullPath);
-        } else if (item.endsWith('.cs')) {
-          files.push(fullPath);
-        }
-      }
-    } catch (err) {
-      // Skip directories we can't read
-    }
-  }
-  
-  scan(projectPath);
-  return files;
+function getCycleLinks(cycle) {
+  if (cycle.edges) return cycle.edges;
+  return cycle.path.map((from, i) => ({ from, to: cycle.path[(i + 1) % cycle.path.length] }));
 }
 
 function getScoreClass(score) {
@@ -891,4 +968,23 @@ function getScoreClass(score) {
   if (score >= 3.5) return 'score-good';
   if (score >= 2.5) return 'score-acceptable';
   return 'score-poor';
-}
\ No newline at end of file
+}
+
+/**
+ * JSON for an inline <script>: `<` escaped so strings cannot close the tag
+ */
+function toScriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+/**
+ * Escape configured names (e.g. layer names from .mmi.json) for HTML attributes
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { CYCLE_GRANULARITIES } from '../src/analyzers/cycle-analyzer.js';
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const FIXTURES = path.join(ROOT, 'test', 'fixtures');
+const CLI = path.join(ROOT, 'src', 'cli.js');
+
+function runCli(...args) {
+  return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+}
+
+test('baseline records cycles at every granularity', () => {
+  // Kopie, damit die .mmi-baseline.json nicht im Fixture landet
+  const projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mmi-baseline-'));
+  fs.cpSync(path.join(FIXTURES, 'namespace-cycle'), projectPath, { recursive: true });
+
+  assert.equal(runCli('baseline', projectPath).status, 0);
+  const { findings } = JSON.parse(fs.readFileSync(path.join(projectPath, '.mmi-baseline.json'), 'utf8'));
+  assert.deepEqual(findings.cycles.map(entry => entry.rule), ['cycle/folder', 'cycle/namespace']);
+
+  // Order → Invoice → Customer ist nur auf Namespace-/Ordner-Ebene ein Zyklus
+  for (const granularity of CYCLE_GRANULARITIES) {
+    const { status, stdout } = runCli('analyze', projectPath, '--dimensions', 'cycles', '--granularity', granularity, '--max-new-violations', '0', '--format', 'json');
+    assert.equal(status, 0, `${granularity}: ${stdout}`);
+  }
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import graphlib from 'graphlib';
+import { findStronglyConnectedComponents, findElementaryCycles, findFeedbackArcSet } from '../src/utils/cycle-breaking.js';
+
+// Laufzeitgrenze für das große Knäuel (die quadratische Variante brauchte über eine Minute)
+const LARGE_TANGLE_BUDGET_MS = 5000;
+
+/**
+ * One tangle like a 3000-file solution: every type references its
+ * successor plus a few pseudo-random others (~12,000 edges)
+ */
+function createTangle(size) {
+  const graph = new graphlib.Graph({ directed: true });
+  const name = i => `src/App/T${i}.cs`;
+  for (let i = 0; i < size; i++) {
+    for (const target of [(i + 1) % size, (i * 7 + 3) % size, (i * 13 + 5) % size, Math.floor(i / 2)]) {
+      if (target !== i) graph.setEdge(name(i), name(target), { references: 1 + (i + target) % 4 });
+    }
+  }
+  return graph;
+}
+
+function withoutEdges(graph, cut) {
+  const remaining = new graphlib.Graph({ directed: true });
+  const removed = new Set(cut.map(e => `${e.v}\n${e.w}`));
+  graph.nodes().forEach(node => remaining.setNode(node));
+  graph.edges().filter(e => !removed.has(`${e.v}\n${e.w}`)).forEach(e => remaining.setEdge(e.v, e.w));
+  return remaining;
+}
+
+test('strongly connected components match graphlib on small graphs', () => {
+  for (let seed = 1; seed <= 20; seed++) {
+    const graph = new graphlib.Graph({ directed: true });
+    for (let i = 0; i < 40; i++) graph.setEdge(`n${(i * seed) % 23}`, `n${(i * 7 + seed) % 23}`);
+    assert.deepEqual(findStronglyConnectedComponents(graph), graphlib.alg.findCycles(graph));
+  }
+});
+
+test('cut edges break every cycle and none of them is superfluous', () => {
+  const graph = createTangle(60);
+  const [component] = findStronglyConnectedComponents(graph);
+  const cut = findFeedbackArcSet(graph, component, e => graph.edge(e).references);
+
+  assert.ok(graphlib.alg.isAcyclic(withoutEdges(graph, cut)));
+  for (const edge of cut) {
+    assert.ok(!graphlib.alg.isAcyclic(withoutEdges(graph, cut.filter(e => e !== edge))), `${edge.v} → ${edge.w}`);
+  }
+});
+
+test('large tangle (3000 nodes) is analyzed within the time budget', () => {
+  const graph = createTangle(3000);
+  const started = Date.now();
+
+  const components = findStronglyConnectedComponents(graph);
+  assert.equal(components.length, 1);
+  assert.equal(components[0].length, 3000);
+
+  findElementaryCycles(graph, components[0]);
+  const cut = findFeedbackArcSet(graph, components[0], e => graph.edge(e).references);
+  const elapsed = Date.now() - started;
+
+  assert.equal(findStronglyConnectedComponents(withoutEdges(graph, cut)).length, 0);
+  assert.ok(elapsed < LARGE_TANGLE_BUDGET_MS, `took ${elapsed} ms`);
+});
+
+test('long dependency chains do not overflow the call stack', () => {
+  const graph = new graphlib.Graph({ directed: true });
+  const size = 20000;
+  for (let i = 0; i < size; i++) graph.setEdge(`n${i}`, `n${(i + 1) % size}`, { references: 1 });
+
+  const [component] = findStronglyConnectedComponents(graph);
+  assert.equal(component.length, size);
+  assert.equal(findElementaryCycles(graph, component).cycles.length, 1);
+  assert.equal(findFeedbackArcSet(graph, component, () => 1).length, 1);
+});
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { analyzeEncapsulation } from '../src/analyzers/encapsulation.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+test('a member gets every finding that applies to it', () => {
+  const { members } = analyzeEncapsulation(path.join(FIXTURES, 'member-findings'), false, null, { members: true });
+  const findings = members.findings.map(f => [`${f.owner}.${f.name}`, f.rule]).sort();
+
+  // Collection mit public Setter bzw. als mutables Feld: je zwei Findings
+  assert.deepEqual(findings, [
+    ['Order.Lines', 'exposed-collection'],
+    ['Order.Lines', 'public-setter'],
+    ['Order.Notes', 'exposed-collection'],
+    ['Order.Notes', 'public-field']
+  ]);
+});
@@ -0,0 +1,7 @@
+namespace MyApp.Billing
+{
+    public class Invoice
+    {
+        public decimal Total { get; private set; }
+    }
+}
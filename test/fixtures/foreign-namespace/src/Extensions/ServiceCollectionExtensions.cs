@@ -0,0 +1,9 @@
+using MyApp.Billing;
+
+namespace Microsoft.Extensions.DependencyInjection
+{
+    public static class ServiceCollectionExtensions
+    {
+        public static IServiceCollection AddBilling(this IServiceCollection services) => services;
+    }
+}
@@ -0,0 +1,7 @@
+namespace MyApp.Helpers
+{
+    public static class StringHelper
+    {
+        public static string Trim(string value) => value.Trim();
+    }
+}
@@ -0,0 +1,9 @@
+using System;
+
+namespace MyApp.Utils
+{
+    public static class DateUtils
+    {
+        public static DateTime Today() => DateTime.Today;
+    }
+}
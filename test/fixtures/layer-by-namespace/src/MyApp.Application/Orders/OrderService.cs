@@ -0,0 +1,9 @@
+using MyApp.Domain.Orders;
+
+namespace MyApp.Application.Orders
+{
+    public class OrderService
+    {
+        public Order Create() => new Order();
+    }
+}
@@ -0,0 +1,9 @@
+using MyApp.Application.Orders;
+
+namespace MyApp.Domain.Orders
+{
+    public class Order
+    {
+        public OrderService Service { get; private set; }
+    }
+}
@@ -0,0 +1,13 @@
+using System.Collections.Generic;
+
+namespace MyApp.Domain.Orders
+{
+    public class Order
+    {
+        public List<OrderLine> Lines { get; set; }
+
+        public List<string> Notes;
+
+        public IReadOnlyList<OrderLine> History { get; private set; }
+    }
+}
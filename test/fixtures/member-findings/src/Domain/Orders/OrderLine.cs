@@ -0,0 +1,7 @@
+namespace MyApp.Domain.Orders
+{
+    public class OrderLine
+    {
+        public decimal Amount { get; private set; }
+    }
+}
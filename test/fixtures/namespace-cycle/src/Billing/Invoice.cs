@@ -0,0 +1,9 @@
+using MyApp.Orders;
+
+namespace MyApp.Billing
+{
+    public class Invoice
+    {
+        public Customer Customer { get; set; }
+    }
+}
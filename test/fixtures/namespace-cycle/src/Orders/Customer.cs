@@ -0,0 +1,7 @@
+namespace MyApp.Orders
+{
+    public class Customer
+    {
+        public string Name { get; set; }
+    }
+}
@@ -0,0 +1,9 @@
+using MyApp.Billing;
+
+namespace MyApp.Orders
+{
+    public class Order
+    {
+        public Invoice Invoice { get; set; }
+    }
+}
@@ -0,0 +1,6 @@
+namespace MyApp.Billing.Invoices
+{
+    public class Invoice
+    {
+    }
+}
@@ -0,0 +1,7 @@
+namespace Microsoft.Extensions.DependencyInjection
+{
+    public static class ServiceCollectionExtensions
+    {
+        public static IServiceCollection AddBilling(this IServiceCollection services) => services;
+    }
+}
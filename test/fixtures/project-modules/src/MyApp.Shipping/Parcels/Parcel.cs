@@ -0,0 +1,6 @@
+namespace MyApp.Shipping.Parcels
+{
+    public class Parcel
+    {
+    }
+}
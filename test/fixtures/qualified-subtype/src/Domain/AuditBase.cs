@@ -0,0 +1,9 @@
+using Shop.Domain.Billing;
+
+namespace Shop.Domain
+{
+    public abstract class AuditBase
+    {
+        public Receipt LastReceipt { get; private set; }
+    }
+}
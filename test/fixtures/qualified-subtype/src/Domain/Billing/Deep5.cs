@@ -0,0 +1,6 @@
+namespace Shop.Domain.Billing
+{
+    public class Deep5 : Invoice
+    {
+    }
+}
@@ -0,0 +1,6 @@
+namespace Shop.Domain.Billing
+{
+    public class Invoice : EntityBase
+    {
+    }
+}
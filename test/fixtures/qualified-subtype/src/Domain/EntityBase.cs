@@ -0,0 +1,7 @@
+namespace Shop.Domain
+{
+    public abstract class EntityBase
+    {
+        public Shop.Domain.Billing.Deep5 Latest;
+    }
+}
@@ -0,0 +1,11 @@
+namespace Shop.Domain.Shapes
+{
+    public abstract class Shape
+    {
+        public static Shop.Domain.Shapes.Shape.Circle Unit = new Circle();
+
+        public sealed class Circle : Shape
+        {
+        }
+    }
+}
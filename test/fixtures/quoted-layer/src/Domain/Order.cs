@@ -0,0 +1,9 @@
+using Shop.Web;
+
+namespace Shop.Domain
+{
+    public class Order
+    {
+        public OrdersController Controller { get; set; }
+    }
+}
@@ -0,0 +1,9 @@
+using Shop.Domain;
+
+namespace Shop.Web
+{
+    public class OrdersController
+    {
+        public Order Get() => new Order();
+    }
+}
@@ -0,0 +1,6 @@
+namespace MyApp.Api.Endpoints
+{
+    public class OrderEndpoint
+    {
+    }
+}
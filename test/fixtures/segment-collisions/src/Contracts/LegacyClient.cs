@@ -0,0 +1,6 @@
+namespace MyApp.Apis.Legacy
+{
+    public class LegacyClient
+    {
+    }
+}
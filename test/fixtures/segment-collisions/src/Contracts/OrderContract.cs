@@ -0,0 +1,6 @@
+namespace MyApp.ApiContracts
+{
+    public class OrderContract
+    {
+    }
+}
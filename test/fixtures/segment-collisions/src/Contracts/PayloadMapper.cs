@@ -0,0 +1,6 @@
+namespace MyApp.PayloadMapping
+{
+    public class PayloadMapper
+    {
+    }
+}
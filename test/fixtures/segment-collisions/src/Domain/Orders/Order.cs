@@ -0,0 +1,13 @@
+using MyApp.Domain.WebhookPayloads;
+using MyApp.ApiContracts;
+using MyApp.PayloadMapping;
+using MyApp.Apis.Legacy;
+using MyApp.Api.Endpoints;
+
+namespace MyApp.Domain.Orders
+{
+    public class Order
+    {
+        public PaymentPayload Payment { get; private set; }
+    }
+}
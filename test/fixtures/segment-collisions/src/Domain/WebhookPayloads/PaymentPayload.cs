@@ -0,0 +1,6 @@
+namespace MyApp.Domain.WebhookPayloads
+{
+    public class PaymentPayload
+    {
+    }
+}
@@ -0,0 +1,9 @@
+using MyApp.Domain.Orders;
+
+namespace MyApp.Payload
+{
+    public class OrderPayload
+    {
+        public Order Order { get; set; }
+    }
+}
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const FIXTURES = path.join(ROOT, 'test', 'fixtures');
+const LAYER = "Web'); alert(1); ('</script><script>alert(2)</script><img src=x onerror=alert(3)>";
+
+function renderHeatmap(fixture) {
+  const output = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mmi-heatmap-')), 'heatmap.html');
+  execFileSync(process.execPath, [path.join(ROOT, 'src', 'cli.js'), 'analyze', path.join(FIXTURES, fixture), '--heatmap', output], { stdio: 'ignore' });
+  return fs.readFileSync(output, 'utf8');
+}
+
+/**
+ * Chainable stand-in for d3 selections and the DOM: records every call, so
+ * the test can tell text sinks (`text`, `textContent`) from HTML sinks
+ * (`html`, `innerHTML`)
+ */
+function createPage() {
+  const calls = [];
+  const handlers = {};
+  const selection = new Proxy(() => selection, {
+    get: (_, prop) => (...args) => {
+      calls.push({ method: prop, args });
+      if (prop === 'on' && typeof args[1] === 'function') handlers[args[0]] = args[1];
+      return selection;
+    }
+  });
+  const element = () => new Proxy({ classList: { add() {}, remove() {} }, addEventListener() {} }, {
+    set: (target, prop, value) => {
+      calls.push({ method: prop, args: [value] });
+      return true;
+    }
+  });
+  const document = { getElementById: element, querySelectorAll: () => [] };
+  const window = { innerWidth: 800, innerHeight: 600 };
+  return { calls, handlers, d3: selection, document, window };
+}
+
+test('layer names with quotes and </script> stay data in the heatmap', () => {
+  const html = renderHeatmap('quoted-layer');
+
+  assert.doesNotMatch(html, /onclick="filterGraph/);
+  assert.match(html, /data-filter="layer:Web&#39;\); alert\(1\); \(&#39;&lt;\/script&gt;&lt;script&gt;alert\(2\)&lt;\/script&gt;&lt;img src=x onerror=alert\(3\)&gt;"/);
+
+  // Genau ein externes und ein inline Script, das sich parsen lässt
+  const scripts = [...html.matchAll(/<script>([\s\S]*?)<\/script>/g)].map(m => m[1]);
+  assert.equal(scripts.length, 1);
+  assert.doesNotThrow(() => new Function(scripts[0]));
+});
+
+test('tooltip and sidebar insert layer names as text only', () => {
+  const html = renderHeatmap('quoted-layer');
+  const script = html.match(/<script>([\s\S]*?)<\/script>/)[1];
+  const page = createPage();
+  const data = new Function('d3', 'document', 'window', `${script}\nreturn data;`)(page.d3, page.document, page.window);
+
+  const node = data.nodes.find(n => n.issues.some(issue => issue.description.includes(LAYER)));
+  const webNode = data.nodes.find(n => n.layer === LAYER);
+  page.handlers.mouseover({ pageX: 0, pageY: 0 }, webNode);
+  page.handlers.click({}, node);
+
+  const values = method => page.calls.filter(call => call.method === method).flatMap(call => call.args).filter(arg => typeof arg === 'string');
+  const text = [...values('text'), ...values('textContent')];
+  const markup = [...values('html'), ...values('innerHTML')];
+
+  assert.ok(text.includes(`Layer: ${LAYER}`), 'tooltip shows the layer as text');
+  assert.ok(text.some(value => value.startsWith(`Depends on ${LAYER}`)), 'sidebar shows the violation as text');
+  assert.ok(markup.every(value => !value.includes('<img') && !value.includes('alert(')), 'no model value reaches an HTML sink');
+});
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { analyzeInheritance } from '../src/analyzers/inheritance.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+test('base types naming a subtype are cycles, qualified or not', () => {
+  const result = analyzeInheritance(path.join(FIXTURES, 'qualified-subtype'));
+  const cycles = result.findings
+    .filter(f => f.rule === 'inheritance-cycle')
+    .map(f => [f.name, f.subtype, f.file, f.line])
+    .sort();
+
+  // Shape.Circle ist eine geschlossene Hierarchie und bleibt unbeanstandet
+  assert.deepEqual(cycles, [
+    ['Shop.Domain.AuditBase', 'Shop.Domain.Billing.Receipt', 'src/Domain/AuditBase.cs', 7],
+    ['Shop.Domain.EntityBase', 'Shop.Domain.Billing.Deep5', 'src/Domain/EntityBase.cs', 5]
+  ]);
+});
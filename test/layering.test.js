@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { analyzeLayering } from '../src/analyzers/layering.js';
+import { normalizeConfig, resolveNamespaceLayer } from '../src/config/project-config.js';
+import { getArchitecturePreset } from '../src/config/architecture-presets.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// Namespaces, deren Segmente einen Layer-Namen nur als Teilstring enthalten
+const COLLISIONS = [
+  'MyApp.ApiContracts',
+  'MyApp.PayloadMapping',
+  'MyApp.Apis.Legacy',
+  'MyApp.Website',
+  'MyApp.Applications',
+  'MyApp.Build'
+];
+
+test('substring collisions do not resolve to the Web / API layers of the clean preset', () => {
+  const config = normalizeConfig(getArchitecturePreset('clean'), null);
+
+  assert.equal(resolveNamespaceLayer(config, 'MyApp.Domain.WebhookPayloads').layer, 'Domain');
+  for (const namespace of COLLISIONS) {
+    assert.equal(resolveNamespaceLayer(config, namespace), null, namespace);
+  }
+  assert.equal(resolveNamespaceLayer(config, 'MyApp.Web.Controllers').layer, 'Web');
+  assert.equal(resolveNamespaceLayer(config, 'MyApp.Api').match, 'Api');
+});
+
+test('substring collisions do not resolve to the Api / Payload aliases of a custom config', () => {
+  const config = normalizeConfig({
+    layers: [
+      { name: 'Domain' },
+      { name: 'Payload', aliases: ['Payload'] },
+      { name: 'Api', aliases: ['Api'] }
+    ]
+  }, null);
+
+  assert.equal(resolveNamespaceLayer(config, 'MyApp.Domain.WebhookPayloads').layer, 'Domain');
+  for (const namespace of ['MyApp.ApiContracts', 'MyApp.PayloadMapping', 'MyApp.Apis.Legacy']) {
+    assert.equal(resolveNamespaceLayer(config, namespace), null, namespace);
+  }
+  assert.equal(resolveNamespaceLayer(config, 'MyApp.Payload').layer, 'Payload');
+  assert.equal(resolveNamespaceLayer(config, 'MyApp.Api.Endpoints').layer, 'Api');
+});
+
+test('layering reports only the real violation of the collision corpus', () => {
+  const result = analyzeLayering(path.join(FIXTURES, 'segment-collisions'));
+
+  assert.deepEqual(
+    result.violations.map(v => [v.file, v.using, v.dependsOn, v.matchedSegment]),
+    [['src/Domain/Orders/Order.cs', 'MyApp.Api.Endpoints', 'Api', 'Api']]
+  );
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { analyzeModularization } from '../src/analyzers/modularization.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+function moduleNames(result) {
+  return result.modules.map(m => `${m.name}:${m.kind}`).sort();
+}
+
+test('a foreign DI extension namespace does not empty the root namespace', () => {
+  const result = analyzeModularization(path.join(FIXTURES, 'foreign-namespace'));
+
+  assert.deepEqual(moduleNames(result), ['Billing:domain', 'Helpers:technical', 'Utils:technical']);
+  assert.equal(result.score, 1);
+});
+
+test('modules are found below the product root of several projects', () => {
+  // MyApp.Billing.csproj und MyApp.Shipping.csproj → Wurzel MyApp, nicht MyApp.Billing
+  const result = analyzeModularization(path.join(FIXTURES, 'project-modules'));
+
+  assert.deepEqual(moduleNames(result), ['Billing:domain', 'Shipping:domain']);
+});
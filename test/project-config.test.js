@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { analyzeLayering } from '../src/analyzers/layering.js';
+import { normalizeConfig, detectLayer } from '../src/config/project-config.js';
+import { getArchitecturePreset } from '../src/config/architecture-presets.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+test('files without a matching glob get their layer from namespace segments', () => {
+  const config = normalizeConfig(getArchitecturePreset('clean'), null);
+
+  assert.equal(detectLayer(config, 'src/MyApp.Application/Orders/OrderService.cs', 'MyApp.Application.Orders'), 'Application');
+  assert.equal(detectLayer(config, 'src/Application/Orders/OrderService.cs', 'MyApp.Domain.Orders'), 'Application');
+  assert.equal(detectLayer(config, 'src/Shared/Clock.cs', 'MyApp.Shared'), null);
+});
+
+test('violations of files classified by namespace are reported', () => {
+  const result = analyzeLayering(path.join(FIXTURES, 'layer-by-namespace'));
+
+  assert.deepEqual(
+    result.violations.map(v => [v.file, v.layer, v.dependsOn]),
+    [['src/MyApp.Domain/Orders/Order.cs', 'Domain', 'Application']]
+  );
+});